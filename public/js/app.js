@@ -225,6 +225,44 @@ function logout() {
     .then(() => window.location.href = '/login');
 }
 
+// Live updates from /api/events. `poll` runs every `interval` ms while the
+// stream is down (or unsupported) and once more each time it reconnects.
+function subscribeEvents({ handlers, poll, interval, accountId = null }) {
+  let pollTimer = null;
+  const startPolling = () => {
+    if (!pollTimer) pollTimer = setInterval(poll, interval);
+  };
+  const stopPolling = () => {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  };
+
+  startPolling();
+  if (!window.EventSource) {
+    return { close: stopPolling };
+  }
+
+  const source = new EventSource(accountId ? `/api/events?account_id=${accountId}` : '/api/events');
+  let connected = false;
+  source.onopen = () => {
+    stopPolling();
+    if (connected) poll(); // Catch up on anything missed while disconnected
+    connected = true;
+  };
+  // The browser reconnects on its own, poll in the meantime
+  source.onerror = startPolling;
+  for (const [type, handler] of Object.entries(handlers)) {
+    source.addEventListener(type, event => handler(JSON.parse(event.data)));
+  }
+
+  return {
+    close() {
+      source.close();
+      stopPolling();
+    }
+  };
+}
+
 // Format helpers
 function formatTime(date) {
   return new Date(date).toLocaleTimeString();
@@ -51,14 +51,135 @@ module.exports = {
   // Steam defaults
   defaultGames: [730], // CS2
   maxGamesPerAccount: 32,
+  maxCustomTitleLength: 64, // Non-Steam game titles in the playing status
 
   // Reconnection settings
   reconnectDelay: 30000, // 30 seconds
   maxReconnectAttempts: 10,
 
+  // Network outage detection (every idling account dropping at once)
+  network: {
+    dropWindow: 60 * 1000, // Disconnects this close together count as one outage
+    minSessions: 2, // A single account dropping is never treated as an outage
+    probeInterval: 15 * 1000, // How often to check whether the network is back
+    probeTimeout: 5000,
+    probeHost: 'api.steampowered.com',
+    probePort: 443
+  },
+
+  // Login queue (throttles Steam logons on startAll, resume and reconnects)
+  loginQueue: {
+    maxConcurrent: 3,
+    minSpacing: 5000 // Minimum ms between logon starts
+  },
+
+  // Manual Steam Guard code entry (accounts without shared_secret)
+  steamGuard: {
+    codeTimeout: 5 * 60 * 1000 // How long to wait for a code before giving up
+  },
+
+  // Chat auto-replies while idling
+  autoReply: {
+    defaultCooldown: 60, // Minutes before the same friend gets another reply
+    maxCooldown: 7 * 24 * 60,
+    maxLength: 500
+  },
+
+  // When the owner plays on another device (per-account conflict policy)
+  conflict: {
+    defaultGrace: 10, // Minutes before the 'kick' policy reclaims the playing session
+    minGrace: 1,
+    maxGrace: 240,
+    elsewhereDelay: 5 * 60 * 1000 // Reconnect delay after LoggedInElsewhere with the 'yield' policy
+  },
+
+  // Trading card farming
+  cardFarming: {
+    checkInterval: 15 * 60 * 1000, // Re-read badge pages for farming accounts
+    webSessionTimeout: 30 * 1000, // Wait for steam-user to hand out community cookies
+    maxBadgePages: 20
+  },
+
+  // Key redemption queue
+  keyRedemption: {
+    interval: 30 * 1000, // Minimum ms between redemptions on one account
+    rateLimitBackoff: 60 * 60 * 1000, // Pause an account's queue after Steam rate limits it
+    maxAttempts: 3, // Give up on a key after this many errors without a Steam result
+    maxKeys: 500 // Keys per submission
+  },
+
+  // Game auto-selection from the owned library
+  gameSelection: {
+    maxCount: 500, // Games one selection may pick (more than maxGamesPerAccount needs rotation)
+    maxListSize: 500 // App IDs per include/exclude list
+  },
+
+  // Game rotation (for game lists longer than maxGamesPerAccount)
+  rotation: {
+    defaultInterval: 60, // Minutes per slice
+    minInterval: 5,
+    maxInterval: 24 * 60
+  },
+
+  // Live event stream (Server-Sent Events) for the web UI
+  events: {
+    heartbeatInterval: 25 * 1000, // Comment line that keeps idle connections open
+    retryDelay: 5000, // Browser reconnect delay after the stream drops
+    maxClients: 50
+  },
+
+  // Global cap on concurrently idling accounts (fair-share rotation)
+  idleQueue: {
+    maxIdling: 0, // 0 = no cap, overridden by the 'max_idling_accounts' setting
+    checkInterval: 60 * 1000,
+    minSlotTime: 30 * 60 * 1000, // An account keeps its slot at least this long before rotating out
+    shareWindow: 7 * 24 * 60 * 60 * 1000, // Boosted hours counted for the fair share
+    maxWeight: 10
+  },
+
+  // Persona state schedules and profile name overrides
+  persona: {
+    checkInterval: 60 * 1000,
+    maxNameLength: 32, // Steam's limit for profile names
+    maxWindows: 20
+  },
+
+  // Idle schedules
+  scheduler: {
+    checkInterval: 60 * 1000 // Evaluate schedule windows every minute
+  },
+
+  // Humanized sessions (randomized session and break lengths, minutes)
+  humanize: {
+    checkInterval: 60 * 1000,
+    maxMinutes: 24 * 60, // Upper bound for session and break lengths
+    maxJitter: 120,
+    defaults: {
+      session_min: 60,
+      session_max: 240,
+      break_min: 15,
+      break_max: 90,
+      start_jitter: 10, // +/- minutes added to each start
+      away_chance: 20, // % of sessions shown as Away
+      subset_chance: 25 // % of sessions idling only part of the games
+    }
+  },
+
+  // Hour targets
+  hourTargets: {
+    checkInterval: 5 * 60 * 1000 // Re-check accrued session time every 5 minutes
+  },
+
   // Logging
   logRetentionDays: 30,
 
+  // Audit trail (kept apart from activity logs)
+  audit: {
+    retentionDays: 365, // Default for the audit_retention_days setting, 0 keeps entries forever
+    minRetentionDays: 90, // Lowest retention the setting accepts
+    maxExportRows: 50000
+  },
+
   // Rate limiting
   rateLimit: {
     login: {
@@ -75,6 +196,22 @@ module.exports = {
     }
   },
 
+  // Personal API tokens
+  apiTokens: {
+    maxPerUser: 20,
+    maxNameLength: 64,
+    touchInterval: 60 * 1000 // Write last-used time at most once a minute per token
+  },
+
+  // Two-factor authentication for web UI logins
+  twoFactor: {
+    issuer: 'Hour Boost', // Name shown in authenticator apps
+    window: 1, // Accept codes one time step either side of now (clock drift)
+    challengeTtl: 5 * 60 * 1000, // Time to enter the code after the password
+    maxAttempts: 5, // Wrong codes before the password has to be entered again
+    recoveryCodes: 10
+  },
+
   // Account lockout (Steam login failures)
   lockout: {
     maxFailedLogins: 3,
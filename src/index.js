@@ -22,13 +22,17 @@ app.use((req, res, next) => {
     return next();
   }
   // Skip pre-auth routes
-  if (req.path === '/api/setup' || req.path === '/api/login') {
+  if (req.path === '/api/setup' || req.path === '/api/login' || req.path === '/api/login/2fa') {
     return next();
   }
   // Skip health check
   if (req.path === '/health') {
     return next();
   }
+  // Skip API token requests (browsers never attach bearer tokens on their own)
+  if ((req.headers.authorization || '').startsWith('Bearer ')) {
+    return next();
+  }
   // Require custom header (only same-origin JS can set this)
   if (req.headers['x-requested-with'] !== 'XMLHttpRequest') {
     return res.status(403).json({ error: 'CSRF validation failed' });
@@ -119,6 +123,10 @@ async function startServer() {
     }
   }));
 
+  // Audit trail of mutating API calls and secret exports (needs the session)
+  const { auditTrail } = require('./middleware/audit');
+  app.use(auditTrail);
+
   // Clean up expired web sessions periodically (every hour)
   const webSessionCleanup = setInterval(() => {
     try { db.webSessions.cleanup(); } catch (e) { /* ignore */ }
@@ -129,7 +137,17 @@ async function startServer() {
   const logger = require('./services/logger');
   const steamService = require('./services/steamService');
   const steamApiService = require('./services/steamApiService');
+  const scheduler = require('./services/scheduler');
+  const humanizer = require('./services/humanizer');
+  const idleQueue = require('./services/idleQueue');
+  const personaManager = require('./services/personaManager');
+  const hourTargets = require('./services/hourTargets');
+  const cardFarmer = require('./services/cardFarmer');
+  const keyRedeemer = require('./services/keyRedeemer');
+  const auditLog = require('./services/auditLog');
+  const eventStream = require('./services/eventStream');
   const { requireAuth, checkSetup, getEncryptionKey } = require('./middleware/auth');
+  const { authorize } = require('./middleware/permissions');
   const { rateLimiters } = require('./middleware/rateLimiter');
 
   // Routes - Auth (no auth required, but rate limited)
@@ -154,8 +172,9 @@ async function startServer() {
     sendView(res, 'setup');
   });
 
-  // Protected routes - require authentication
+  // Protected routes - require authentication, then the user's role and accounts
   app.use(requireAuth);
+  app.use(authorize);
 
   // Apply general API rate limiter to all protected routes
   app.use('/api', rateLimiters.api);
@@ -166,10 +185,32 @@ async function startServer() {
   const mafileRoutes = require('./routes/mafiles');
   const settingsRoutes = require('./routes/settings');
   const statsRoutes = require('./routes/stats');
+  const scheduleRoutes = require('./routes/schedules');
+  const humanizeRoutes = require('./routes/humanize');
+  const personaRoutes = require('./routes/persona');
+  const proxyRoutes = require('./routes/proxies');
+  const cardRoutes = require('./routes/cards');
+  const keyRoutes = require('./routes/keys');
+  const eventRoutes = require('./routes/events');
+  const tokenRoutes = require('./routes/tokens');
+  const userRoutes = require('./routes/users');
+  const twoFactorRoutes = require('./routes/twoFactor');
+  const auditRoutes = require('./routes/audit');
 
   app.use(dashboardRoutes);
   app.use(accountRoutes);
   app.use(gameRoutes);
+  app.use(scheduleRoutes);
+  app.use(humanizeRoutes);
+  app.use(personaRoutes);
+  app.use(proxyRoutes);
+  app.use(cardRoutes);
+  app.use(keyRoutes);
+  app.use(eventRoutes);
+  app.use(tokenRoutes);
+  app.use(userRoutes);
+  app.use(twoFactorRoutes);
+  app.use(auditRoutes);
   app.use(mafileRoutes);
   app.use(settingsRoutes);
   app.use(statsRoutes);
@@ -214,6 +255,15 @@ async function startServer() {
   // Graceful shutdown
   function shutdown() {
     logger.info('Shutting down...');
+    scheduler.stop();
+    humanizer.stop();
+    idleQueue.stop();
+    personaManager.stop();
+    hourTargets.stop();
+    cardFarmer.stop();
+    keyRedeemer.stop();
+    auditLog.stop();
+    eventStream.closeAll();
     steamService.shutdown();
     steamApiService.shutdown();
     db.saveDatabase();
@@ -254,10 +304,31 @@ async function startServer() {
     // Start log cleanup job
     logger.startCleanupJob();
 
-    // Resume idling for accounts that were active before restart
+    // Drop audit entries past their own retention period
+    auditLog.start();
+
+    // Check hour targets against accrued session time
+    hourTargets.start();
+
+    // Re-read badge pages of accounts farming cards
+    cardFarmer.start();
+
+    // Redeem queued product keys on logged-in accounts
+    keyRedeemer.start();
+
+    // Switch persona states on their schedules
+    personaManager.start();
+
+    // Resume idling for accounts that were active before restart, then
+    // let the scheduler take over accounts with idle schedules and the
+    // idle queue rotate accounts under the global cap
     setTimeout(() => {
       steamService.resumeIdling().catch(err => {
         logger.error(`Failed to resume idling: ${err.message}`);
+      }).finally(() => {
+        scheduler.start();
+        humanizer.start();
+        idleQueue.start();
       });
     }, 2000);
   });
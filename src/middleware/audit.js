@@ -0,0 +1,143 @@
+const db = require('../models/database');
+const auditLog = require('../services/auditLog');
+const { ACCOUNT_PATH } = require('./permissions');
+
+// Reads recorded like changes because they hand out secrets
+const SECRET_READS = [
+  /^\/api\/accounts\/\d+\/export-mafile$/,
+  /^\/api\/audit\/export$/
+];
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Routes that act on every account the user can see
+const ALL_ACCOUNT_ROUTES = [
+  '/api/accounts/start-all',
+  '/api/accounts/stop-all',
+  '/api/accounts/export',
+  '/api/accounts/export-mafiles',
+  '/api/accounts/export-mafiles-encrypted',
+  '/api/settings/refresh-all-accounts'
+];
+
+// The only routes recorded without a signed-in user; they sit behind the
+// login and setup rate limiters, whose rejections are not recorded
+const ANONYMOUS_ROUTES = ['/api/login', '/api/login/2fa', '/api/setup'];
+
+/**
+ * Whether a request goes in the audit log: every mutating API call and
+ * every secret export
+ */
+function isAudited(method, path) {
+  if (!path.startsWith('/api/')) return false;
+  if (!SAFE_METHODS.includes(method)) return true;
+  return SECRET_READS.some(route => route.test(path));
+}
+
+function toAccountId(value) {
+  const id = parseInt(value, 10);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+// Accounts named by the path, by account_ids or account_id in the body, or
+// by account_id in the query; null when the request names none
+function namedAccountIds(req) {
+  const match = req.path.match(ACCOUNT_PATH);
+  if (match) return [toAccountId(match[1])];
+
+  const body = req.body || {};
+  if (Array.isArray(body.account_ids)) {
+    const ids = [...new Set(body.account_ids.map(toAccountId).filter(Boolean))];
+    if (ids.length > 0) return ids;
+  }
+  const id = toAccountId(body.account_id || req.query.account_id);
+  return id ? [id] : null;
+}
+
+// Accounts a request without named accounts acts on: all of the user's for
+// the bulk routes, and keys without account_ids go to all of them too
+function implicitAccounts(req) {
+  if (!ALL_ACCOUNT_ROUTES.includes(req.path) && req.path !== '/api/keys') return [];
+  const restricted = req.user && req.user.account_ids;
+  return db.accounts.findAll().filter(acc => !restricted || restricted.includes(acc.id));
+}
+
+// Columns for the target accounts: one goes in account_id, several in
+// account_ids, and account_name lists their names
+function targetColumns(accounts) {
+  const ids = accounts.map(acc => acc.id);
+  const names = accounts.map(acc => acc.username).filter(Boolean);
+  return {
+    account_id: ids.length === 1 ? ids[0] : null,
+    account_ids: ids.length > 1 ? ids.join(',') : null,
+    account_name: names.length > 0 ? names.join(', ') : null
+  };
+}
+
+/**
+ * Record audited requests once the response is sent. Runs before the auth
+ * routes so logins and logouts are covered; the user comes from
+ * authorize (req.user) or the session. Other anonymous requests are
+ * dropped so they can't flood the trail; failed logins keep the attempted
+ * username. Request bodies are never stored.
+ */
+function auditTrail(req, res, next) {
+  if (!isAudited(req.method, req.path)) {
+    return next();
+  }
+
+  const route = req.path;
+  // Looked up now, a delete removes the account before the response
+  const named = namedAccountIds(req);
+  const namedAccounts = named
+    ? named.map(id => db.accounts.findById(id) || { id, username: null })
+    : null;
+  // Logout destroys the session before the response goes out
+  const sessionUser = req.session && req.session.userId
+    ? { id: req.session.userId, username: req.session.username }
+    : null;
+
+  let error = null;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (body && typeof body.error === 'string') {
+      error = body.error;
+    }
+    return json(body);
+  };
+
+  res.on('finish', () => {
+    let user = req.user || sessionUser;
+    // A successful login sets the session during the request
+    if (!user && req.session && req.session.userId) {
+      user = { id: req.session.userId, username: req.session.username };
+    }
+    if (!user && (!ANONYMOUS_ROUTES.includes(route) || res.statusCode === 429)) {
+      return;
+    }
+    const attempted = !user && route === '/api/login' && req.body && typeof req.body.username === 'string'
+      ? req.body.username.slice(0, 128)
+      : null;
+    // The user's accounts are only known once authorize has run
+    const accounts = namedAccounts || implicitAccounts(req);
+
+    auditLog.record({
+      user_id: user ? user.id : null,
+      username: user ? user.username : attempted,
+      api_token: req.apiToken ? req.apiToken.name : null,
+      ip: req.ip,
+      method: req.method,
+      route,
+      ...targetColumns(accounts),
+      status: res.statusCode,
+      error: res.statusCode >= 400 ? error : null
+    });
+  });
+
+  next();
+}
+
+module.exports = {
+  auditTrail,
+  isAudited
+};
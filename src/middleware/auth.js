@@ -1,7 +1,9 @@
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 const db = require('../models/database');
-const { generateSalt, deriveKey, encrypt, decrypt, isEncrypted, reEncrypt } = require('../utils/encryption');
+const { generateSalt, deriveKey, encrypt, decrypt, isEncrypted } = require('../utils/encryption');
 const logger = require('../services/logger');
+const apiTokens = require('../services/apiTokens');
 
 const SALT_ROUNDS = 10;
 
@@ -12,12 +14,22 @@ let cachedEncryptionKey = null;
 let cachedUserCount = null;
 
 // Fields that should be encrypted in accounts
-const ENCRYPTED_FIELDS = ['password', 'shared_secret', 'identity_secret', 'revocation_code'];
+const ENCRYPTED_FIELDS = [
+  'password', 'shared_secret', 'identity_secret', 'revocation_code',
+  'proxy_username', 'proxy_password', 'refresh_token'
+];
 
 /**
  * Authentication middleware
+ * Accepts the browser session, or an API token in an
+ * `Authorization: Bearer` header for /api routes.
  */
 function requireAuth(req, res, next) {
+  const header = req.headers && req.headers.authorization;
+  if (header && header.startsWith('Bearer ') && req.path.startsWith('/api/')) {
+    return requireApiToken(req, res, next, header.slice(7).trim());
+  }
+
   if (req.session && req.session.userId) {
     return next();
   }
@@ -31,6 +43,27 @@ function requireAuth(req, res, next) {
   return res.redirect('/login');
 }
 
+/**
+ * Authenticate a request by API token. A bad token never falls back to the
+ * session cookie.
+ */
+function requireApiToken(req, res, next, token) {
+  const row = apiTokens.authenticate(token);
+  if (!row) {
+    return res.status(401).json({ error: 'Invalid or expired API token' });
+  }
+
+  if (apiTokens.isSessionOnly(req.path)) {
+    return res.status(403).json({ error: 'API tokens cannot be used here, sign in to the dashboard instead' });
+  }
+  if (!apiTokens.allows(row.scope, req.method, req.path)) {
+    return res.status(403).json({ error: `API token scope "${row.scope}" does not allow this request` });
+  }
+
+  req.apiToken = { id: row.id, name: row.name, scope: row.scope, user_id: row.user_id };
+  next();
+}
+
 /**
  * Check if setup is needed (no users exist)
  */
@@ -75,12 +108,17 @@ async function verifyPassword(password, hash) {
 }
 
 /**
- * Create a new user
+ * Create a new user, giving them a copy of the master key if it is unlocked
+ * @param {Object} options - { role, account_ids: null for every account }
  */
-async function createUser(username, password) {
+async function createUser(username, password, { role = 'admin', account_ids = null } = {}) {
   const hash = await hashPassword(password);
-  const result = db.users.create(username, hash);
+  const result = db.users.create(username, hash, role, account_ids);
   cachedUserCount = null; // Invalidate cache so checkSetup re-queries on next request
+
+  if (cachedEncryptionKey) {
+    await wrapKeyForUser(result.lastInsertRowid, password);
+  }
   return result;
 }
 
@@ -116,8 +154,22 @@ async function changePassword(userId, currentPassword, newPassword) {
     throw new Error('Current password is incorrect');
   }
 
+  // Unwrap with the old password before it stops working. A user from
+  // before per-user keys still has a password-derived key, so move it to a
+  // wrapped copy first or the new password would derive a different one.
+  let masterKey = null;
+  if (user.wrapped_key) {
+    masterKey = await unwrapMasterKey(user, currentPassword);
+  } else if (db.settings.get('encryption_salt')) {
+    masterKey = await unlockEncryption(user, currentPassword);
+  }
+
   const hash = await hashPassword(newPassword);
   db.users.updatePassword(userId, hash);
+
+  if (masterKey) {
+    await wrapKeyForUser(userId, newPassword, masterKey);
+  }
 }
 
 /**
@@ -129,7 +181,9 @@ function getEncryptionKey() {
 }
 
 /**
- * Set the encryption key from password (derives and caches)
+ * Set the encryption key from password (derives and caches). Only for
+ * installs from before per-user keys, where the master key was derived
+ * from the single admin password.
  * @param {string} password - Admin password to derive key from
  * @returns {Promise<Buffer>} Derived encryption key
  */
@@ -145,106 +199,69 @@ async function setEncryptionKey(password) {
 }
 
 /**
- * Initialize encryption for a new setup (generates salt, derives key)
- * @param {string} password - Admin password
- * @returns {Promise<Buffer>} Derived encryption key
+ * Initialize encryption for a new setup (generates and caches a random master
+ * key; each user then gets their own wrapped copy)
+ * @returns {Buffer} Master key
  */
-async function initializeEncryption(password) {
-  // Generate and store encryption salt
-  const salt = generateSalt();
-  db.settings.set('encryption_salt', salt);
-
-  // Derive and cache the key
-  cachedEncryptionKey = await deriveKey(password, salt);
-  logger.info('Encryption initialized with new salt', null, 'ENCRYPTION');
+function initializeEncryption() {
+  cachedEncryptionKey = crypto.randomBytes(32);
+  db.settings.set('encryption_mode', 'wrapped');
+  logger.info('Encryption initialized with a new master key', null, 'ENCRYPTION');
 
   return cachedEncryptionKey;
 }
 
 /**
- * Re-encrypt all account credentials with a new key
- * @param {Buffer} oldKey - Previous encryption key
- * @param {Buffer} newKey - New encryption key
- * @returns {Promise<Object>} Result with success count and errors
+ * Store a copy of the master key encrypted with a key derived from the
+ * user's password
+ * @param {number} userId - User to wrap the key for
+ * @param {string} password - The user's password
+ * @param {Buffer} masterKey - Defaults to the cached key
  */
-async function reEncryptAllData(oldKey, newKey) {
-  const accounts = db.accounts.findAll();
-  let success = 0;
-  let errors = 0;
-
-  logger.info(`Re-encrypting credentials for ${accounts.length} accounts`, null, 'ENCRYPTION');
-
-  for (const account of accounts) {
-    try {
-      const updates = {};
-
-      for (const field of ENCRYPTED_FIELDS) {
-        if (account[field]) {
-          if (isEncrypted(account[field])) {
-            // Re-encrypt with new key
-            updates[field] = reEncrypt(account[field], oldKey, newKey);
-          } else {
-            // First time encryption
-            updates[field] = encrypt(account[field], newKey);
-          }
-        }
-      }
-
-      if (Object.keys(updates).length > 0) {
-        db.accounts.update(account.id, updates);
-      }
-
-      success++;
-    } catch (err) {
-      errors++;
-      logger.error(`Failed to re-encrypt account ${account.id}: ${err.message}`, account.id, 'ENCRYPTION');
-    }
+async function wrapKeyForUser(userId, password, masterKey = cachedEncryptionKey) {
+  if (!masterKey) {
+    throw new Error('Encryption key not available');
   }
 
-  // Also re-encrypt secrets stored in mafiles table
-  const mafiles = db.mafiles.findAll();
-  const MAFILE_SECRET_FIELDS = ['shared_secret', 'identity_secret'];
-
-  for (const mafile of mafiles) {
-    try {
-      const updates = {};
-
-      for (const field of MAFILE_SECRET_FIELDS) {
-        if (mafile[field]) {
-          if (isEncrypted(mafile[field])) {
-            updates[field] = reEncrypt(mafile[field], oldKey, newKey);
-          } else {
-            updates[field] = encrypt(mafile[field], newKey);
-          }
-        }
-      }
+  const salt = generateSalt();
+  const userKey = await deriveKey(password, salt);
+  db.users.setWrappedKey(userId, salt, encrypt(masterKey.toString('hex'), userKey));
+}
 
-      if (Object.keys(updates).length > 0) {
-        db.mafiles.updateSecrets(mafile.id, updates);
-      }
-    } catch (err) {
-      errors++;
-      logger.error(`Failed to re-encrypt MAFile ${mafile.id}: ${err.message}`, null, 'ENCRYPTION');
-    }
-  }
+/**
+ * Decrypt a user's copy of the master key
+ * @returns {Promise<Buffer>} Master key
+ */
+async function unwrapMasterKey(user, password) {
+  const userKey = await deriveKey(password, user.key_salt);
+  return Buffer.from(decrypt(user.wrapped_key, userKey), 'hex');
+}
 
-  // Also re-encrypt Steam API key if it exists
-  const apiKey = db.settings.get('steam_api_key');
-  if (apiKey && isEncrypted(apiKey)) {
-    try {
-      const newApiKey = reEncrypt(apiKey, oldKey, newKey);
-      db.settings.set('steam_api_key', newApiKey);
-    } catch (err) {
-      logger.error(`Failed to re-encrypt Steam API key: ${err.message}`, null, 'ENCRYPTION');
-    }
+/**
+ * Unlock and cache the master key on login
+ * @param {Object} user - User row
+ * @param {string} password - The user's password
+ * @returns {Promise<Buffer>} Master key
+ */
+async function unlockEncryption(user, password) {
+  if (user.wrapped_key) {
+    cachedEncryptionKey = await unwrapMasterKey(user, password);
+    return cachedEncryptionKey;
   }
 
-  logger.info(`Re-encryption complete: ${success} success, ${errors} errors`, null, 'ENCRYPTION');
+  if (!db.settings.get('encryption_salt')) {
+    throw new Error(`No encryption key for user ${user.username}, an admin has to reset their password`);
+  }
 
-  // Update the cached key
-  cachedEncryptionKey = newKey;
+  // Older install: the key derived from this password becomes the master
+  // key. Drop the salt so the password alone can't recover it any more.
+  await setEncryptionKey(password);
+  await wrapKeyForUser(user.id, password);
+  db.settings.set('encryption_mode', 'wrapped');
+  db.settings.set('encryption_salt', null);
+  logger.info(`Moved the encryption key of ${user.username} to a per-user copy`, null, 'ENCRYPTION');
 
-  return { success, errors };
+  return cachedEncryptionKey;
 }
 
 /**
@@ -303,10 +320,10 @@ function clearEncryptionKey() {
 
 /**
  * Check if encryption is properly initialized
- * @returns {boolean} True if encryption salt exists
+ * @returns {boolean} True if a master key exists
  */
 function isEncryptionInitialized() {
-  return !!db.settings.get('encryption_salt');
+  return db.settings.get('encryption_mode') === 'wrapped' || !!db.settings.get('encryption_salt');
 }
 
 module.exports = {
@@ -321,7 +338,9 @@ module.exports = {
   getEncryptionKey,
   setEncryptionKey,
   initializeEncryption,
-  reEncryptAllData,
+  wrapKeyForUser,
+  unwrapMasterKey,
+  unlockEncryption,
   encryptAccountCredentials,
   decryptAccountCredentials,
   clearEncryptionKey,
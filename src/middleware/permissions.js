@@ -0,0 +1,137 @@
+const db = require('../models/database');
+
+/**
+ * Roles and per-account access for web UI users
+ *
+ * - admin: everything
+ * - operator: read, plus start/stop and configure the accounts they can access
+ * - viewer: read only
+ *
+ * Operators and viewers can be limited to a list of accounts.
+ */
+const ROLES = ['admin', 'operator', 'viewer'];
+
+// Requests any role may make (each user manages their own API tokens and two-factor)
+const SELF_ROUTES = [
+  /^\/api\/tokens(\/\d+)?$/,
+  /^\/api\/2fa(\/|$)/
+];
+
+// Reads limited to admins: secrets, other users, product keys and the audit log
+const ADMIN_READS = [
+  /^\/api\/accounts\/\d+\/export-mafile$/,
+  /^\/api\/mafiles(\/|$)/,
+  /^\/api\/users(\/|$)/,
+  /^\/api\/keys(\/|$)/,
+  /^\/api\/audit(\/|$)/
+];
+
+// Paths that name one account
+const ACCOUNT_PATH = /^\/api\/(?:accounts|stats)\/(\d+)(?:\/|$)/;
+
+/**
+ * Account IDs stored on a user row, null for every account
+ */
+function parseAccountIds(value) {
+  if (!value) return null;
+  try {
+    const ids = JSON.parse(value);
+    return Array.isArray(ids) ? ids : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Public shape of a user row
+ */
+function toUser(row) {
+  return {
+    id: row.id,
+    username: row.username,
+    role: ROLES.includes(row.role) ? row.role : 'viewer',
+    account_ids: row.role === 'admin' ? null : parseAccountIds(row.account_ids)
+  };
+}
+
+/**
+ * Whether a role permits a request
+ */
+function roleAllows(role, method, path) {
+  if (role === 'admin') return true;
+  if (SELF_ROUTES.some(route => route.test(path))) return true;
+  if (method === 'GET' || method === 'HEAD') {
+    return !ADMIN_READS.some(route => route.test(path));
+  }
+  if (role !== 'operator') return false;
+
+  return /^\/api\/accounts\/(start|stop)-all$/.test(path) ||
+    /^\/api\/accounts\/\d+\/.+/.test(path) ||
+    (method === 'PUT' && /^\/api\/accounts\/\d+$/.test(path));
+}
+
+/**
+ * Whether a user may see an account. Without a user (internal calls) every
+ * account is visible.
+ */
+function canAccessAccount(user, accountId) {
+  if (!user || !user.account_ids) return true;
+  return user.account_ids.includes(Number(accountId));
+}
+
+/**
+ * Keep the rows a user may see
+ * @param {Object} user - req.user
+ * @param {Object[]} rows - Rows to filter
+ * @param {string} field - Account ID field of each row
+ */
+function filterAccounts(user, rows, field = 'id') {
+  if (!user || !user.account_ids) return rows;
+  return rows.filter(row => user.account_ids.includes(row[field]));
+}
+
+/**
+ * Load the signed-in user and enforce their role and account list.
+ * Runs after requireAuth.
+ */
+function authorize(req, res, next) {
+  const userId = req.apiToken ? req.apiToken.user_id : req.session && req.session.userId;
+  const row = userId ? db.users.findById(userId) : null;
+  const isApi = req.path.startsWith('/api/');
+
+  // Deleted while signed in
+  if (!row) {
+    if (isApi) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    return res.redirect('/login');
+  }
+
+  req.user = toUser(row);
+  if (!isApi) {
+    return next();
+  }
+
+  if (!roleAllows(req.user.role, req.method, req.path)) {
+    return res.status(403).json({ error: `The ${req.user.role} role does not allow this` });
+  }
+
+  const match = req.path.match(ACCOUNT_PATH);
+  const accountId = match ? match[1] : req.query.account_id;
+  if (accountId !== undefined && !canAccessAccount(req.user, accountId)) {
+    return res.status(403).json({ error: 'You do not have access to this account' });
+  }
+
+  next();
+}
+
+module.exports = {
+  ROLES,
+  ACCOUNT_PATH,
+  authorize,
+  roleAllows,
+  canAccessAccount,
+  filterAccounts,
+  parseAccountIds,
+  toUser
+};
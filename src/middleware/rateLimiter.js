@@ -196,6 +196,15 @@ function clearAll() {
   buckets.clear();
 }
 
+/**
+ * Key by IP in buckets of their own, so limiters on the same request
+ * (e.g. api and login) don't share one count
+ * @param {string} prefix - Limiter name
+ */
+function ipKey(prefix) {
+  return (req) => `${prefix}:${req.ip || req.connection.remoteAddress || 'unknown'}`;
+}
+
 // Pre-configured rate limiters for common use cases
 const rateLimiters = {
   /**
@@ -204,15 +213,28 @@ const rateLimiters = {
   login: createRateLimiter({
     maxAttempts: 5,
     windowMs: 15 * 60 * 1000, // 15 minutes
+    keyGenerator: ipKey('login'),
     message: 'Too many login attempts. Please try again in 15 minutes.'
   }),
 
+  /**
+   * Two-factor code rate limiter: 10 codes per 15 minutes, on top of the
+   * wrong codes allowed per sign-in, so the password step doesn't use them up
+   */
+  twoFactor: createRateLimiter({
+    maxAttempts: 10,
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    keyGenerator: ipKey('2fa'),
+    message: 'Too many two-factor codes. Please try again in 15 minutes.'
+  }),
+
   /**
    * Setup rate limiter: 3 attempts per hour
    */
   setup: createRateLimiter({
     maxAttempts: 3,
     windowMs: 60 * 60 * 1000, // 1 hour
+    keyGenerator: ipKey('setup'),
     message: 'Too many setup attempts. Please try again in an hour.'
   }),
 
@@ -222,6 +244,7 @@ const rateLimiters = {
   api: createRateLimiter({
     maxAttempts: 100,
     windowMs: 60 * 1000, // 1 minute
+    keyGenerator: ipKey('api'),
     message: 'Too many requests. Please slow down.',
     skipSuccessfulRequests: true
   }),
@@ -232,6 +255,7 @@ const rateLimiters = {
   strict: createRateLimiter({
     maxAttempts: 10,
     windowMs: 60 * 60 * 1000, // 1 hour
+    keyGenerator: ipKey('strict'),
     message: 'Rate limit exceeded for this operation.'
   })
 };
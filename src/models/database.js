@@ -56,6 +56,142 @@ function runMigrations() {
         db.run('ALTER TABLE accounts ADD COLUMN device_id TEXT');
         db.run('ALTER TABLE accounts ADD COLUMN revocation_code TEXT');
       }
+
+      // Add idle schedule toggle
+      if (!columns.includes('schedule_enabled')) {
+        db.run('ALTER TABLE accounts ADD COLUMN schedule_enabled INTEGER DEFAULT 0');
+      }
+
+      // Add game rotation settings for lists longer than the per-account cap
+      if (!columns.includes('rotation_mode')) {
+        db.run("ALTER TABLE accounts ADD COLUMN rotation_mode TEXT DEFAULT 'off'");
+        db.run('ALTER TABLE accounts ADD COLUMN rotation_interval INTEGER DEFAULT 60');
+      }
+
+      // Add proxy settings (either a pool entry or custom per-account settings)
+      if (!columns.includes('proxy_id')) {
+        db.run('ALTER TABLE accounts ADD COLUMN proxy_id INTEGER');
+        db.run('ALTER TABLE accounts ADD COLUMN proxy_type TEXT');
+        db.run('ALTER TABLE accounts ADD COLUMN proxy_host TEXT');
+        db.run('ALTER TABLE accounts ADD COLUMN proxy_port INTEGER');
+        db.run('ALTER TABLE accounts ADD COLUMN proxy_username TEXT');
+        db.run('ALTER TABLE accounts ADD COLUMN proxy_password TEXT');
+      }
+
+      // Add Steam refresh token for token logons
+      if (!columns.includes('refresh_token')) {
+        db.run('ALTER TABLE accounts ADD COLUMN refresh_token TEXT');
+        db.run('ALTER TABLE accounts ADD COLUMN refresh_token_expires DATETIME');
+      }
+
+      // Add per-account chat auto-reply override (NULL = global template, '' = off)
+      if (!columns.includes('auto_reply')) {
+        db.run('ALTER TABLE accounts ADD COLUMN auto_reply TEXT');
+      }
+
+      // Add policy for when the owner plays elsewhere (grace NULL = config default)
+      if (!columns.includes('conflict_policy')) {
+        db.run("ALTER TABLE accounts ADD COLUMN conflict_policy TEXT DEFAULT 'yield'");
+        db.run('ALTER TABLE accounts ADD COLUMN conflict_grace INTEGER');
+      }
+
+      // Add VAC ban count and community ban flag (NULL = not fetched yet)
+      if (!columns.includes('vac_bans')) {
+        db.run('ALTER TABLE accounts ADD COLUMN vac_bans INTEGER');
+        db.run('ALTER TABLE accounts ADD COLUMN community_banned INTEGER');
+      }
+
+      // Add humanized session profile (JSON, NULL = config defaults)
+      if (!columns.includes('humanize_enabled')) {
+        db.run('ALTER TABLE accounts ADD COLUMN humanize_enabled INTEGER DEFAULT 0');
+        db.run('ALTER TABLE accounts ADD COLUMN humanize_profile TEXT');
+      }
+
+      // Add fair-share weight and waiting flag for the global idle cap
+      if (!columns.includes('priority_weight')) {
+        db.run('ALTER TABLE accounts ADD COLUMN priority_weight INTEGER DEFAULT 1');
+        db.run('ALTER TABLE accounts ADD COLUMN idle_queued INTEGER DEFAULT 0');
+      }
+
+      // Add profile name override and persona state schedule (JSON windows with a state)
+      if (!columns.includes('persona_name')) {
+        db.run('ALTER TABLE accounts ADD COLUMN persona_name TEXT');
+        db.run('ALTER TABLE accounts ADD COLUMN persona_schedule TEXT');
+      }
+
+      // Add account info reported by Steam on login (NULL = not reported yet)
+      if (!columns.includes('limited_account')) {
+        db.run('ALTER TABLE accounts ADD COLUMN limited_account INTEGER');
+        db.run('ALTER TABLE accounts ADD COLUMN locked_account INTEGER');
+        db.run('ALTER TABLE accounts ADD COLUMN email_verified INTEGER');
+        db.run('ALTER TABLE accounts ADD COLUMN wallet_balance REAL');
+        db.run('ALTER TABLE accounts ADD COLUMN wallet_currency TEXT');
+        db.run('ALTER TABLE accounts ADD COLUMN license_count INTEGER');
+      }
+
+      // Add game auto-selection (JSON strategy, NULL = manual game list)
+      if (!columns.includes('game_selection')) {
+        db.run('ALTER TABLE accounts ADD COLUMN game_selection TEXT');
+      }
+    }
+
+    // Check existing columns in users table
+    const usersInfo = db.exec("PRAGMA table_info(users)");
+    if (usersInfo.length > 0) {
+      const userColumns = usersInfo[0].values.map(row => row[1]);
+
+      // Add roles and account restrictions (existing users become admins)
+      if (!userColumns.includes('role')) {
+        db.run("ALTER TABLE users ADD COLUMN role TEXT DEFAULT 'admin'");
+        db.run('ALTER TABLE users ADD COLUMN account_ids TEXT');
+      }
+
+      // Add the user's copy of the master encryption key
+      if (!userColumns.includes('wrapped_key')) {
+        db.run('ALTER TABLE users ADD COLUMN key_salt TEXT');
+        db.run('ALTER TABLE users ADD COLUMN wrapped_key TEXT');
+      }
+
+      // Add TOTP two-factor authentication (secret encrypted, recovery codes hashed)
+      if (!userColumns.includes('totp_secret')) {
+        db.run('ALTER TABLE users ADD COLUMN totp_secret TEXT');
+        db.run('ALTER TABLE users ADD COLUMN totp_enabled INTEGER DEFAULT 0');
+        db.run('ALTER TABLE users ADD COLUMN recovery_codes TEXT');
+      }
+
+      // Add the last accepted TOTP time step so codes can't be reused after a restart
+      if (!userColumns.includes('totp_last_counter')) {
+        db.run('ALTER TABLE users ADD COLUMN totp_last_counter INTEGER');
+      }
+    }
+
+    // Check existing columns in account_games table
+    const gamesInfo = db.exec("PRAGMA table_info(account_games)");
+    if (gamesInfo.length > 0) {
+      const gameColumns = gamesInfo[0].values.map(row => row[1]);
+
+      // Add per-game hour targets
+      if (!gameColumns.includes('target_hours')) {
+        db.run('ALTER TABLE account_games ADD COLUMN target_hours REAL');
+        db.run('ALTER TABLE account_games ADD COLUMN target_reached_at DATETIME');
+      }
+
+      // Add ownership flag (NULL = not checked yet)
+      if (!gameColumns.includes('owned')) {
+        db.run('ALTER TABLE account_games ADD COLUMN owned INTEGER');
+        db.run('ALTER TABLE account_games ADD COLUMN owned_checked_at DATETIME');
+      }
+    }
+
+    // Check existing columns in account_playtime table
+    const playtimeInfo = db.exec("PRAGMA table_info(account_playtime)");
+    if (playtimeInfo.length > 0) {
+      const playtimeColumns = playtimeInfo[0].values.map(row => row[1]);
+
+      // Add game names from the Steam API so auto-selected games keep them
+      if (!playtimeColumns.includes('app_name')) {
+        db.run('ALTER TABLE account_playtime ADD COLUMN app_name TEXT');
+      }
     }
 
     // Check existing columns in logs table
@@ -70,6 +206,17 @@ function runMigrations() {
         db.run('CREATE INDEX IF NOT EXISTS idx_logs_category ON logs(category)');
       }
     }
+
+    // Check existing columns in audit_log table
+    const auditInfo = db.exec("PRAGMA table_info(audit_log)");
+    if (auditInfo.length > 0) {
+      const auditColumns = auditInfo[0].values.map(row => row[1]);
+
+      // Add the accounts of bulk requests (comma-separated IDs)
+      if (!auditColumns.includes('account_ids')) {
+        db.run('ALTER TABLE audit_log ADD COLUMN account_ids TEXT');
+      }
+    }
   } catch (err) {
     console.error('Migration error:', err.message);
   }
@@ -116,6 +263,7 @@ async function initializeDatabase() {
       last_error TEXT,
       is_idling INTEGER DEFAULT 0,
       persona_state INTEGER DEFAULT 1,
+      schedule_enabled INTEGER DEFAULT 0,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
     )
@@ -133,6 +281,17 @@ async function initializeDatabase() {
     )
   `);
 
+  db.run(`
+    -- Custom non-Steam game titles shown in the playing status
+    CREATE TABLE IF NOT EXISTS account_custom_games (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      account_id INTEGER NOT NULL,
+      title TEXT NOT NULL,
+      FOREIGN KEY (account_id) REFERENCES accounts(id) ON DELETE CASCADE,
+      UNIQUE(account_id, title)
+    )
+  `);
+
   db.run(`
     -- MAFiles storage metadata
     CREATE TABLE IF NOT EXISTS mafiles (
@@ -187,6 +346,7 @@ async function initializeDatabase() {
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       account_id INTEGER NOT NULL,
       app_id INTEGER NOT NULL,
+      app_name TEXT,
       playtime_forever INTEGER DEFAULT 0,
       playtime_2weeks INTEGER DEFAULT 0,
       last_played DATETIME,
@@ -195,6 +355,116 @@ async function initializeDatabase() {
     )
   `);
 
+  db.run(`
+    -- Idle schedule windows per account (HH:MM local time, days as JSON array, 0 = Sunday)
+    CREATE TABLE IF NOT EXISTS account_schedules (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      account_id INTEGER NOT NULL,
+      start_time TEXT NOT NULL,
+      end_time TEXT NOT NULL,
+      days TEXT NOT NULL,
+      FOREIGN KEY (account_id) REFERENCES accounts(id) ON DELETE CASCADE
+    )
+  `);
+
+  db.run(`
+    -- Trading card drops recorded while farming cards
+    CREATE TABLE IF NOT EXISTS card_drops (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      account_id INTEGER NOT NULL,
+      app_id INTEGER NOT NULL,
+      app_name TEXT,
+      count INTEGER NOT NULL DEFAULT 1,
+      dropped_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (account_id) REFERENCES accounts(id) ON DELETE CASCADE
+    )
+  `);
+
+  db.run(`
+    -- Ban changes seen between Web API refreshes
+    CREATE TABLE IF NOT EXISTS ban_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      account_id INTEGER NOT NULL,
+      ban_type TEXT NOT NULL,
+      change TEXT NOT NULL,
+      previous INTEGER,
+      current INTEGER,
+      action TEXT,
+      detected_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (account_id) REFERENCES accounts(id) ON DELETE CASCADE
+    )
+  `);
+
+  db.run(`
+    -- Product keys queued for redemption (keys encrypted like account passwords)
+    CREATE TABLE IF NOT EXISTS key_redemptions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      account_id INTEGER NOT NULL,
+      cd_key TEXT NOT NULL,
+      key_hint TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      detail TEXT,
+      packages TEXT,
+      app_ids TEXT,
+      add_games INTEGER DEFAULT 0,
+      attempts INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      redeemed_at DATETIME,
+      FOREIGN KEY (account_id) REFERENCES accounts(id) ON DELETE CASCADE
+    )
+  `);
+
+  db.run(`
+    -- Proxy pool (credentials encrypted like account passwords)
+    CREATE TABLE IF NOT EXISTS proxies (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      label TEXT,
+      type TEXT NOT NULL,
+      host TEXT NOT NULL,
+      port INTEGER NOT NULL,
+      username TEXT,
+      password TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  db.run(`
+    -- Personal API tokens (only the SHA-256 hash of each token is stored)
+    CREATE TABLE IF NOT EXISTS api_tokens (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      scope TEXT NOT NULL DEFAULT 'read',
+      token_hash TEXT UNIQUE NOT NULL,
+      token_hint TEXT NOT NULL,
+      expires_at DATETIME,
+      last_used_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  db.run(`
+    -- Audit trail of dashboard and API actions (append-only, no foreign keys
+    -- so entries outlive the users and accounts they mention)
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER,
+      username TEXT,
+      api_token TEXT,
+      ip TEXT,
+      method TEXT NOT NULL,
+      route TEXT NOT NULL,
+      account_id INTEGER,
+      account_ids TEXT,
+      account_name TEXT,
+      status INTEGER,
+      outcome TEXT NOT NULL,
+      error TEXT,
+      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
   db.run(`
     -- Web sessions (express-session store)
     CREATE TABLE IF NOT EXISTS web_sessions (
@@ -209,8 +479,15 @@ async function initializeDatabase() {
   db.run('CREATE INDEX IF NOT EXISTS idx_logs_account ON logs(account_id)');
   db.run('CREATE INDEX IF NOT EXISTS idx_sessions_account ON sessions(account_id)');
   db.run('CREATE INDEX IF NOT EXISTS idx_account_games_account ON account_games(account_id)');
+  db.run('CREATE INDEX IF NOT EXISTS idx_account_custom_games_account ON account_custom_games(account_id)');
   db.run('CREATE INDEX IF NOT EXISTS idx_account_playtime_account ON account_playtime(account_id)');
   db.run('CREATE INDEX IF NOT EXISTS idx_web_sessions_expires ON web_sessions(expires)');
+  db.run('CREATE INDEX IF NOT EXISTS idx_account_schedules_account ON account_schedules(account_id)');
+  db.run('CREATE INDEX IF NOT EXISTS idx_card_drops_account ON card_drops(account_id)');
+  db.run('CREATE INDEX IF NOT EXISTS idx_ban_events_account ON ban_events(account_id)');
+  db.run('CREATE INDEX IF NOT EXISTS idx_key_redemptions_account ON key_redemptions(account_id)');
+  db.run('CREATE INDEX IF NOT EXISTS idx_api_tokens_user ON api_tokens(user_id)');
+  db.run('CREATE INDEX IF NOT EXISTS idx_audit_log_timestamp ON audit_log(timestamp)');
 
   // Run migrations for existing databases
   runMigrations();
@@ -310,8 +587,13 @@ function batch(fn) {
 
 // User methods
 const userMethods = {
-  create(username, passwordHash) {
-    return run('INSERT INTO users (username, password_hash) VALUES (?, ?)', [username, passwordHash]);
+  create(username, passwordHash, role = 'admin', accountIds = null) {
+    return run('INSERT INTO users (username, password_hash, role, account_ids) VALUES (?, ?, ?, ?)',
+      [username, passwordHash, role, accountIds ? JSON.stringify(accountIds) : null]);
+  },
+
+  findAll() {
+    return all('SELECT * FROM users ORDER BY id');
   },
 
   findByUsername(username) {
@@ -326,6 +608,43 @@ const userMethods = {
     return run('UPDATE users SET password_hash = ? WHERE id = ?', [passwordHash, id]);
   },
 
+  // accountIds null = every account
+  updateAccess(id, role, accountIds) {
+    return run('UPDATE users SET role = ?, account_ids = ? WHERE id = ?',
+      [role, accountIds ? JSON.stringify(accountIds) : null, id]);
+  },
+
+  setWrappedKey(id, keySalt, wrappedKey) {
+    return run('UPDATE users SET key_salt = ?, wrapped_key = ? WHERE id = ?', [keySalt, wrappedKey, id]);
+  },
+
+  // secret null + enabled false turns two-factor off
+  setTwoFactor(id, secret, enabled, recoveryCodes = null) {
+    return run('UPDATE users SET totp_secret = ?, totp_enabled = ?, recovery_codes = ?, totp_last_counter = NULL WHERE id = ?',
+      [secret, enabled ? 1 : 0, recoveryCodes ? JSON.stringify(recoveryCodes) : null, id]);
+  },
+
+  setTotpCounter(id, counter) {
+    return run('UPDATE users SET totp_last_counter = ? WHERE id = ?', [counter, id]);
+  },
+
+  setRecoveryCodes(id, recoveryCodes) {
+    return run('UPDATE users SET recovery_codes = ? WHERE id = ?', [JSON.stringify(recoveryCodes), id]);
+  },
+
+  countByRole(role) {
+    const result = get('SELECT COUNT(*) as count FROM users WHERE role = ?', [role]);
+    return result ? result.count : 0;
+  },
+
+  delete(id) {
+    return run('DELETE FROM users WHERE id = ?', [id]);
+  },
+
+  deleteAllExcept(id) {
+    return run('DELETE FROM users WHERE id != ?', [id]);
+  },
+
   count() {
     const result = get('SELECT COUNT(*) as count FROM users');
     return result ? result.count : 0;
@@ -370,7 +689,15 @@ const accountMethods = {
       'is_idling', 'persona_state', 'encrypted', 'failed_logins',
       'last_failed_login', 'lockout_until', 'profile_visibility',
       'vac_banned', 'trade_banned', 'game_bans', 'account_created',
-      'total_games', 'api_last_refresh', 'device_id', 'revocation_code'
+      'total_games', 'api_last_refresh', 'device_id', 'revocation_code',
+      'schedule_enabled', 'rotation_mode', 'rotation_interval',
+      'proxy_id', 'proxy_type', 'proxy_host', 'proxy_port',
+      'proxy_username', 'proxy_password', 'refresh_token',
+      'refresh_token_expires', 'auto_reply', 'conflict_policy', 'conflict_grace',
+      'vac_bans', 'community_banned', 'humanize_enabled', 'humanize_profile',
+      'priority_weight', 'idle_queued', 'persona_name', 'persona_schedule',
+      'limited_account', 'locked_account', 'email_verified', 'wallet_balance',
+      'wallet_currency', 'license_count', 'game_selection'
     ];
     const fields = [];
     const values = [];
@@ -487,6 +814,21 @@ const accountMethods = {
       sql += ' AND is_idling = 0';
     }
 
+    // Account info flags, accounts that never reported them match neither value
+    const flagFilters = {
+      limited: 'limited_account',
+      locked: 'locked_account',
+      emailVerified: 'email_verified',
+      communityBanned: 'community_banned'
+    };
+    for (const [param, column] of Object.entries(flagFilters)) {
+      if (query[param] === 'true') {
+        sql += ` AND ${column} = 1`;
+      } else if (query[param] === 'false') {
+        sql += ` AND ${column} = 0`;
+      }
+    }
+
     // Sorting
     const sortBy = query.sortBy || 'created_at';
     const order = query.order === 'asc' ? 'ASC' : 'DESC';
@@ -517,17 +859,46 @@ const gameMethods = {
   },
 
   setGames(accountId, games) {
+    // Keep hour targets and ownership for games that stay in the list
+    const existing = {};
+    for (const row of all('SELECT * FROM account_games WHERE account_id = ?', [accountId])) {
+      existing[row.app_id] = row;
+    }
+
     batch(() => {
       run('DELETE FROM account_games WHERE account_id = ?', [accountId]);
       for (const game of games) {
         const appId = game.app_id || game;
         const appName = game.app_name || null;
-        run('INSERT INTO account_games (account_id, app_id, app_name) VALUES (?, ?, ?)',
-          [accountId, appId, appName]);
+        const previous = existing[appId];
+        run(`INSERT INTO account_games (account_id, app_id, app_name, target_hours, target_reached_at, owned, owned_checked_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [accountId, appId, appName, previous?.target_hours ?? null, previous?.target_reached_at ?? null,
+          previous?.owned ?? null, previous?.owned_checked_at ?? null]);
       }
     });
   },
 
+  setOwned(accountId, appId, owned) {
+    return run('UPDATE account_games SET owned = ?, owned_checked_at = CURRENT_TIMESTAMP WHERE account_id = ? AND app_id = ?',
+      [owned ? 1 : 0, accountId, appId]);
+  },
+
+  setTarget(accountId, appId, targetHours) {
+    // Changing the target clears any previous completion
+    return run('UPDATE account_games SET target_hours = ?, target_reached_at = NULL WHERE account_id = ? AND app_id = ?',
+      [targetHours, accountId, appId]);
+  },
+
+  markTargetReached(accountId, appId) {
+    return run('UPDATE account_games SET target_reached_at = CURRENT_TIMESTAMP WHERE account_id = ? AND app_id = ?',
+      [accountId, appId]);
+  },
+
+  getWithTargets() {
+    return all('SELECT * FROM account_games WHERE target_hours IS NOT NULL AND target_reached_at IS NULL ORDER BY account_id');
+  },
+
   getAllGrouped() {
     const rows = all('SELECT * FROM account_games ORDER BY account_id');
     const grouped = {};
@@ -539,6 +910,44 @@ const gameMethods = {
   }
 };
 
+// Custom (non-Steam) game title methods
+const customGameMethods = {
+  add(accountId, title) {
+    return run('INSERT OR IGNORE INTO account_custom_games (account_id, title) VALUES (?, ?)', [accountId, title]);
+  },
+
+  findById(id) {
+    return get('SELECT * FROM account_custom_games WHERE id = ?', [id]);
+  },
+
+  remove(accountId, id) {
+    return run('DELETE FROM account_custom_games WHERE account_id = ? AND id = ?', [accountId, id]);
+  },
+
+  getByAccount(accountId) {
+    return all('SELECT * FROM account_custom_games WHERE account_id = ? ORDER BY id', [accountId]);
+  },
+
+  set(accountId, titles) {
+    batch(() => {
+      run('DELETE FROM account_custom_games WHERE account_id = ?', [accountId]);
+      for (const title of titles) {
+        run('INSERT OR IGNORE INTO account_custom_games (account_id, title) VALUES (?, ?)', [accountId, title]);
+      }
+    });
+  },
+
+  getAllGrouped() {
+    const rows = all('SELECT * FROM account_custom_games ORDER BY account_id, id');
+    const grouped = {};
+    for (const row of rows) {
+      if (!grouped[row.account_id]) grouped[row.account_id] = [];
+      grouped[row.account_id].push(row);
+    }
+    return grouped;
+  }
+};
+
 // MAFile methods
 const mafileMethods = {
   create(data) {
@@ -624,6 +1033,25 @@ const sessionMethods = {
 
   getAllActive() {
     return all('SELECT * FROM sessions WHERE ended_at IS NULL');
+  },
+
+  getSince(accountId, since) {
+    if (!since) {
+      return all('SELECT * FROM sessions WHERE account_id = ?', [accountId]);
+    }
+    return all('SELECT * FROM sessions WHERE account_id = ? AND (ended_at IS NULL OR ended_at > datetime(?))',
+      [accountId, since]);
+  },
+
+  // Minutes idled per account since a point in time (sessions clipped to it)
+  getBoostedMinutes(since) {
+    return all(`
+      SELECT account_id,
+        SUM(MAX(julianday(COALESCE(ended_at, CURRENT_TIMESTAMP)) - julianday(MAX(started_at, datetime(?))), 0) * 1440) AS minutes
+      FROM sessions
+      WHERE ended_at IS NULL OR ended_at > datetime(?)
+      GROUP BY account_id
+    `, [since, since]);
   }
 };
 
@@ -631,15 +1059,17 @@ const sessionMethods = {
 const playtimeMethods = {
   upsert(accountId, data) {
     return run(`
-      INSERT INTO account_playtime (account_id, app_id, playtime_forever, playtime_2weeks, last_played)
-      VALUES (?, ?, ?, ?, ?)
+      INSERT INTO account_playtime (account_id, app_id, app_name, playtime_forever, playtime_2weeks, last_played)
+      VALUES (?, ?, ?, ?, ?, ?)
       ON CONFLICT(account_id, app_id) DO UPDATE SET
+        app_name = COALESCE(excluded.app_name, app_name),
         playtime_forever = excluded.playtime_forever,
         playtime_2weeks = excluded.playtime_2weeks,
         last_played = excluded.last_played
     `, [
       accountId,
       data.app_id,
+      data.app_name || null,
       data.playtime_forever || 0,
       data.playtime_2weeks || 0,
       data.last_played || null
@@ -659,6 +1089,299 @@ const playtimeMethods = {
   }
 };
 
+// Card drop methods
+const cardDropMethods = {
+  record(accountId, appId, appName, count = 1) {
+    return run('INSERT INTO card_drops (account_id, app_id, app_name, count) VALUES (?, ?, ?, ?)',
+      [accountId, appId, appName || null, count]);
+  },
+
+  getByAccount(accountId, limit = 50) {
+    return all('SELECT * FROM card_drops WHERE account_id = ? ORDER BY dropped_at DESC, id DESC LIMIT ?',
+      [accountId, limit]);
+  },
+
+  getTotal(accountId) {
+    const row = get('SELECT COALESCE(SUM(count), 0) as total FROM card_drops WHERE account_id = ?', [accountId]);
+    return row ? row.total : 0;
+  }
+};
+
+// Ban event methods
+const banEventMethods = {
+  record(accountId, { type, change, previous = null, current = null, action = null }) {
+    return run(`INSERT INTO ban_events (account_id, ban_type, change, previous, current, action)
+      VALUES (?, ?, ?, ?, ?, ?)`, [accountId, type, change, previous, current, action]);
+  },
+
+  getByAccount(accountId, limit = 50) {
+    return all('SELECT * FROM ban_events WHERE account_id = ? ORDER BY detected_at DESC, id DESC LIMIT ?',
+      [accountId, limit]);
+  }
+};
+
+// Key redemption methods
+function parseKeyRow(row) {
+  let packages = {};
+  let appIds = [];
+  try {
+    packages = JSON.parse(row.packages || '{}');
+    appIds = JSON.parse(row.app_ids || '[]');
+  } catch {
+    // Keep the defaults for rows with malformed JSON
+  }
+  return { ...row, packages, app_ids: appIds, add_games: !!row.add_games };
+}
+
+const keyRedemptionMethods = {
+  add(accountId, cdKey, keyHint, addGames = false) {
+    return run('INSERT INTO key_redemptions (account_id, cd_key, key_hint, add_games) VALUES (?, ?, ?, ?)',
+      [accountId, cdKey, keyHint, addGames ? 1 : 0]);
+  },
+
+  findById(id) {
+    const row = get('SELECT * FROM key_redemptions WHERE id = ?', [id]);
+    return row ? parseKeyRow(row) : null;
+  },
+
+  // Keys still waiting for a result (rate-limited keys are retried)
+  getPending(accountId) {
+    return all(`SELECT * FROM key_redemptions WHERE account_id = ? AND status IN ('pending', 'rate_limited')
+      ORDER BY id`, [accountId]).map(parseKeyRow);
+  },
+
+  getPendingAccountIds() {
+    return all(`SELECT DISTINCT account_id FROM key_redemptions WHERE status IN ('pending', 'rate_limited')`)
+      .map(row => row.account_id);
+  },
+
+  setResult(id, status, { detail = null, packages = null, appIds = null } = {}) {
+    return run(`UPDATE key_redemptions SET status = ?, detail = ?, packages = ?, app_ids = ?,
+      attempts = attempts + 1, redeemed_at = CURRENT_TIMESTAMP WHERE id = ?`,
+    [status, detail, packages ? JSON.stringify(packages) : null, appIds ? JSON.stringify(appIds) : null, id]);
+  },
+
+  // Count a failed attempt without a Steam result
+  addAttempt(id, detail) {
+    return run('UPDATE key_redemptions SET attempts = attempts + 1, detail = ? WHERE id = ?', [detail, id]);
+  },
+
+  getHistory({ accountId = null, status = null, limit = 200 } = {}) {
+    const where = [];
+    const params = [];
+    if (accountId) {
+      where.push('k.account_id = ?');
+      params.push(accountId);
+    }
+    if (status) {
+      where.push('k.status = ?');
+      params.push(status);
+    }
+    params.push(limit);
+
+    return all(`SELECT k.*, a.username FROM key_redemptions k LEFT JOIN accounts a ON a.id = k.account_id
+      ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+      ORDER BY k.id DESC LIMIT ?`, params).map(parseKeyRow);
+  },
+
+  getCounts() {
+    const counts = {};
+    for (const row of all('SELECT status, COUNT(*) as count FROM key_redemptions GROUP BY status')) {
+      counts[row.status] = row.count;
+    }
+    return counts;
+  },
+
+  delete(id) {
+    return run('DELETE FROM key_redemptions WHERE id = ?', [id]);
+  }
+};
+
+// Idle schedule methods
+function parseScheduleRow(row) {
+  let days = [];
+  try {
+    days = JSON.parse(row.days || '[]');
+  } catch {
+    days = [];
+  }
+  return { ...row, days };
+}
+
+const scheduleMethods = {
+  getByAccount(accountId) {
+    return all('SELECT * FROM account_schedules WHERE account_id = ? ORDER BY id', [accountId])
+      .map(parseScheduleRow);
+  },
+
+  setWindows(accountId, windows) {
+    batch(() => {
+      run('DELETE FROM account_schedules WHERE account_id = ?', [accountId]);
+      for (const window of windows) {
+        run('INSERT INTO account_schedules (account_id, start_time, end_time, days) VALUES (?, ?, ?, ?)',
+          [accountId, window.start_time, window.end_time, JSON.stringify(window.days)]);
+      }
+    });
+  },
+
+  getAllGrouped() {
+    const rows = all('SELECT * FROM account_schedules ORDER BY account_id, id');
+    const grouped = {};
+    for (const row of rows) {
+      if (!grouped[row.account_id]) grouped[row.account_id] = [];
+      grouped[row.account_id].push(parseScheduleRow(row));
+    }
+    return grouped;
+  }
+};
+
+// Proxy pool methods
+const proxyMethods = {
+  create(data) {
+    return run(`
+      INSERT INTO proxies (label, type, host, port, username, password)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [
+      data.label || null,
+      data.type,
+      data.host,
+      data.port,
+      data.username || null,
+      data.password || null
+    ]);
+  },
+
+  findById(id) {
+    return get('SELECT * FROM proxies WHERE id = ?', [id]);
+  },
+
+  findAll() {
+    return all(`
+      SELECT p.*, (SELECT COUNT(*) FROM accounts a WHERE a.proxy_id = p.id) as account_count
+      FROM proxies p
+      ORDER BY p.id
+    `);
+  },
+
+  delete(id) {
+    batch(() => {
+      run('UPDATE accounts SET proxy_id = NULL WHERE proxy_id = ?', [id]);
+      run('DELETE FROM proxies WHERE id = ?', [id]);
+    });
+  }
+};
+
+// API token methods
+const apiTokenMethods = {
+  create(data) {
+    return run(`
+      INSERT INTO api_tokens (user_id, name, scope, token_hash, token_hint, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [data.user_id, data.name, data.scope, data.token_hash, data.token_hint, data.expires_at || null]);
+  },
+
+  findByUser(userId) {
+    return all(`
+      SELECT id, name, scope, token_hint, expires_at, last_used_at, created_at,
+        (expires_at IS NOT NULL AND expires_at <= CURRENT_TIMESTAMP) as expired
+      FROM api_tokens
+      WHERE user_id = ?
+      ORDER BY created_at DESC, id DESC
+    `, [userId]);
+  },
+
+  // Unexpired token matching a hash
+  findActiveByHash(tokenHash) {
+    return get(`
+      SELECT * FROM api_tokens
+      WHERE token_hash = ? AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+    `, [tokenHash]);
+  },
+
+  touch(id) {
+    return run('UPDATE api_tokens SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?', [id]);
+  },
+
+  countByUser(userId) {
+    const result = get('SELECT COUNT(*) as count FROM api_tokens WHERE user_id = ?', [userId]);
+    return result ? result.count : 0;
+  },
+
+  delete(id, userId) {
+    return run('DELETE FROM api_tokens WHERE id = ? AND user_id = ?', [id, userId]);
+  },
+
+  deleteAll() {
+    return run('DELETE FROM api_tokens');
+  }
+};
+
+// Audit log methods (no update or delete besides retention cleanup)
+const auditMethods = {
+  add(entry) {
+    return run(`
+      INSERT INTO audit_log (user_id, username, api_token, ip, method, route, account_id, account_ids, account_name, status, outcome, error)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      entry.user_id ?? null,
+      entry.username ?? null,
+      entry.api_token ?? null,
+      entry.ip ?? null,
+      entry.method,
+      entry.route,
+      entry.account_id ?? null,
+      entry.account_ids ?? null,
+      entry.account_name ?? null,
+      entry.status ?? null,
+      entry.outcome,
+      entry.error ?? null
+    ]);
+  },
+
+  // Filters: username, accountId, outcome, method, route (substring), from/to (YYYY-MM-DD, UTC)
+  find({ username = null, accountId = null, outcome = null, method = null, route = null, from = null, to = null, limit = 200 } = {}) {
+    const where = [];
+    const params = [];
+    if (username) {
+      where.push('username = ?');
+      params.push(username);
+    }
+    if (accountId) {
+      where.push("(account_id = ? OR ',' || account_ids || ',' LIKE ?)");
+      params.push(accountId, `%,${accountId},%`);
+    }
+    if (outcome) {
+      where.push('outcome = ?');
+      params.push(outcome);
+    }
+    if (method) {
+      where.push('method = ?');
+      params.push(method);
+    }
+    if (route) {
+      where.push("route LIKE ? ESCAPE '\\'");
+      params.push(`%${route.replace(/[\\%_]/g, '\\$&')}%`);
+    }
+    if (from) {
+      where.push('timestamp >= ?');
+      params.push(`${from} 00:00:00`);
+    }
+    if (to) {
+      where.push('timestamp <= ?');
+      params.push(`${to} 23:59:59`);
+    }
+    params.push(limit);
+
+    return all(`SELECT * FROM audit_log
+      ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+      ORDER BY id DESC LIMIT ?`, params);
+  },
+
+  cleanup(daysToKeep) {
+    return run("DELETE FROM audit_log WHERE timestamp < datetime('now', ? || ' days')", [-daysToKeep]);
+  }
+};
+
 // Log methods
 const logMethods = {
   add(level, message, accountId = null, category = 'SYSTEM') {
@@ -666,24 +1389,27 @@ const logMethods = {
       [level, message, accountId, category]);
   },
 
-  getRecent(limit = 50, category = null) {
+  // accountIds limits entries to those accounts (no system entries)
+  getRecent(limit = 50, category = null, accountIds = null) {
+    const conditions = [];
+    const params = [];
     if (category) {
-      return all(`
-        SELECT l.*, a.username as account_name
-        FROM logs l
-        LEFT JOIN accounts a ON l.account_id = a.id
-        WHERE l.category = ?
-        ORDER BY l.timestamp DESC
-        LIMIT ?
-      `, [category, limit]);
+      conditions.push('l.category = ?');
+      params.push(category);
+    }
+    if (accountIds) {
+      conditions.push(`l.account_id IN (${accountIds.map(() => '?').join(', ') || 'NULL'})`);
+      params.push(...accountIds);
     }
+
     return all(`
       SELECT l.*, a.username as account_name
       FROM logs l
       LEFT JOIN accounts a ON l.account_id = a.id
+      ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
       ORDER BY l.timestamp DESC
       LIMIT ?
-    `, [limit]);
+    `, [...params, limit]);
   },
 
   getByAccount(accountId, limit = 100) {
@@ -751,6 +1477,17 @@ const webSessionMethods = {
     return run('UPDATE web_sessions SET expires = ? WHERE sid = ?', [expires, sid]);
   },
 
+  // Sign out everyone but one session
+  destroyOthers(sid) {
+    return run('DELETE FROM web_sessions WHERE sid != ?', [sid]);
+  },
+
+  // Unexpired sessions other than one, e.g. to see if anyone else is logged in
+  countOthers(sid) {
+    const result = get('SELECT COUNT(*) as count FROM web_sessions WHERE sid != ? AND expires > ?', [sid, Date.now()]);
+    return result ? result.count : 0;
+  },
+
   cleanup() {
     return run('DELETE FROM web_sessions WHERE expires <= ?', [Date.now()]);
   }
@@ -763,10 +1500,18 @@ module.exports = {
   users: userMethods,
   accounts: accountMethods,
   games: gameMethods,
+  customGames: customGameMethods,
   mafiles: mafileMethods,
   sessions: sessionMethods,
   logs: logMethods,
   playtime: playtimeMethods,
+  cardDrops: cardDropMethods,
+  banEvents: banEventMethods,
+  keyRedemptions: keyRedemptionMethods,
+  schedules: scheduleMethods,
+  proxies: proxyMethods,
+  apiTokens: apiTokenMethods,
+  audit: auditMethods,
   settings: settingsMethods,
   webSessions: webSessionMethods
 };
@@ -3,6 +3,7 @@ const router = express.Router();
 const accountManager = require('../services/accountManager');
 const steamService = require('../services/steamService');
 const steamApiService = require('../services/steamApiService');
+const scheduler = require('../services/scheduler');
 const logger = require('../services/logger');
 const db = require('../models/database');
 const {
@@ -10,6 +11,7 @@ const {
   encryptAccountCredentials,
   decryptAccountCredentials
 } = require('../middleware/auth');
+const { filterAccounts } = require('../middleware/permissions');
 const { encrypt, decrypt, isEncrypted, generateSalt, deriveKey } = require('../utils/encryption');
 
 // Validate :id parameter on all routes
@@ -24,17 +26,23 @@ router.param('id', (req, res, next, value) => {
 // Search and filter accounts (MUST be before /api/accounts/:id to avoid shadowing)
 router.get('/api/accounts/search', (req, res) => {
   try {
-    const { q, status, hasGuard, isIdling, sortBy, order } = req.query;
+    const { q, status, hasGuard, isIdling, limited, locked, emailVerified, communityBanned, sortBy, order } = req.query;
 
     let accounts = accountManager.search({
       q,
       status: status === 'incomplete' ? null : status,
       hasGuard,
       isIdling,
+      limited,
+      locked,
+      emailVerified,
+      communityBanned,
       sortBy,
       order
     });
 
+    accounts = filterAccounts(req.user, accounts);
+
     // Filter by incomplete status if requested
     if (status === 'incomplete') {
       accounts = accounts.filter(acc => !acc.password || acc.password === '');
@@ -52,12 +60,20 @@ router.get('/api/accounts/search', (req, res) => {
       is_idling: acc.is_idling,
       persona_state: acc.persona_state ?? 1,
       games: acc.games,
+      custom_games: acc.custom_games,
       created_at: acc.created_at,
       shared_secret: acc.shared_secret ? true : false,
       vac_banned: acc.vac_banned,
       trade_banned: acc.trade_banned,
       game_bans: acc.game_bans,
+      limited_account: acc.limited_account,
+      locked_account: acc.locked_account,
+      email_verified: acc.email_verified,
       lockout_until: acc.lockout_until,
+      schedule_enabled: !!acc.schedule_enabled,
+      humanize_enabled: !!acc.humanize_enabled,
+      auto_games: !!acc.game_selection,
+      persona_scheduled: !!acc.persona_schedule && acc.persona_schedule !== '[]',
       incomplete: !acc.password || acc.password === '',
       is_private_profile: acc.steam_id && acc.api_last_refresh && (acc.total_games === 0 || acc.total_games === null)
     }));
@@ -71,7 +87,7 @@ router.get('/api/accounts/search', (req, res) => {
 // Start all accounts (MUST be before /api/accounts/:id to avoid shadowing)
 router.post('/api/accounts/start-all', async (req, res) => {
   try {
-    const results = await steamService.startAll();
+    const results = await steamService.startAll(req.user ? req.user.account_ids : null);
     res.json({ success: true, results });
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -81,7 +97,7 @@ router.post('/api/accounts/start-all', async (req, res) => {
 // Stop all accounts (MUST be before /api/accounts/:id to avoid shadowing)
 router.post('/api/accounts/stop-all', (req, res) => {
   try {
-    steamService.stopAll();
+    steamService.stopAll(req.user ? req.user.account_ids : null);
     res.json({ success: true });
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -123,7 +139,10 @@ router.post('/api/accounts/export', async (req, res) => {
         steam_id: decrypted.steam_id,
         display_name: decrypted.display_name,
         persona_state: decrypted.persona_state,
-        games: db.games.getGames(account.id)
+        games: [
+          ...db.games.getGames(account.id),
+          ...db.customGames.getByAccount(account.id).map(g => ({ title: g.title }))
+        ]
       };
 
       exportedAccounts.push(exportAccount);
@@ -400,7 +419,7 @@ router.post('/api/accounts/import', async (req, res) => {
           steam_id: account.steam_id,
           display_name: account.display_name,
           persona_state: account.persona_state ?? 1,
-          games: account.games?.map(g => g.app_id || g) || []
+          games: account.games?.map(g => g.app_id || (g.title ? { title: g.title } : g)) || []
         });
 
         results.imported++;
@@ -424,7 +443,7 @@ router.post('/api/accounts/import', async (req, res) => {
 // Get all accounts
 router.get('/api/accounts', (req, res) => {
   try {
-    const accounts = accountManager.getAll();
+    const accounts = filterAccounts(req.user, accountManager.getAll());
     // Don't expose passwords in API response, but indicate if shared_secret exists
     const safeAccounts = accounts.map(acc => ({
       id: acc.id,
@@ -437,14 +456,26 @@ router.get('/api/accounts', (req, res) => {
       is_idling: acc.is_idling,
       persona_state: acc.persona_state ?? 1,
       games: acc.games,
+      custom_games: acc.custom_games,
       created_at: acc.created_at,
       shared_secret: acc.shared_secret ? true : false, // Boolean only, not the actual secret
       vac_banned: acc.vac_banned,
       trade_banned: acc.trade_banned,
       game_bans: acc.game_bans,
+      limited_account: acc.limited_account,
+      locked_account: acc.locked_account,
+      email_verified: acc.email_verified,
       total_games: acc.total_games,
       lockout_until: acc.lockout_until,
       api_last_refresh: acc.api_last_refresh,
+      schedule_enabled: !!acc.schedule_enabled,
+      humanize_enabled: !!acc.humanize_enabled,
+      auto_games: !!acc.game_selection,
+      persona_scheduled: !!acc.persona_schedule && acc.persona_schedule !== '[]',
+      rotation_mode: acc.rotation_mode || 'off',
+      conflict_policy: acc.conflict_policy || 'yield',
+      has_proxy: !!(acc.proxy_id || acc.proxy_host),
+      steam_guard: steamService.getStatus(acc.id).steamGuard || null,
       incomplete: !acc.password || acc.password === '', // Account needs password to be set
       is_private_profile: acc.steam_id && acc.api_last_refresh && (acc.total_games === 0 || acc.total_games === null)
     }));
@@ -463,9 +494,13 @@ router.get('/api/accounts/:id', (req, res) => {
     }
 
     // Don't expose password or actual secrets
-    const { password, shared_secret, identity_secret, ...safeAccount } = account;
+    const {
+      password, shared_secret, identity_secret, proxy_username, proxy_password, refresh_token, ...safeAccount
+    } = account;
     safeAccount.shared_secret = shared_secret ? true : false;
     safeAccount.identity_secret = identity_secret ? true : false;
+    safeAccount.proxy_password = proxy_password ? true : false;
+    safeAccount.refresh_token = refresh_token ? true : false;
     safeAccount.persona_state = account.persona_state ?? 1;
     safeAccount.incomplete = !password || password === ''; // Account needs password
     res.json(safeAccount);
@@ -504,7 +539,10 @@ router.post('/api/accounts', (req, res) => {
 router.put('/api/accounts/:id', (req, res) => {
   try {
     const id = parseInt(req.params.id);
-    const { username, password, games, shared_secret, identity_secret, display_name, persona_state } = req.body;
+    const {
+      username, password, games, shared_secret, identity_secret, display_name, persona_state,
+      rotation_mode, rotation_interval, auto_reply, conflict_policy, conflict_grace, priority_weight
+    } = req.body;
 
     const account = accountManager.update(id, {
       username,
@@ -513,7 +551,13 @@ router.put('/api/accounts/:id', (req, res) => {
       shared_secret,
       identity_secret,
       display_name,
-      persona_state
+      persona_state,
+      rotation_mode,
+      rotation_interval,
+      auto_reply,
+      conflict_policy,
+      conflict_grace,
+      priority_weight
     });
 
     // Update persona state on active session if one exists
@@ -574,6 +618,28 @@ router.post('/api/accounts/:id/stop', (req, res) => {
   }
 });
 
+// Get pending Steam Guard request for an account
+router.get('/api/accounts/:id/steam-guard', (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const steamStatus = steamService.getStatus(id);
+    res.json({ pending: !!steamStatus.steamGuard, ...steamStatus.steamGuard });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Submit a Steam Guard code (email or mobile) for a pending login
+router.post('/api/accounts/:id/steam-guard', (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    steamService.submitGuardCode(id, req.body.code);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
 // Get account status
 router.get('/api/accounts/:id/status', (req, res) => {
   try {
@@ -584,10 +650,16 @@ router.get('/api/accounts/:id/status', (req, res) => {
     }
 
     const steamStatus = steamService.getStatus(id);
+    const schedule = scheduler.getSchedule(id);
     res.json({
       ...steamStatus,
       status: account.status,
-      last_error: account.last_error
+      last_error: account.last_error,
+      schedule: {
+        enabled: schedule.enabled,
+        in_window: schedule.in_window,
+        next_transition: schedule.next_transition
+      }
     });
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -0,0 +1,91 @@
+const express = require('express');
+const path = require('path');
+const router = express.Router();
+const config = require('../config');
+const auditLog = require('../services/auditLog');
+const { OUTCOMES } = require('../services/auditLog');
+
+const METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Read ?user=, ?account_id=, ?outcome=, ?method=, ?route=, ?from=, ?to=
+ * @throws {Error} For invalid values
+ */
+function parseFilters(query) {
+  const outcome = query.outcome || null;
+  if (outcome && !OUTCOMES.includes(outcome)) {
+    throw new Error(`outcome must be one of: ${OUTCOMES.join(', ')}`);
+  }
+  const method = query.method ? String(query.method).toUpperCase() : null;
+  if (method && !METHODS.includes(method)) {
+    throw new Error(`method must be one of: ${METHODS.join(', ')}`);
+  }
+  for (const key of ['from', 'to']) {
+    if (query[key] && !DATE.test(query[key])) {
+      throw new Error(`${key} must be a date (YYYY-MM-DD)`);
+    }
+  }
+
+  return {
+    username: query.user ? String(query.user) : null,
+    accountId: parseInt(query.account_id, 10) || null,
+    outcome,
+    method,
+    route: query.route ? String(query.route) : null,
+    from: query.from || null,
+    to: query.to || null
+  };
+}
+
+// Audit log page
+router.get('/audit', (req, res) => {
+  res.set({
+    'Cache-Control': 'no-store, no-cache, must-revalidate, proxy-revalidate',
+    'Pragma': 'no-cache',
+    'Expires': '0'
+  });
+  res.sendFile(path.join(__dirname, '..', '..', 'views', 'audit.html'));
+});
+
+// Audit entries, newest first (filters above plus ?limit=)
+router.get('/api/audit', (req, res) => {
+  let filters;
+  try {
+    filters = parseFilters(req.query);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 200, 1), 1000);
+    res.json({
+      entries: auditLog.search({ ...filters, limit }),
+      retention_days: auditLog.getRetentionDays()
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Download matching entries as CSV
+router.get('/api/audit/export', (req, res) => {
+  let filters;
+  try {
+    filters = parseFilters(req.query);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    const rows = auditLog.search({ ...filters, limit: config.audit.maxExportRows });
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="audit-${new Date().toISOString().split('T')[0]}.csv"`);
+    res.set('Cache-Control', 'no-store');
+    res.send(auditLog.toCsv(rows));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
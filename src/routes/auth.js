@@ -5,16 +5,17 @@ const {
   authenticateUser,
   changePassword,
   initializeEncryption,
-  setEncryptionKey,
+  wrapKeyForUser,
+  unlockEncryption,
   getEncryptionKey,
   clearEncryptionKey,
-  reEncryptAllData,
   isEncryptionInitialized
 } = require('../middleware/auth');
-const { deriveKey } = require('../utils/encryption');
 const { rateLimiters } = require('../middleware/rateLimiter');
 const db = require('../models/database');
 const logger = require('../services/logger');
+const eventStream = require('../services/eventStream');
+const twoFactor = require('../services/twoFactor');
 const steamApiService = require('../services/steamApiService');
 const steamService = require('../services/steamService');
 
@@ -43,11 +44,9 @@ router.post('/api/setup', rateLimiters.setup, async (req, res) => {
       return res.status(400).json({ error: 'Password must be 256 characters or fewer' });
     }
 
-    // Initialize encryption with the admin password
-    const encryptionKey = await initializeEncryption(password);
-
-    // Create the admin user
-    await createUser(username, password);
+    // Generate the master key, then create the admin with a copy of it
+    const encryptionKey = initializeEncryption();
+    await createUser(username, password, { role: 'admin' });
 
     // Initialize Steam API service with encryption key
     steamApiService.initialize(db, encryptionKey).catch(err => {
@@ -62,6 +61,78 @@ router.post('/api/setup', rateLimiters.setup, async (req, res) => {
   }
 });
 
+/**
+ * Unlock the credentials and sign the user in, once the password (and the
+ * two-factor code, if enabled) checked out
+ */
+async function completeLogin(req, user, password) {
+  // Derive and cache encryption key for this session
+  try {
+    let encryptionKey;
+
+    // Check if encryption is already initialized
+    if (isEncryptionInitialized()) {
+      // Existing install with encryption - unwrap this user's copy of the key
+      encryptionKey = await unlockEncryption(user, password);
+    } else {
+      // Legacy install without encryption - initialize it now
+      logger.info('Initializing encryption for existing install...', null, 'ENCRYPTION');
+      encryptionKey = initializeEncryption();
+      await wrapKeyForUser(user.id, password);
+
+      // Encrypt all existing plaintext credentials
+      const accounts = db.accounts.findAll();
+      let encrypted = 0;
+      for (const account of accounts) {
+        const updates = {};
+        const { encrypt, isEncrypted } = require('../utils/encryption');
+
+        // Check each sensitive field
+        if (account.password && !isEncrypted(account.password)) {
+          updates.password = encrypt(account.password, encryptionKey);
+        }
+        if (account.shared_secret && !isEncrypted(account.shared_secret)) {
+          updates.shared_secret = encrypt(account.shared_secret, encryptionKey);
+        }
+        if (account.identity_secret && !isEncrypted(account.identity_secret)) {
+          updates.identity_secret = encrypt(account.identity_secret, encryptionKey);
+        }
+
+        if (Object.keys(updates).length > 0) {
+          db.accounts.update(account.id, updates);
+          encrypted++;
+        }
+      }
+
+      if (encrypted > 0) {
+        logger.info(`Encrypted credentials for ${encrypted} existing accounts`, null, 'ENCRYPTION');
+      }
+    }
+
+    // Initialize Steam API service with database and encryption key
+    await steamApiService.initialize(db, encryptionKey);
+
+    // Start periodic refresh if configured
+    const refreshInterval = steamApiService.getRefreshInterval();
+    if (refreshInterval && refreshInterval > 0) {
+      steamApiService.startPeriodicRefresh(refreshInterval);
+    }
+
+    // Resume idling now that encryption key is available
+    steamService.resumeIdling().catch(err => {
+      logger.error(`Failed to resume idling after login: ${err.message}`);
+    });
+  } catch (encErr) {
+    // Log error but allow login to proceed
+    logger.error(`Encryption initialization failed: ${encErr.message}`, null, 'ENCRYPTION');
+  }
+
+  req.session.userId = user.id;
+  req.session.username = user.username;
+
+  logger.info(`User ${user.username} logged in`, null, 'AUTH');
+}
+
 // Login
 router.post('/api/login', rateLimiters.login, async (req, res) => {
   try {
@@ -76,70 +147,52 @@ router.post('/api/login', rateLimiters.login, async (req, res) => {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    // Derive and cache encryption key for this session
-    try {
-      let encryptionKey;
-
-      // Check if encryption is already initialized
-      if (isEncryptionInitialized()) {
-        // Existing install with encryption - derive key from password
-        encryptionKey = await setEncryptionKey(password);
-      } else {
-        // Legacy install without encryption - initialize it now
-        logger.info('Initializing encryption for existing install...', null, 'ENCRYPTION');
-        encryptionKey = await initializeEncryption(password);
-
-        // Encrypt all existing plaintext credentials
-        const accounts = db.accounts.findAll();
-        let encrypted = 0;
-        for (const account of accounts) {
-          const updates = {};
-          const { encrypt, isEncrypted } = require('../utils/encryption');
-
-          // Check each sensitive field
-          if (account.password && !isEncrypted(account.password)) {
-            updates.password = encrypt(account.password, encryptionKey);
-          }
-          if (account.shared_secret && !isEncrypted(account.shared_secret)) {
-            updates.shared_secret = encrypt(account.shared_secret, encryptionKey);
-          }
-          if (account.identity_secret && !isEncrypted(account.identity_secret)) {
-            updates.identity_secret = encrypt(account.identity_secret, encryptionKey);
-          }
-
-          if (Object.keys(updates).length > 0) {
-            db.accounts.update(account.id, updates);
-            encrypted++;
-          }
-        }
+    // Second step: the code is sent to /api/login/2fa with this challenge
+    if (user.totp_enabled) {
+      const challenge = twoFactor.createChallenge(user, password);
+      return res.json({ two_factor_required: true, challenge });
+    }
 
-        if (encrypted > 0) {
-          logger.info(`Encrypted credentials for ${encrypted} existing accounts`, null, 'ENCRYPTION');
-        }
-      }
+    await completeLogin(req, user, password);
+    res.json({ success: true, username: user.username });
+  } catch (err) {
+    logger.error(`Login error: ${err.message}`, null, 'AUTH');
+    res.status(500).json({ error: err.message });
+  }
+});
 
-      // Initialize Steam API service with database and encryption key
-      await steamApiService.initialize(db, encryptionKey);
+// Login step two - TOTP or recovery code (limited per sign-in and per IP)
+router.post('/api/login/2fa', rateLimiters.twoFactor, async (req, res) => {
+  try {
+    const { challenge, code } = req.body;
+    if (!challenge || !code) {
+      return res.status(400).json({ error: 'Code required' });
+    }
 
-      // Start periodic refresh if configured
-      const refreshInterval = steamApiService.getRefreshInterval();
-      if (refreshInterval && refreshInterval > 0) {
-        steamApiService.startPeriodicRefresh(refreshInterval);
-      }
+    const pending = twoFactor.getChallenge(challenge);
+    const user = pending ? db.users.findById(pending.userId) : null;
+    if (!user || !user.totp_enabled) {
+      twoFactor.clearChallenge(challenge);
+      return res.status(401).json({ error: 'Sign-in expired, enter your password again', expired: true });
+    }
 
-      // Resume idling now that encryption key is available
-      steamService.resumeIdling().catch(err => {
-        logger.error(`Failed to resume idling after login: ${err.message}`);
-      });
-    } catch (encErr) {
-      // Log error but allow login to proceed
-      logger.error(`Encryption initialization failed: ${encErr.message}`, null, 'ENCRYPTION');
+    // The secret is encrypted with the master key; with nobody signed in
+    // only the user's own copy can unlock it
+    if (!getEncryptionKey() && !user.wrapped_key) {
+      twoFactor.clearChallenge(challenge);
+      return res.status(403).json({ error: `No encryption key for user ${user.username}, an admin has to reset their password` });
     }
 
-    req.session.userId = user.id;
-    req.session.username = user.username;
+    if (!(await twoFactor.verify(user, pending.password, code))) {
+      logger.warn(`Failed two-factor code for user: ${user.username}`, null, 'AUTH');
+      if (twoFactor.recordFailure(challenge)) {
+        return res.status(401).json({ error: 'Too many wrong codes, enter your password again', expired: true });
+      }
+      return res.status(401).json({ error: 'Invalid code' });
+    }
 
-    logger.info(`User ${username} logged in`, null, 'AUTH');
+    twoFactor.clearChallenge(challenge);
+    await completeLogin(req, user, pending.password);
     res.json({ success: true, username: user.username });
   } catch (err) {
     logger.error(`Login error: ${err.message}`, null, 'AUTH');
@@ -147,9 +200,12 @@ router.post('/api/login', rateLimiters.login, async (req, res) => {
   }
 });
 
-// Logout
+// Logout (credentials stay unlocked while anyone else is logged in)
 router.post('/api/logout', (req, res) => {
-  clearEncryptionKey();
+  if (db.webSessions.countOthers(req.sessionID) === 0) {
+    clearEncryptionKey();
+  }
+  eventStream.closeSession(req.sessionID);
   req.session.destroy((err) => {
     if (err) {
       return res.status(500).json({ error: 'Failed to logout' });
@@ -170,33 +226,9 @@ router.post('/api/settings/password', async (req, res) => {
       return res.status(400).json({ error: 'Password must be at least 6 characters' });
     }
 
-    // Get the old encryption key
-    const oldKey = getEncryptionKey();
-
-    // Change the user password
+    // Rewraps this user's copy of the master key, stored data is unchanged
     await changePassword(req.session.userId, currentPassword, newPassword);
-
-    // Re-encrypt all data with new key
-    if (oldKey) {
-      const salt = db.settings.get('encryption_salt');
-      if (salt) {
-        const newKey = await deriveKey(newPassword, salt);
-        const result = await reEncryptAllData(oldKey, newKey);
-
-        // Update Steam API service with new key
-        steamApiService.updateEncryptionKey(newKey);
-
-        logger.info(`Password changed, re-encrypted ${result.success} accounts`, null, 'AUTH');
-
-        if (result.errors > 0) {
-          return res.json({
-            success: true,
-            message: 'Password changed',
-            warning: `${result.errors} accounts failed to re-encrypt`
-          });
-        }
-      }
-    }
+    logger.info(`User ${req.session.username} changed their password`, null, 'AUTH');
 
     res.json({ success: true, message: 'Password changed' });
   } catch (err) {
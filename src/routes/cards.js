@@ -0,0 +1,54 @@
+const express = require('express');
+const router = express.Router();
+const accountManager = require('../services/accountManager');
+const cardFarmer = require('../services/cardFarmer');
+
+// Validate :id parameter
+router.param('id', (req, res, next, value) => {
+  const id = parseInt(value, 10);
+  if (isNaN(id) || id < 1) {
+    return res.status(400).json({ error: 'Invalid account ID' });
+  }
+  next();
+});
+
+// Card farming progress and recorded drops
+router.get('/api/accounts/:id/cards', (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (!accountManager.getById(id)) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    res.json(cardFarmer.getStatus(id));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Start farming card drops ({ mode: 'single' | 'batch' })
+router.post('/api/accounts/:id/cards/farm', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (!accountManager.getById(id)) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    const status = await cardFarmer.startFarming(id, req.body.mode || 'single');
+    res.json({ success: true, ...status });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Stop farming and return to the regular games
+router.post('/api/accounts/:id/cards/stop', async (req, res) => {
+  try {
+    await cardFarmer.stopFarming(parseInt(req.params.id));
+    res.json({ success: true });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -1,13 +1,23 @@
 const express = require('express');
 const router = express.Router();
 const accountManager = require('../services/accountManager');
+const steamService = require('../services/steamService');
+const idleQueue = require('../services/idleQueue');
 const logger = require('../services/logger');
 const db = require('../models/database');
+const { filterAccounts } = require('../middleware/permissions');
 
 // Get dashboard data
 router.get('/api/dashboard', (req, res) => {
   try {
-    const stats = accountManager.getStats();
+    const accountIds = req.user ? req.user.account_ids : null;
+    const visible = filterAccounts(req.user, accountManager.getAll());
+    const stats = accountIds ? {
+      totalAccounts: visible.length,
+      activeIdling: visible.filter(acc => acc.status === 'idling').length,
+      online: visible.filter(acc => acc.status === 'online').length,
+      errors: visible.filter(acc => acc.status === 'error').length
+    } : accountManager.getStats();
 
     // Fetch all active sessions in one query instead of per-account (N+1 fix)
     const activeSessions = db.sessions.getAllActive();
@@ -16,9 +26,24 @@ router.get('/api/dashboard', (req, res) => {
       sessionByAccount[s.account_id] = s;
     }
 
-    const accounts = accountManager.getAll().map(acc => {
+    // Fair share of accounts holding or waiting for an idle slot
+    const queue = idleQueue.getQueue();
+    const shareByAccount = {};
+    for (const share of idleQueue.getShares()) {
+      shareByAccount[share.account_id] = {
+        weight: share.weight,
+        hours: share.hours,
+        share: share.share,
+        fair_share: share.fair_share,
+        active: share.active,
+        position: share.waiting ? queue.findIndex(s => s.account_id === share.account_id) + 1 : null
+      };
+    }
+
+    const accounts = visible.map(acc => {
       const activeSession = acc.is_idling ? sessionByAccount[acc.id] : null;
       const session_started_at = activeSession ? activeSession.started_at : null;
+      const steamStatus = steamService.getStatus(acc.id);
       return {
         id: acc.id,
         username: acc.username,
@@ -29,17 +54,43 @@ router.get('/api/dashboard', (req, res) => {
         is_idling: acc.is_idling,
         total_games: acc.total_games,
         games: acc.games.map(g => g.app_id),
+        custom_titles: (acc.custom_games || []).map(g => g.title),
         incomplete: !acc.password || acc.password === '',
         is_private_profile: acc.steam_id && acc.api_last_refresh && (acc.total_games === 0 || acc.total_games === null),
-        session_started_at
+        session_started_at,
+        queue_position: steamStatus.queuePosition || null,
+        priority_weight: acc.priority_weight || 1,
+        idle_share: shareByAccount[acc.id] || null,
+        conflict_policy: acc.conflict_policy || 'yield',
+        pause: steamStatus.pause || null,
+        card_farm: steamStatus.cardFarm ? {
+          mode: steamStatus.cardFarm.mode,
+          drops: steamStatus.cardFarm.drops,
+          drops_left: steamStatus.cardFarm.dropsLeft,
+          games_left: steamStatus.cardFarm.gamesLeft
+        } : null,
+        rotation: steamStatus.rotation ? {
+          mode: steamStatus.rotation.mode,
+          total_games: steamStatus.rotation.totalGames,
+          current_games: steamStatus.currentGames,
+          next_rotation_at: steamStatus.rotation.nextRotationAt
+        } : null
       };
     });
-    const logs = logger.getRecent(20);
+    const logs = logger.getRecent(20, null, accountIds);
+    const chat = logger.getRecent(10, 'CHAT', accountIds);
 
     res.json({
       stats,
+      network: steamService.getNetworkStatus(),
+      idle_queue: {
+        limit: idleQueue.getLimit(),
+        active: idleQueue.slots.size,
+        waiting: filterAccounts(req.user, queue, 'account_id').map(s => s.account_id)
+      },
       accounts,
-      logs
+      logs,
+      chat
     });
   } catch (err) {
     res.status(500).json({ error: err.message });
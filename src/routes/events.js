@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const eventStream = require('../services/eventStream');
+
+// Live account status changes and log entries (Server-Sent Events).
+// ?account_id= limits the stream to one account's events.
+router.get('/api/events', (req, res) => {
+  let accountId = null;
+  if (req.query.account_id !== undefined) {
+    accountId = parseInt(req.query.account_id, 10);
+    if (isNaN(accountId) || accountId < 1) {
+      return res.status(400).json({ error: 'Invalid account ID' });
+    }
+  }
+
+  if (!eventStream.addClient(res, {
+    sessionId: req.sessionID,
+    userId: req.user ? req.user.id : null,
+    tokenId: req.apiToken ? req.apiToken.id : null,
+    accountId,
+    accountIds: req.user ? req.user.account_ids : null
+  })) {
+    res.status(503).json({ error: 'Too many live connections' });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const accountManager = require('../services/accountManager');
+const gameSelector = require('../services/gameSelector');
+const hourTargets = require('../services/hourTargets');
+const ownershipService = require('../services/ownershipService');
+const steamService = require('../services/steamService');
 
 // Validate route parameters
 router.param('id', (req, res, next, value) => {
@@ -19,7 +23,15 @@ router.param('appId', (req, res, next, value) => {
   next();
 });
 
-// Get games for an account
+router.param('customId', (req, res, next, value) => {
+  const id = parseInt(value, 10);
+  if (isNaN(id) || id < 1) {
+    return res.status(400).json({ error: 'Invalid custom title ID' });
+  }
+  next();
+});
+
+// Get games for an account (Steam games, then custom titles as { id, title, custom })
 router.get('/api/accounts/:id/games', (req, res) => {
   try {
     const id = parseInt(req.params.id);
@@ -28,20 +40,27 @@ router.get('/api/accounts/:id/games', (req, res) => {
       return res.status(404).json({ error: 'Account not found' });
     }
 
-    res.json(account.games);
+    const custom = (account.custom_games || []).map(g => ({ id: g.id, title: g.title, custom: true }));
+    res.json([...account.games, ...custom]);
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Add game to account
-router.post('/api/accounts/:id/games', (req, res) => {
+// Add game to account. Send { title } instead of app_id for a custom non-Steam title.
+// Responds with owned: true/false, or null when ownership can't be checked.
+router.post('/api/accounts/:id/games', async (req, res) => {
   try {
     const id = parseInt(req.params.id);
-    const { app_id, app_name } = req.body;
+    const { app_id, app_name, title } = req.body;
+
+    if (title !== undefined && !app_id) {
+      const added = accountManager.addCustomGame(id, title);
+      return res.status(201).json({ success: true, title: added });
+    }
 
     if (!app_id) {
-      return res.status(400).json({ error: 'app_id is required' });
+      return res.status(400).json({ error: 'app_id or title is required' });
     }
 
     const appId = parseInt(app_id, 10);
@@ -50,12 +69,37 @@ router.post('/api/accounts/:id/games', (req, res) => {
     }
 
     accountManager.addGame(id, appId, app_name);
-    res.status(201).json({ success: true });
+
+    let owned = null;
+    try {
+      const result = await ownershipService.validate(id, [appId], steamService.getSession(id));
+      if (result.source) owned = result.owned.includes(appId);
+    } catch (err) {
+      // Ownership is informational here, the game is added either way
+    }
+
+    res.status(201).json({ success: true, owned });
   } catch (err) {
     res.status(400).json({ error: err.message });
   }
 });
 
+// Re-check ownership of all of an account's games
+router.post('/api/accounts/:id/games/validate', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const account = accountManager.getById(id);
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    const appIds = account.games.map(g => g.app_id);
+    res.json(await ownershipService.validate(id, appIds, steamService.getSession(id)));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // Remove game from account
 router.delete('/api/accounts/:id/games/:appId', (req, res) => {
   try {
@@ -69,7 +113,17 @@ router.delete('/api/accounts/:id/games/:appId', (req, res) => {
   }
 });
 
-// Update all games for an account
+// Remove custom title from account
+router.delete('/api/accounts/:id/games/custom/:customId', (req, res) => {
+  try {
+    accountManager.removeCustomGame(parseInt(req.params.id), parseInt(req.params.customId));
+    res.json({ success: true });
+  } catch (err) {
+    res.status(404).json({ error: err.message });
+  }
+});
+
+// Update all games for an account (app IDs mixed with { title } entries)
 router.put('/api/accounts/:id/games', (req, res) => {
   try {
     const id = parseInt(req.params.id);
@@ -86,6 +140,86 @@ router.put('/api/accounts/:id/games', (req, res) => {
   }
 });
 
+// Get an account's game auto-selection and the games it currently picks
+router.get('/api/accounts/:id/games/auto', (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const account = accountManager.getById(id);
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    const selection = gameSelector.getSelection(account);
+    res.json({ selection, preview: selection ? gameSelector.preview(id, selection) : null });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Preview a selection without saving it
+router.post('/api/accounts/:id/games/auto/preview', (req, res) => {
+  try {
+    const preview = gameSelector.preview(parseInt(req.params.id), req.body);
+    if (!preview) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+    res.json(preview);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Save and apply a selection ({ selection: null } goes back to a manual list)
+router.put('/api/accounts/:id/games/auto', (req, res) => {
+  try {
+    const { selection } = req.body;
+    if (selection === undefined) {
+      return res.status(400).json({ error: 'selection is required (use null to turn auto-selection off)' });
+    }
+
+    const result = gameSelector.setSelection(parseInt(req.params.id), selection);
+    if (!result) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+    res.json(result);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Get hour target progress for an account's games
+router.get('/api/accounts/:id/targets', (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const account = accountManager.getById(id);
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    res.json(hourTargets.getProgress(id));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Set or clear the hour target for a game
+router.put('/api/accounts/:id/games/:appId/target', (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const appId = parseInt(req.params.appId);
+    const { target_hours } = req.body;
+
+    if (target_hours === undefined) {
+      return res.status(400).json({ error: 'target_hours is required (use null to clear)' });
+    }
+
+    hourTargets.setTarget(id, appId, target_hours);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
 // Common Steam games reference (for UI dropdown)
 router.get('/api/games/common', (req, res) => {
   res.json([
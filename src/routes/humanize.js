@@ -0,0 +1,45 @@
+const express = require('express');
+const router = express.Router();
+const accountManager = require('../services/accountManager');
+const humanizer = require('../services/humanizer');
+
+// Validate :id parameter
+router.param('id', (req, res, next, value) => {
+  const id = parseInt(value, 10);
+  if (isNaN(id) || id < 1) {
+    return res.status(400).json({ error: 'Invalid account ID' });
+  }
+  next();
+});
+
+// Get humanize profile and current phase for an account
+router.get('/api/accounts/:id/humanize', (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (!accountManager.getById(id)) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    res.json(humanizer.getStatus(id));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Update humanize profile for an account ({ enabled, profile })
+router.put('/api/accounts/:id/humanize', (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (!accountManager.getById(id)) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    const { enabled, profile } = req.body;
+    const humanize = humanizer.setProfile(id, { enabled, profile });
+    res.json({ success: true, humanize });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,73 @@
+const express = require('express');
+const path = require('path');
+const router = express.Router();
+const accountManager = require('../services/accountManager');
+const keyRedeemer = require('../services/keyRedeemer');
+const { KEY_STATUSES } = require('../services/keyRedeemer');
+
+// Validate :id parameter
+router.param('id', (req, res, next, value) => {
+  const id = parseInt(value, 10);
+  if (isNaN(id) || id < 1) {
+    return res.status(400).json({ error: 'Invalid key ID' });
+  }
+  next();
+});
+
+// Key redemption page
+router.get('/keys', (req, res) => {
+  res.set({
+    'Cache-Control': 'no-store, no-cache, must-revalidate, proxy-revalidate',
+    'Pragma': 'no-cache',
+    'Expires': '0'
+  });
+  res.sendFile(path.join(__dirname, '..', '..', 'views', 'keys.html'));
+});
+
+// Redemption history (?account_id=, ?status=, ?limit=)
+router.get('/api/keys', (req, res) => {
+  try {
+    const status = req.query.status || null;
+    if (status && !KEY_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${KEY_STATUSES.join(', ')}` });
+    }
+
+    const accountId = parseInt(req.query.account_id, 10) || null;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 200, 1), 1000);
+    res.json(keyRedeemer.getHistory({ accountId, status, limit }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Queue keys ({ keys, account_ids, add_games }); without account_ids the keys
+// are spread round-robin over all accounts
+router.post('/api/keys', (req, res) => {
+  try {
+    const { keys, add_games } = req.body;
+    let accountIds = Array.isArray(req.body.account_ids)
+      ? req.body.account_ids.map(id => parseInt(id, 10)).filter(id => id > 0)
+      : [];
+    if (accountIds.length === 0) {
+      accountIds = accountManager.getAll().map(acc => acc.id);
+    }
+
+    const text = Array.isArray(keys) ? keys.join('\n') : keys;
+    const result = keyRedeemer.enqueue(text, accountIds, { addGames: !!add_games });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Remove a key that hasn't been redeemed yet
+router.delete('/api/keys/:id', (req, res) => {
+  try {
+    keyRedeemer.cancel(parseInt(req.params.id));
+    res.json({ success: true });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+module.exports = router;
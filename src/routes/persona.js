@@ -0,0 +1,45 @@
+const express = require('express');
+const router = express.Router();
+const accountManager = require('../services/accountManager');
+const personaManager = require('../services/personaManager');
+
+// Validate :id parameter
+router.param('id', (req, res, next, value) => {
+  const id = parseInt(value, 10);
+  if (isNaN(id) || id < 1) {
+    return res.status(400).json({ error: 'Invalid account ID' });
+  }
+  next();
+});
+
+// Get persona state, profile name override and persona schedule for an account
+router.get('/api/accounts/:id/persona', (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (!accountManager.getById(id)) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    res.json(personaManager.getStatus(id));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Update persona settings for an account ({ persona_state, persona_name, schedule })
+router.put('/api/accounts/:id/persona', (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (!accountManager.getById(id)) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    const { persona_state, persona_name, schedule } = req.body;
+    const persona = personaManager.setPersona(id, { persona_state, persona_name, schedule });
+    res.json({ success: true, persona });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,143 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../models/database');
+const accountManager = require('../services/accountManager');
+const proxyService = require('../services/proxyService');
+
+// Validate :id parameter
+router.param('id', (req, res, next, value) => {
+  const id = parseInt(value, 10);
+  if (isNaN(id) || id < 1) {
+    return res.status(400).json({ error: 'Invalid ID' });
+  }
+  next();
+});
+
+// Custom proxies make the server connect to any host:port, so only admins
+// may enter them; other roles pick from the pool
+function customProxyForbidden(req, res) {
+  if (req.body.mode === 'custom' && (!req.user || req.user.role !== 'admin')) {
+    res.status(403).json({ error: 'Only admins can use custom proxy settings' });
+    return true;
+  }
+  return false;
+}
+
+// List proxy pool
+router.get('/api/proxies', (req, res) => {
+  try {
+    res.json(proxyService.list());
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Add proxy to pool
+router.post('/api/proxies', (req, res) => {
+  try {
+    const id = proxyService.add(req.body);
+    res.json({ success: true, id });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Assign pool proxies to accounts round-robin
+router.post('/api/proxies/assign', (req, res) => {
+  try {
+    const assigned = proxyService.assignRoundRobin({ overwrite: !!req.body.overwrite });
+    res.json({ success: true, assigned });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Test a pool proxy
+router.post('/api/proxies/:id/test', async (req, res) => {
+  try {
+    const proxy = proxyService.getPoolProxy(parseInt(req.params.id));
+    if (!proxy) {
+      return res.status(404).json({ error: 'Proxy not found' });
+    }
+
+    res.json(await proxyService.test(proxy));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Remove proxy from pool
+router.delete('/api/proxies/:id', (req, res) => {
+  try {
+    proxyService.remove(parseInt(req.params.id));
+    res.json({ success: true });
+  } catch (err) {
+    res.status(404).json({ error: err.message });
+  }
+});
+
+// Get proxy settings for an account
+router.get('/api/accounts/:id/proxy', (req, res) => {
+  try {
+    const account = db.accounts.findById(parseInt(req.params.id));
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    res.json(proxyService.describeAccount(account));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Update proxy settings for an account (applies on next login)
+router.put('/api/accounts/:id/proxy', (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (!accountManager.getById(id)) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+    if (customProxyForbidden(req, res)) return;
+
+    const proxy = proxyService.setAccountProxy(id, req.body);
+    res.json({ success: true, proxy });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Test an account's proxy. Tests the settings in the body if given, otherwise the saved ones.
+router.post('/api/accounts/:id/proxy/test', async (req, res) => {
+  try {
+    const account = db.accounts.findById(parseInt(req.params.id));
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+    if (customProxyForbidden(req, res)) return;
+
+    let proxy;
+    if (req.body.mode === 'custom') {
+      const saved = proxyService.getForAccount(account);
+      proxy = {
+        ...req.body,
+        password: req.body.password || (saved && account.proxy_host ? saved.password : null)
+      };
+    } else if (req.body.mode === 'pool') {
+      proxy = proxyService.getPoolProxy(parseInt(req.body.proxy_id));
+    } else if (req.body.mode === 'none') {
+      proxy = null;
+    } else {
+      proxy = proxyService.getForAccount(account);
+    }
+
+    if (!proxy) {
+      return res.status(400).json({ error: 'No proxy configured for this account' });
+    }
+
+    res.json(await proxyService.test(proxy));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+module.exports = router;
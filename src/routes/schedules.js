@@ -0,0 +1,47 @@
+const express = require('express');
+const router = express.Router();
+const accountManager = require('../services/accountManager');
+const scheduler = require('../services/scheduler');
+
+// Validate :id parameter
+router.param('id', (req, res, next, value) => {
+  const id = parseInt(value, 10);
+  if (isNaN(id) || id < 1) {
+    return res.status(400).json({ error: 'Invalid account ID' });
+  }
+  next();
+});
+
+// Get idle schedule for an account
+router.get('/api/accounts/:id/schedule', (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const account = accountManager.getById(id);
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    res.json(scheduler.getSchedule(id));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Replace idle schedule for an account
+router.put('/api/accounts/:id/schedule', (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const account = accountManager.getById(id);
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    const { enabled, windows } = req.body;
+    const schedule = scheduler.setSchedule(id, { enabled, windows });
+    res.json({ success: true, schedule });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+module.exports = router;
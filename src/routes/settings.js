@@ -1,8 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../models/database');
+const config = require('../config');
 const logger = require('../services/logger');
+const eventStream = require('../services/eventStream');
 const steamApiService = require('../services/steamApiService');
+const { BAN_ACTIONS } = require('../services/banMonitor');
 const { changePassword, getEncryptionKey } = require('../middleware/auth');
 const { encrypt, isEncrypted } = require('../utils/encryption');
 
@@ -22,6 +25,14 @@ router.get('/api/settings', (req, res) => {
     // Add computed fields
     safeSettings.steam_api_configured = !!settings.steam_api_key;
     safeSettings.api_refresh_interval = settings.api_refresh_interval || 0;
+    safeSettings.login_max_concurrent = settings.login_max_concurrent ?? config.loginQueue.maxConcurrent;
+    safeSettings.login_min_spacing = settings.login_min_spacing ?? config.loginQueue.minSpacing;
+    safeSettings.max_idling_accounts = settings.max_idling_accounts ?? config.idleQueue.maxIdling;
+    safeSettings.request_free_licenses = settings.request_free_licenses ?? 'false';
+    safeSettings.audit_retention_days = settings.audit_retention_days ?? config.audit.retentionDays;
+    safeSettings.ban_action = settings.ban_action || 'stop_account';
+    safeSettings.chat_auto_reply = settings.chat_auto_reply || '';
+    safeSettings.chat_auto_reply_cooldown = settings.chat_auto_reply_cooldown ?? config.autoReply.defaultCooldown;
 
     res.json(safeSettings);
   } catch (err) {
@@ -32,18 +43,83 @@ router.get('/api/settings', (req, res) => {
 // Update settings
 router.put('/api/settings', (req, res) => {
   try {
-    const { default_persona_state, auto_start, log_retention_days } = req.body;
+    const {
+      default_persona_state, auto_start, log_retention_days, login_max_concurrent, login_min_spacing,
+      chat_auto_reply, chat_auto_reply_cooldown, request_free_licenses, ban_action, max_idling_accounts,
+      audit_retention_days
+    } = req.body;
+
+    // Check every field before saving any, so a bad value leaves nothing half-saved
+    const updates = {};
+
+    if (login_max_concurrent !== undefined) {
+      const value = parseInt(login_max_concurrent, 10);
+      if (isNaN(value) || value < 1 || value > 50) {
+        return res.status(400).json({ error: 'login_max_concurrent must be between 1 and 50' });
+      }
+      updates.login_max_concurrent = value;
+    }
+    if (login_min_spacing !== undefined) {
+      const value = parseInt(login_min_spacing, 10);
+      if (isNaN(value) || value < 0 || value > 10 * 60 * 1000) {
+        return res.status(400).json({ error: 'login_min_spacing must be between 0 and 600000 ms' });
+      }
+      updates.login_min_spacing = value;
+    }
+    if (max_idling_accounts !== undefined) {
+      const value = parseInt(max_idling_accounts, 10);
+      if (isNaN(value) || value < 0 || value > 1000) {
+        return res.status(400).json({ error: 'max_idling_accounts must be between 0 and 1000' });
+      }
+      updates.max_idling_accounts = value;
+    }
+    if (audit_retention_days !== undefined) {
+      const value = parseInt(audit_retention_days, 10);
+      const min = config.audit.minRetentionDays;
+      if (isNaN(value) || value < 0 || (value > 0 && value < min) || value > 3650) {
+        return res.status(400).json({ error: `audit_retention_days must be between ${min} and 3650, or 0 to keep entries forever` });
+      }
+      updates.audit_retention_days = value;
+    }
+    if (chat_auto_reply !== undefined) {
+      if (typeof chat_auto_reply !== 'string' || chat_auto_reply.length > config.autoReply.maxLength) {
+        return res.status(400).json({ error: `chat_auto_reply must be text of at most ${config.autoReply.maxLength} characters` });
+      }
+      updates.chat_auto_reply = chat_auto_reply;
+    }
+    if (chat_auto_reply_cooldown !== undefined) {
+      const value = parseInt(chat_auto_reply_cooldown, 10);
+      if (isNaN(value) || value < 0 || value > config.autoReply.maxCooldown) {
+        return res.status(400).json({ error: `chat_auto_reply_cooldown must be between 0 and ${config.autoReply.maxCooldown} minutes` });
+      }
+      updates.chat_auto_reply_cooldown = value;
+    }
+    if (ban_action !== undefined) {
+      if (!BAN_ACTIONS.includes(ban_action)) {
+        return res.status(400).json({ error: `ban_action must be one of: ${BAN_ACTIONS.join(', ')}` });
+      }
+      updates.ban_action = ban_action;
+    }
 
     if (default_persona_state !== undefined) {
-      db.settings.set('default_persona_state', default_persona_state);
+      updates.default_persona_state = default_persona_state;
     }
     if (auto_start !== undefined) {
-      db.settings.set('auto_start', auto_start);
+      updates.auto_start = auto_start;
     }
     if (log_retention_days !== undefined) {
-      db.settings.set('log_retention_days', log_retention_days);
+      updates.log_retention_days = log_retention_days;
+    }
+    if (request_free_licenses !== undefined) {
+      updates.request_free_licenses = String(request_free_licenses) === 'true' ? 'true' : 'false';
     }
 
+    db.batch(() => {
+      for (const [key, value] of Object.entries(updates)) {
+        db.settings.set(key, value);
+      }
+    });
+
     logger.info('Settings updated');
     res.json({ success: true });
   } catch (err) {
@@ -62,46 +138,60 @@ router.delete('/api/logs', (req, res) => {
   }
 });
 
-// Reset all data
+/**
+ * Reset all data. Deletes accounts (with their games, sessions, schedules
+ * and keys), MAFiles, the proxy pool, logs, every other user, all API
+ * tokens and every other web session. Keeps the admin making the request,
+ * with their password, key copy and two-factor, so they stay signed in, and
+ * keeps the audit log, which is append-only and records the reset itself.
+ */
 router.post('/api/reset', (req, res) => {
+  if (req.apiToken || req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Only an admin signed in to the dashboard can reset all data' });
+  }
+
   try {
     const steamService = require('../services/steamService');
 
     // Stop all idling first
     steamService.logoutAll();
 
-    // Clear all tables (except the current user)
-    const currentUserId = req.session.userId;
+    const currentUserId = req.user.id;
 
-    // Delete accounts (cascades to account_games, sessions)
-    const accounts = db.accounts.findAll();
-    for (const acc of accounts) {
-      db.accounts.delete(acc.id);
-    }
+    db.batch(() => {
+      // Delete accounts (cascades to account_games, sessions)
+      for (const acc of db.accounts.findAll()) {
+        db.accounts.delete(acc.id);
+      }
 
-    // Delete MAFiles
-    const mafiles = db.mafiles.findAll();
-    for (const mf of mafiles) {
-      db.mafiles.delete(mf.id);
-    }
+      for (const mf of db.mafiles.findAll()) {
+        db.mafiles.delete(mf.id);
+      }
 
-    // Clear logs
-    db.logs.cleanup(0);
+      for (const proxy of db.proxies.findAll()) {
+        db.proxies.delete(proxy.id);
+      }
 
-    // Clear settings
-    db.settings.set('default_persona_state', 1);
-    db.settings.set('auto_start', 'true');
-    db.settings.set('log_retention_days', 7);
+      // Other users lose their access along with their tokens and sessions
+      db.users.deleteAllExcept(currentUserId);
+      db.apiTokens.deleteAll();
+      db.webSessions.destroyOthers(req.sessionID);
 
-    // Clear encryption and API settings
-    db.settings.set('steam_api_key', null);
-    db.settings.set('api_refresh_interval', 0);
+      // Clear logs
+      db.logs.cleanup(0);
 
-    // Delete all users except current
-    // Since we only support single user, just redirect to setup
-    // We keep the user so they can still reset without being locked out
+      // Clear settings
+      db.settings.set('default_persona_state', 1);
+      db.settings.set('auto_start', 'true');
+      db.settings.set('log_retention_days', 7);
+
+      // Clear encryption and API settings
+      db.settings.set('steam_api_key', null);
+      db.settings.set('api_refresh_interval', 0);
+    });
+    eventStream.closeOtherSessions(req.sessionID);
 
-    logger.info('All data has been reset');
+    logger.info(`All data has been reset by ${req.user.username}`);
     res.json({ success: true });
   } catch (err) {
     res.status(500).json({ error: err.message });
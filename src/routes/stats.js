@@ -1,5 +1,22 @@
 const express = require('express');
 const router = express.Router();
+const { filterAccounts } = require('../middleware/permissions');
+
+/**
+ * Account info Steam reported on the last login, null before the first report
+ */
+function accountInfo(account) {
+  if (account.limited_account === null || account.limited_account === undefined) return null;
+  return {
+    limited: !!account.limited_account,
+    locked: !!account.locked_account,
+    community_banned: !!account.community_banned,
+    email_verified: account.email_verified === null ? null : !!account.email_verified,
+    wallet_balance: account.wallet_balance ?? null,
+    wallet_currency: account.wallet_currency || null,
+    license_count: account.license_count ?? null
+  };
+}
 
 // Get stats page
 router.get('/stats', (req, res) => {
@@ -18,7 +35,7 @@ router.get('/api/stats', async (req, res) => {
     const db = require('../models/database');
 
     // Get all accounts with their playtime data
-    const accounts = db.accounts.findAll();
+    const accounts = filterAccounts(req.user, db.accounts.findAll());
 
     const accountStats = await Promise.all(accounts.map(async (acc) => {
       // Get playtime data for this account
@@ -89,7 +106,8 @@ router.get('/api/stats', async (req, res) => {
           playtime_2weeks: p.playtime_2weeks
         })),
         api_last_refresh: acc.api_last_refresh,
-        is_private_profile: isPrivateProfile
+        is_private_profile: isPrivateProfile,
+        account_info: accountInfo(acc)
       };
     }));
 
@@ -98,13 +116,15 @@ router.get('/api/stats', async (req, res) => {
     const activeIdling = accounts.filter(a => a.is_idling).length;
     const totalBoostTime = accountStats.reduce((sum, a) => sum + a.total_boost_time, 0);
     const totalLibraryHours = accountStats.reduce((sum, a) => sum + a.total_library_playtime, 0);
+    const limitedAccounts = accounts.filter(a => a.limited_account).length;
 
     res.json({
       summary: {
         total_accounts: totalAccounts,
         active_idling: activeIdling,
         total_boost_minutes: totalBoostTime,
-        total_library_minutes: totalLibraryHours
+        total_library_minutes: totalLibraryHours,
+        limited_accounts: limitedAccounts
       },
       accounts: accountStats
     });
@@ -128,6 +148,7 @@ router.param('id', (req, res, next, value) => {
 router.get('/api/stats/:id', async (req, res) => {
   try {
     const db = require('../models/database');
+    const banMonitor = require('../services/banMonitor');
     const accountId = parseInt(req.params.id);
 
     const account = db.accounts.findById(accountId);
@@ -170,7 +191,12 @@ router.get('/api/stats/:id', async (req, res) => {
         username: account.username,
         display_name: account.display_name,
         avatar_url: account.avatar_url,
-        steam_id: account.steam_id
+        steam_id: account.steam_id,
+        vac_banned: !!account.vac_banned,
+        game_bans: account.game_bans || 0,
+        trade_banned: !!account.trade_banned,
+        community_banned: !!account.community_banned,
+        account_info: accountInfo(account)
       },
       playtime: playtimeData.map(p => ({
         app_id: p.app_id,
@@ -182,7 +208,8 @@ router.get('/api/stats/:id', async (req, res) => {
         total_boost_minutes: totalBoostMinutes,
         total_sessions: sessions.length
       },
-      recent_sessions: sessionHistory.slice(0, 20)
+      recent_sessions: sessionHistory.slice(0, 20),
+      ban_history: banMonitor.getTimeline(accountId)
     });
   } catch (err) {
     const logger = require('../services/logger');
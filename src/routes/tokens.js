@@ -0,0 +1,51 @@
+const express = require('express');
+const router = express.Router();
+const apiTokens = require('../services/apiTokens');
+
+// Validate :id parameter
+router.param('id', (req, res, next, value) => {
+  const id = parseInt(value, 10);
+  if (isNaN(id) || id < 1) {
+    return res.status(400).json({ error: 'Invalid ID' });
+  }
+  next();
+});
+
+// Tokens are managed from the web UI only, a token can't mint or revoke others
+router.use('/api/tokens', (req, res, next) => {
+  if (req.apiToken) {
+    return res.status(403).json({ error: 'API tokens are managed from the web UI' });
+  }
+  next();
+});
+
+// List the current user's tokens
+router.get('/api/tokens', (req, res) => {
+  try {
+    res.json(apiTokens.list(req.session.userId));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Create a token (the token is only ever returned here)
+router.post('/api/tokens', (req, res) => {
+  try {
+    const token = apiTokens.create(req.session.userId, req.body);
+    res.json({ success: true, ...token });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Revoke a token
+router.delete('/api/tokens/:id', (req, res) => {
+  try {
+    apiTokens.revoke(req.session.userId, parseInt(req.params.id));
+    res.json({ success: true });
+  } catch (err) {
+    res.status(404).json({ error: err.message });
+  }
+});
+
+module.exports = router;
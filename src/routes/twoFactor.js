@@ -0,0 +1,61 @@
+const express = require('express');
+const router = express.Router();
+const twoFactor = require('../services/twoFactor');
+
+// Two-factor is managed from the web UI only, not with API tokens
+router.use('/api/2fa', (req, res, next) => {
+  if (req.apiToken) {
+    return res.status(403).json({ error: 'Two-factor authentication is managed from the web UI' });
+  }
+  next();
+});
+
+// Two-factor state of the current user
+router.get('/api/2fa', (req, res) => {
+  try {
+    res.json(twoFactor.status(req.session.userId));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Start enrollment: new secret and otpauth:// URI for the authenticator app
+router.post('/api/2fa/setup', (req, res) => {
+  try {
+    res.json({ success: true, ...twoFactor.setup(req.session.userId) });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Confirm a code and turn two-factor on (recovery codes are only returned here)
+router.post('/api/2fa/enable', (req, res) => {
+  try {
+    const recoveryCodes = twoFactor.enable(req.session.userId, req.body.code);
+    res.json({ success: true, recovery_codes: recoveryCodes });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Turn two-factor off (requires the password)
+router.post('/api/2fa/disable', async (req, res) => {
+  try {
+    await twoFactor.disable(req.session.userId, req.body.password);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Replace the recovery codes (requires the password)
+router.post('/api/2fa/recovery-codes', async (req, res) => {
+  try {
+    const recoveryCodes = await twoFactor.regenerateRecoveryCodes(req.session.userId, req.body.password);
+    res.json({ success: true, recovery_codes: recoveryCodes });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,69 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../models/database');
+const userManager = require('../services/userManager');
+
+// Validate :id parameter
+router.param('id', (req, res, next, value) => {
+  const id = parseInt(value, 10);
+  if (isNaN(id) || id < 1) {
+    return res.status(400).json({ error: 'Invalid user ID' });
+  }
+  next();
+});
+
+// Signed-in user with their role and account list
+router.get('/api/me', (req, res) => {
+  res.json(req.user);
+});
+
+// List users (admin)
+router.get('/api/users', (req, res) => {
+  try {
+    res.json(userManager.list());
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Create user (admin)
+router.post('/api/users', async (req, res) => {
+  try {
+    const user = await userManager.create(req.body);
+    res.json({ success: true, user });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Change role, account list or password (admin)
+router.put('/api/users/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (!db.users.findById(id)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const user = await userManager.update(id, req.body);
+    res.json({ success: true, user });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Delete user (admin)
+router.delete('/api/users/:id', (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (!db.users.findById(id)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    userManager.remove(id, req.user.id);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+module.exports = router;
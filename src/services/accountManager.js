@@ -1,8 +1,53 @@
 const db = require('../models/database');
 const config = require('../config');
 const logger = require('./logger');
+const eventStream = require('./eventStream');
 const { encryptAccountCredentials, decryptAccountCredentials, getEncryptionKey } = require('../middleware/auth');
 
+const ROTATION_MODES = ['off', 'round_robin', 'least_played'];
+const CONFLICT_POLICIES = ['yield', 'kick', 'stop_day'];
+
+/**
+ * Validate a custom (non-Steam) game title
+ * @returns {string} Trimmed title
+ */
+function normalizeTitle(title) {
+  const trimmed = String(title).trim();
+  if (!trimmed) {
+    throw new Error('Custom title cannot be empty');
+  }
+  if (trimmed.length > config.maxCustomTitleLength) {
+    throw new Error(`Custom title must be at most ${config.maxCustomTitleLength} characters`);
+  }
+  return trimmed;
+}
+
+/**
+ * Split a mixed game list into Steam games and custom titles.
+ * App IDs and { app_id, app_name } entries are Steam games; { title } entries
+ * and non-numeric strings are custom titles.
+ * @returns {Object} { apps, titles }
+ */
+function splitGames(games) {
+  const apps = [];
+  const titles = [];
+
+  for (const game of games) {
+    const isTitle = game && typeof game === 'object'
+      ? game.title !== undefined
+      : typeof game === 'string' && !/^\d+$/.test(game.trim());
+
+    if (isTitle) {
+      const title = normalizeTitle(typeof game === 'object' ? game.title : game);
+      if (!titles.includes(title)) titles.push(title);
+    } else {
+      apps.push(game);
+    }
+  }
+
+  return { apps, titles };
+}
+
 class AccountManager {
   constructor() {
     this.steamSessions = new Map(); // accountId -> SteamSession instance
@@ -53,9 +98,13 @@ class AccountManager {
     logger.debug(`Account created with ID: ${accountId}`);
 
     // Set games (default to CS2 if not specified)
-    const games = data.games && data.games.length > 0 ? data.games : config.defaultGames;
+    const { apps, titles } = splitGames(data.games || []);
+    const games = apps.length > 0 ? apps : config.defaultGames;
     db.games.setGames(accountId, games);
-    logger.debug(`Set ${games.length} games for account`);
+    if (titles.length > 0) {
+      db.customGames.set(accountId, titles);
+    }
+    logger.debug(`Set ${games.length} games and ${titles.length} custom titles for account`);
 
     // Link MAFile if provided
     if (data.mafile_id) {
@@ -113,6 +162,7 @@ class AccountManager {
     if (!account) return null;
 
     account.games = db.games.getGames(id);
+    account.custom_games = db.customGames.getByAccount(id);
     return account;
   }
 
@@ -122,8 +172,10 @@ class AccountManager {
   getAll() {
     const accounts = db.accounts.findAll();
     const allGames = db.games.getAllGrouped();
+    const allCustom = db.customGames.getAllGrouped();
     return accounts.map(acc => {
       acc.games = allGames[acc.id] || [];
+      acc.custom_games = allCustom[acc.id] || [];
       return acc;
     });
   }
@@ -140,12 +192,85 @@ class AccountManager {
     // Update account fields
     const updateData = {};
     if (data.username) updateData.username = data.username;
+    if (data.username && data.username !== account.username) {
+      // A refresh token belongs to the old account name
+      updateData.refresh_token = null;
+      updateData.refresh_token_expires = null;
+    }
     if (data.password) updateData.password = data.password;
     if (data.shared_secret !== undefined) updateData.shared_secret = data.shared_secret;
     if (data.identity_secret !== undefined) updateData.identity_secret = data.identity_secret;
     if (data.display_name !== undefined) updateData.display_name = data.display_name;
     if (data.persona_state !== undefined) updateData.persona_state = data.persona_state;
 
+    if (data.rotation_mode !== undefined) {
+      if (!ROTATION_MODES.includes(data.rotation_mode)) {
+        throw new Error(`rotation_mode must be one of: ${ROTATION_MODES.join(', ')}`);
+      }
+      updateData.rotation_mode = data.rotation_mode;
+    }
+
+    if (data.rotation_interval !== undefined) {
+      const interval = parseInt(data.rotation_interval, 10);
+      const { minInterval, maxInterval } = config.rotation;
+      if (isNaN(interval) || interval < minInterval || interval > maxInterval) {
+        throw new Error(`rotation_interval must be between ${minInterval} and ${maxInterval} minutes`);
+      }
+      updateData.rotation_interval = interval;
+    }
+
+    // What to do when the owner plays on another device
+    if (data.conflict_policy !== undefined) {
+      if (!CONFLICT_POLICIES.includes(data.conflict_policy)) {
+        throw new Error(`conflict_policy must be one of: ${CONFLICT_POLICIES.join(', ')}`);
+      }
+      updateData.conflict_policy = data.conflict_policy;
+    }
+
+    if (data.conflict_grace !== undefined) {
+      const grace = parseInt(data.conflict_grace, 10);
+      const { minGrace, maxGrace } = config.conflict;
+      if (isNaN(grace) || grace < minGrace || grace > maxGrace) {
+        throw new Error(`conflict_grace must be between ${minGrace} and ${maxGrace} minutes`);
+      }
+      updateData.conflict_grace = grace;
+    }
+
+    // Fair-share weight under the global idle cap
+    if (data.priority_weight !== undefined) {
+      const weight = parseInt(data.priority_weight, 10);
+      if (isNaN(weight) || weight < 1 || weight > config.idleQueue.maxWeight) {
+        throw new Error(`priority_weight must be between 1 and ${config.idleQueue.maxWeight}`);
+      }
+      updateData.priority_weight = weight;
+    }
+
+    // Chat auto-reply override: null = global template, '' = no replies
+    if (data.auto_reply !== undefined) {
+      if (data.auto_reply !== null && typeof data.auto_reply !== 'string') {
+        throw new Error('auto_reply must be a string or null');
+      }
+      if (data.auto_reply && data.auto_reply.length > config.autoReply.maxLength) {
+        throw new Error(`auto_reply must be at most ${config.autoReply.maxLength} characters`);
+      }
+      updateData.auto_reply = data.auto_reply;
+    }
+
+    // Validate games against the limit that will apply after this update
+    const games = data.games ? splitGames(data.games) : null;
+    if (games) {
+      const rotationMode = updateData.rotation_mode || account.rotation_mode;
+      this.checkGameLimit(games.apps.length, rotationMode, games.titles.length);
+    } else if (updateData.rotation_mode === 'off') {
+      // Without rotation the stored list has to fit in one go; games past
+      // their hour target are not idled, so they don't count
+      const idled = db.games.getGames(id).filter(g => !g.target_reached_at);
+      const count = idled.length + db.customGames.getByAccount(id).length;
+      if (count > config.maxGamesPerAccount) {
+        throw new Error(`Game rotation can only be turned off with at most ${config.maxGamesPerAccount} games, custom titles included (this account has ${count})`);
+      }
+    }
+
     if (Object.keys(updateData).length > 0) {
       // Encrypt sensitive fields before saving
       const encryptedData = encryptAccountCredentials(updateData);
@@ -153,8 +278,9 @@ class AccountManager {
     }
 
     // Update games if provided
-    if (data.games) {
-      db.games.setGames(id, data.games);
+    if (games) {
+      db.games.setGames(id, games.apps);
+      db.customGames.set(id, games.titles);
     }
 
     logger.info(`Updated account: ${account.username}`, id);
@@ -183,7 +309,13 @@ class AccountManager {
    * Update account status
    */
   updateStatus(id, status, lastError = null) {
+    // Only look up the previous status when someone is listening
+    const previous = eventStream.hasClients() ? db.accounts.findById(id) : null;
     db.accounts.updateStatus(id, status, lastError);
+
+    if (previous && (previous.status !== status || previous.last_error !== lastError)) {
+      eventStream.publish('status', { account_id: id, status, last_error: lastError, previous: previous.status });
+    }
   }
 
   /**
@@ -193,6 +325,24 @@ class AccountManager {
     db.accounts.setIdling(id, isIdling);
   }
 
+  /**
+   * Store a Steam refresh token (encrypted) for token logons
+   * @param {Date|null} expiresAt - Token expiry from its JWT payload
+   */
+  saveRefreshToken(id, token, expiresAt = null) {
+    db.accounts.update(id, encryptAccountCredentials({
+      refresh_token: token,
+      refresh_token_expires: expiresAt ? expiresAt.toISOString() : null
+    }));
+  }
+
+  /**
+   * Forget the stored refresh token
+   */
+  clearRefreshToken(id) {
+    db.accounts.update(id, { refresh_token: null, refresh_token_expires: null });
+  }
+
   /**
    * Get account games
    */
@@ -205,9 +355,8 @@ class AccountManager {
    */
   addGame(accountId, appId, appName = null) {
     const games = db.games.getGames(accountId);
-    if (games.length >= config.maxGamesPerAccount) {
-      throw new Error(`Maximum ${config.maxGamesPerAccount} games per account`);
-    }
+    const titles = db.customGames.getByAccount(accountId);
+    this.checkGameLimit(games.length + 1, db.accounts.findById(accountId)?.rotation_mode, titles.length);
 
     db.games.addGame(accountId, appId, appName);
     logger.info(`Added game ${appId} to account ${accountId}`, accountId);
@@ -222,15 +371,66 @@ class AccountManager {
   }
 
   /**
-   * Set account games
+   * Add a custom (non-Steam) title to the account's playing status
+   * @returns {string} Stored title
+   */
+  addCustomGame(accountId, title) {
+    const normalized = normalizeTitle(title);
+    const games = db.games.getGames(accountId);
+    const titles = db.customGames.getByAccount(accountId);
+    if (titles.some(t => t.title === normalized)) {
+      throw new Error('Custom title already added');
+    }
+    this.checkGameLimit(games.length, db.accounts.findById(accountId)?.rotation_mode, titles.length + 1);
+
+    db.customGames.add(accountId, normalized);
+    logger.info(`Added custom title "${normalized}" to account ${accountId}`, accountId);
+    return normalized;
+  }
+
+  /**
+   * Remove a custom title from an account
+   */
+  removeCustomGame(accountId, customId) {
+    const row = db.customGames.findById(customId);
+    if (!row || row.account_id !== accountId) {
+      throw new Error('Custom title not found');
+    }
+
+    db.customGames.remove(accountId, customId);
+    logger.info(`Removed custom title "${row.title}" from account ${accountId}`, accountId);
+  }
+
+  /**
+   * Set account games (app IDs and custom titles, see splitGames)
    */
   setGames(accountId, games) {
-    if (games.length > config.maxGamesPerAccount) {
-      throw new Error(`Maximum ${config.maxGamesPerAccount} games per account`);
+    const { apps, titles } = splitGames(games);
+    this.checkGameLimit(apps.length, db.accounts.findById(accountId)?.rotation_mode, titles.length);
+
+    db.games.setGames(accountId, apps);
+    db.customGames.set(accountId, titles);
+    logger.info(`Set ${apps.length} games and ${titles.length} custom titles for account ${accountId}`, accountId);
+  }
+
+  /**
+   * Enforce the per-account game cap. Custom titles take a slot each and are
+   * shown in every rotation slice. Accounts with rotation enabled may keep any
+   * number of games since only one slice is played at a time.
+   */
+  checkGameLimit(count, rotationMode, titleCount = 0) {
+    const max = config.maxGamesPerAccount;
+
+    if (rotationMode && rotationMode !== 'off') {
+      if (titleCount >= max) {
+        throw new Error(`At most ${max - 1} custom titles with game rotation (at least one slot must stay free for games)`);
+      }
+      return;
     }
 
-    db.games.setGames(accountId, games);
-    logger.info(`Set ${games.length} games for account ${accountId}`, accountId);
+    if (count + titleCount > max) {
+      throw new Error(`Maximum ${max} games per account, custom titles included (enable game rotation to idle more)`);
+    }
   }
 
   /**
@@ -263,6 +463,7 @@ class AccountManager {
     // Decrypt credentials
     const decrypted = decryptAccountCredentials(account);
     decrypted.games = db.games.getGames(id);
+    decrypted.custom_games = db.customGames.getByAccount(id);
     return decrypted;
   }
 
@@ -272,8 +473,10 @@ class AccountManager {
   search(query) {
     const accounts = db.accounts.search(query);
     const allGames = db.games.getAllGrouped();
+    const allCustom = db.customGames.getAllGrouped();
     return accounts.map(acc => {
       acc.games = allGames[acc.id] || [];
+      acc.custom_games = allCustom[acc.id] || [];
       return acc;
     });
   }
@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const config = require('../config');
+const db = require('../models/database');
+const logger = require('./logger');
+const eventStream = require('./eventStream');
+
+const SCOPES = ['read', 'control', 'admin'];
+const TOKEN_PREFIX = 'hb_';
+
+// Requests a control token may make on top of reading
+const CONTROL_ROUTES = [
+  /^\/api\/accounts\/(start|stop)-all$/,
+  /^\/api\/accounts\/\d+\/(start|stop|refresh|steam-guard)$/,
+  /^\/api\/accounts\/\d+\/cards\/(farm|stop)$/
+];
+
+// Reads open to read and control tokens: account state and statistics.
+// Everything else (secrets, settings, proxies, users, the audit log) needs
+// an admin token.
+const READ_ROUTES = [
+  /^\/api\/(dashboard|stats|events|me)$/,
+  /^\/api\/stats\/\d+$/,
+  /^\/api\/games\/common$/,
+  /^\/api\/accounts(\/search)?$/,
+  /^\/api\/accounts\/\d+(\/(status|steam-guard|games|games\/auto|targets|playtime|logs|cards|schedule|humanize|persona))?$/
+];
+
+// Requests no token may make, whatever its scope: they change how people
+// sign in or who has access, so they need a signed-in session
+const SESSION_ROUTES = [
+  /^\/api\/settings\/password$/,
+  /^\/api\/2fa(\/|$)/,
+  /^\/api\/users(\/|$)/,
+  /^\/api\/tokens(\/|$)/,
+  /^\/api\/reset$/
+];
+
+/**
+ * Whether a path is closed to API tokens
+ */
+function isSessionOnly(path) {
+  return SESSION_ROUTES.some(route => route.test(path));
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// SQLite CURRENT_TIMESTAMP format (UTC) so expiry compares in SQL
+function toDbTime(date) {
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * API Tokens
+ * Named bearer tokens for scripting the REST API. Only a hash of each
+ * token is stored, the token itself is shown once when it is created.
+ */
+class ApiTokens {
+  constructor() {
+    this.lastTouched = new Map(); // token id -> ms of last last_used_at write
+  }
+
+  /**
+   * Create a token
+   * @param {number} userId - Owning web UI user
+   * @param {Object} options - { name, scope, expires_in_days: null for never }
+   * @returns {Object} { id, name, scope, expires_at, token }
+   */
+  create(userId, { name, scope = 'read', expires_in_days = null } = {}) {
+    name = typeof name === 'string' ? name.trim() : '';
+    if (!name) {
+      throw new Error('Token name is required');
+    }
+    if (name.length > config.apiTokens.maxNameLength) {
+      throw new Error(`Token name must be at most ${config.apiTokens.maxNameLength} characters`);
+    }
+    if (!SCOPES.includes(scope)) {
+      throw new Error(`scope must be one of: ${SCOPES.join(', ')}`);
+    }
+
+    let expiresAt = null;
+    if (expires_in_days !== null && expires_in_days !== undefined && expires_in_days !== '') {
+      const days = Number(expires_in_days);
+      if (!Number.isInteger(days) || days < 1) {
+        throw new Error('expires_in_days must be a positive whole number');
+      }
+      expiresAt = toDbTime(new Date(Date.now() + days * 24 * 60 * 60 * 1000));
+    }
+
+    if (db.apiTokens.countByUser(userId) >= config.apiTokens.maxPerUser) {
+      throw new Error(`At most ${config.apiTokens.maxPerUser} tokens per user`);
+    }
+
+    const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('hex');
+    const result = db.apiTokens.create({
+      user_id: userId,
+      name,
+      scope,
+      token_hash: hashToken(token),
+      token_hint: token.slice(-4),
+      expires_at: expiresAt
+    });
+
+    logger.info(`API token "${name}" created with ${scope} scope`, null, 'AUTH');
+    return { id: result.lastInsertRowid, name, scope, expires_at: expiresAt, token };
+  }
+
+  /**
+   * List a user's tokens (never includes the token itself)
+   */
+  list(userId) {
+    return db.apiTokens.findByUser(userId).map(row => ({ ...row, expired: !!row.expired }));
+  }
+
+  /**
+   * Revoke one of a user's tokens
+   */
+  revoke(userId, id) {
+    const result = db.apiTokens.delete(id, userId);
+    if (!result.changes) {
+      throw new Error('Token not found');
+    }
+
+    this.lastTouched.delete(id);
+    eventStream.closeToken(id);
+    logger.info(`API token ${id} revoked`, null, 'AUTH');
+  }
+
+  /**
+   * Look up an unexpired token and record its use
+   * @param {string} token - Token from the Authorization header
+   * @returns {Object|null} Token row
+   */
+  authenticate(token) {
+    if (typeof token !== 'string' || !token.startsWith(TOKEN_PREFIX)) {
+      return null;
+    }
+
+    const row = db.apiTokens.findActiveByHash(hashToken(token));
+    if (!row) {
+      return null;
+    }
+
+    // Every write saves the whole database, so don't do it on every request
+    const now = Date.now();
+    if (now - (this.lastTouched.get(row.id) || 0) >= config.apiTokens.touchInterval) {
+      db.apiTokens.touch(row.id);
+      this.lastTouched.set(row.id, now);
+    }
+
+    return row;
+  }
+
+  /**
+   * Whether a scope permits a request
+   * @param {string} scope - read, control or admin
+   * @param {string} method - HTTP method
+   * @param {string} path - Request path
+   */
+  allows(scope, method, path) {
+    if (isSessionOnly(path)) return false;
+    if (scope === 'admin') return true;
+    if (method === 'GET' || method === 'HEAD') {
+      return SCOPES.includes(scope) && READ_ROUTES.some(route => route.test(path));
+    }
+    return scope === 'control' && method === 'POST' && CONTROL_ROUTES.some(route => route.test(path));
+  }
+}
+
+// Export singleton instance and helpers
+module.exports = new ApiTokens();
+module.exports.SCOPES = SCOPES;
+module.exports.hashToken = hashToken;
+module.exports.isSessionOnly = isSessionOnly;
@@ -0,0 +1,137 @@
+const config = require('../config');
+const db = require('../models/database');
+const logger = require('./logger');
+
+const OUTCOMES = ['success', 'denied', 'failed'];
+const CSV_COLUMNS = [
+  'timestamp', 'username', 'api_token', 'ip', 'method', 'route',
+  'account_id', 'account_ids', 'account_name', 'status', 'outcome', 'error'
+];
+
+/**
+ * Quote a CSV cell. Cells that start like a formula are prefixed with a
+ * quote so spreadsheets don't run them (usernames and routes are user input).
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Audit Log
+ * Append-only record of who did what through the dashboard and the API.
+ * Entries are written by the auditTrail middleware and kept for their own
+ * retention period, independent of the activity logs. The period can't be
+ * set below config.audit.minRetentionDays, so an admin can't use it to
+ * clear recent entries.
+ */
+class AuditLog {
+  constructor() {
+    this.cleanupInterval = null;
+  }
+
+  /**
+   * Outcome of a request from its response status
+   * @param {number} status - HTTP status code
+   * @returns {string} success, denied or failed
+   */
+  outcomeFor(status) {
+    if (status < 400) return 'success';
+    if (status === 401 || status === 403) return 'denied';
+    return 'failed';
+  }
+
+  /**
+   * Store an entry. Never throws, a failed write must not break the request.
+   * @param {Object} entry - { user_id, username, api_token, ip, method, route, account_id, account_name, status, error }
+   */
+  record(entry) {
+    try {
+      db.audit.add({ ...entry, outcome: this.outcomeFor(entry.status) });
+    } catch (err) {
+      logger.error(`Failed to write audit entry for ${entry.method} ${entry.route}: ${err.message}`, null, 'AUTH');
+    }
+  }
+
+  /**
+   * Entries matching the filters, newest first
+   * @param {Object} filters - { username, accountId, outcome, method, route, from, to, limit }
+   * @returns {Object[]} Entries
+   */
+  search(filters = {}) {
+    return db.audit.find(filters);
+  }
+
+  /**
+   * Render entries as CSV
+   * @param {Object[]} rows - Entries from search()
+   * @returns {string} CSV with a header row
+   */
+  toCsv(rows) {
+    const lines = [CSV_COLUMNS.join(',')];
+    for (const row of rows) {
+      lines.push(CSV_COLUMNS.map(column => csvCell(row[column])).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Days to keep entries (audit_retention_days setting, 0 = forever),
+   * never less than the minimum
+   */
+  getRetentionDays() {
+    const days = parseInt(db.settings.get('audit_retention_days', config.audit.retentionDays), 10);
+    if (isNaN(days)) return config.audit.retentionDays;
+    return days <= 0 ? 0 : Math.max(days, config.audit.minRetentionDays);
+  }
+
+  /**
+   * Drop entries older than the retention period
+   */
+  cleanup() {
+    const days = this.getRetentionDays();
+    if (days <= 0) return;
+
+    try {
+      const result = db.audit.cleanup(days);
+      if (result.changes > 0) {
+        logger.info(`Cleaned up ${result.changes} audit entries older than ${days} days`);
+      }
+    } catch (err) {
+      logger.error(`Failed to clean up audit entries: ${err.message}`);
+    }
+  }
+
+  /**
+   * Run the retention cleanup now and then daily
+   */
+  start() {
+    this.stop();
+
+    this.cleanupInterval = setInterval(() => {
+      this.cleanup();
+    }, 24 * 60 * 60 * 1000);
+    this.cleanupInterval.unref();
+
+    this.cleanup();
+  }
+
+  stop() {
+    if (this.cleanupInterval) {
+      clearInterval(this.cleanupInterval);
+      this.cleanupInterval = null;
+    }
+  }
+}
+
+// Export singleton instance and helpers
+module.exports = new AuditLog();
+module.exports.OUTCOMES = OUTCOMES;
+module.exports.csvCell = csvCell;
@@ -0,0 +1,84 @@
+const db = require('../models/database');
+const config = require('../config');
+
+/**
+ * Fill {friend} and {account} placeholders in a reply template
+ */
+function renderTemplate(template, vars) {
+  return template.replace(/\{(friend|account)\}/g, (match, key) => vars[key] ?? match);
+}
+
+/**
+ * Auto Responder
+ * Picks the auto-reply for an incoming friend message: the account's own
+ * template if set, otherwise the global one, at most once per friend per cooldown.
+ */
+class AutoResponder {
+  constructor() {
+    this.lastReplies = new Map(); // `${accountId}:${friendId}` -> timestamp
+  }
+
+  /**
+   * Global template and cooldown (minutes)
+   */
+  getSettings() {
+    const cooldown = parseInt(db.settings.get('chat_auto_reply_cooldown', config.autoReply.defaultCooldown), 10);
+    return {
+      template: db.settings.get('chat_auto_reply', '') || '',
+      cooldown: cooldown >= 0 ? cooldown : config.autoReply.defaultCooldown
+    };
+  }
+
+  /**
+   * Template that applies to an account ('' when replies are off)
+   * @param {Object} account - Account row (auto_reply: null = global, '' = off)
+   */
+  getTemplate(account) {
+    if (account && account.auto_reply !== null && account.auto_reply !== undefined) {
+      return account.auto_reply;
+    }
+    return this.getSettings().template;
+  }
+
+  /**
+   * Reply to send for a message, or null if replies are off or the friend is on cooldown.
+   * Starts the cooldown when a reply is returned.
+   * @param {number} accountId - Account ID
+   * @param {string} friendId - Friend's SteamID64
+   * @param {Object} vars - { friend, account } placeholder values
+   * @returns {string|null}
+   */
+  getReply(accountId, friendId, vars = {}) {
+    const template = this.getTemplate(db.accounts.findById(accountId)).trim();
+    if (!template) return null;
+
+    const key = `${accountId}:${friendId}`;
+    const last = this.lastReplies.get(key);
+    const cooldownMs = this.getSettings().cooldown * 60 * 1000;
+    if (last && Date.now() - last < cooldownMs) {
+      return null;
+    }
+
+    this.lastReplies.set(key, Date.now());
+    return renderTemplate(template, vars);
+  }
+
+  /**
+   * Forget cooldowns for an account (or all accounts)
+   */
+  reset(accountId = null) {
+    if (accountId === null) {
+      this.lastReplies.clear();
+      return;
+    }
+    for (const key of this.lastReplies.keys()) {
+      if (key.startsWith(`${accountId}:`)) {
+        this.lastReplies.delete(key);
+      }
+    }
+  }
+}
+
+// Export singleton instance and helpers
+module.exports = new AutoResponder();
+module.exports.renderTemplate = renderTemplate;
@@ -0,0 +1,188 @@
+const db = require('../models/database');
+const logger = require('./logger');
+const steamService = require('./steamService');
+const proxyService = require('./proxyService');
+
+const BAN_ACTIONS = ['stop_account', 'stop_proxy', 'none'];
+
+const BAN_LABELS = {
+  vac: 'VAC ban',
+  game: 'game ban',
+  trade: 'trade ban',
+  community: 'community ban'
+};
+
+/**
+ * Ban Monitor
+ * Compares fresh Web API ban data with what was stored for an account,
+ * records every change and protects accounts when a new ban shows up.
+ */
+class BanMonitor {
+  /**
+   * Action taken when an account gets a new ban
+   */
+  getAction() {
+    const action = db.settings.get('ban_action', 'stop_account');
+    return BAN_ACTIONS.includes(action) ? action : 'stop_account';
+  }
+
+  /**
+   * Ban changes between the stored account row and fresh GetPlayerBans data.
+   * Nothing is reported before the first refresh, which only sets the baseline.
+   * @param {Object} account - Account row before the refresh
+   * @param {Object} bans - Result of steamApiService.getPlayerBans()
+   * @returns {Object[]} [{ type, change: 'added'|'lifted', previous, current }]
+   */
+  detectChanges(account, bans) {
+    if (!account || !bans || !account.api_last_refresh) return [];
+
+    const current = {
+      vac: bans.vacBans || 0,
+      game: bans.gameBans || 0,
+      trade: bans.economyBan === 'banned' ? 1 : 0,
+      community: bans.communityBanned ? 1 : 0
+    };
+    const previous = {
+      vac: account.vac_bans ?? (account.vac_banned ? null : 0), // Count unknown for rows banned before it was stored
+      game: account.game_bans || 0,
+      trade: account.trade_banned ? 1 : 0,
+      community: account.community_banned ?? null
+    };
+
+    const changes = [];
+    for (const type of Object.keys(current)) {
+      if (previous[type] === null || previous[type] === current[type]) continue;
+      changes.push({
+        type,
+        change: current[type] > previous[type] ? 'added' : 'lifted',
+        previous: previous[type],
+        current: current[type]
+      });
+    }
+    return changes;
+  }
+
+  /**
+   * Record ban changes and run the configured action for new bans
+   * @param {number} accountId - Account ID
+   * @param {Object[]} changes - From detectChanges()
+   * @returns {string|null} Action taken, or null when no ban was added
+   */
+  handleChanges(accountId, changes) {
+    if (changes.length === 0) return null;
+
+    const added = changes.filter(c => c.change === 'added');
+    const action = added.length > 0 ? this.getAction() : null;
+
+    db.batch(() => {
+      for (const change of changes) {
+        db.banEvents.record(accountId, { ...change, action: change.change === 'added' ? action : null });
+      }
+    });
+
+    for (const change of changes) {
+      const label = BAN_LABELS[change.type];
+      if (change.change === 'added') {
+        logger.error(`New ${label} detected (${change.previous} → ${change.current})`, accountId, 'BAN');
+      } else {
+        logger.warn(`${label[0].toUpperCase()}${label.slice(1)} lifted`, accountId, 'BAN');
+      }
+    }
+
+    if (action) {
+      this.protect(accountId, action);
+    }
+    return action;
+  }
+
+  /**
+   * Store the community ban flag a live session reported and handle a change
+   * like one found by a Web API refresh
+   * @param {number} accountId - Account ID
+   * @param {boolean} banned - Community ban flag from the account limitations
+   * @returns {string|null} Action taken, or null when no ban was added
+   */
+  handleCommunityBan(accountId, banned) {
+    const account = db.accounts.findById(accountId);
+    if (!account) return null;
+
+    const previous = account.community_banned ?? null;
+    const current = banned ? 1 : 0;
+    db.accounts.update(accountId, { community_banned: current });
+
+    // The first report only sets the baseline
+    if (previous === null || previous === current) return null;
+    return this.handleChanges(accountId, [{
+      type: 'community',
+      change: current > previous ? 'added' : 'lifted',
+      previous,
+      current
+    }]);
+  }
+
+  /**
+   * Stop the banned account, or every account connecting from the same address
+   */
+  protect(accountId, action) {
+    if (action === 'stop_account') {
+      this.stopAccount(accountId);
+      logger.error('Stopped idling and turned off the schedule and humanizer after a new ban', accountId, 'BAN');
+    } else if (action === 'stop_proxy') {
+      const accountIds = this.getAccountsSharingAddress(accountId);
+      for (const id of accountIds) {
+        this.stopAccount(id);
+      }
+      logger.error(`Stopped idling on ${accountIds.length} account(s) sharing this account's address and turned off their schedule and humanizer after a new ban`, accountId, 'BAN');
+    }
+  }
+
+  /**
+   * Stop an account and keep the schedule and humanizer from starting it
+   * again; only a manual start or turning them back on resumes idling
+   */
+  stopAccount(accountId) {
+    steamService.stopIdling(accountId);
+    db.accounts.update(accountId, { humanize_enabled: 0, schedule_enabled: 0 });
+  }
+
+  /**
+   * Accounts that connect through the same proxy, or directly like this one
+   * @returns {number[]} Account IDs, including the given account
+   */
+  getAccountsSharingAddress(accountId) {
+    const addressOf = (account) => {
+      const proxy = proxyService.getForAccount(account);
+      return proxy ? `${proxy.type}://${proxy.host}:${proxy.port}` : 'direct';
+    };
+
+    const accounts = db.accounts.findAll();
+    const account = accounts.find(acc => acc.id === accountId);
+    if (!account) return [accountId];
+
+    const address = addressOf(account);
+    return accounts.filter(acc => acc.id === accountId || addressOf(acc) === address).map(acc => acc.id);
+  }
+
+  /**
+   * Ban timeline of an account, newest first
+   */
+  getTimeline(accountId) {
+    return db.banEvents.getByAccount(accountId).map(event => ({
+      type: event.ban_type,
+      change: event.change,
+      previous: event.previous,
+      current: event.current,
+      action: event.action,
+      detected_at: event.detected_at
+    }));
+  }
+}
+
+const banMonitor = new BanMonitor();
+
+// Let sessions report community bans from their account limitations
+steamService.setBanMonitor(banMonitor);
+
+// Export singleton instance and constants
+module.exports = banMonitor;
+module.exports.BAN_ACTIONS = BAN_ACTIONS;
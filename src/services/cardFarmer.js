@@ -0,0 +1,260 @@
+const db = require('../models/database');
+const config = require('../config');
+const logger = require('./logger');
+const steamService = require('./steamService');
+const { proxiedGet } = require('../utils/proxy');
+const { parseBadgePage, isBadgePage } = require('../utils/badgeParser');
+
+const FARM_MODES = ['single', 'batch'];
+const COMMUNITY_URL = 'https://steamcommunity.com';
+
+/**
+ * Card Farmer
+ * Idles games that still have trading card drops, read from the account's
+ * badge pages, and moves on as their drops run out. Runs on top of the
+ * account's SteamSession and returns to its regular games when done.
+ */
+class CardFarmer {
+  constructor() {
+    this.checkInterval = null;
+    this.checking = new Set(); // accountIds with a badge check in flight
+  }
+
+  /**
+   * Start periodic drop checks for farming accounts
+   */
+  start() {
+    this.stop();
+
+    this.checkInterval = setInterval(() => {
+      this.checkAll();
+    }, config.cardFarming.checkInterval);
+    this.checkInterval.unref();
+  }
+
+  /**
+   * Stop periodic drop checks
+   */
+  stop() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+  }
+
+  /**
+   * Fetch a steamcommunity.com page with the session's web cookies, through
+   * the account's proxy if it has one
+   * @returns {Promise<string>} Page HTML
+   */
+  async fetchPage(session, url) {
+    const cookies = await session.getWebCookies();
+    const headers = { Cookie: cookies.join('; ') };
+
+    let status;
+    let body;
+    if (session.proxy) {
+      ({ status, body } = await proxiedGet(session.proxy, url, headers));
+    } else {
+      const response = await fetch(url, { headers, redirect: 'manual' });
+      status = response.status;
+      body = await response.text();
+    }
+
+    // Steam redirects to the login page once the cookies expire
+    if ((status >= 300 && status < 400) || (status === 200 && !isBadgePage(body))) {
+      session.webCookies = null;
+      throw new Error('Steam web session expired');
+    }
+    if (status !== 200) {
+      throw new Error(`Steam Community returned ${status}`);
+    }
+    return body;
+  }
+
+  /**
+   * Read remaining card drops from every badge page
+   * @returns {Promise<Object[]>} Games with drops left: { appId, name, dropsRemaining, playtimeHours }
+   */
+  async fetchDrops(session) {
+    const base = `${COMMUNITY_URL}/profiles/${session.client.steamID}/badges/`;
+    const first = parseBadgePage(await this.fetchPage(session, `${base}?p=1`));
+    const games = [...first.games];
+
+    const pages = Math.min(first.pageCount, config.cardFarming.maxBadgePages);
+    for (let page = 2; page <= pages; page++) {
+      games.push(...parseBadgePage(await this.fetchPage(session, `${base}?p=${page}`)).games);
+    }
+
+    return games.filter(g => g.dropsRemaining > 0);
+  }
+
+  /**
+   * Start farming cards. Logs the account in first if it isn't running.
+   * @param {number} accountId - Account ID
+   * @param {string} mode - 'single' (one game at a time) or 'batch' (as many as fit)
+   */
+  async startFarming(accountId, mode = 'single') {
+    if (!FARM_MODES.includes(mode)) {
+      throw new Error(`mode must be one of: ${FARM_MODES.join(', ')}`);
+    }
+
+    let session = steamService.getSession(accountId);
+    if (!session || !session.isLoggedIn) {
+      await steamService.startIdling(accountId);
+      session = steamService.getSession(accountId);
+    }
+
+    const games = await this.fetchDrops(session);
+    if (games.length === 0) {
+      throw new Error('No card drops remaining');
+    }
+
+    session.cardFarm = { mode, games, startedAt: new Date(), drops: 0 };
+    const total = games.reduce((sum, g) => sum + g.dropsRemaining, 0);
+    logger.info(`Farming ${total} card drops in ${games.length} games (${mode})`, accountId, 'STEAM');
+    this.playNext(session);
+
+    return this.getStatus(accountId);
+  }
+
+  /**
+   * Stop farming and go back to the account's regular games
+   */
+  async stopFarming(accountId) {
+    const session = steamService.getSession(accountId);
+    if (!session || !session.cardFarm) {
+      throw new Error('Account is not farming cards');
+    }
+
+    session.cardFarm = null;
+    logger.info('Stopped card farming', accountId, 'STEAM');
+    await steamService.startIdling(accountId);
+  }
+
+  /**
+   * Games to idle next: the first game, or as many as fit in batch mode
+   */
+  nextGames(session) {
+    const { mode, games } = session.cardFarm;
+    const size = mode === 'batch' ? session.gameSlots() : 1;
+    return games.slice(0, size).map(g => g.appId);
+  }
+
+  playNext(session) {
+    const appIds = this.nextGames(session);
+    session.stopRotation();
+
+    if (!session.isIdling) {
+      session.playGames(appIds);
+    } else if (session.isLoggedIn && !session.isPaused) {
+      session.switchGames(appIds);
+    } else {
+      session.currentGames = appIds;
+    }
+  }
+
+  /**
+   * Re-read the badge pages, record cards that dropped and move on from
+   * games without drops left
+   */
+  async check(accountId) {
+    const session = steamService.getSession(accountId);
+    if (!session || !session.cardFarm || !session.isLoggedIn || this.checking.has(accountId)) return;
+
+    const farm = session.cardFarm;
+    this.checking.add(accountId);
+    try {
+      const remaining = new Map((await this.fetchDrops(session)).map(g => [g.appId, g.dropsRemaining]));
+      if (session.cardFarm !== farm) return; // Stopped while fetching
+
+      for (const game of farm.games) {
+        const left = remaining.get(game.appId) || 0;
+        const dropped = game.dropsRemaining - left;
+        if (dropped > 0) {
+          db.cardDrops.record(accountId, game.appId, game.name, dropped);
+          farm.drops += dropped;
+          logger.info(`Card drop: ${game.name || game.appId} (${left} remaining)`, accountId, 'STEAM');
+        }
+        game.dropsRemaining = left;
+      }
+      farm.games = farm.games.filter(g => g.dropsRemaining > 0);
+
+      if (farm.games.length === 0) {
+        this.finish(session);
+        return;
+      }
+
+      const next = this.nextGames(session);
+      const unchanged = next.length === session.currentGames.length &&
+        next.every((appId, i) => appId === session.currentGames[i]);
+      if (!unchanged) {
+        logger.info(`Moving on to ${next.join(', ')}`, accountId, 'STEAM');
+        this.playNext(session);
+      }
+    } catch (err) {
+      logger.warn(`Card drop check failed: ${err.message}`, accountId, 'STEAM');
+    } finally {
+      this.checking.delete(accountId);
+    }
+  }
+
+  /**
+   * Every drop is farmed: report and return to the regular games
+   */
+  finish(session) {
+    const { drops } = session.cardFarm;
+    session.cardFarm = null;
+    logger.info(`Card farming finished, ${drops} cards dropped`, session.accountId, 'STEAM');
+
+    steamService.startIdling(session.accountId).catch((err) => {
+      logger.error(`Failed to return to regular games: ${err.message}`, session.accountId, 'STEAM');
+    });
+  }
+
+  /**
+   * Check all farming accounts
+   */
+  checkAll() {
+    for (const [accountId, session] of steamService.sessions) {
+      if (session.cardFarm) {
+        this.check(accountId);
+      }
+    }
+  }
+
+  /**
+   * New-items notification from Steam, usually a card drop
+   */
+  handleNewItems(accountId, count) {
+    logger.debug(`${count} new items in inventory, checking card drops`, accountId, 'STEAM');
+    this.check(accountId);
+  }
+
+  /**
+   * Farming progress and recorded drops for an account
+   */
+  getStatus(accountId) {
+    const session = steamService.getSession(accountId);
+    const farm = session && session.cardFarm;
+
+    return {
+      farming: farm ? {
+        mode: farm.mode,
+        started_at: farm.startedAt.toISOString(),
+        drops: farm.drops,
+        current_games: session.currentGames,
+        games: farm.games.map(g => ({ app_id: g.appId, name: g.name, drops_remaining: g.dropsRemaining }))
+      } : null,
+      total_drops: db.cardDrops.getTotal(accountId),
+      recent_drops: db.cardDrops.getByAccount(accountId, 20)
+    };
+  }
+}
+
+const cardFarmer = new CardFarmer();
+
+// Let sessions forward new-item notifications
+steamService.setCardFarmer(cardFarmer);
+
+module.exports = cardFarmer;
@@ -0,0 +1,150 @@
+const config = require('../config');
+
+/**
+ * Event Stream
+ * Pushes account status changes and log entries to the web UI over
+ * Server-Sent Events. Clients that can't keep a stream open fall back to
+ * polling, so nothing here is required for the UI to work.
+ *
+ * Does not use the logger: the logger publishes every entry here.
+ */
+class EventStream {
+  constructor() {
+    this.clients = new Set(); // { res, sessionId, userId, tokenId, accountId, accountIds }
+    this.heartbeat = null;
+    this.nextId = 1;
+  }
+
+  /**
+   * Attach an HTTP response as a stream client
+   * @param {Object} res - Express response
+   * @param {Object} options - { sessionId, userId, tokenId: API token used,
+   *   accountId: only this account's events, accountIds: accounts the user
+   *   may see, null for all }
+   * @returns {boolean} False if the client limit is reached
+   */
+  addClient(res, { sessionId = null, userId = null, tokenId = null, accountId = null, accountIds = null } = {}) {
+    if (this.clients.size >= config.events.maxClients) return false;
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // Don't let reverse proxies buffer the stream
+    });
+    res.write(`retry: ${config.events.retryDelay}\n\n`);
+
+    const client = { res, sessionId, userId, tokenId, accountId, accountIds };
+    this.clients.add(client);
+    res.on('close', () => this.removeClient(client));
+
+    this.startHeartbeat();
+    return true;
+  }
+
+  /**
+   * Detach a client
+   */
+  removeClient(client) {
+    this.clients.delete(client);
+    if (this.clients.size === 0) {
+      this.stopHeartbeat();
+    }
+  }
+
+  /**
+   * Whether any client is connected
+   */
+  hasClients() {
+    return this.clients.size > 0;
+  }
+
+  /**
+   * Send an event to every client that wants it
+   * @param {string} type - Event name ('status', 'log')
+   * @param {Object} data - JSON payload, account_id is used for filtering
+   */
+  publish(type, data) {
+    if (this.clients.size === 0) return;
+
+    const message = `id: ${this.nextId++}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+    for (const client of this.clients) {
+      if (client.accountId !== null && data.account_id !== client.accountId) continue;
+      if (client.accountIds && !client.accountIds.includes(data.account_id)) continue;
+      client.res.write(message);
+    }
+  }
+
+  /**
+   * End the streams opened by a web session, e.g. on logout
+   */
+  closeSession(sessionId) {
+    this.closeMatching(client => client.sessionId === sessionId);
+  }
+
+  /**
+   * End a user's streams when their access changes or they are deleted.
+   * The browser reconnects on its own and gets the new account list.
+   */
+  closeUser(userId) {
+    this.closeMatching(client => client.userId === userId);
+  }
+
+  /**
+   * End the streams opened with a revoked API token
+   */
+  closeToken(tokenId) {
+    this.closeMatching(client => client.tokenId === tokenId);
+  }
+
+  /**
+   * End every stream but those of one web session, e.g. on reset
+   */
+  closeOtherSessions(sessionId) {
+    this.closeMatching(client => client.sessionId !== sessionId);
+  }
+
+  closeMatching(test) {
+    for (const client of this.clients) {
+      if (test(client)) {
+        client.res.end();
+        this.removeClient(client);
+      }
+    }
+  }
+
+  /**
+   * Keep idle connections open through proxies with periodic comments
+   */
+  startHeartbeat() {
+    if (this.heartbeat) return;
+
+    this.heartbeat = setInterval(() => {
+      for (const client of this.clients) {
+        client.res.write(': ping\n\n');
+      }
+    }, config.events.heartbeatInterval);
+    this.heartbeat.unref();
+  }
+
+  stopHeartbeat() {
+    if (this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+  }
+
+  /**
+   * Close all streams (server shutdown)
+   */
+  closeAll() {
+    for (const client of this.clients) {
+      client.res.end();
+    }
+    this.clients.clear();
+    this.stopHeartbeat();
+  }
+}
+
+// Export singleton instance
+module.exports = new EventStream();
@@ -0,0 +1,214 @@
+const db = require('../models/database');
+const config = require('../config');
+const logger = require('./logger');
+
+const STRATEGIES = ['least_played', 'most_played', 'under_hours', 'list'];
+
+/**
+ * Validate a list of app IDs
+ */
+function normalizeAppIds(value, field) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value)) {
+    throw new Error(`${field} must be an array of app IDs`);
+  }
+  if (value.length > config.gameSelection.maxListSize) {
+    throw new Error(`${field} can have at most ${config.gameSelection.maxListSize} app IDs`);
+  }
+
+  const appIds = value.map(v => parseInt(v, 10));
+  if (appIds.some(id => isNaN(id) || id < 1)) {
+    throw new Error(`${field} must only contain positive app IDs`);
+  }
+  return [...new Set(appIds)];
+}
+
+/**
+ * Validate an auto-selection setting
+ * @param {Object} selection - { strategy, count, max_hours, include, exclude }
+ * @returns {Object} Normalized selection
+ */
+function normalizeSelection(selection) {
+  if (!selection || typeof selection !== 'object') {
+    throw new Error('selection must be an object');
+  }
+  if (!STRATEGIES.includes(selection.strategy)) {
+    throw new Error(`strategy must be one of: ${STRATEGIES.join(', ')}`);
+  }
+
+  const count = parseInt(selection.count ?? config.maxGamesPerAccount, 10);
+  if (isNaN(count) || count < 1 || count > config.gameSelection.maxCount) {
+    throw new Error(`count must be between 1 and ${config.gameSelection.maxCount}`);
+  }
+
+  let maxHours = null;
+  if (selection.strategy === 'under_hours') {
+    maxHours = parseFloat(selection.max_hours);
+    if (isNaN(maxHours) || maxHours <= 0) {
+      throw new Error('max_hours must be a positive number');
+    }
+  }
+
+  const include = normalizeAppIds(selection.include, 'include');
+  const exclude = normalizeAppIds(selection.exclude, 'exclude');
+  if (selection.strategy === 'list' && include.length === 0) {
+    throw new Error('Add at least one app ID to include');
+  }
+
+  return { strategy: selection.strategy, count, max_hours: maxHours, include, exclude };
+}
+
+/**
+ * Game Selector
+ * Picks an account's games from its owned library (playtime stored by the
+ * Steam Web API refresh) and keeps the list up to date after each refresh.
+ * Included games always come first, excluded games are never picked. Games
+ * whose hour target is reached stay in the list but are not picked again.
+ */
+class GameSelector {
+  /**
+   * Stored auto-selection of an account, null for a manual game list
+   */
+  getSelection(account) {
+    if (!account || !account.game_selection) return null;
+    try {
+      return JSON.parse(account.game_selection);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Games the selection picks for an account
+   * @param {Object} account - Account row
+   * @param {Object} selection - Normalized selection
+   * @returns {Object[]} [{ app_id, app_name, playtime_forever, included }]
+   */
+  select(account, selection) {
+    const library = db.playtime.getByAccount(account.id);
+    const playtime = new Map(library.map(g => [g.app_id, g]));
+    const current = db.games.getGames(account.id);
+    const names = new Map(current.map(g => [g.app_id, g.app_name]));
+    const excluded = new Set([
+      ...selection.exclude,
+      ...current.filter(g => g.target_reached_at).map(g => g.app_id)
+    ]);
+    const nameOf = (appId) => (playtime.get(appId) && playtime.get(appId).app_name) || names.get(appId) || null;
+
+    // Without library data (private profile, no refresh yet) includes are kept as they are
+    const included = selection.include
+      .filter(id => !excluded.has(id) && (library.length === 0 || playtime.has(id)))
+      .map(id => ({
+        app_id: id,
+        app_name: nameOf(id),
+        playtime_forever: playtime.has(id) ? playtime.get(id).playtime_forever || 0 : null,
+        included: true
+      }));
+
+    let candidates = [];
+    if (selection.strategy !== 'list') {
+      const taken = new Set(included.map(g => g.app_id));
+      candidates = library
+        .filter(g => !excluded.has(g.app_id) && !taken.has(g.app_id))
+        .map(g => ({ app_id: g.app_id, app_name: nameOf(g.app_id), playtime_forever: g.playtime_forever || 0, included: false }));
+
+      if (selection.strategy === 'under_hours') {
+        candidates = candidates.filter(g => g.playtime_forever < selection.max_hours * 60);
+      }
+      const direction = selection.strategy === 'most_played' ? -1 : 1;
+      candidates.sort((a, b) => direction * (a.playtime_forever - b.playtime_forever) || a.app_id - b.app_id);
+    }
+
+    return [...included, ...candidates].slice(0, this.getLimit(account, selection.count));
+  }
+
+  /**
+   * Number of games a selection may fill, leaving room for custom titles
+   * unless game rotation handles long lists
+   */
+  getLimit(account, count) {
+    if (account.rotation_mode && account.rotation_mode !== 'off') return count;
+    const titles = db.customGames.getByAccount(account.id).length;
+    return Math.max(Math.min(count, config.maxGamesPerAccount - titles), 0);
+  }
+
+  /**
+   * Preview a selection against the account's current game list
+   * @param {number} accountId - Account ID
+   * @param {Object} selection - Selection to preview (defaults to the stored one)
+   * @returns {Object|null} { games, added, removed, library_size }, null if the account does not exist
+   */
+  preview(accountId, selection) {
+    const account = db.accounts.findById(accountId);
+    if (!account) return null;
+
+    const normalized = normalizeSelection(selection);
+    const games = this.select(account, normalized);
+    // Reached games are kept by apply()
+    const current = db.games.getGames(accountId).filter(g => !g.target_reached_at).map(g => g.app_id);
+    const selected = games.map(g => g.app_id);
+
+    return {
+      games,
+      added: selected.filter(id => !current.includes(id)),
+      removed: current.filter(id => !selected.includes(id)),
+      library_size: db.playtime.getByAccount(accountId).length
+    };
+  }
+
+  /**
+   * Recompute an account's game list from its stored selection
+   * @param {number} accountId - Account ID
+   * @returns {number[]|null} Selected app IDs, null if nothing was applied
+   */
+  apply(accountId) {
+    const account = db.accounts.findById(accountId);
+    const selection = this.getSelection(account);
+    if (!selection) return null;
+
+    if (selection.strategy !== 'list' && db.playtime.getByAccount(accountId).length === 0) {
+      logger.warn('Skipped game auto-selection: no library data, refresh the account from the Steam API', accountId);
+      return null;
+    }
+
+    const games = this.select(account, selection);
+    const selected = games.map(g => g.app_id);
+    const current = db.games.getGames(accountId);
+    const open = current.filter(g => !g.target_reached_at).map(g => g.app_id);
+    if (selected.length === open.length && selected.every(id => open.includes(id))) {
+      return selected;
+    }
+
+    // Reached games stay so their targets aren't lost and they aren't picked again
+    const reached = current.filter(g => g.target_reached_at).map(g => ({ app_id: g.app_id, app_name: g.app_name }));
+    db.games.setGames(accountId, [...games.map(g => ({ app_id: g.app_id, app_name: g.app_name })), ...reached]);
+    logger.info(`Auto-selected ${selected.length} games (${selection.strategy.replace('_', ' ')})`, accountId);
+    return selected;
+  }
+
+  /**
+   * Save an account's auto-selection and apply it right away
+   * @param {number} accountId - Account ID
+   * @param {Object|null} selection - Selection, null to go back to a manual list
+   * @returns {Object|null} { selection, games }, null if the account does not exist
+   */
+  setSelection(accountId, selection) {
+    if (!db.accounts.findById(accountId)) return null;
+
+    if (selection === null) {
+      db.accounts.update(accountId, { game_selection: null });
+      logger.info('Game auto-selection turned off', accountId);
+      return { selection: null, games: db.games.getGames(accountId).map(g => g.app_id) };
+    }
+
+    const normalized = normalizeSelection(selection);
+    db.accounts.update(accountId, { game_selection: JSON.stringify(normalized) });
+    const applied = this.apply(accountId);
+    return { selection: normalized, games: applied || db.games.getGames(accountId).map(g => g.app_id) };
+  }
+}
+
+// Export singleton instance and helpers
+module.exports = new GameSelector();
+module.exports.normalizeSelection = normalizeSelection;
+module.exports.STRATEGIES = STRATEGIES;
@@ -0,0 +1,220 @@
+const db = require('../models/database');
+const config = require('../config');
+const logger = require('./logger');
+const steamService = require('./steamService');
+
+/**
+ * Parse a SQLite CURRENT_TIMESTAMP value (UTC, no zone suffix) or ISO string
+ */
+function parseTimestamp(value) {
+  if (!value) return null;
+  const normalized = value.includes('T') ? value : `${value.replace(' ', 'T')}Z`;
+  const date = new Date(normalized);
+  return isNaN(date) ? null : date;
+}
+
+/**
+ * Minutes each game was boosted in the given sessions, counting only time
+ * after max(started_at, since) so a session running during the last API
+ * refresh only adds what came after it. Overlapping sessions (e.g. one left
+ * open by a crash) count each minute once per game.
+ * @param {Object[]} sessions - Session rows with started_at, ended_at, games_played
+ * @param {Date|null} since - Ignore time before this point (last API refresh)
+ * @param {Date} now - End point for sessions that are still running
+ * @returns {Object} appId -> minutes
+ */
+function accruedMinutes(sessions, since, now) {
+  const intervals = {};
+
+  for (const session of sessions) {
+    const started = parseTimestamp(session.started_at);
+    if (!started) continue;
+    const start = since && started < since ? since : started;
+    const end = parseTimestamp(session.ended_at) || now;
+    if (end <= start) continue;
+
+    let games = [];
+    try {
+      games = JSON.parse(session.games_played || '[]');
+    } catch {
+      continue;
+    }
+
+    for (const appId of games) {
+      (intervals[appId] = intervals[appId] || []).push([start, end]);
+    }
+  }
+
+  const totals = {};
+  for (const [appId, ranges] of Object.entries(intervals)) {
+    ranges.sort((a, b) => a[0] - b[0]);
+    let total = 0;
+    let [spanStart, spanEnd] = ranges[0];
+    for (const [start, end] of ranges.slice(1)) {
+      if (start > spanEnd) {
+        total += spanEnd - spanStart;
+        [spanStart, spanEnd] = [start, end];
+      } else if (end > spanEnd) {
+        spanEnd = end;
+      }
+    }
+    totals[appId] = (total + (spanEnd - spanStart)) / 60000;
+  }
+
+  return totals;
+}
+
+/**
+ * Hour Target Service
+ * Tracks per-game hour targets and drops games from idling once they are reached
+ */
+class HourTargetService {
+  constructor() {
+    this.checkInterval = null;
+  }
+
+  /**
+   * Start periodic target checks (picks up time accrued between API refreshes)
+   */
+  start() {
+    this.stop();
+
+    this.checkInterval = setInterval(() => {
+      try {
+        this.checkAll();
+      } catch (err) {
+        logger.error(`Hour target check failed: ${err.message}`);
+      }
+    }, config.hourTargets.checkInterval);
+    this.checkInterval.unref();
+  }
+
+  /**
+   * Stop periodic target checks
+   */
+  stop() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+  }
+
+  /**
+   * Get hour target progress for every game on an account.
+   * Progress is Steam's playtime_forever plus session time since the last API
+   * refresh. It is an estimate until the next refresh: Steam may not have
+   * counted all time before the refresh yet, and sessions are only as exact
+   * as their start and end times.
+   * @param {number} accountId - Account ID
+   * @param {Date} now - Reference time
+   * @returns {Object[]} [{ app_id, app_name, target_hours, played_minutes, played_hours, target_reached_at }]
+   */
+  getProgress(accountId, now = new Date()) {
+    const account = db.accounts.findById(accountId);
+    if (!account) return [];
+
+    const playtime = {};
+    for (const row of db.playtime.getByAccount(accountId)) {
+      playtime[row.app_id] = row.playtime_forever || 0;
+    }
+
+    const since = parseTimestamp(account.api_last_refresh);
+    const accrued = accruedMinutes(db.sessions.getSince(accountId, account.api_last_refresh), since, now);
+
+    return db.games.getGames(accountId).map(game => {
+      const minutes = (playtime[game.app_id] || 0) + (accrued[game.app_id] || 0);
+      return {
+        app_id: game.app_id,
+        app_name: game.app_name,
+        target_hours: game.target_hours,
+        played_minutes: Math.floor(minutes),
+        played_hours: Math.round(minutes / 6) / 10,
+        target_reached_at: game.target_reached_at
+      };
+    });
+  }
+
+  /**
+   * Set or clear the hour target for one of an account's games
+   * @param {number} accountId - Account ID
+   * @param {number} appId - Steam app ID
+   * @param {number|null} targetHours - Target in hours, or null to clear
+   */
+  setTarget(accountId, appId, targetHours) {
+    const game = db.games.getGames(accountId).find(g => g.app_id === appId);
+    if (!game) {
+      throw new Error('Game not found on this account');
+    }
+
+    if (targetHours !== null) {
+      targetHours = Number(targetHours);
+      if (!isFinite(targetHours) || targetHours <= 0) {
+        throw new Error('target_hours must be a positive number');
+      }
+    }
+
+    db.games.setTarget(accountId, appId, targetHours);
+    logger.info(targetHours === null
+      ? `Cleared hour target for game ${appId}`
+      : `Set hour target for game ${appId}: ${targetHours}h`, accountId);
+
+    // The target may already be met
+    if (targetHours !== null) {
+      this.check(accountId);
+    }
+  }
+
+  /**
+   * Check an account's open targets, mark reached ones and drop them from idling.
+   * Stops the account once none of its games are left to idle.
+   * @param {number} accountId - Account ID
+   * @param {Date} now - Reference time
+   * @returns {number[]} App IDs whose targets were reached in this check
+   */
+  check(accountId, now = new Date()) {
+    const progress = this.getProgress(accountId, now);
+    const reached = progress.filter(g =>
+      g.target_hours !== null && !g.target_reached_at && g.played_minutes >= g.target_hours * 60
+    );
+    if (reached.length === 0) return [];
+
+    const appIds = reached.map(g => g.app_id);
+    for (const game of reached) {
+      db.games.markTargetReached(accountId, game.app_id);
+      logger.info(
+        `Hour target reached for ${game.app_name || game.app_id}: ${game.played_hours}h of ${game.target_hours}h`,
+        accountId
+      );
+    }
+
+    const remaining = progress.filter(g => !g.target_reached_at && !appIds.includes(g.app_id));
+    if (remaining.length === 0) {
+      if (steamService.getStatus(accountId).isIdling) {
+        logger.info('All hour targets reached, stopping idle', accountId);
+        steamService.stopIdling(accountId);
+      }
+    } else {
+      steamService.removeGames(accountId, appIds);
+    }
+
+    return appIds;
+  }
+
+  /**
+   * Check every account that has open hour targets
+   */
+  checkAll(now = new Date()) {
+    const accountIds = new Set(db.games.getWithTargets().map(g => g.account_id));
+    for (const accountId of accountIds) {
+      try {
+        this.check(accountId, now);
+      } catch (err) {
+        logger.error(`Hour target check failed: ${err.message}`, accountId);
+      }
+    }
+  }
+}
+
+// Export singleton instance and helpers
+module.exports = new HourTargetService();
+module.exports.accruedMinutes = accruedMinutes;
@@ -0,0 +1,274 @@
+const db = require('../models/database');
+const config = require('../config');
+const logger = require('./logger');
+const steamService = require('./steamService');
+const personaManager = require('./personaManager');
+const { isWithinWindows } = require('./scheduler');
+const { getEncryptionKey } = require('../middleware/auth');
+
+const PERSONA_AWAY = 3;
+
+const PROFILE_LIMITS = {
+  session_min: [1, config.humanize.maxMinutes],
+  session_max: [1, config.humanize.maxMinutes],
+  break_min: [1, config.humanize.maxMinutes],
+  break_max: [1, config.humanize.maxMinutes],
+  start_jitter: [0, config.humanize.maxJitter],
+  away_chance: [0, 100],
+  subset_chance: [0, 100]
+};
+
+/**
+ * Validate a humanize profile, filling missing fields with the config defaults
+ * @param {Object} input - Raw profile from the API or database
+ * @returns {Object} Normalized profile
+ */
+function normalizeProfile(input = {}) {
+  const profile = {};
+
+  for (const [field, [min, max]] of Object.entries(PROFILE_LIMITS)) {
+    const raw = input[field] ?? config.humanize.defaults[field];
+    const value = parseInt(raw, 10);
+    if (isNaN(value) || value < min || value > max) {
+      throw new Error(`${field} must be between ${min} and ${max}`);
+    }
+    profile[field] = value;
+  }
+
+  if (profile.session_min > profile.session_max) {
+    throw new Error('session_min must not be greater than session_max');
+  }
+  if (profile.break_min > profile.break_max) {
+    throw new Error('break_min must not be greater than break_max');
+  }
+  return profile;
+}
+
+/**
+ * Random number in [min, max]
+ */
+function randomBetween(min, max) {
+  return min + Math.random() * (max - min);
+}
+
+/**
+ * Pick a random non-empty, proper subset of the games
+ */
+function pickSubset(games) {
+  const shuffled = [...games];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  const size = 1 + Math.floor(Math.random() * (games.length - 1));
+  return shuffled.slice(0, size);
+}
+
+/**
+ * Humanizer
+ * Alternates sessions and breaks of random length for accounts with a
+ * humanize profile, so they don't idle around the clock with the same games.
+ * Idle schedules still decide when an account may idle at all.
+ */
+class Humanizer {
+  constructor() {
+    this.checkInterval = null;
+    this.states = new Map(); // accountId -> { phase: 'session'|'break', until: Date, away, games }
+  }
+
+  /**
+   * Start periodic evaluation
+   */
+  start() {
+    this.stop();
+
+    this.checkInterval = setInterval(() => {
+      this.tick().catch(err => {
+        logger.error(`Humanize check failed: ${err.message}`);
+      });
+    }, config.humanize.checkInterval);
+    this.checkInterval.unref();
+  }
+
+  /**
+   * Stop periodic evaluation
+   */
+  stop() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+  }
+
+  /**
+   * Stored profile of an account, falling back to defaults if it is unreadable
+   */
+  getProfile(account) {
+    try {
+      return normalizeProfile(JSON.parse(account.humanize_profile || '{}'));
+    } catch {
+      return normalizeProfile();
+    }
+  }
+
+  /**
+   * Session phase of random length
+   */
+  newSession(now, profile, { away = false, games = null } = {}) {
+    const minutes = randomBetween(profile.session_min, profile.session_max);
+    return { phase: 'session', until: new Date(now.getTime() + minutes * 60000), away, games };
+  }
+
+  /**
+   * Break of random length, with the start jitter applied to the next start.
+   * The first break after enabling only waits for the jitter.
+   */
+  newBreak(now, profile, { initial = false, away = false } = {}) {
+    const jitter = initial
+      ? randomBetween(0, profile.start_jitter)
+      : randomBetween(profile.break_min, profile.break_max) + randomBetween(-profile.start_jitter, profile.start_jitter);
+    const minutes = initial ? jitter : Math.max(jitter, 1);
+    return { phase: 'break', until: new Date(now.getTime() + minutes * 60000), away, games: null };
+  }
+
+  /**
+   * Move every humanized account to its next phase when the current one is over
+   * @param {Date} now - Evaluation time
+   */
+  async tick(now = new Date()) {
+    // Logging in requires decrypted credentials
+    if (!getEncryptionKey()) return;
+
+    const windowsByAccount = db.schedules.getAllGrouped();
+
+    for (const account of db.accounts.findAll()) {
+      if (!account.humanize_enabled || !account.password) {
+        this.states.delete(account.id);
+        continue;
+      }
+
+      const profile = this.getProfile(account);
+      const isIdling = steamService.getStatus(account.id).isIdling || !!account.is_idling;
+
+      let state = this.states.get(account.id);
+      if (!state) {
+        // Adopt a running session instead of restarting it
+        state = isIdling ? this.newSession(now, profile) : this.newBreak(now, profile, { initial: true });
+        this.states.set(account.id, state);
+      }
+      if (now < state.until) continue;
+
+      if (state.phase === 'session') {
+        this.endSession(account, profile, state, isIdling, now);
+        continue;
+      }
+
+      const windows = windowsByAccount[account.id] || [];
+      if (account.schedule_enabled && windows.length > 0 && !isWithinWindows(windows, now)) {
+        continue;
+      }
+      await this.startSession(account, profile, state, isIdling, now);
+    }
+  }
+
+  /**
+   * Start a session, sometimes as Away or with only part of the games
+   */
+  async startSession(account, profile, previous, isIdling, now) {
+    const games = db.games.getGames(account.id).filter(g => !g.target_reached_at).map(g => g.app_id);
+    const subset = games.length > 1 && Math.random() * 100 < profile.subset_chance ? pickSubset(games) : null;
+    const away = Math.random() * 100 < profile.away_chance;
+    const state = this.newSession(now, profile, { away, games: subset });
+
+    try {
+      if (!isIdling) {
+        await steamService.startIdling(account.id, subset ? { games: subset } : {});
+      }
+
+      const session = steamService.getSession(account.id);
+      if (session && (away || previous.away)) {
+        session.setPersonaState(away ? PERSONA_AWAY : personaManager.getTargetState(account, now));
+      }
+
+      const minutes = Math.round((state.until - now) / 60000);
+      const details = [
+        subset ? `${subset.length} of ${games.length} games` : null,
+        away ? 'shown as Away' : null
+      ].filter(Boolean).join(', ');
+      logger.info(`Humanized session for ${minutes} min${details ? ` (${details})` : ''}`, account.id);
+      this.states.set(account.id, state);
+    } catch (err) {
+      logger.error(`Humanized start failed: ${err.message}`, account.id);
+      this.states.set(account.id, this.newBreak(now, profile, { away: previous.away }));
+    }
+  }
+
+  /**
+   * End a session and take a break. Card farming runs until it is done.
+   */
+  endSession(account, profile, state, isIdling, now) {
+    const session = steamService.getSession(account.id);
+    if (session && session.cardFarm) {
+      this.states.set(account.id, this.newSession(now, profile, state));
+      return;
+    }
+
+    const next = this.newBreak(now, profile, { away: state.away });
+    this.states.set(account.id, next);
+
+    if (isIdling) {
+      logger.info(`Taking a ${Math.round((next.until - now) / 60000)} min break`, account.id);
+      try {
+        steamService.stopIdling(account.id);
+      } catch (err) {
+        logger.error(`Humanized stop failed: ${err.message}`, account.id);
+      }
+    }
+  }
+
+  /**
+   * Get an account's humanize profile and current phase
+   * @returns {Object} { enabled, profile, phase, until }
+   */
+  getStatus(accountId) {
+    const account = db.accounts.findById(accountId);
+    const state = this.states.get(accountId);
+    const enabled = !!account?.humanize_enabled;
+
+    return {
+      enabled,
+      profile: account ? this.getProfile(account) : normalizeProfile(),
+      phase: enabled && state ? state.phase : null,
+      until: enabled && state ? state.until.toISOString() : null
+    };
+  }
+
+  /**
+   * Enable, disable or change an account's humanize profile
+   * @param {number} accountId - Account ID
+   * @param {Object} data - { enabled, profile }
+   * @returns {Object} Updated status
+   */
+  setProfile(accountId, data) {
+    const profile = normalizeProfile(data.profile || {});
+    const enabled = !!data.enabled;
+
+    db.accounts.update(accountId, {
+      humanize_enabled: enabled ? 1 : 0,
+      humanize_profile: JSON.stringify(profile)
+    });
+
+    // Start over from the current state on the next check
+    this.states.delete(accountId);
+
+    logger.info(enabled
+      ? `Humanized sessions enabled: ${profile.session_min}-${profile.session_max} min sessions, ${profile.break_min}-${profile.break_max} min breaks`
+      : 'Humanized sessions disabled', accountId);
+
+    return this.getStatus(accountId);
+  }
+}
+
+// Export singleton instance and helpers
+module.exports = new Humanizer();
+module.exports.normalizeProfile = normalizeProfile;
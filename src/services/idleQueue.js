@@ -0,0 +1,240 @@
+const db = require('../models/database');
+const config = require('../config');
+const logger = require('./logger');
+const steamService = require('./steamService');
+const { getEncryptionKey } = require('../middleware/auth');
+
+/**
+ * Idle Queue
+ * Caps how many accounts idle at the same time. Accounts started beyond the
+ * cap wait in a queue and take turns by fair share: the account with the
+ * fewest recently boosted hours per priority weight goes next.
+ */
+class IdleQueue {
+  constructor() {
+    this.checkInterval = null;
+    this.slots = new Map(); // accountId -> Date the account got its slot
+    this._rebalancing = false;
+  }
+
+  /**
+   * Maximum number of idling accounts, 0 = no cap
+   */
+  getLimit() {
+    const limit = parseInt(db.settings.get('max_idling_accounts', config.idleQueue.maxIdling), 10);
+    return limit > 0 ? limit : 0;
+  }
+
+  /**
+   * Start periodic rotation
+   */
+  start() {
+    this.stop();
+
+    this.checkInterval = setInterval(() => {
+      this.rebalance().catch(err => {
+        logger.error(`Idle queue check failed: ${err.message}`);
+      });
+    }, config.idleQueue.checkInterval);
+    this.checkInterval.unref();
+  }
+
+  /**
+   * Stop periodic rotation
+   */
+  stop() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+  }
+
+  /**
+   * Claim a slot before an account starts idling. Without a free slot, or
+   * while other accounts are waiting, the account joins the queue instead.
+   * @returns {boolean} True if the account may start now
+   */
+  acquire(accountId) {
+    if (this.slots.has(accountId)) return true;
+
+    const limit = this.getLimit();
+    const waiting = this.getWaitingIds().filter(id => id !== accountId);
+    if (limit > 0 && (this.slots.size >= limit || waiting.length > 0)) {
+      this.enqueue(accountId);
+      if (this.slots.size < limit) this.scheduleRebalance();
+      return false;
+    }
+
+    this.slots.set(accountId, new Date());
+    return true;
+  }
+
+  /**
+   * Free an account's slot and take it out of the queue, then let the next
+   * waiting account in
+   */
+  release(accountId) {
+    const hadSlot = this.slots.delete(accountId);
+    if (this.getWaitingIds().includes(accountId)) {
+      db.accounts.update(accountId, { idle_queued: 0 });
+    }
+
+    if (hadSlot && !this._rebalancing) {
+      this.scheduleRebalance();
+    }
+  }
+
+  /**
+   * Rebalance once the current call stack is done
+   */
+  scheduleRebalance() {
+    setImmediate(() => {
+      this.rebalance().catch(err => {
+        logger.error(`Idle queue check failed: ${err.message}`);
+      });
+    });
+  }
+
+  /**
+   * Put an account in the queue (kept across restarts)
+   */
+  enqueue(accountId) {
+    db.accounts.update(accountId, { idle_queued: 1, is_idling: 0 });
+    logger.info(`Idle cap of ${this.getLimit()} reached, waiting for a free slot`, accountId);
+  }
+
+  /**
+   * IDs of accounts waiting for a slot
+   */
+  getWaitingIds() {
+    return db.accounts.findAll().filter(acc => acc.idle_queued).map(acc => acc.id);
+  }
+
+  /**
+   * Boosted hours and fair share of every account holding or waiting for a slot
+   * @returns {Object[]} [{ account_id, weight, hours, share, fair_share, score, active, waiting }]
+   */
+  getShares() {
+    const since = new Date(Date.now() - config.idleQueue.shareWindow).toISOString();
+    const minutesByAccount = {};
+    for (const row of db.sessions.getBoostedMinutes(since)) {
+      minutesByAccount[row.account_id] = row.minutes;
+    }
+
+    const accounts = db.accounts.findAll().filter(acc => this.slots.has(acc.id) || acc.idle_queued);
+    const totalMinutes = accounts.reduce((sum, acc) => sum + (minutesByAccount[acc.id] || 0), 0);
+    const totalWeight = accounts.reduce((sum, acc) => sum + (acc.priority_weight || 1), 0);
+
+    return accounts.map(acc => {
+      const minutes = minutesByAccount[acc.id] || 0;
+      const weight = acc.priority_weight || 1;
+      return {
+        account_id: acc.id,
+        weight,
+        hours: Math.round(minutes / 6) / 10,
+        share: totalMinutes > 0 ? minutes / totalMinutes : 0,
+        fair_share: weight / totalWeight,
+        score: minutes / weight,
+        active: this.slots.has(acc.id),
+        waiting: !!acc.idle_queued
+      };
+    });
+  }
+
+  /**
+   * Waiting accounts in the order they will get a slot
+   * @returns {Object[]} Entries of getShares(), furthest behind first
+   */
+  getQueue() {
+    return this.getShares().filter(s => s.waiting).sort((a, b) => a.score - b.score);
+  }
+
+  /**
+   * Position of an account in the queue (1-based), null if not waiting
+   */
+  getPosition(accountId) {
+    const index = this.getQueue().findIndex(s => s.account_id === accountId);
+    return index === -1 ? null : index + 1;
+  }
+
+  /**
+   * Fill free slots from the queue and rotate: once an account held its slot
+   * long enough, it makes room for a waiting account that is further behind
+   * on its fair share. Card farming is never interrupted.
+   * @param {Date} now - Evaluation time
+   */
+  async rebalance(now = new Date()) {
+    // Starting accounts requires decrypted credentials
+    if (this._rebalancing || !getEncryptionKey()) return;
+
+    this._rebalancing = true;
+    try {
+      const limit = this.getLimit();
+      const shares = this.getShares();
+      const waiting = shares.filter(s => s.waiting).sort((a, b) => a.score - b.score);
+      const active = shares.filter(s => s.active).sort((a, b) => b.score - a.score);
+
+      if (limit > 0) {
+        const canYield = s => {
+          const session = steamService.getSession(s.account_id);
+          return !(session && session.cardFarm);
+        };
+
+        // The cap was lowered: the accounts furthest ahead make room
+        for (const entry of active.filter(canYield).slice(0, Math.max(this.slots.size - limit, 0))) {
+          this.preempt(entry.account_id, 'the idle cap was lowered');
+        }
+
+        if (waiting.length > 0 && this.slots.size >= limit) {
+          const next = waiting[0];
+          const candidate = active.find(s => this.slots.has(s.account_id) && canYield(s) &&
+            now - this.slots.get(s.account_id) >= config.idleQueue.minSlotTime);
+          if (candidate && next.score < candidate.score) {
+            this.preempt(candidate.account_id, 'rotating in an account with fewer boosted hours');
+          }
+        }
+      }
+
+      const free = limit > 0 ? Math.max(limit - this.slots.size, 0) : waiting.length;
+      for (const entry of waiting.slice(0, free)) {
+        await this.admit(entry.account_id);
+      }
+    } finally {
+      this._rebalancing = false;
+    }
+  }
+
+  /**
+   * Give a waiting account a slot and start it
+   */
+  async admit(accountId) {
+    db.accounts.update(accountId, { idle_queued: 0 });
+    this.slots.set(accountId, new Date());
+
+    try {
+      await steamService.startIdling(accountId);
+      logger.info('Got an idle slot, starting', accountId);
+    } catch (err) {
+      this.slots.delete(accountId);
+      logger.error(`Failed to start after getting an idle slot: ${err.message}`, accountId);
+    }
+  }
+
+  /**
+   * Stop an account, disconnect it and put it back in the queue
+   */
+  preempt(accountId, reason) {
+    steamService.stopIdling(accountId);
+    steamService.logout(accountId);
+    this.slots.delete(accountId);
+    db.accounts.update(accountId, { idle_queued: 1 });
+    logger.info(`Gave up idle slot, ${reason}`, accountId);
+  }
+}
+
+const idleQueue = new IdleQueue();
+
+// Let steamService check the cap before starting an account
+steamService.setIdleQueue(idleQueue);
+
+module.exports = idleQueue;
@@ -0,0 +1,306 @@
+const { EPurchaseResultDetail } = require('steam-user');
+const db = require('../models/database');
+const config = require('../config');
+const logger = require('./logger');
+const steamService = require('./steamService');
+const accountManager = require('./accountManager');
+const { encrypt, decrypt, isEncrypted } = require('../utils/encryption');
+const { getEncryptionKey } = require('../middleware/auth');
+
+const KEY_STATUSES = ['pending', 'success', 'duplicate', 'invalid', 'rate_limited', 'failed'];
+const KEY_PATTERN = /^[A-Z0-9]{4,5}(?:-[A-Z0-9]{4,5}){2,4}$/;
+
+function encryptValue(value) {
+  const key = getEncryptionKey();
+  if (!value || !key || isEncrypted(value)) return value;
+  return encrypt(value, key);
+}
+
+function decryptValue(value) {
+  const key = getEncryptionKey();
+  if (!value || !key || !isEncrypted(value)) return value;
+  return decrypt(value, key);
+}
+
+/**
+ * Split pasted text into product keys
+ * @returns {Object} { keys: string[] (unique, upper-cased), invalid: string[] }
+ */
+function parseKeys(text) {
+  const keys = [];
+  const invalid = [];
+  for (const token of String(text || '').split(/[\s,;]+/)) {
+    if (!token) continue;
+    const key = token.toUpperCase();
+    if (!KEY_PATTERN.test(key)) {
+      invalid.push(token);
+    } else if (!keys.includes(key)) {
+      keys.push(key);
+    }
+  }
+  return { keys, invalid };
+}
+
+/**
+ * Hide the middle groups of a key: ABCDE-*****-VWXYZ
+ */
+function maskKey(key) {
+  const groups = key.split('-');
+  return groups.map((g, i) => (i === 0 || i === groups.length - 1 ? g : '*'.repeat(g.length))).join('-');
+}
+
+/**
+ * Map a Steam purchase result to a queue status
+ */
+function classifyResult(detail) {
+  switch (detail) {
+    case EPurchaseResultDetail.NoDetail: return 'success';
+    case EPurchaseResultDetail.DuplicateActivationCode: return 'duplicate';
+    case EPurchaseResultDetail.BadActivationCode: return 'invalid';
+    case EPurchaseResultDetail.RateLimited: return 'rate_limited';
+    default: return 'failed';
+  }
+}
+
+/**
+ * Key Redeemer
+ * Queues product keys per account and redeems them one at a time through the
+ * account's logged-in SteamSession. Keys wait while the account is offline.
+ */
+class KeyRedeemer {
+  constructor() {
+    this.processInterval = null;
+    this.busy = new Set(); // accountIds with a redemption in flight
+    this.lastRedeem = new Map(); // accountId -> timestamp of the last redemption
+    this.backoffUntil = new Map(); // accountId -> timestamp when a rate limit ends
+  }
+
+  /**
+   * Start working through the queue
+   */
+  start() {
+    this.stop();
+
+    this.processInterval = setInterval(() => {
+      this.processAll();
+    }, config.keyRedemption.interval);
+    this.processInterval.unref();
+  }
+
+  /**
+   * Stop working through the queue (pending keys stay queued)
+   */
+  stop() {
+    if (this.processInterval) {
+      clearInterval(this.processInterval);
+      this.processInterval = null;
+    }
+  }
+
+  /**
+   * Queue keys for redemption. With several accounts the keys are handed out
+   * round-robin in the order they were pasted.
+   * @param {string} text - Pasted keys, separated by whitespace, commas or semicolons
+   * @param {number[]} accountIds - Accounts to redeem on
+   * @param {Object} options - { addGames: append activated games to the idle list }
+   * @returns {Object} { queued: [{ id, account_id, key }], invalid: string[] }
+   */
+  enqueue(text, accountIds, { addGames = false } = {}) {
+    const { keys, invalid } = parseKeys(text);
+    if (keys.length === 0) {
+      throw new Error('No valid keys found');
+    }
+    if (keys.length > config.keyRedemption.maxKeys) {
+      throw new Error(`At most ${config.keyRedemption.maxKeys} keys can be queued at once`);
+    }
+    if (!Array.isArray(accountIds) || accountIds.length === 0) {
+      throw new Error('Select at least one account');
+    }
+    for (const accountId of accountIds) {
+      if (!accountManager.getById(accountId)) {
+        throw new Error(`Account ${accountId} not found`);
+      }
+    }
+
+    const queued = [];
+    db.batch(() => {
+      keys.forEach((key, i) => {
+        const accountId = accountIds[i % accountIds.length];
+        const { lastInsertRowid } = db.keyRedemptions.add(accountId, encryptValue(key), maskKey(key), addGames);
+        queued.push({ id: lastInsertRowid, account_id: accountId, key: maskKey(key) });
+      });
+    });
+
+    logger.info(`Queued ${keys.length} keys for redemption on ${accountIds.length} account(s)`);
+    this.processAll();
+
+    return { queued, invalid };
+  }
+
+  /**
+   * Remove a key that hasn't been redeemed yet
+   */
+  cancel(id) {
+    const entry = db.keyRedemptions.findById(id);
+    if (!entry) {
+      throw new Error('Key not found');
+    }
+    if (!['pending', 'rate_limited'].includes(entry.status)) {
+      throw new Error('Only pending keys can be removed');
+    }
+    db.keyRedemptions.delete(id);
+  }
+
+  /**
+   * Whether an account may redeem its next key now
+   */
+  isReady(accountId) {
+    const now = Date.now();
+    if (this.busy.has(accountId)) return false;
+    if ((this.backoffUntil.get(accountId) || 0) > now) return false;
+    return now - (this.lastRedeem.get(accountId) || 0) >= config.keyRedemption.interval;
+  }
+
+  /**
+   * Redeem the next key of every account that is logged in and not throttled
+   */
+  processAll() {
+    for (const accountId of db.keyRedemptions.getPendingAccountIds()) {
+      const session = steamService.getSession(accountId);
+      if (session && session.isLoggedIn && this.isReady(accountId)) {
+        this.redeemNext(accountId).catch((err) => {
+          logger.error(`Key redemption failed: ${err.message}`, accountId, 'STEAM');
+        });
+      }
+    }
+  }
+
+  /**
+   * Redeem the account's oldest queued key and record the result
+   */
+  async redeemNext(accountId) {
+    const session = steamService.getSession(accountId);
+    const [entry] = db.keyRedemptions.getPending(accountId);
+    if (!session || !session.isLoggedIn || !entry) return;
+
+    this.busy.add(accountId);
+    this.lastRedeem.set(accountId, Date.now());
+    try {
+      let result;
+      try {
+        result = await session.client.redeemKey(decryptValue(entry.cd_key));
+      } catch (err) {
+        if (err.purchaseResultDetails === undefined) {
+          // No answer from Steam (timeout, disconnect): try again later
+          if (entry.attempts + 1 >= config.keyRedemption.maxAttempts) {
+            db.keyRedemptions.setResult(entry.id, 'failed', { detail: err.message });
+            logger.warn(`Gave up on key ${entry.key_hint}: ${err.message}`, accountId, 'STEAM');
+          } else {
+            db.keyRedemptions.addAttempt(entry.id, err.message);
+          }
+          return;
+        }
+        result = err;
+      }
+
+      const status = classifyResult(result.purchaseResultDetails);
+      const packages = result.packageList || {};
+      const detail = status === 'success'
+        ? Object.values(packages).join(', ') || null
+        : EPurchaseResultDetail[result.purchaseResultDetails] || String(result.purchaseResultDetails);
+
+      if (status === 'rate_limited') {
+        this.backoffUntil.set(accountId, Date.now() + config.keyRedemption.rateLimitBackoff);
+        db.keyRedemptions.setResult(entry.id, status, { detail });
+        logger.warn(`Key redemption rate limited, retrying in ${Math.round(config.keyRedemption.rateLimitBackoff / 60000)} min`, accountId, 'STEAM');
+        return;
+      }
+
+      let appIds = null;
+      if (status === 'success') {
+        appIds = await this.getActivatedGames(session, Object.keys(packages).map(Number));
+      }
+      db.keyRedemptions.setResult(entry.id, status, { detail, packages, appIds });
+
+      if (status === 'success') {
+        logger.info(`Redeemed key ${entry.key_hint}: ${detail || 'no packages'}`, accountId, 'STEAM');
+        if (entry.add_games) this.addGames(accountId, appIds);
+      } else {
+        logger.warn(`Key ${entry.key_hint} not redeemed: ${detail}`, accountId, 'STEAM');
+      }
+    } finally {
+      this.busy.delete(accountId);
+    }
+  }
+
+  /**
+   * Games (not DLC or tools) contained in the activated packages
+   * @returns {Promise<number[]>} App IDs, empty if the lookup fails
+   */
+  async getActivatedGames(session, packageIds) {
+    if (packageIds.length === 0) return [];
+
+    try {
+      const { packages } = await session.client.getProductInfo([], packageIds, true);
+      const appIds = [...new Set(Object.values(packages)
+        .flatMap(pkg => Object.values((pkg.packageinfo && pkg.packageinfo.appids) || {}))
+        .map(Number))];
+      if (appIds.length === 0) return [];
+
+      const { apps } = await session.client.getProductInfo(appIds, [], true);
+      return appIds.filter((appId) => {
+        const common = apps[appId] && apps[appId].appinfo && apps[appId].appinfo.common;
+        return !common || String(common.type).toLowerCase() === 'game';
+      });
+    } catch (err) {
+      logger.warn(`Could not look up activated games: ${err.message}`, session.accountId, 'STEAM');
+      return [];
+    }
+  }
+
+  /**
+   * Append activated games to the account's idle list, up to the game limit
+   */
+  addGames(accountId, appIds) {
+    const existing = new Set(db.games.getGames(accountId).map(g => g.app_id));
+    for (const appId of appIds) {
+      if (existing.has(appId)) continue;
+      try {
+        accountManager.addGame(accountId, appId);
+      } catch (err) {
+        logger.warn(`Activated game ${appId} not added: ${err.message}`, accountId, 'STEAM');
+        return;
+      }
+    }
+  }
+
+  /**
+   * Redemption history without the keys themselves
+   * @param {Object} filters - { accountId, status, limit }
+   */
+  getHistory(filters = {}) {
+    return {
+      keys: db.keyRedemptions.getHistory(filters).map(row => ({
+        id: row.id,
+        account_id: row.account_id,
+        username: row.username,
+        key: row.key_hint,
+        status: row.status,
+        detail: row.detail,
+        packages: row.packages,
+        app_ids: row.app_ids,
+        add_games: row.add_games,
+        attempts: row.attempts,
+        created_at: row.created_at,
+        redeemed_at: row.redeemed_at
+      })),
+      counts: db.keyRedemptions.getCounts()
+    };
+  }
+}
+
+// Export singleton instance and helpers
+module.exports = new KeyRedeemer();
+module.exports.KEY_STATUSES = KEY_STATUSES;
+module.exports.parseKeys = parseKeys;
+module.exports.maskKey = maskKey;
@@ -2,6 +2,7 @@ const fs = require('fs');
 const path = require('path');
 const db = require('../models/database');
 const config = require('../config');
+const eventStream = require('./eventStream');
 
 const LOG_LEVELS = {
   info: 'info',
@@ -18,7 +19,9 @@ const LOG_CATEGORIES = {
   ENCRYPTION: 'ENCRYPTION',
   API: 'API',
   DATABASE: 'DATABASE',
-  RATE_LIMIT: 'RATE_LIMIT'
+  RATE_LIMIT: 'RATE_LIMIT',
+  CHAT: 'CHAT',
+  BAN: 'BAN'
 };
 
 // Log file path
@@ -75,13 +78,16 @@ class Logger {
     // Write to log file
     this.writeToFile(level, message, accountId, category);
 
-    // Database storage (skip for debug level to reduce noise)
+    // Database storage and live stream (skip for debug level to reduce noise)
     if (level !== 'debug') {
+      let id = null;
       try {
-        db.logs.add(level, message, accountId, category);
+        id = db.logs.add(level, message, accountId, category).lastInsertRowid;
       } catch (err) {
         console.error('Failed to write log to database:', err);
       }
+
+      eventStream.publish('log', { id, level, message, account_id: accountId, category, timestamp });
     }
   }
 
@@ -101,8 +107,8 @@ class Logger {
     this.log(LOG_LEVELS.error, message, accountId, category);
   }
 
-  getRecent(limit = 50, category = null) {
-    return db.logs.getRecent(limit, category);
+  getRecent(limit = 50, category = null, accountIds = null) {
+    return db.logs.getRecent(limit, category, accountIds);
   }
 
   getByAccount(accountId, limit = 100) {
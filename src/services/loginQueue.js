@@ -0,0 +1,186 @@
+const db = require('../models/database');
+const config = require('../config');
+const logger = require('./logger');
+const eventStream = require('./eventStream');
+
+function cancelledError() {
+  const err = new Error('Login cancelled');
+  err.cancelled = true;
+  return err;
+}
+
+/**
+ * Login Queue
+ * Serializes Steam logons so restarts and mass starts don't hit Steam with
+ * every account at once. Limits how many logons run concurrently and keeps a
+ * minimum spacing between consecutive logon starts.
+ */
+class LoginQueue {
+  constructor() {
+    this.pending = []; // [{ accountId, task, spaced, promise, resolve, reject }]
+    this.active = new Map(); // accountId -> entry of a logon holding a slot
+    this.lastStartAt = 0;
+    this.timer = null;
+  }
+
+  /**
+   * Current limits (settings override config defaults)
+   * @returns {Object} { maxConcurrent, minSpacing } with minSpacing in ms
+   */
+  getLimits() {
+    const maxConcurrent = parseInt(db.settings.get('login_max_concurrent', config.loginQueue.maxConcurrent), 10);
+    const minSpacing = parseInt(db.settings.get('login_min_spacing', config.loginQueue.minSpacing), 10);
+
+    return {
+      maxConcurrent: maxConcurrent > 0 ? maxConcurrent : config.loginQueue.maxConcurrent,
+      minSpacing: minSpacing >= 0 ? minSpacing : config.loginQueue.minSpacing
+    };
+  }
+
+  /**
+   * Queue a logon for an account. The task runs immediately when a slot is free,
+   * otherwise once earlier logons finish. Queuing an account that is already
+   * waiting returns the existing promise.
+   * @param {number} accountId - Account ID
+   * @param {Function} task - Performs the logon, returns a promise
+   * @param {Object} options - { spaced: false to skip the minimum spacing,
+   *   for logons that resume instead of connecting again }
+   * @returns {Promise} Settles with the task's result
+   */
+  enqueue(accountId, task, { spaced = true } = {}) {
+    const existing = this.pending.find(e => e.accountId === accountId);
+    if (existing) {
+      return existing.promise;
+    }
+
+    const entry = { accountId, task, spaced };
+    entry.promise = new Promise((resolve, reject) => {
+      entry.resolve = resolve;
+      entry.reject = reject;
+    });
+
+    this.pending.push(entry);
+    this.process();
+
+    if (this.pending.includes(entry)) {
+      logger.debug(`Login queued at position ${this.getPosition(accountId)}`, accountId, 'STEAM');
+      try {
+        db.accounts.updateStatus(accountId, 'queued');
+        eventStream.publish('status', { account_id: accountId, status: 'queued', last_error: null });
+      } catch (err) {
+        // Status is cosmetic, the logon still runs
+      }
+    }
+
+    return entry.promise;
+  }
+
+  /**
+   * Start as many queued logons as the limits allow
+   */
+  process() {
+    if (this.timer) return;
+
+    const { maxConcurrent, minSpacing } = this.getLimits();
+
+    while (this.pending.length > 0 && this.active.size < maxConcurrent) {
+      const wait = this.pending[0].spaced ? this.lastStartAt + minSpacing - Date.now() : 0;
+      if (wait > 0) {
+        this.timer = setTimeout(() => {
+          this.timer = null;
+          this.process();
+        }, wait);
+        return;
+      }
+
+      this.start(this.pending.shift());
+    }
+  }
+
+  start(entry) {
+    this.active.set(entry.accountId, entry);
+    if (entry.spaced) {
+      this.lastStartAt = Date.now();
+    }
+
+    let result;
+    try {
+      result = Promise.resolve(entry.task());
+    } catch (err) {
+      result = Promise.reject(err);
+    }
+
+    result
+      .then(entry.resolve, entry.reject)
+      .finally(() => {
+        // Unless release() already gave the slot up
+        if (this.active.get(entry.accountId) === entry) {
+          this.active.delete(entry.accountId);
+          this.process();
+        }
+      });
+  }
+
+  /**
+   * Give up the slot of a running logon that is waiting on someone, e.g. for
+   * a Steam Guard code. The task keeps running; queue the account again to
+   * take a slot for the rest of the logon.
+   * @returns {boolean} True if the account held a slot
+   */
+  release(accountId) {
+    if (!this.active.delete(accountId)) return false;
+
+    this.process();
+    return true;
+  }
+
+  /**
+   * Drop a waiting logon (e.g. the account was stopped before its turn)
+   * @returns {boolean} True if the account was waiting
+   */
+  cancel(accountId) {
+    const index = this.pending.findIndex(e => e.accountId === accountId);
+    if (index === -1) return false;
+
+    const [entry] = this.pending.splice(index, 1);
+    entry.reject(cancelledError());
+    return true;
+  }
+
+  /**
+   * Position of an account in the queue (1 = next), or null if not waiting
+   */
+  getPosition(accountId) {
+    const index = this.pending.findIndex(e => e.accountId === accountId);
+    return index === -1 ? null : index + 1;
+  }
+
+  /**
+   * Snapshot of the queue for the dashboard
+   */
+  getState() {
+    return {
+      pending: this.pending.map(e => e.accountId),
+      active: [...this.active.keys()],
+      ...this.getLimits()
+    };
+  }
+
+  /**
+   * Cancel every waiting logon and forget running ones (shutdown)
+   */
+  clear() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    for (const entry of this.pending.splice(0)) {
+      entry.reject(cancelledError());
+    }
+    this.active.clear();
+    this.lastStartAt = 0;
+  }
+}
+
+// Export singleton instance
+module.exports = new LoginQueue();
@@ -0,0 +1,91 @@
+const db = require('../models/database');
+const logger = require('./logger');
+
+/**
+ * Ownership Service
+ * Checks which games an account actually owns. Steam silently ignores unowned
+ * apps in gamesPlayed, so idling them would never accrue hours.
+ */
+class OwnershipService {
+  /**
+   * Whether free-to-play games should be licensed automatically
+   */
+  requestsFreeLicenses() {
+    return String(db.settings.get('request_free_licenses', 'false')) === 'true';
+  }
+
+  /**
+   * Look up owned apps, preferring the logged-in client over cached Web API data
+   * @param {number} accountId - Account ID
+   * @param {number[]} appIds - Apps to check
+   * @param {Object|null} session - SteamSession, used when logged in
+   * @returns {Promise<Object|null>} { owned: Set<number>, source: 'client'|'cache' }, or null if unknown
+   */
+  async lookup(accountId, appIds, session = null) {
+    if (session && session.isLoggedIn) {
+      const { apps } = await session.client.getUserOwnedApps(session.client.steamID, {
+        filterAppids: appIds,
+        includePlayedFreeGames: true,
+        includeFreeSub: true,
+        includeAppInfo: false,
+        skipUnvettedApps: false
+      });
+      return { owned: new Set(apps.map(app => app.appid)), source: 'client' };
+    }
+
+    // Offline: fall back to the owned games saved by the last Web API refresh
+    const cached = db.playtime.getByAccount(accountId);
+    if (cached.length === 0) return null;
+    return { owned: new Set(cached.map(row => row.app_id)), source: 'cache' };
+  }
+
+  /**
+   * Check ownership of an account's games and store the result on account_games.
+   * Unowned games are licensed first when free licenses are enabled and the
+   * account is logged in; only free-to-play apps are granted.
+   * @param {number} accountId - Account ID
+   * @param {number[]} appIds - Apps to check
+   * @param {Object|null} session - SteamSession, used when logged in
+   * @returns {Promise<Object>} { owned, unowned, unknown, granted, source }
+   */
+  async validate(accountId, appIds, session = null) {
+    const result = { owned: [], unowned: [], unknown: [], granted: [], source: null };
+    if (appIds.length === 0) return result;
+
+    const lookup = await this.lookup(accountId, appIds, session);
+    if (!lookup) {
+      result.unknown = [...appIds];
+      return result;
+    }
+    result.source = lookup.source;
+
+    let missing = appIds.filter(appId => !lookup.owned.has(appId));
+
+    if (missing.length > 0 && lookup.source === 'client' && this.requestsFreeLicenses()) {
+      try {
+        const { grantedAppIds } = await session.client.requestFreeLicense(missing);
+        result.granted = (grantedAppIds || []).filter(appId => missing.includes(appId));
+        if (result.granted.length > 0) {
+          logger.info(`Added free licenses for games: ${result.granted.join(', ')}`, accountId, 'STEAM');
+          missing = missing.filter(appId => !result.granted.includes(appId));
+        }
+      } catch (err) {
+        logger.warn(`Free license request failed: ${err.message}`, accountId, 'STEAM');
+      }
+    }
+
+    result.unowned = missing;
+    result.owned = appIds.filter(appId => !missing.includes(appId));
+
+    db.batch(() => {
+      for (const appId of appIds) {
+        db.games.setOwned(accountId, appId, !missing.includes(appId));
+      }
+    });
+
+    return result;
+  }
+}
+
+// Export singleton instance
+module.exports = new OwnershipService();
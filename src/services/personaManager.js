@@ -0,0 +1,212 @@
+const db = require('../models/database');
+const config = require('../config');
+const logger = require('./logger');
+const steamService = require('./steamService');
+const { isWithinWindows, normalizeWindows } = require('./scheduler');
+
+const { PERSONA_STATES } = steamService;
+
+/**
+ * Validate a persona state. Offline is not offered: it would hide the
+ * account without the friends list staying connected like Invisible does.
+ */
+function normalizeState(value, field = 'persona_state') {
+  const state = parseInt(value, 10);
+  if (isNaN(state) || state < 1 || !PERSONA_STATES[state]) {
+    throw new Error(`${field} must be one of: ${Object.keys(PERSONA_STATES).filter(s => s > 0).join(', ')}`);
+  }
+  return state;
+}
+
+/**
+ * Validate a persona schedule: idle schedule windows that each carry a state
+ * @param {Object[]} entries - [{ start_time, end_time, days, state }]
+ * @returns {Object[]} Normalized entries
+ */
+function normalizeSchedule(entries) {
+  if (!Array.isArray(entries)) {
+    throw new Error('schedule must be an array');
+  }
+  if (entries.length > config.persona.maxWindows) {
+    throw new Error(`schedule can have at most ${config.persona.maxWindows} windows`);
+  }
+
+  const windows = normalizeWindows(entries);
+  return windows.map((window, i) => ({
+    ...window,
+    state: normalizeState(entries[i].state, `Window ${i + 1}: state`)
+  }));
+}
+
+/**
+ * Persona Manager
+ * Applies per-account persona states on a schedule (e.g. Busy during the day,
+ * Looking to Play in the evening) and the profile name override.
+ * Outside every window the account's base persona_state applies.
+ */
+class PersonaManager {
+  constructor() {
+    this.checkInterval = null;
+    this.lastTarget = new Map(); // accountId -> state the schedule asked for at the last check
+  }
+
+  /**
+   * Start periodic evaluation
+   */
+  start() {
+    this.stop();
+
+    this.checkInterval = setInterval(() => {
+      try {
+        this.tick();
+      } catch (err) {
+        logger.error(`Persona schedule check failed: ${err.message}`);
+      }
+    }, config.persona.checkInterval);
+    this.checkInterval.unref();
+  }
+
+  /**
+   * Stop periodic evaluation
+   */
+  stop() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+  }
+
+  /**
+   * Stored persona schedule of an account, empty if unreadable
+   */
+  getSchedule(account) {
+    try {
+      const schedule = JSON.parse(account.persona_schedule || '[]');
+      return Array.isArray(schedule) ? schedule : [];
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Persona state an account should show at a point in time
+   * @param {Object} account - Account row
+   * @param {Date} now - Reference time
+   * @returns {number} Persona state
+   */
+  getTargetState(account, now = new Date()) {
+    const entry = this.getSchedule(account).find(window => isWithinWindows([window], now));
+    return entry ? entry.state : (account.persona_state ?? 1);
+  }
+
+  /**
+   * Switch logged-in accounts whose scheduled state changed since the last
+   * check. States set in between (e.g. Away from humanized sessions) are kept
+   * until the next change.
+   * @param {Date} now - Evaluation time
+   */
+  tick(now = new Date()) {
+    for (const account of db.accounts.findAll()) {
+      const session = steamService.getSession(account.id);
+      if (!session || !session.isLoggedIn) {
+        this.lastTarget.delete(account.id);
+        continue;
+      }
+
+      const target = this.getTargetState(account, now);
+      if (this.lastTarget.get(account.id) === target) continue;
+      this.lastTarget.set(account.id, target);
+
+      if (session.personaState !== target) {
+        session.setPersonaState(target);
+      }
+    }
+  }
+
+  /**
+   * Get an account's persona settings and the state it currently shows
+   * @returns {Object} { persona_state, persona_name, schedule, current_state, target_state }
+   */
+  getStatus(accountId) {
+    const account = db.accounts.findById(accountId);
+    if (!account) return null;
+
+    const session = steamService.getSession(accountId);
+    return {
+      persona_state: account.persona_state ?? 1,
+      persona_name: account.persona_name || null,
+      schedule: this.getSchedule(account),
+      current_state: session && session.isLoggedIn ? session.personaState : null,
+      target_state: this.getTargetState(account)
+    };
+  }
+
+  /**
+   * Update an account's persona settings and apply them to a running session
+   * @param {number} accountId - Account ID
+   * @param {Object} data - { persona_state, persona_name, schedule }, all optional
+   * @returns {Object} Updated status
+   */
+  setPersona(accountId, data) {
+    const updateData = {};
+
+    if (data.persona_state !== undefined) {
+      updateData.persona_state = normalizeState(data.persona_state);
+    }
+    if (data.persona_name !== undefined) {
+      if (data.persona_name !== null && typeof data.persona_name !== 'string') {
+        throw new Error('persona_name must be a string or null');
+      }
+      const name = (data.persona_name || '').trim();
+      if (name.length > config.persona.maxNameLength) {
+        throw new Error(`persona_name must be at most ${config.persona.maxNameLength} characters`);
+      }
+      updateData.persona_name = name || null;
+    }
+    if (data.schedule !== undefined) {
+      updateData.persona_schedule = JSON.stringify(normalizeSchedule(data.schedule || []));
+    }
+
+    if (Object.keys(updateData).length === 0) {
+      return this.getStatus(accountId);
+    }
+    db.accounts.update(accountId, updateData);
+
+    const account = db.accounts.findById(accountId);
+    const session = steamService.getSession(accountId);
+    if (session && session.isLoggedIn) {
+      session.accountData = { ...session.accountData, ...updateData };
+      if (updateData.persona_name) {
+        session.setPersonaName(updateData.persona_name);
+      }
+
+      const target = this.getTargetState(account);
+      this.lastTarget.set(accountId, target);
+      if (session.personaState !== target) {
+        session.setPersonaState(target);
+      }
+    } else {
+      this.lastTarget.delete(accountId);
+    }
+
+    const windows = this.getSchedule(account).length;
+    const details = [
+      PERSONA_STATES[account.persona_state ?? 1],
+      account.persona_name ? `name ${account.persona_name}` : null,
+      windows ? `${windows} scheduled windows` : null
+    ].filter(Boolean).join(', ');
+    logger.info(`Persona settings updated: ${details}`, accountId);
+
+    return this.getStatus(accountId);
+  }
+}
+
+const personaManager = new PersonaManager();
+
+// Let new logons pick up the scheduled state
+steamService.setPersonaManager(personaManager);
+
+// Export singleton instance and helpers
+module.exports = personaManager;
+module.exports.normalizeSchedule = normalizeSchedule;
+module.exports.PERSONA_STATES = PERSONA_STATES;
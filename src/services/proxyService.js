@@ -0,0 +1,259 @@
+const db = require('../models/database');
+const logger = require('./logger');
+const { encrypt, decrypt, isEncrypted } = require('../utils/encryption');
+const { encryptAccountCredentials, decryptAccountCredentials, getEncryptionKey } = require('../middleware/auth');
+const { normalizeProxy, describeProxy, testProxy } = require('../utils/proxy');
+
+const PROXY_MODES = ['none', 'pool', 'custom'];
+
+function encryptValue(value) {
+  const key = getEncryptionKey();
+  if (!value || !key || isEncrypted(value)) return value || null;
+  return encrypt(value, key);
+}
+
+function decryptValue(value) {
+  const key = getEncryptionKey();
+  if (!value || !key || !isEncrypted(value)) return value || null;
+  return decrypt(value, key);
+}
+
+/**
+ * Proxy Service
+ * Manages the proxy pool and resolves which proxy an account connects through
+ */
+class ProxyService {
+  /**
+   * List pool proxies without credentials
+   * @returns {Object[]} [{ id, label, type, host, port, has_auth, account_count, address }]
+   */
+  list() {
+    return db.proxies.findAll().map(row => ({
+      id: row.id,
+      label: row.label,
+      type: row.type,
+      host: row.host,
+      port: row.port,
+      has_auth: !!row.username,
+      account_count: row.account_count || 0,
+      address: describeProxy(row),
+      created_at: row.created_at
+    }));
+  }
+
+  /**
+   * Add a proxy to the pool
+   * @param {Object} data - { label, type, host, port, username, password }
+   * @returns {number} New proxy ID
+   */
+  add(data) {
+    const proxy = normalizeProxy(data);
+    const result = db.proxies.create({
+      label: data.label ? String(data.label).trim() : null,
+      type: proxy.type,
+      host: proxy.host,
+      port: proxy.port,
+      username: encryptValue(proxy.username),
+      password: encryptValue(proxy.password)
+    });
+
+    logger.info(`Added proxy ${describeProxy(proxy)} to pool`);
+    return result.lastInsertRowid;
+  }
+
+  /**
+   * Remove a proxy from the pool. Accounts using it fall back to a direct connection.
+   */
+  remove(id) {
+    const row = db.proxies.findById(id);
+    if (!row) {
+      throw new Error('Proxy not found');
+    }
+
+    db.proxies.delete(id);
+    logger.info(`Removed proxy ${describeProxy(row)} from pool`);
+  }
+
+  /**
+   * Get a pool proxy with decrypted credentials
+   */
+  getPoolProxy(id) {
+    const row = db.proxies.findById(id);
+    if (!row) return null;
+
+    return {
+      type: row.type,
+      host: row.host,
+      port: row.port,
+      username: decryptValue(row.username),
+      password: decryptValue(row.password)
+    };
+  }
+
+  /**
+   * Assign pool proxies to accounts round-robin.
+   * Accounts with custom proxy settings are never touched.
+   * @param {Object} options - { overwrite: also reassign accounts that already use a pool proxy }
+   * @returns {number} Number of accounts assigned
+   */
+  assignRoundRobin({ overwrite = false } = {}) {
+    const pool = db.proxies.findAll();
+    if (pool.length === 0) {
+      throw new Error('Proxy pool is empty');
+    }
+
+    const accounts = db.accounts.findAll()
+      .filter(acc => !acc.proxy_host && (overwrite || !acc.proxy_id))
+      .sort((a, b) => a.id - b.id);
+
+    // Continue where the last assignment stopped so new accounts spread evenly
+    let cursor = overwrite ? 0 : db.settings.get('proxy_pool_cursor', 0);
+
+    db.batch(() => {
+      for (const account of accounts) {
+        const proxy = pool[cursor % pool.length];
+        db.accounts.update(account.id, { proxy_id: proxy.id });
+        cursor++;
+      }
+      db.settings.set('proxy_pool_cursor', cursor % pool.length);
+    });
+
+    logger.info(`Assigned ${pool.length} pool proxies to ${accounts.length} accounts`);
+    return accounts.length;
+  }
+
+  /**
+   * Resolve the proxy an account should connect through
+   * @param {Object} account - Account row
+   * @returns {Object|null} Proxy with decrypted credentials, or null for a direct connection
+   */
+  getForAccount(account) {
+    if (!account) return null;
+
+    if (account.proxy_host) {
+      const decrypted = decryptAccountCredentials(account);
+      return {
+        type: account.proxy_type,
+        host: account.proxy_host,
+        port: account.proxy_port,
+        username: decrypted.proxy_username || null,
+        password: decrypted.proxy_password || null
+      };
+    }
+
+    if (account.proxy_id) {
+      return this.getPoolProxy(account.proxy_id);
+    }
+
+    return null;
+  }
+
+  /**
+   * Describe an account's proxy settings without credentials
+   * @returns {Object} { mode, proxy_id, type, host, port, username, has_password, address }
+   */
+  describeAccount(account) {
+    if (account.proxy_host) {
+      const decrypted = decryptAccountCredentials(account);
+      return {
+        mode: 'custom',
+        proxy_id: null,
+        type: account.proxy_type,
+        host: account.proxy_host,
+        port: account.proxy_port,
+        username: decrypted.proxy_username || '',
+        has_password: !!account.proxy_password,
+        address: describeProxy({ type: account.proxy_type, host: account.proxy_host, port: account.proxy_port })
+      };
+    }
+
+    if (account.proxy_id) {
+      const row = db.proxies.findById(account.proxy_id);
+      if (row) {
+        return {
+          mode: 'pool',
+          proxy_id: row.id,
+          label: row.label,
+          address: describeProxy(row)
+        };
+      }
+    }
+
+    return { mode: 'none' };
+  }
+
+  /**
+   * Update an account's proxy settings
+   * @param {number} accountId - Account ID
+   * @param {Object} data - { mode: 'none'|'pool'|'custom', proxy_id, type, host, port, username, password }
+   */
+  setAccountProxy(accountId, data) {
+    const account = db.accounts.findById(accountId);
+    if (!account) {
+      throw new Error('Account not found');
+    }
+
+    if (!PROXY_MODES.includes(data.mode)) {
+      throw new Error(`mode must be one of: ${PROXY_MODES.join(', ')}`);
+    }
+
+    const cleared = {
+      proxy_id: null,
+      proxy_type: null,
+      proxy_host: null,
+      proxy_port: null,
+      proxy_username: null,
+      proxy_password: null
+    };
+    let updates = cleared;
+
+    if (data.mode === 'pool') {
+      const proxyId = parseInt(data.proxy_id, 10);
+      if (!db.proxies.findById(proxyId)) {
+        throw new Error('Proxy not found');
+      }
+      updates = { ...cleared, proxy_id: proxyId };
+    } else if (data.mode === 'custom') {
+      // Keep the stored password when the form leaves it blank
+      const password = data.password
+        || (data.username && account.proxy_password ? decryptAccountCredentials(account).proxy_password : null);
+      const proxy = normalizeProxy({ ...data, password });
+
+      updates = encryptAccountCredentials({
+        ...cleared,
+        proxy_type: proxy.type,
+        proxy_host: proxy.host,
+        proxy_port: proxy.port,
+        proxy_username: proxy.username,
+        proxy_password: proxy.password
+      });
+    }
+
+    db.accounts.update(accountId, updates);
+
+    const description = this.describeAccount({ ...account, ...updates });
+    logger.info(description.mode === 'none'
+      ? 'Proxy removed, connecting directly'
+      : `Proxy set to ${description.address}`, accountId);
+
+    return description;
+  }
+
+  /**
+   * Check that a proxy can reach Steam
+   * @param {Object} proxy - Proxy settings with decrypted credentials
+   * @returns {Promise<Object>} { ok, latency } or { ok: false, error }
+   */
+  async test(proxy) {
+    try {
+      const { latency } = await testProxy(normalizeProxy(proxy));
+      return { ok: true, latency, address: describeProxy(proxy) };
+    } catch (err) {
+      return { ok: false, error: err.message, address: describeProxy(proxy) };
+    }
+  }
+}
+
+// Export singleton instance and helpers
+module.exports = new ProxyService();
+module.exports.PROXY_MODES = PROXY_MODES;
@@ -0,0 +1,252 @@
+const db = require('../models/database');
+const config = require('../config');
+const logger = require('./logger');
+const steamService = require('./steamService');
+const { getEncryptionKey } = require('../middleware/auth');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Convert "HH:MM" to minutes since midnight
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Check whether a date falls inside any of the given schedule windows.
+ * A window whose end is not after its start runs past midnight into the next
+ * day (equal start and end means a full 24 hours).
+ * @param {Object[]} windows - [{ start_time, end_time, days }]
+ * @param {Date} date - Point in time (server local time)
+ * @returns {boolean}
+ */
+function isWithinWindows(windows, date) {
+  const day = date.getDay();
+  const previousDay = (day + 6) % 7;
+  const minutes = date.getHours() * 60 + date.getMinutes();
+
+  return windows.some(window => {
+    const start = toMinutes(window.start_time);
+    const end = toMinutes(window.end_time);
+
+    if (start < end) {
+      return window.days.includes(day) && minutes >= start && minutes < end;
+    }
+
+    return (window.days.includes(day) && minutes >= start) ||
+      (window.days.includes(previousDay) && minutes < end);
+  });
+}
+
+/**
+ * Find the next time the schedule switches between idling and not idling
+ * @param {Object[]} windows - [{ start_time, end_time, days }]
+ * @param {Date} from - Starting point
+ * @returns {Object|null} { at: Date, action: 'start'|'stop' } or null if the state never changes
+ */
+function getNextTransition(windows, from) {
+  if (windows.length === 0) return null;
+
+  const boundaries = new Set();
+  for (let offset = -1; offset <= 7; offset++) {
+    const day = new Date(from.getFullYear(), from.getMonth(), from.getDate() + offset);
+    for (const window of windows) {
+      if (!window.days.includes(day.getDay())) continue;
+
+      const start = toMinutes(window.start_time);
+      const end = toMinutes(window.end_time);
+      const startAt = new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, start);
+      const endAt = new Date(day.getFullYear(), day.getMonth(), day.getDate() + (end <= start ? 1 : 0), 0, end);
+
+      for (const boundary of [startAt, endAt]) {
+        if (boundary > from) boundaries.add(boundary.getTime());
+      }
+    }
+  }
+
+  const current = isWithinWindows(windows, from);
+  const sorted = [...boundaries].sort((a, b) => a - b);
+  for (const time of sorted) {
+    const state = isWithinWindows(windows, new Date(time));
+    if (state !== current) {
+      return { at: new Date(time), action: state ? 'start' : 'stop' };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validate and normalize schedule windows from user input
+ * @param {Object[]} windows - Raw windows from the API
+ * @returns {Object[]} Normalized windows
+ */
+function normalizeWindows(windows) {
+  if (!Array.isArray(windows)) {
+    throw new Error('windows must be an array');
+  }
+
+  return windows.map((window, i) => {
+    const { start_time, end_time, days } = window || {};
+
+    if (!TIME_PATTERN.test(start_time || '') || !TIME_PATTERN.test(end_time || '')) {
+      throw new Error(`Window ${i + 1}: times must use HH:MM format`);
+    }
+
+    if (!Array.isArray(days) || days.length === 0) {
+      throw new Error(`Window ${i + 1}: select at least one day`);
+    }
+
+    const normalizedDays = [...new Set(days.map(d => parseInt(d, 10)))].sort((a, b) => a - b);
+    if (normalizedDays.some(d => isNaN(d) || d < 0 || d > 6)) {
+      throw new Error(`Window ${i + 1}: days must be between 0 (Sunday) and 6 (Saturday)`);
+    }
+
+    return { start_time, end_time, days: normalizedDays };
+  });
+}
+
+/**
+ * Idle Scheduler
+ * Starts and stops idling at the boundaries of each account's schedule windows
+ */
+class IdleScheduler {
+  constructor() {
+    this.checkInterval = null;
+    this.lastState = new Map(); // accountId -> inside window at last check
+  }
+
+  /**
+   * Start periodic schedule evaluation
+   */
+  start() {
+    this.stop();
+
+    this.checkInterval = setInterval(() => {
+      this.tick().catch(err => {
+        logger.error(`Schedule check failed: ${err.message}`);
+      });
+    }, config.scheduler.checkInterval);
+    this.checkInterval.unref();
+
+    this.tick().catch(err => {
+      logger.error(`Schedule check failed: ${err.message}`);
+    });
+  }
+
+  /**
+   * Stop periodic schedule evaluation
+   */
+  stop() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+  }
+
+  /**
+   * Evaluate every scheduled account once. The first evaluation of an account
+   * enforces its schedule; after that, idling is only started or stopped when a
+   * window boundary is crossed so manual start/stop in between is respected.
+   * @param {Date} now - Evaluation time
+   */
+  async tick(now = new Date()) {
+    // Logging in requires decrypted credentials
+    if (!getEncryptionKey()) return;
+
+    const windowsByAccount = db.schedules.getAllGrouped();
+
+    for (const account of db.accounts.findAll()) {
+      const windows = windowsByAccount[account.id] || [];
+      if (!account.schedule_enabled || windows.length === 0 || !account.password) {
+        this.lastState.delete(account.id);
+        continue;
+      }
+
+      const inWindow = isWithinWindows(windows, now);
+      const previous = this.lastState.get(account.id);
+      this.lastState.set(account.id, inWindow);
+      if (previous === inWindow) continue;
+
+      const isIdling = steamService.getStatus(account.id).isIdling || !!account.is_idling;
+
+      if (inWindow && !isIdling) {
+        logger.info('Schedule window opened, starting idle', account.id);
+        try {
+          await steamService.startIdling(account.id);
+        } catch (err) {
+          logger.error(`Scheduled start failed: ${err.message}`, account.id);
+        }
+      } else if (!inWindow && isIdling) {
+        logger.info('Schedule window closed, stopping idle', account.id);
+        try {
+          steamService.stopIdling(account.id);
+        } catch (err) {
+          logger.error(`Scheduled stop failed: ${err.message}`, account.id);
+        }
+      }
+    }
+  }
+
+  /**
+   * Get an account's schedule with its current state and next transition
+   * @param {number} accountId - Account ID
+   * @param {Date} now - Reference time
+   * @returns {Object} { enabled, windows, in_window, next_transition }
+   */
+  getSchedule(accountId, now = new Date()) {
+    const account = db.accounts.findById(accountId);
+    const windows = db.schedules.getByAccount(accountId).map(w => ({
+      start_time: w.start_time,
+      end_time: w.end_time,
+      days: w.days
+    }));
+    const enabled = !!account?.schedule_enabled;
+    const active = enabled && windows.length > 0;
+    const next = active ? getNextTransition(windows, now) : null;
+
+    return {
+      enabled,
+      windows,
+      in_window: active ? isWithinWindows(windows, now) : null,
+      next_transition: next ? { at: next.at.toISOString(), action: next.action } : null
+    };
+  }
+
+  /**
+   * Replace an account's schedule
+   * @param {number} accountId - Account ID
+   * @param {Object} data - { enabled, windows }
+   * @returns {Object} Updated schedule
+   */
+  setSchedule(accountId, data) {
+    const windows = normalizeWindows(data.windows || []);
+    const enabled = !!data.enabled;
+
+    if (enabled && windows.length === 0) {
+      throw new Error('Add at least one window to enable the schedule');
+    }
+
+    db.schedules.setWindows(accountId, windows);
+    db.accounts.update(accountId, { schedule_enabled: enabled ? 1 : 0 });
+
+    // Re-evaluate from scratch on the next check
+    this.lastState.delete(accountId);
+
+    const summary = windows
+      .map(w => `${w.days.map(d => DAY_NAMES[d]).join('/')} ${w.start_time}-${w.end_time}`)
+      .join(', ');
+    logger.info(`Schedule ${enabled ? 'enabled' : 'disabled'}${summary ? `: ${summary}` : ''}`, accountId);
+
+    return this.getSchedule(accountId);
+  }
+}
+
+// Export singleton instance and helpers
+module.exports = new IdleScheduler();
+module.exports.isWithinWindows = isWithinWindows;
+module.exports.getNextTransition = getNextTransition;
+module.exports.normalizeWindows = normalizeWindows;
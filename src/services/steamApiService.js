@@ -1,5 +1,8 @@
 const config = require('../config');
 const logger = require('./logger');
+const hourTargets = require('./hourTargets');
+const banMonitor = require('./banMonitor');
+const gameSelector = require('./gameSelector');
 
 /**
  * Steam Web API Service
@@ -253,6 +256,7 @@ class SteamApiService {
     }
 
     const data = await this.fetchAllPlayerData(steamId);
+    const banChanges = banMonitor.detectChanges(this.db.accounts.findById(accountId), data.bans);
 
     // Batch all DB writes into a single disk save
     this.db.batch(() => {
@@ -270,8 +274,10 @@ class SteamApiService {
       if (data.bans) {
         this.db.accounts.update(accountId, {
           vac_banned: data.bans.vacBanned ? 1 : 0,
+          vac_bans: data.bans.vacBans || 0,
           trade_banned: data.bans.economyBan === 'banned' ? 1 : 0,
-          game_bans: data.bans.gameBans
+          game_bans: data.bans.gameBans,
+          community_banned: data.bans.communityBanned ? 1 : 0
         });
       }
 
@@ -285,6 +291,7 @@ class SteamApiService {
         for (const game of data.games) {
           this.db.playtime.upsert(accountId, {
             app_id: game.appId,
+            app_name: game.name,
             playtime_forever: game.playtimeForever,
             playtime_2weeks: game.playtime2Weeks,
             last_played: game.lastPlayed ? game.lastPlayed.toISOString() : null
@@ -300,6 +307,26 @@ class SteamApiService {
 
     logger.info(`Refreshed Steam API data for account ${accountId}`, accountId, 'API');
 
+    try {
+      banMonitor.handleChanges(accountId, banChanges);
+    } catch (err) {
+      logger.error(`Ban change handling failed: ${err.message}`, accountId, 'BAN');
+    }
+
+    // Fresh library data may change auto-selected games
+    try {
+      gameSelector.apply(accountId);
+    } catch (err) {
+      logger.error(`Game auto-selection failed: ${err.message}`, accountId);
+    }
+
+    // Fresh playtime may complete hour targets
+    try {
+      hourTargets.check(accountId);
+    } catch (err) {
+      logger.error(`Hour target check failed: ${err.message}`, accountId);
+    }
+
     return data;
   }
 
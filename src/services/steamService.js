@@ -1,24 +1,125 @@
+const net = require('net');
 const SteamUser = require('steam-user');
 const SteamTotp = require('steam-totp');
 const db = require('../models/database');
 const config = require('../config');
 const logger = require('./logger');
 const accountManager = require('./accountManager');
+const proxyService = require('./proxyService');
+const loginQueue = require('./loginQueue');
+const autoResponder = require('./autoResponder');
+const ownershipService = require('./ownershipService');
+const { buildProxyUrl, describeProxy, toClientOptions } = require('../utils/proxy');
+
+// Card farmer, registered by cardFarmer.js (it requires this module)
+let cardFarmer = null;
+
+// Global idle cap, registered by idleQueue.js (it requires this module)
+let idleQueue = null;
+
+// Persona schedules, registered by personaManager.js (it requires this module)
+let personaManager = null;
+
+// Ban change handling, registered by banMonitor.js (it requires this module)
+let banMonitor = null;
+
+// Steam persona states (EPersonaState)
+const PERSONA_STATES = {
+  0: 'Offline',
+  1: 'Online',
+  2: 'Busy',
+  3: 'Away',
+  4: 'Snooze',
+  5: 'Looking to Trade',
+  6: 'Looking to Play',
+  7: 'Invisible'
+};
+
+// Logon results that mean a saved refresh token is no longer accepted
+const TOKEN_REJECTED_RESULTS = ['InvalidPassword', 'AccessDenied', 'Revoked', 'Expired', 'InvalidSignature'];
+
+/**
+ * Read the expiry of a Steam refresh token (JWT) without verifying it
+ * @returns {Date|null} Expiry date, or null if the token can't be decoded
+ */
+function getTokenExpiry(token) {
+  try {
+    const payload = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8'));
+    return payload.exp ? new Date(payload.exp * 1000) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Local midnight after the given time (when a 'stop_day' pause ends)
+ */
+function startOfNextDay(from = new Date()) {
+  const next = new Date(from);
+  next.setHours(24, 0, 0, 0);
+  return next;
+}
 
 class SteamSession {
-  constructor(accountId, accountData) {
+  constructor(accountId, accountData, proxy = null) {
     this.accountId = accountId;
     this.accountData = accountData;
-    this.client = new SteamUser({ autoRelogin: false });
+    this.proxy = proxy;
+    this.client = this.createClient();
     this.isLoggedIn = false;
     this.isIdling = false;
     this.currentGames = [];
+    this.customTitles = []; // Non-Steam titles shown ahead of currentGames
     this.reconnectAttempts = 0;
     this.reconnectTimeout = null;
     this.isConnecting = false;
     this.isPaused = false;
+    this.pauseInfo = null; // { policy, reason, since, until, kickAt } while paused for the owner
+    this.pauseTimer = null; // Kick or end-of-day timer of the current pause
+    this.playingBlocked = false; // Owner is playing on another device
+    this.blockingApp = null; // App the owner is playing there
+    this.reclaimOnLogon = false; // 'kick' grace already served before reconnecting
     this.sessionId = null;
+    this.webCookies = null; // steamcommunity.com cookies from the last webSession
+    this.cardFarm = null; // { mode, games, startedAt, drops } while farming cards, see cardFarmer
+    this.rotation = null; // { games, mode, interval, offset, boosted, nextAt }
+    this.rotationTimer = null;
+    this.usingToken = false; // Current logon attempt uses the saved refresh token
+    this.personaState = null; // Persona state last sent to Steam
+    this.pendingGuard = null; // { domain, callback, lastCodeWrong, expiresAt }
+    this.guardTimeout = null;
+    this.abortLogin = null;
+    this.resumeDone = null; // Ends the queued task of a logon resumed with a Steam Guard code
+
+    this.setupEventHandlers();
+  }
+
+  /**
+   * Create the SteamUser client, routed through the session's proxy if one is set
+   */
+  createClient() {
+    this.clientProxyUrl = this.proxy ? buildProxyUrl(this.proxy) : null;
+    return new SteamUser({ autoRelogin: false, renewRefreshTokens: true, ...toClientOptions(this.proxy) });
+  }
+
+  /**
+   * Change the proxy used for future logins. The client is rebuilt on the next
+   * login since SteamUser only reads proxy options in its constructor.
+   */
+  setProxy(proxy) {
+    this.proxy = proxy;
+  }
 
+  /**
+   * Rebuild the client if the proxy changed since it was created
+   */
+  refreshClient() {
+    const proxyUrl = this.proxy ? buildProxyUrl(this.proxy) : null;
+    if (proxyUrl === this.clientProxyUrl) return;
+
+    this.client.removeAllListeners();
+    this.client.chat.removeAllListeners();
+    this.client = this.createClient();
     this.setupEventHandlers();
   }
 
@@ -41,11 +142,14 @@ class SteamSession {
         logger.info(`Logged in successfully`, this.accountId, 'STEAM');
         accountManager.updateStatus(this.accountId, 'online');
 
-        // Set persona state based on account settings
-        const personaState = this.accountData.persona_state ?? 1;
-        this.client.setPersona(personaState);
-        const stateNames = { 1: 'Online', 3: 'Away', 7: 'Invisible' };
-        logger.info(`Set persona state: ${stateNames[personaState] || personaState}`, this.accountId);
+        // Set persona state (and name override) based on account settings
+        const personaState = personaManager
+          ? personaManager.getTargetState(this.accountData)
+          : (this.accountData.persona_state ?? 1);
+        const personaName = this.accountData.persona_name || undefined;
+        this.client.setPersona(personaState, personaName);
+        this.personaState = personaState;
+        logger.info(`Set persona state: ${PERSONA_STATES[personaState] || personaState}${personaName ? `, name: ${personaName}` : ''}`, this.accountId);
 
         // Get account info
         if (this.client.steamID) {
@@ -57,13 +161,18 @@ class SteamSession {
         // Resume idling if we were idling before disconnect/error
         if (this.currentGames.length > 0) {
           const shouldIdle = this.isIdling || db.accounts.findById(this.accountId)?.is_idling;
-          if (shouldIdle) {
+          if (shouldIdle && this.isStoppedForDay()) {
+            this.isIdling = true;
+            logger.info('Staying paused until tomorrow', this.accountId);
+            accountManager.updateStatus(this.accountId, 'paused', this.pauseInfo.reason);
+          } else if (shouldIdle) {
+            this.clearPause();
             this.isIdling = true;
             this.sessionId = db.sessions.start(this.accountId, this.currentGames).lastInsertRowid;
             logger.info(`Resuming idle for games: ${this.currentGames.join(', ')}`, this.accountId);
             accountManager.updateStatus(this.accountId, 'idling');
             accountManager.setIdling(this.accountId, true);
-            this.client.gamesPlayed(this.currentGames);
+            this.client.gamesPlayed(this.withCustomTitles(this.currentGames));
           }
         }
       } catch (err) {
@@ -80,9 +189,84 @@ class SteamSession {
       }
     });
 
+    // Account info Steam sends after logon
+    this.client.on('accountLimitations', (limited, communityBanned, locked) => {
+      try {
+        db.accounts.update(this.accountId, {
+          limited_account: limited ? 1 : 0,
+          locked_account: locked ? 1 : 0
+        });
+        if (banMonitor) {
+          banMonitor.handleCommunityBan(this.accountId, communityBanned);
+        }
+        if (locked) {
+          logger.warn('Steam reports this account as locked', this.accountId, 'STEAM');
+        }
+      } catch (err) {
+        logger.error(`Failed to save account limitations: ${err.message}`, this.accountId, 'STEAM');
+      }
+    });
+
+    this.client.on('emailInfo', (address, validated) => {
+      try {
+        db.accounts.update(this.accountId, { email_verified: validated ? 1 : 0 });
+      } catch (err) {
+        // Non-critical: email info update failed
+      }
+    });
+
+    this.client.on('wallet', (hasWallet, currency, balance) => {
+      try {
+        db.accounts.update(this.accountId, {
+          wallet_balance: hasWallet ? balance : 0,
+          wallet_currency: hasWallet ? (SteamUser.ECurrencyCode[currency] || String(currency)) : null
+        });
+      } catch (err) {
+        // Non-critical: wallet update failed
+      }
+    });
+
+    this.client.on('licenses', (licenses) => {
+      try {
+        db.accounts.update(this.accountId, { license_count: licenses.length });
+      } catch (err) {
+        // Non-critical: license count update failed
+      }
+    });
+
+    this.client.on('refreshToken', (token) => {
+      try {
+        this.accountData.refresh_token = token;
+        const expiresAt = getTokenExpiry(token);
+        accountManager.saveRefreshToken(this.accountId, token, expiresAt);
+        logger.info(`Saved refresh token${expiresAt ? ` (expires ${expiresAt.toISOString().slice(0, 10)})` : ''}`, this.accountId, 'STEAM');
+      } catch (err) {
+        logger.error(`Failed to save refresh token: ${err.message}`, this.accountId, 'STEAM');
+      }
+    });
+
+    this.client.on('webSession', (sessionId, cookies) => {
+      this.webCookies = cookies;
+    });
+
+    // Steam's notification count for new inventory items, e.g. a card drop
+    this.client.on('newItems', (count) => {
+      if (count > 0 && this.cardFarm && cardFarmer) {
+        cardFarmer.handleNewItems(this.accountId, count);
+      }
+    });
+
     this.client.on('error', (err) => {
       this.isLoggedIn = false;
       this.isConnecting = false;
+      this.webCookies = null;
+
+      // A rejected refresh token is not a failed login, login() retries with the password
+      if (this.usingToken && this.isTokenRejection(err)) {
+        logger.warn(`Saved refresh token was rejected (${err.message}), falling back to password logon`, this.accountId, 'STEAM');
+        this.discardRefreshToken();
+        return;
+      }
 
       try {
         const errorMsg = err.message || String(err);
@@ -127,13 +311,11 @@ class SteamSession {
         this.sessionId = null;
       }
 
-      // User logged in elsewhere — wait longer before reconnecting
+      // User logged in elsewhere — reconnect according to the conflict policy
       try {
         if (err.eresult === SteamUser.EResult.LoggedInElsewhere ||
             err.eresult === SteamUser.EResult.LogonSessionReplaced) {
-          logger.info('User logged in elsewhere, waiting 5 minutes before reconnect', this.accountId, 'STEAM');
-          accountManager.updateStatus(this.accountId, 'paused', 'User logged in elsewhere');
-          this.scheduleReconnect(5 * 60 * 1000);
+          this.handleLoggedInElsewhere();
           return;
         }
       } catch (elseErr) {
@@ -141,12 +323,13 @@ class SteamSession {
       }
 
       // Always attempt reconnect for non-terminal errors
-      this.scheduleReconnect();
+      this.reconnectAfterDrop();
     });
 
     this.client.on('disconnected', (eresult, msg) => {
       this.isLoggedIn = false;
       this.isConnecting = false;
+      this.webCookies = null;
 
       try {
         logger.warn(`Disconnected: ${msg} (${eresult})`, this.accountId);
@@ -170,7 +353,7 @@ class SteamSession {
         } catch (statusErr) {
           // DB write failed, continue to reconnect anyway
         }
-        this.scheduleReconnect();
+        this.reconnectAfterDrop();
       }
     });
 
@@ -185,29 +368,374 @@ class SteamSession {
         logger.info('Generated Steam Guard code from shared_secret', this.accountId);
         callback(code);
       } else {
-        logger.error('Steam Guard code required but no shared_secret available', this.accountId);
-        accountManager.updateStatus(this.accountId, 'error', 'Steam Guard code required');
+        this.requestGuardCode(domain, callback, lastCodeWrong);
       }
     });
 
     this.client.on('playingState', (blocked, playingApp) => {
       try {
+        const reclaim = this.reclaimOnLogon;
+        this.reclaimOnLogon = false;
+        this.playingBlocked = blocked;
+        this.blockingApp = blocked ? playingApp : null;
+
         if (blocked) {
-          this.isPaused = true;
-          logger.info(`Paused: user is playing game ${playingApp || 'unknown'}`, this.accountId);
-          accountManager.updateStatus(this.accountId, 'paused', `User playing game ${playingApp || 'unknown'}`);
-        } else if (this.isPaused) {
-          this.isPaused = false;
-          logger.info(`User stopped playing, resuming idle`, this.accountId);
-          if (this.isIdling && this.currentGames.length > 0 && this.isLoggedIn) {
-            this.client.gamesPlayed(this.currentGames);
-            accountManager.updateStatus(this.accountId, 'idling');
-          }
+          this.handlePlayingBlocked(playingApp, reclaim);
+        } else if (this.isPaused && !this.isStoppedForDay()) {
+          this.resumeFromPause('User stopped playing, resuming idle');
         }
       } catch (err) {
         logger.error(`Error in playingState handler: ${err.message}`, this.accountId);
       }
     });
+
+    this.client.chat.on('friendMessage', (message) => {
+      this.handleFriendMessage(message).catch((err) => {
+        logger.error(`Failed to send auto-reply: ${err.message}`, this.accountId, 'CHAT');
+      });
+    });
+  }
+
+  /**
+   * Log an incoming friend message and send the auto-reply while idling
+   * @param {Object} message - steam-user IncomingFriendMessage
+   */
+  async handleFriendMessage(message) {
+    const friendId = message.steamid_friend.toString();
+    const friendName = this.client.users?.[friendId]?.player_name || friendId;
+    logger.info(`Message from ${friendName}: ${message.message_no_bbcode || message.message}`, this.accountId, 'CHAT');
+
+    if (!this.isIdling || !this.isLoggedIn) return;
+
+    const reply = autoResponder.getReply(this.accountId, friendId, {
+      friend: friendName,
+      account: this.client.accountInfo?.name || this.accountData.username
+    });
+    if (!reply) return;
+
+    await this.client.chat.sendFriendMessage(message.steamid_friend, reply);
+    logger.info(`Auto-replied to ${friendName}: ${reply}`, this.accountId, 'CHAT');
+  }
+
+  /**
+   * Cookies for steamcommunity.com. steam-user logs on to the web after every
+   * logon; ask again if those cookies were dropped (e.g. expired).
+   * @returns {Promise<string[]>} "name=value" cookie strings
+   */
+  getWebCookies() {
+    if (this.webCookies) return Promise.resolve(this.webCookies);
+    if (!this.isLoggedIn) return Promise.reject(new Error('Not logged in'));
+
+    return new Promise((resolve, reject) => {
+      const onSession = (sessionId, cookies) => {
+        clearTimeout(timeout);
+        resolve(cookies);
+      };
+      const timeout = setTimeout(() => {
+        this.client.removeListener('webSession', onSession);
+        reject(new Error('Steam did not provide a web session'));
+      }, config.cardFarming.webSessionTimeout);
+
+      this.client.once('webSession', onSession);
+      this.client.webLogOn();
+    });
+  }
+
+  /**
+   * Conflict policy of the account: 'yield', 'kick' or 'stop_day', with the
+   * kick grace period in ms. Read fresh so edits apply to running sessions.
+   */
+  getConflictPolicy() {
+    const account = db.accounts.findById(this.accountId) || this.accountData;
+    const grace = account.conflict_grace || config.conflict.defaultGrace;
+    return { policy: account.conflict_policy || 'yield', grace: grace * 60 * 1000 };
+  }
+
+  /**
+   * The owner started playing on another device, so Steam blocks our games.
+   * yield waits for them to stop, kick takes the session back after the grace
+   * period and stop_day stays paused until midnight.
+   * @param {number} playingApp - App the owner is playing
+   * @param {boolean} reclaim - Grace period was already served (kick only)
+   */
+  handlePlayingBlocked(playingApp, reclaim = false) {
+    if (this.isStoppedForDay() || this.pauseTimer) return;
+
+    // Nothing to take back when we weren't idling anyway
+    const { policy, grace } = this.isIdling ? this.getConflictPolicy() : { policy: 'yield' };
+    const game = `game ${playingApp || 'unknown'}`;
+
+    if (policy === 'stop_day') {
+      const until = startOfNextDay();
+      this.pause(`User playing ${game}, stopped until tomorrow`, { policy, until });
+      this.pauseTimer = setTimeout(() => {
+        this.pauseTimer = null;
+        this.pauseInfo.until = null;
+        if (this.playingBlocked) {
+          this.handlePlayingBlocked(this.blockingApp);
+        } else {
+          this.resumeFromPause('New day, resuming idle');
+        }
+      }, until - Date.now());
+      return;
+    }
+
+    if (policy === 'kick') {
+      const delay = reclaim ? 0 : grace;
+      this.pause(`User playing ${game}, reclaiming in ${Math.round(delay / 60000)} min`, {
+        policy,
+        kickAt: new Date(Date.now() + delay)
+      });
+      this.pauseTimer = setTimeout(() => {
+        this.pauseTimer = null;
+        this.kickPlayingSession();
+      }, delay);
+      return;
+    }
+
+    this.pause(`User playing ${game}`, { policy });
+  }
+
+  /**
+   * Steam logged us out because the owner logged in elsewhere
+   */
+  handleLoggedInElsewhere() {
+    const { policy, grace } = this.getConflictPolicy();
+
+    if (policy === 'stop_day') {
+      const until = startOfNextDay();
+      this.pause('User logged in elsewhere, stopped until tomorrow', { policy, until });
+      this.scheduleReconnect(until - Date.now());
+    } else if (policy === 'kick') {
+      // The playing session is kicked right after reconnecting
+      this.reclaimOnLogon = true;
+      this.pause(`User logged in elsewhere, reclaiming in ${Math.round(grace / 60000)} min`, {
+        policy,
+        kickAt: new Date(Date.now() + grace)
+      });
+      this.scheduleReconnect(grace);
+    } else {
+      this.pause('User logged in elsewhere', { policy });
+      this.scheduleReconnect(config.conflict.elsewhereDelay);
+    }
+  }
+
+  /**
+   * Take the playing session back from the other device. steam-user emits
+   * playingState (unblocked) on success, which resumes idling.
+   */
+  async kickPlayingSession() {
+    if (!this.isLoggedIn || !this.isPaused) return;
+
+    try {
+      await this.client.kickPlayingSession();
+      logger.info('Kicked the playing session on the other device', this.accountId, 'STEAM');
+    } catch (err) {
+      const { grace } = this.getConflictPolicy();
+      logger.warn(`Could not kick the other playing session, retrying in ${Math.round(grace / 60000)} min: ${err.message}`, this.accountId, 'STEAM');
+      if (this.isPaused && !this.pauseTimer) {
+        this.pauseInfo.kickAt = new Date(Date.now() + grace);
+        this.pauseTimer = setTimeout(() => {
+          this.pauseTimer = null;
+          this.kickPlayingSession();
+        }, grace);
+      }
+    }
+  }
+
+  /**
+   * Mark the session paused for the owner. Session tracking ends so paused
+   * time isn't counted as boosted.
+   * @param {string} reason - Shown in the dashboard
+   * @param {Object} options - { policy, until, kickAt }
+   */
+  pause(reason, { policy, until = null, kickAt = null }) {
+    this.isPaused = true;
+    this.pauseInfo = { policy, reason, since: new Date(), until, kickAt };
+
+    if (this.sessionId) {
+      db.sessions.end(this.sessionId);
+      this.sessionId = null;
+    }
+
+    logger.info(`Paused: ${reason}`, this.accountId);
+    accountManager.updateStatus(this.accountId, 'paused', reason);
+  }
+
+  /**
+   * Whether a 'stop_day' pause is still in effect
+   */
+  isStoppedForDay() {
+    return !!(this.pauseInfo && this.pauseInfo.until && this.pauseInfo.until > new Date());
+  }
+
+  clearPause() {
+    if (this.pauseTimer) {
+      clearTimeout(this.pauseTimer);
+      this.pauseTimer = null;
+    }
+    this.isPaused = false;
+    this.pauseInfo = null;
+  }
+
+  /**
+   * End the pause and play the current games again if still idling
+   */
+  resumeFromPause(message) {
+    this.clearPause();
+    logger.info(message, this.accountId);
+
+    if (this.isIdling && this.currentGames.length > 0 && this.isLoggedIn) {
+      this.sessionId = db.sessions.start(this.accountId, this.currentGames).lastInsertRowid;
+      this.client.gamesPlayed(this.withCustomTitles(this.currentGames));
+      accountManager.updateStatus(this.accountId, 'idling');
+    }
+  }
+
+  /**
+   * Hold a Steam Guard request until a code is submitted through the API.
+   * Used for accounts without a shared_secret (no imported maFile).
+   */
+  requestGuardCode(domain, callback, lastCodeWrong) {
+    this.clearGuard();
+
+    const expiresAt = new Date(Date.now() + config.steamGuard.codeTimeout);
+    this.pendingGuard = { domain: domain || null, callback, lastCodeWrong: !!lastCodeWrong, expiresAt };
+
+    const source = domain ? `email at ${domain}` : 'Steam Mobile app';
+    logger.warn(`Steam Guard code required (${source}), waiting for manual entry`, this.accountId, 'STEAM');
+    accountManager.updateStatus(
+      this.accountId,
+      'pending-guard',
+      lastCodeWrong ? 'Steam Guard code was wrong, enter a new code' : `Steam Guard code required (${source})`
+    );
+
+    // Don't hold a login slot while waiting for a person
+    this.finishResume();
+    loginQueue.release(this.accountId);
+
+    this.guardTimeout = setTimeout(() => {
+      this.guardTimeout = null;
+      this.pendingGuard = null;
+      logger.error('Steam Guard code was not entered in time', this.accountId, 'STEAM');
+      accountManager.updateStatus(this.accountId, 'error', 'Steam Guard code not entered in time');
+      if (this.abortLogin) {
+        this.abortLogin(new Error('Steam Guard code not entered in time'));
+      }
+    }, config.steamGuard.codeTimeout);
+  }
+
+  /**
+   * Submit a manually entered Steam Guard code
+   * @param {string} code - 5 character email or mobile code
+   */
+  submitGuardCode(code) {
+    if (!this.pendingGuard) {
+      throw new Error('No Steam Guard code requested');
+    }
+
+    const normalized = String(code || '').trim().toUpperCase();
+    if (!/^[A-Z0-9]{5}$/.test(normalized)) {
+      throw new Error('Steam Guard code must be 5 letters or digits');
+    }
+
+    const { callback } = this.pendingGuard;
+    this.clearGuard();
+
+    // The logon gave up its slot while waiting, take one again to finish it
+    loginQueue.enqueue(this.accountId, () => this.resumeLogon(callback, normalized), { spaced: false })
+      .catch((err) => {
+        // Stopped before a slot freed up
+        if (this.abortLogin) this.abortLogin(err);
+      });
+  }
+
+  /**
+   * Hand a Steam Guard code to the waiting logon
+   * @returns {Promise} Settles once the logon succeeds, fails or asks again
+   */
+  resumeLogon(callback, code) {
+    logger.info('Submitting Steam Guard code', this.accountId, 'STEAM');
+    accountManager.updateStatus(this.accountId, 'connecting');
+
+    return new Promise((resolve) => {
+      this.resumeDone = resolve;
+      callback(code);
+    });
+  }
+
+  finishResume() {
+    if (this.resumeDone) {
+      const done = this.resumeDone;
+      this.resumeDone = null;
+      done();
+    }
+  }
+
+  /**
+   * Drop a pending Steam Guard request
+   */
+  clearGuard() {
+    if (this.guardTimeout) {
+      clearTimeout(this.guardTimeout);
+      this.guardTimeout = null;
+    }
+    this.pendingGuard = null;
+  }
+
+  /**
+   * Whether the saved refresh token can be used for the next logon
+   */
+  hasUsableToken() {
+    const token = this.accountData.refresh_token;
+    if (!token) return false;
+
+    const expiresAt = getTokenExpiry(token);
+    if (expiresAt && expiresAt.getTime() <= Date.now() + 60 * 1000) {
+      logger.info('Saved refresh token expired, using password logon', this.accountId, 'STEAM');
+      this.discardRefreshToken();
+      return false;
+    }
+
+    return true;
+  }
+
+  isTokenRejection(err) {
+    return err.eresult !== undefined &&
+      TOKEN_REJECTED_RESULTS.some(name => SteamUser.EResult[name] === err.eresult);
+  }
+
+  /**
+   * Forget the saved refresh token (next logon uses the password)
+   */
+  discardRefreshToken() {
+    this.accountData.refresh_token = null;
+    try {
+      accountManager.clearRefreshToken(this.accountId);
+    } catch (err) {
+      logger.error(`Failed to clear refresh token: ${err.message}`, this.accountId, 'STEAM');
+    }
+  }
+
+  /**
+   * Abandon a login that is waiting for a Steam Guard code, or for Steam to
+   * accept one
+   */
+  cancelPendingLogin() {
+    if (!this.pendingGuard && !this.resumeDone) return;
+
+    this.clearGuard();
+    if (this.abortLogin) {
+      this.abortLogin(new Error('Login cancelled'));
+    }
+  }
+
+  /**
+   * Reconnect after losing the connection, unless the whole network is down
+   */
+  reconnectAfterDrop() {
+    if (steamService.noteDisconnect(this)) return;
+    this.scheduleReconnect();
   }
 
   scheduleReconnect(minDelay = 0) {
@@ -215,6 +743,12 @@ class SteamSession {
       clearTimeout(this.reconnectTimeout);
     }
 
+    // The connectivity monitor reconnects every account once the network is back
+    if (steamService.network.offline) {
+      this.reconnectTimeout = null;
+      return;
+    }
+
     this.reconnectAttempts++;
 
     // After max attempts, use a longer retry interval (5 minutes) instead of giving up
@@ -255,9 +789,10 @@ class SteamSession {
       }
 
       try {
-        await this.login();
+        await loginQueue.enqueue(this.accountId, () => this.login());
         // loggedOn handler will resume games automatically
       } catch (err) {
+        if (err.cancelled) return;
         logger.error(`Reconnect failed: ${err.message}`, this.accountId);
         // Only reschedule if the persistent error handler hasn't already done so
         if (!this.reconnectTimeout) {
@@ -298,19 +833,31 @@ class SteamSession {
       // Prepare login options - if anything here throws, reset isConnecting
       let loginOptions;
       try {
-        logger.info(`Attempting login`, this.accountId, 'STEAM');
+        this.refreshClient();
+        logger.info(this.proxy
+          ? `Attempting login through proxy ${describeProxy(this.proxy)}`
+          : `Attempting login`, this.accountId, 'STEAM');
         accountManager.updateStatus(this.accountId, 'connecting');
 
-        loginOptions = {
-          accountName: this.accountData.username,
-          password: this.accountData.password,
-          rememberPassword: true,
-          machineName: 'hour-boost'
-        };
-
-        // Add two-factor code if shared_secret is available
-        if (this.accountData.shared_secret) {
-          loginOptions.twoFactorCode = SteamTotp.generateAuthCode(this.accountData.shared_secret);
+        this.usingToken = this.hasUsableToken();
+        if (this.usingToken) {
+          logger.debug('Logging in with saved refresh token', this.accountId, 'STEAM');
+          loginOptions = {
+            refreshToken: this.accountData.refresh_token,
+            machineName: 'hour-boost'
+          };
+        } else {
+          loginOptions = {
+            accountName: this.accountData.username,
+            password: this.accountData.password,
+            rememberPassword: true,
+            machineName: 'hour-boost'
+          };
+
+          // Add two-factor code if shared_secret is available
+          if (this.accountData.shared_secret) {
+            loginOptions.twoFactorCode = SteamTotp.generateAuthCode(this.accountData.shared_secret);
+          }
         }
       } catch (prepErr) {
         this.isConnecting = false;
@@ -320,38 +867,77 @@ class SteamSession {
 
       // Timeout: if Steam never responds, reset state and reject
       const loginTimeout = setTimeout(() => {
+        cleanup();
         this.isConnecting = false;
-        this.client.removeListener('loggedOn', onLoggedOn);
-        this.client.removeListener('error', onError);
         logger.warn('Login attempt timed out after 30s', this.accountId, 'STEAM');
         accountManager.updateStatus(this.accountId, 'error', 'Login timed out');
         try { this.client.logOff(); } catch (e) { /* ignore */ }
         reject(new Error('Login timed out'));
       }, 30000);
 
-      const onLoggedOn = () => {
+      // Waiting for a manually entered Steam Guard code has its own timeout
+      const onSteamGuard = () => {
+        if (!this.accountData.shared_secret) {
+          clearTimeout(loginTimeout);
+        }
+      };
+
+      const cleanup = () => {
         clearTimeout(loginTimeout);
+        this.finishResume();
+        this.abortLogin = null;
+        this.client.removeListener('loggedOn', onLoggedOn);
         this.client.removeListener('error', onError);
+        this.client.removeListener('steamGuard', onSteamGuard);
+      };
+
+      const onLoggedOn = () => {
+        cleanup();
+        this.usingToken = false;
         resolve();
       };
 
+      // Retry with the password when the saved token is rejected
+      const retryWithPassword = () => {
+        this.usingToken = false;
+        this.isConnecting = false;
+        this.login().then(resolve, reject);
+      };
+
       const onError = (err) => {
-        clearTimeout(loginTimeout);
+        cleanup();
+        if (this.usingToken && this.isTokenRejection(err)) {
+          retryWithPassword();
+          return;
+        }
         this.isConnecting = false;
-        this.client.removeListener('loggedOn', onLoggedOn);
+        this.clearGuard();
+        reject(err);
+      };
+
+      this.abortLogin = (err) => {
+        cleanup();
+        this.isConnecting = false;
+        try { this.client.logOff(); } catch (e) { /* ignore */ }
         reject(err);
       };
 
       this.client.once('loggedOn', onLoggedOn);
       this.client.once('error', onError);
+      this.client.on('steamGuard', onSteamGuard);
 
       try {
         this.client.logOn(loginOptions);
       } catch (err) {
-        clearTimeout(loginTimeout);
+        cleanup();
+        if (this.usingToken) {
+          // steam-user validates the token before connecting (malformed or wrong audience)
+          logger.warn(`Saved refresh token is unusable (${err.message}), falling back to password logon`, this.accountId, 'STEAM');
+          this.discardRefreshToken();
+          retryWithPassword();
+          return;
+        }
         this.isConnecting = false;
-        this.client.removeListener('loggedOn', onLoggedOn);
-        this.client.removeListener('error', onError);
         reject(err);
       }
     });
@@ -365,19 +951,183 @@ class SteamSession {
     this.currentGames = appIds;
     this.isIdling = true;
 
+    // A manual start ends any pause; it is applied again below if the owner is still playing
+    this.clearPause();
+
     // Start session tracking
     this.sessionId = db.sessions.start(this.accountId, appIds).lastInsertRowid;
 
-    logger.info(`Starting to idle games: ${appIds.join(', ')}`, this.accountId);
+    const titles = this.customTitles.length > 0 ? ` (showing ${this.customTitles.map(t => `"${t}"`).join(', ')})` : '';
+    logger.info(`Starting to idle games: ${appIds.join(', ')}${titles}`, this.accountId);
     accountManager.updateStatus(this.accountId, 'idling');
     accountManager.setIdling(this.accountId, true);
 
-    this.client.gamesPlayed(appIds);
+    this.client.gamesPlayed(this.withCustomTitles(appIds));
+
+    if (this.playingBlocked) {
+      this.handlePlayingBlocked(this.blockingApp);
+    }
+  }
+
+  /**
+   * Build the gamesPlayed list. Custom titles go first so Steam shows one of
+   * them as the playing status; they don't count as playtime.
+   */
+  withCustomTitles(appIds) {
+    return [...this.customTitles, ...appIds];
+  }
+
+  /**
+   * Slots left for Steam games after custom titles
+   */
+  gameSlots() {
+    return Math.max(config.maxGamesPerAccount - this.customTitles.length, 1);
+  }
+
+  /**
+   * Cycle through a game list longer than maxGamesPerAccount in slices
+   * @param {number[]} appIds - Every game to rotate through
+   * @param {string} mode - 'round_robin' or 'least_played'
+   * @param {number} interval - Minutes per slice
+   */
+  startRotation(appIds, mode, interval) {
+    this.stopRotation();
+    this.rotation = { games: appIds, mode, interval, offset: 0, boosted: new Map(), nextAt: null };
+
+    logger.info(`Rotating ${appIds.length} games (${mode}, ${interval} min per slice)`, this.accountId);
+    this.playGames(this.nextRotationSlice());
+    this.scheduleRotation();
+  }
+
+  /**
+   * Pick the next slice of games according to the rotation mode
+   */
+  nextRotationSlice() {
+    const { games, mode, boosted } = this.rotation;
+    const size = Math.min(this.gameSlots(), games.length);
+
+    if (mode === 'least_played') {
+      const playtime = {};
+      for (const row of db.playtime.getByAccount(this.accountId)) {
+        playtime[row.app_id] = row.playtime_forever || 0;
+      }
+      // Include minutes boosted since the last API refresh so the order keeps moving
+      const played = appId => (playtime[appId] || 0) + (boosted.get(appId) || 0);
+      return [...games].sort((a, b) => played(a) - played(b)).slice(0, size);
+    }
+
+    const slice = [];
+    for (let i = 0; i < size; i++) {
+      slice.push(games[(this.rotation.offset + i) % games.length]);
+    }
+    this.rotation.offset = (this.rotation.offset + size) % games.length;
+    return slice;
+  }
+
+  scheduleRotation() {
+    const delay = this.rotation.interval * 60 * 1000;
+    this.rotation.nextAt = new Date(Date.now() + delay);
+
+    this.rotationTimer = setTimeout(() => {
+      this.rotationTimer = null;
+      try {
+        this.rotate();
+      } catch (err) {
+        logger.error(`Game rotation failed: ${err.message}`, this.accountId);
+      }
+      if (this.rotation) {
+        this.scheduleRotation();
+      }
+    }, delay);
+  }
+
+  /**
+   * Switch to the next slice. While disconnected or paused only currentGames is
+   * updated; the loggedOn and playingState handlers pick it up from there.
+   */
+  rotate() {
+    const active = this.isLoggedIn && !this.isPaused;
+
+    if (active) {
+      for (const appId of this.currentGames) {
+        this.rotation.boosted.set(appId, (this.rotation.boosted.get(appId) || 0) + this.rotation.interval);
+      }
+    }
+
+    const slice = this.nextRotationSlice();
+    this.currentGames = slice;
+    logger.info(`Rotated to next ${slice.length} of ${this.rotation.games.length} games`, this.accountId);
+
+    if (active) {
+      this.switchGames(slice);
+    }
+  }
+
+  /**
+   * Replace the games being played without going through stop/start.
+   * Each set of games gets its own session so per-game time stays accurate.
+   */
+  switchGames(appIds) {
+    this.currentGames = appIds;
+
+    if (this.sessionId) {
+      db.sessions.end(this.sessionId);
+    }
+    this.sessionId = db.sessions.start(this.accountId, appIds).lastInsertRowid;
+    this.client.gamesPlayed(this.withCustomTitles(appIds));
+  }
+
+  /**
+   * Remove games from the running idle set (e.g. hour target reached)
+   * @param {number[]} appIds - Games to drop
+   */
+  dropGames(appIds) {
+    const keep = appId => !appIds.includes(appId);
+    let next = this.currentGames.filter(keep);
+
+    if (this.rotation) {
+      this.rotation.games = this.rotation.games.filter(keep);
+      if (this.rotation.games.length <= this.gameSlots()) {
+        // What is left fits in a single slice
+        next = this.rotation.games;
+        this.stopRotation();
+      } else if (next.length === 0) {
+        next = this.nextRotationSlice();
+      }
+    }
+
+    if (next.length === 0) {
+      this.stopGames();
+      return;
+    }
+
+    const unchanged = next.length === this.currentGames.length &&
+      next.every((appId, i) => appId === this.currentGames[i]);
+    if (unchanged) return;
+
+    logger.info(`Removed games from idle: ${appIds.join(', ')}`, this.accountId);
+    if (this.isLoggedIn && !this.isPaused) {
+      this.switchGames(next);
+    } else {
+      this.currentGames = next;
+    }
+  }
+
+  stopRotation() {
+    if (this.rotationTimer) {
+      clearTimeout(this.rotationTimer);
+      this.rotationTimer = null;
+    }
+    this.rotation = null;
   }
 
   stopGames() {
+    this.stopRotation();
+    this.cancelPendingLogin();
+    this.clearPause();
+    this.reclaimOnLogon = false;
+    this.cardFarm = null;
     this.isIdling = false;
-    this.isPaused = false;
     this.currentGames = [];
 
     // Cancel pending reconnect since we're intentionally stopping
@@ -404,6 +1154,9 @@ class SteamSession {
   }
 
   logout() {
+    this.stopRotation();
+    this.cancelPendingLogin();
+
     if (this.reconnectTimeout) {
       clearTimeout(this.reconnectTimeout);
       this.reconnectTimeout = null;
@@ -414,8 +1167,12 @@ class SteamSession {
       this.sessionId = null;
     }
 
+    this.clearPause();
+    this.reclaimOnLogon = false;
+    this.playingBlocked = false;
+    this.cardFarm = null;
+    this.webCookies = null;
     this.isIdling = false;
-    this.isPaused = false;
     this.isLoggedIn = false;
     this.isConnecting = false;
     this.currentGames = [];
@@ -432,7 +1189,32 @@ class SteamSession {
       isLoggedIn: this.isLoggedIn,
       isIdling: this.isIdling,
       isPaused: this.isPaused,
+      pause: this.pauseInfo ? {
+        policy: this.pauseInfo.policy,
+        reason: this.pauseInfo.reason,
+        since: this.pauseInfo.since.toISOString(),
+        until: this.pauseInfo.until ? this.pauseInfo.until.toISOString() : null,
+        kickAt: this.pauseInfo.kickAt ? this.pauseInfo.kickAt.toISOString() : null
+      } : null,
       currentGames: this.currentGames,
+      customTitles: this.customTitles,
+      cardFarm: this.cardFarm ? {
+        mode: this.cardFarm.mode,
+        gamesLeft: this.cardFarm.games.length,
+        dropsLeft: this.cardFarm.games.reduce((sum, g) => sum + g.dropsRemaining, 0),
+        drops: this.cardFarm.drops
+      } : null,
+      rotation: this.rotation ? {
+        mode: this.rotation.mode,
+        interval: this.rotation.interval,
+        totalGames: this.rotation.games.length,
+        nextRotationAt: this.rotation.nextAt ? this.rotation.nextAt.toISOString() : null
+      } : null,
+      steamGuard: this.pendingGuard ? {
+        domain: this.pendingGuard.domain,
+        lastCodeWrong: this.pendingGuard.lastCodeWrong,
+        expiresAt: this.pendingGuard.expiresAt.toISOString()
+      } : null,
       steamId: this.client.steamID?.toString(),
       personaName: this.client.accountInfo?.name
     };
@@ -443,8 +1225,19 @@ class SteamSession {
       return;
     }
     this.client.setPersona(state);
-    const stateNames = { 1: 'Online', 3: 'Away', 7: 'Invisible' };
-    logger.info(`Changed persona state: ${stateNames[state] || state}`, this.accountId, 'STEAM');
+    this.personaState = state;
+    logger.info(`Changed persona state: ${PERSONA_STATES[state] || state}`, this.accountId, 'STEAM');
+  }
+
+  /**
+   * Change the Steam profile name, keeping the current persona state
+   */
+  setPersonaName(name) {
+    if (!this.isLoggedIn) {
+      return;
+    }
+    this.client.setPersona(this.personaState ?? 1, name);
+    logger.info(`Changed profile name to ${name}`, this.accountId, 'STEAM');
   }
 
   /**
@@ -521,6 +1314,175 @@ class SteamService {
   constructor() {
     this.sessions = new Map(); // accountId -> SteamSession
     this._resuming = false;
+    this.network = {
+      offline: null, // { since, lastProbeAt } while the network is down
+      drops: new Map(), // accountId -> { at, attempts } of recent disconnects
+      probeTimer: null
+    };
+  }
+
+  /**
+   * Track a dropped connection. When every idling account drops within a short
+   * window, the host is probably offline: reconnects stop and the network is
+   * probed until it is back.
+   * @param {SteamSession} session - Session that lost its connection
+   * @returns {boolean} True if the network is down and the session must not reconnect itself
+   */
+  noteDisconnect(session) {
+    if (this.network.offline) {
+      try {
+        accountManager.updateStatus(session.accountId, 'offline', 'Waiting for the network');
+      } catch (err) {
+        // Status is cosmetic
+      }
+      return true;
+    }
+
+    const now = Date.now();
+    this.network.drops.set(session.accountId, { at: now, attempts: session.reconnectAttempts });
+    for (const [accountId, drop] of this.network.drops) {
+      if (now - drop.at > config.network.dropWindow) this.network.drops.delete(accountId);
+    }
+
+    const idling = [...this.sessions.values()].filter(s => s.isIdling);
+    const allDropped = idling.length >= config.network.minSessions &&
+      idling.every(s => !s.isLoggedIn && this.network.drops.has(s.accountId));
+    if (!allDropped) return false;
+
+    this.goOffline(idling.length);
+    return true;
+  }
+
+  /**
+   * Enter the offline state: cancel pending reconnects, undo the attempts
+   * counted during the outage and start probing
+   */
+  goOffline(count) {
+    this.network.offline = { since: new Date(), lastProbeAt: null };
+
+    for (const session of this.sessions.values()) {
+      const drop = this.network.drops.get(session.accountId);
+      if (!drop) continue;
+
+      session.reconnectAttempts = drop.attempts;
+      if (session.reconnectTimeout) {
+        clearTimeout(session.reconnectTimeout);
+        session.reconnectTimeout = null;
+      }
+      loginQueue.cancel(session.accountId);
+
+      try {
+        accountManager.updateStatus(session.accountId, 'offline', 'Waiting for the network');
+      } catch (err) {
+        // Status is cosmetic
+      }
+    }
+    this.network.drops.clear();
+
+    logger.warn(`All ${count} idling accounts disconnected at once, the network looks down. Pausing reconnects until it is back`, null, 'STEAM');
+    this.scheduleProbe();
+  }
+
+  /**
+   * Check connectivity again after the probe interval
+   */
+  scheduleProbe() {
+    if (this.network.probeTimer) clearTimeout(this.network.probeTimer);
+
+    this.network.probeTimer = setTimeout(async () => {
+      this.network.probeTimer = null;
+      if (!this.network.offline) return;
+
+      const online = await this.probeConnectivity();
+      if (!this.network.offline) return;
+      this.network.offline.lastProbeAt = new Date();
+
+      if (online) {
+        this.goOnline();
+      } else {
+        this.scheduleProbe();
+      }
+    }, config.network.probeInterval);
+    this.network.probeTimer.unref();
+  }
+
+  /**
+   * Open a TCP connection to Steam to see if the network is up
+   * @returns {Promise<boolean>}
+   */
+  probeConnectivity() {
+    return new Promise((resolve) => {
+      const socket = net.connect({ host: config.network.probeHost, port: config.network.probePort });
+      const finish = (online) => {
+        socket.destroy();
+        resolve(online);
+      };
+      socket.setTimeout(config.network.probeTimeout, () => finish(false));
+      socket.once('connect', () => finish(true));
+      socket.once('error', () => finish(false));
+    });
+  }
+
+  /**
+   * Leave the offline state and reconnect idling accounts through the login queue
+   */
+  goOnline() {
+    const seconds = Math.round((Date.now() - this.network.offline.since.getTime()) / 1000);
+    this.network.offline = null;
+
+    const sessions = [...this.sessions.values()].filter(s => s.isIdling && !s.isLoggedIn && !s.isConnecting);
+    logger.info(`Network is back after ${seconds}s, reconnecting ${sessions.length} accounts`, null, 'STEAM');
+
+    for (const session of sessions) {
+      loginQueue.enqueue(session.accountId, () => session.login()).catch((err) => {
+        if (err.cancelled) return;
+        logger.error(`Reconnect failed: ${err.message}`, session.accountId);
+        if (!session.reconnectTimeout) {
+          session.scheduleReconnect();
+        }
+      });
+    }
+  }
+
+  /**
+   * Connectivity state for the dashboard
+   * @returns {Object} { online, offlineSince, lastProbeAt }
+   */
+  getNetworkStatus() {
+    const { offline } = this.network;
+    return {
+      online: !offline,
+      offlineSince: offline ? offline.since.toISOString() : null,
+      lastProbeAt: offline && offline.lastProbeAt ? offline.lastProbeAt.toISOString() : null
+    };
+  }
+
+  /**
+   * Register the card farmer that handles new-item notifications
+   */
+  setCardFarmer(farmer) {
+    cardFarmer = farmer;
+  }
+
+  /**
+   * Register the idle queue that enforces the global idle cap
+   */
+  setIdleQueue(queue) {
+    idleQueue = queue;
+  }
+
+  /**
+   * Register the persona manager that resolves scheduled persona states
+   */
+  setPersonaManager(manager) {
+    personaManager = manager;
+  }
+
+  /**
+   * Register the ban monitor that handles community bans reported on logon
+   */
+  setBanMonitor(monitor) {
+    banMonitor = monitor;
   }
 
   /**
@@ -532,45 +1494,116 @@ class SteamService {
 
   /**
    * Start idling for an account
+   * @param {number} accountId - Account ID
+   * @param {Object} options - { games: only idle these of the account's games }
+   * @returns {Promise<Object>} Session status, with idleQueuePosition set if the account has to wait for a slot
+   */
+  async startIdling(accountId, options = {}) {
+    if (idleQueue && !idleQueue.acquire(accountId)) {
+      return { ...this.getStatus(accountId), idleQueuePosition: idleQueue.getPosition(accountId) };
+    }
+
+    try {
+      return await this.launchIdling(accountId, options);
+    } catch (err) {
+      if (idleQueue) idleQueue.release(accountId);
+      throw err;
+    }
+  }
+
+  /**
+   * Log in if needed and start playing the account's games
    */
-  async startIdling(accountId) {
+  async launchIdling(accountId, { games: only = null } = {}) {
     // Get account with decrypted credentials for Steam login
     const account = accountManager.getDecryptedAccount(accountId);
     if (!account) {
       throw new Error('Account not found');
     }
 
-    // Get games to idle
-    let games = account.games.map(g => g.app_id);
+    // Get games to idle, skipping those that reached their hour target
+    let games = account.games.filter(g => !g.target_reached_at).map(g => g.app_id);
     if (games.length === 0) {
+      if (account.games.length > 0) {
+        throw new Error('All games have reached their hour targets');
+      }
       games = config.defaultGames;
     }
+    if (only) {
+      const subset = games.filter(appId => only.includes(appId));
+      if (subset.length > 0) games = subset;
+    }
+
+    const proxy = proxyService.getForAccount(account);
 
     // Create or get session
     let session = this.sessions.get(accountId);
     if (!session) {
-      session = new SteamSession(accountId, account);
+      session = new SteamSession(accountId, account, proxy);
       this.sessions.set(accountId, session);
     } else {
-      // Update account data in case credentials changed
+      // Update account data in case credentials or proxy changed
       session.accountData = account;
+      session.setProxy(proxy);
     }
 
-    // Login if needed
+    // Login if needed (through the shared queue to throttle logons)
     if (!session.isLoggedIn) {
-      await session.login();
+      await loginQueue.enqueue(accountId, () => session.login());
     }
 
-    // Start playing games
-    session.playGames(games);
+    // Steam ignores unowned apps, so don't pretend to boost them
+    games = await this.filterOwnedGames(accountId, session, games);
+
+    // Start playing games, rotating through slices if the list exceeds the cap
+    session.cardFarm = null;
+    session.customTitles = (account.custom_games || []).map(g => g.title);
+    const rotationMode = account.rotation_mode || 'off';
+    if (rotationMode !== 'off' && games.length > session.gameSlots()) {
+      session.startRotation(games, rotationMode, account.rotation_interval || config.rotation.defaultInterval);
+    } else {
+      session.stopRotation();
+      if (games.length > session.gameSlots()) {
+        logger.warn(`Only idling the first ${session.gameSlots()} of ${games.length} games, enable game rotation to idle them all`, accountId, 'STEAM');
+      }
+      session.playGames(games.slice(0, session.gameSlots()));
+    }
 
     return session.getStatus();
   }
 
+  /**
+   * Drop games the account doesn't own. Idles everything if ownership can't be checked.
+   * @returns {Promise<number[]>} Games to idle
+   */
+  async filterOwnedGames(accountId, session, games) {
+    let result;
+    try {
+      result = await ownershipService.validate(accountId, games, session);
+    } catch (err) {
+      logger.warn(`Could not check game ownership, idling all games: ${err.message}`, accountId, 'STEAM');
+      return games;
+    }
+
+    if (result.unowned.length === 0) {
+      return games;
+    }
+
+    logger.warn(`Skipping games the account does not own: ${result.unowned.join(', ')}`, accountId, 'STEAM');
+    const owned = games.filter(appId => !result.unowned.includes(appId));
+    if (owned.length === 0) {
+      throw new Error('The account does not own any of its games');
+    }
+    return owned;
+  }
+
   /**
    * Stop idling for an account
    */
   stopIdling(accountId) {
+    loginQueue.cancel(accountId);
+    if (idleQueue) idleQueue.release(accountId);
+
     const session = this.sessions.get(accountId);
     if (session) {
       session.stopGames();
@@ -579,10 +1612,35 @@ class SteamService {
     accountManager.setIdling(accountId, false);
   }
 
+  /**
+   * Submit a Steam Guard code for an account waiting on one
+   */
+  submitGuardCode(accountId, code) {
+    const session = this.sessions.get(accountId);
+    if (!session || !session.pendingGuard) {
+      throw new Error('No Steam Guard code requested for this account');
+    }
+
+    session.submitGuardCode(code);
+  }
+
+  /**
+   * Drop games from an account's running idle session
+   */
+  removeGames(accountId, appIds) {
+    const session = this.sessions.get(accountId);
+    if (session && session.isIdling) {
+      session.dropGames(appIds);
+    }
+  }
+
   /**
    * Logout an account
    */
   logout(accountId) {
+    loginQueue.cancel(accountId);
+    if (idleQueue) idleQueue.release(accountId);
+
     const session = this.sessions.get(accountId);
     if (session) {
       session.logout();
@@ -591,10 +1649,11 @@ class SteamService {
   }
 
   /**
-   * Start idling for all accounts
+   * Start idling for all accounts (logons are throttled by the login queue)
+   * @param {number[]|null} accountIds - Only these accounts
    */
-  async startAll() {
-    const accounts = accountManager.getAll();
+  async startAll(accountIds = null) {
+    const accounts = accountManager.getAll().filter(account => !accountIds || accountIds.includes(account.id));
     const results = await Promise.allSettled(
       accounts.map(account => this.startIdling(account.id))
     );
@@ -607,11 +1666,20 @@ class SteamService {
   }
 
   /**
-   * Stop idling for all accounts
+   * Stop idling for all accounts, cancelling logons still in the login queue
+   * @param {number[]|null} accountIds - Only these accounts
    */
-  stopAll() {
-    for (const [accountId, session] of this.sessions) {
-      session.stopGames();
+  stopAll(accountIds = null) {
+    // Accounts waiting for an idle slot have no session but leave the queue too
+    const ids = new Set(this.sessions.keys());
+    if (idleQueue) {
+      for (const accountId of idleQueue.slots.keys()) ids.add(accountId);
+      for (const accountId of idleQueue.getWaitingIds()) ids.add(accountId);
+    }
+
+    for (const accountId of ids) {
+      if (accountIds && !accountIds.includes(accountId)) continue;
+      this.stopIdling(accountId);
     }
   }
 
@@ -619,6 +1687,12 @@ class SteamService {
    * Logout all accounts
    */
   logoutAll() {
+    loginQueue.clear();
+    if (this.network.probeTimer) {
+      clearTimeout(this.network.probeTimer);
+      this.network.probeTimer = null;
+    }
+    this.network.offline = null;
     for (const [accountId, session] of this.sessions) {
       session.logout();
     }
@@ -631,7 +1705,7 @@ class SteamService {
   getStatus(accountId) {
     const session = this.sessions.get(accountId);
     if (session) {
-      return session.getStatus();
+      return { ...session.getStatus(), queuePosition: loginQueue.getPosition(accountId) };
     }
 
     return {
@@ -704,3 +1778,4 @@ const steamService = new SteamService();
 accountManager.setSteamService(steamService);
 
 module.exports = steamService;
+module.exports.PERSONA_STATES = PERSONA_STATES;
@@ -0,0 +1,288 @@
+const crypto = require('crypto');
+const config = require('../config');
+const db = require('../models/database');
+const logger = require('./logger');
+const totp = require('../utils/totp');
+const { encrypt, decrypt } = require('../utils/encryption');
+const { verifyPassword, getEncryptionKey, unwrapMasterKey } = require('../middleware/auth');
+
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(code).digest('hex');
+}
+
+// Recovery codes are accepted with or without the dash and in any case
+function normalizeRecoveryCode(code) {
+  return String(code || '').toLowerCase().replace(/[\s-]/g, '');
+}
+
+function parseRecoveryCodes(value) {
+  try {
+    const hashes = JSON.parse(value || '[]');
+    return Array.isArray(hashes) ? hashes : [];
+  } catch {
+    return [];
+  }
+}
+
+// Setting up two-factor stores the secret encrypted with the master key
+function requireKey() {
+  const key = getEncryptionKey();
+  if (!key) {
+    throw new Error('Encryption key not available, log in again first');
+  }
+  return key;
+}
+
+/**
+ * Two-Factor Authentication
+ * Optional TOTP codes for web UI logins, with single-use recovery codes.
+ * The TOTP secret is encrypted with the master key, recovery codes are
+ * stored as SHA-256 hashes.
+ */
+class TwoFactor {
+  constructor() {
+    this.challenges = new Map(); // challenge token -> { userId, password, expiresAt, failures }
+  }
+
+  /**
+   * Two-factor state for the settings page
+   * @param {number} userId - Web UI user
+   * @returns {Object} { enabled, recovery_codes_left }
+   */
+  status(userId) {
+    const user = db.users.findById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+    return {
+      enabled: !!user.totp_enabled,
+      recovery_codes_left: user.totp_enabled ? parseRecoveryCodes(user.recovery_codes).length : 0
+    };
+  }
+
+  /**
+   * Start enrollment with a new secret. Two-factor stays off until a code
+   * from the authenticator app is confirmed with enable().
+   * @param {number} userId - Web UI user
+   * @returns {Object} { secret, otpauth_url }
+   */
+  setup(userId) {
+    const user = db.users.findById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+    if (user.totp_enabled) {
+      throw new Error('Two-factor authentication is already on');
+    }
+
+    const secret = totp.generateSecret();
+    db.users.setTwoFactor(userId, encrypt(secret, requireKey()), false);
+
+    return {
+      secret,
+      otpauth_url: totp.buildOtpauthUrl({ issuer: config.twoFactor.issuer, account: user.username, secret })
+    };
+  }
+
+  /**
+   * Turn two-factor on after checking a code for the pending secret
+   * @param {number} userId - Web UI user
+   * @param {string} code - Code from the authenticator app
+   * @returns {string[]} Recovery codes, only ever returned here
+   */
+  enable(userId, code) {
+    const user = db.users.findById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+    if (user.totp_enabled) {
+      throw new Error('Two-factor authentication is already on');
+    }
+    if (!user.totp_secret) {
+      throw new Error('Start the two-factor setup first');
+    }
+
+    const secret = decrypt(user.totp_secret, requireKey());
+    const counter = totp.verifyCode(secret, code, config.twoFactor.window);
+    if (counter === null) {
+      throw new Error('Invalid code, check the time on your device');
+    }
+
+    const codes = this.generateRecoveryCodes();
+    db.users.setTwoFactor(userId, user.totp_secret, true, codes.map(c => hashRecoveryCode(normalizeRecoveryCode(c))));
+    db.users.setTotpCounter(userId, counter);
+
+    logger.info(`User ${user.username} turned on two-factor authentication`, null, 'AUTH');
+    return codes;
+  }
+
+  /**
+   * Turn two-factor off
+   * @param {number} userId - Web UI user
+   * @param {string} password - The user's current password
+   */
+  async disable(userId, password) {
+    const user = await this.checkPassword(userId, password);
+
+    db.users.setTwoFactor(userId, null, false);
+    logger.info(`User ${user.username} turned off two-factor authentication`, null, 'AUTH');
+  }
+
+  /**
+   * Replace the recovery codes
+   * @param {number} userId - Web UI user
+   * @param {string} password - The user's current password
+   * @returns {string[]} New recovery codes
+   */
+  async regenerateRecoveryCodes(userId, password) {
+    const user = await this.checkPassword(userId, password);
+    if (!user.totp_enabled) {
+      throw new Error('Two-factor authentication is off');
+    }
+
+    const codes = this.generateRecoveryCodes();
+    db.users.setRecoveryCodes(userId, codes.map(c => hashRecoveryCode(normalizeRecoveryCode(c))));
+    logger.info(`User ${user.username} generated new recovery codes`, null, 'AUTH');
+    return codes;
+  }
+
+  /**
+   * Admin reset for a user who lost their authenticator and recovery codes
+   * @param {number} userId - Web UI user
+   */
+  reset(userId) {
+    db.users.setTwoFactor(userId, null, false);
+  }
+
+  // ── login ─────────────────────────────────────────────────
+
+  /**
+   * Remember a login whose password was correct until the code is entered.
+   * The password stays in memory only, it is needed to unlock the master key.
+   * @param {Object} user - User row
+   * @param {string} password - The password that was just checked
+   * @returns {string} Challenge token for the second step
+   */
+  createChallenge(user, password) {
+    this.pruneChallenges();
+
+    const token = crypto.randomBytes(32).toString('hex');
+    this.challenges.set(token, {
+      userId: user.id,
+      password,
+      expiresAt: Date.now() + config.twoFactor.challengeTtl,
+      failures: 0
+    });
+    return token;
+  }
+
+  /**
+   * Pending login for a challenge token
+   * @param {string} token - Challenge token from createChallenge()
+   * @returns {Object|null} { userId, password }, or null once expired
+   */
+  getChallenge(token) {
+    const challenge = typeof token === 'string' ? this.challenges.get(token) : null;
+    if (!challenge) return null;
+
+    if (challenge.expiresAt < Date.now()) {
+      this.challenges.delete(token);
+      return null;
+    }
+    return challenge;
+  }
+
+  /**
+   * Forget a challenge once the login is complete
+   */
+  clearChallenge(token) {
+    this.challenges.delete(token);
+  }
+
+  /**
+   * Count a wrong code. After too many the challenge is dropped, so codes
+   * can't be guessed without entering the password again.
+   * @param {string} token - Challenge token
+   * @returns {boolean} True if the challenge was dropped
+   */
+  recordFailure(token) {
+    const challenge = this.challenges.get(token);
+    if (!challenge) return true;
+
+    challenge.failures++;
+    if (challenge.failures >= config.twoFactor.maxAttempts) {
+      this.challenges.delete(token);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Check a TOTP code, or use up a recovery code
+   * @param {Object} user - User row
+   * @param {string} password - The user's password, to unlock the secret
+   *   when nobody is logged in
+   * @param {string} code - Code entered by the user
+   * @returns {Promise<boolean>} Whether the code was accepted
+   */
+  async verify(user, password, code) {
+    const key = getEncryptionKey() || await unwrapMasterKey(user, password);
+    const secret = decrypt(user.totp_secret, key);
+
+    const counter = totp.verifyCode(secret, code, config.twoFactor.window);
+    if (counter !== null) {
+      // Re-read after unlocking the key, a parallel login may have used the code
+      const current = db.users.findById(user.id);
+      if (!current || counter <= (current.totp_last_counter ?? -1)) {
+        return false;
+      }
+      db.users.setTotpCounter(user.id, counter);
+      return true;
+    }
+
+    const hashes = parseRecoveryCodes(user.recovery_codes);
+    const index = hashes.indexOf(hashRecoveryCode(normalizeRecoveryCode(code)));
+    if (index === -1) {
+      return false;
+    }
+
+    hashes.splice(index, 1);
+    db.users.setRecoveryCodes(user.id, hashes);
+    logger.warn(`User ${user.username} signed in with a recovery code, ${hashes.length} left`, null, 'AUTH');
+    return true;
+  }
+
+  // ── helpers ───────────────────────────────────────────────
+
+  async checkPassword(userId, password) {
+    const user = db.users.findById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+    if (!password || !(await verifyPassword(password, user.password_hash))) {
+      throw new Error('Password is incorrect');
+    }
+    return user;
+  }
+
+  // xxxxx-xxxxx, 40 random bits each
+  generateRecoveryCodes() {
+    return Array.from({ length: config.twoFactor.recoveryCodes }, () => {
+      const hex = crypto.randomBytes(5).toString('hex');
+      return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+  }
+
+  pruneChallenges() {
+    const now = Date.now();
+    for (const [token, challenge] of this.challenges) {
+      if (challenge.expiresAt < now) {
+        this.challenges.delete(token);
+      }
+    }
+  }
+}
+
+// Export singleton instance and helpers
+module.exports = new TwoFactor();
+module.exports.hashRecoveryCode = hashRecoveryCode;
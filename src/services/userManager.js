@@ -0,0 +1,164 @@
+const db = require('../models/database');
+const logger = require('./logger');
+const twoFactor = require('./twoFactor');
+const eventStream = require('./eventStream');
+const {
+  createUser,
+  hashPassword,
+  wrapKeyForUser,
+  getEncryptionKey,
+  isEncryptionInitialized
+} = require('../middleware/auth');
+const { ROLES, toUser } = require('../middleware/permissions');
+
+/**
+ * Validate a role and account list; admins always see every account
+ * @returns {Object} { role, account_ids }
+ */
+function normalizeAccess(role, accountIds) {
+  if (!ROLES.includes(role)) {
+    throw new Error(`role must be one of: ${ROLES.join(', ')}`);
+  }
+  if (role === 'admin' || accountIds === null || accountIds === undefined) {
+    return { role, account_ids: null };
+  }
+  if (!Array.isArray(accountIds)) {
+    throw new Error('account_ids must be a list of account IDs or null for all accounts');
+  }
+
+  const ids = [...new Set(accountIds.map(id => parseInt(id, 10)))];
+  if (ids.some(id => !Number.isInteger(id) || id < 1)) {
+    throw new Error('account_ids must only contain account IDs');
+  }
+  return { role, account_ids: ids };
+}
+
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < 6) {
+    throw new Error('Password must be at least 6 characters');
+  }
+  if (password.length > 256) {
+    throw new Error('Password must be 256 characters or fewer');
+  }
+}
+
+// New users and password resets get a copy of the master key, so it has to be unlocked
+function requireUnlockedKey() {
+  if (isEncryptionInitialized() && !getEncryptionKey()) {
+    throw new Error('Encryption key not available, log in again first');
+  }
+}
+
+/**
+ * User Manager
+ * Admin management of web UI users, their roles and account access
+ */
+class UserManager {
+  /**
+   * List users (without password hashes or keys)
+   */
+  list() {
+    return db.users.findAll().map(row => ({
+      ...toUser(row),
+      two_factor: !!row.totp_enabled,
+      created_at: row.created_at
+    }));
+  }
+
+  /**
+   * Create a user
+   * @param {Object} data - { username, password, role, account_ids }
+   * @returns {Object} Created user
+   */
+  async create({ username, password, role = 'viewer', account_ids = null } = {}) {
+    username = typeof username === 'string' ? username.trim() : '';
+    if (!username) {
+      throw new Error('Username is required');
+    }
+    if (username.length > 128) {
+      throw new Error('Username must be 128 characters or fewer');
+    }
+    if (db.users.findByUsername(username)) {
+      throw new Error('Username already exists');
+    }
+    validatePassword(password);
+    const access = normalizeAccess(role, account_ids);
+    requireUnlockedKey();
+
+    const result = await createUser(username, password, access);
+    logger.info(`User ${username} created with ${access.role} role`, null, 'AUTH');
+    return toUser(db.users.findById(result.lastInsertRowid));
+  }
+
+  /**
+   * Change a user's role, account list or password, or turn off their
+   * two-factor authentication (two_factor: false)
+   * @param {number} id - User to change
+   * @param {Object} data - { role, account_ids, password, two_factor }, all optional
+   * @returns {Object} Updated user
+   */
+  async update(id, data = {}) {
+    const row = db.users.findById(id);
+    if (!row) {
+      throw new Error('User not found');
+    }
+
+    const current = toUser(row);
+    const role = data.role !== undefined ? data.role : current.role;
+    const accountIds = data.account_ids !== undefined ? data.account_ids : current.account_ids;
+    const access = normalizeAccess(role, accountIds);
+
+    if (current.role === 'admin' && access.role !== 'admin' && db.users.countByRole('admin') <= 1) {
+      throw new Error('At least one admin is required');
+    }
+
+    if (data.password !== undefined) {
+      validatePassword(data.password);
+      requireUnlockedKey();
+    }
+
+    db.users.updateAccess(id, access.role, access.account_ids);
+    if (data.password !== undefined) {
+      db.users.updatePassword(id, await hashPassword(data.password));
+      if (getEncryptionKey()) {
+        await wrapKeyForUser(id, data.password);
+      }
+    }
+    if (data.two_factor === false && row.totp_enabled) {
+      twoFactor.reset(id);
+      logger.info(`Two-factor authentication turned off for ${row.username}`, null, 'AUTH');
+    }
+
+    // Open streams carry the old account list
+    eventStream.closeUser(id);
+
+    logger.info(`User ${row.username} updated`, null, 'AUTH');
+    return toUser(db.users.findById(id));
+  }
+
+  /**
+   * Delete a user (their API tokens go with them)
+   * @param {number} id - User to delete
+   * @param {number} actingUserId - Signed-in admin, who can't delete themselves
+   */
+  remove(id, actingUserId) {
+    const row = db.users.findById(id);
+    if (!row) {
+      throw new Error('User not found');
+    }
+    if (id === actingUserId) {
+      throw new Error('You cannot delete your own user');
+    }
+    if (row.role === 'admin' && db.users.countByRole('admin') <= 1) {
+      throw new Error('At least one admin is required');
+    }
+
+    db.users.delete(id);
+    eventStream.closeUser(id);
+    logger.info(`User ${row.username} deleted`, null, 'AUTH');
+  }
+}
+
+// Export singleton instance and helpers
+module.exports = new UserManager();
+module.exports.normalizeAccess = normalizeAccess;
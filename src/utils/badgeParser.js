@@ -0,0 +1,78 @@
+/**
+ * Steam Community badge page parser.
+ *
+ * Reads remaining trading card drops from /profiles/<steamid>/badges pages.
+ * Each game badge is a `badge_row` linking to .../gamecards/<appid>/ with a
+ * "N card drops remaining" line; other badges (community, events) are skipped.
+ */
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * Decode the HTML entities Steam uses in badge titles
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x?[0-9a-f]+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return isNaN(code) ? match : String.fromCodePoint(code);
+    }
+    return ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Parse one badge row
+ * @returns {Object|null} { appId, name, dropsRemaining, playtimeHours }, or null if not a game badge
+ */
+function parseBadgeRow(html) {
+  const link = html.match(/\/gamecards\/(\d+)\//);
+  if (!link) return null;
+
+  const drops = html.match(/class="progress_info_bold"[^>]*>\s*(\d+)\s+card drops? remaining/i);
+  const title = html.match(/<div class="badge_title"[^>]*>\s*([\s\S]*?)(?:&nbsp;|<)/);
+  const playtime = html.match(/([\d,.]+)\s+hrs? on record/i);
+
+  return {
+    appId: parseInt(link[1], 10),
+    name: title ? decodeEntities(title[1]).trim() : null,
+    dropsRemaining: drops ? parseInt(drops[1], 10) : 0,
+    playtimeHours: playtime ? parseFloat(playtime[1].replace(/,/g, '')) : 0
+  };
+}
+
+/**
+ * Parse a badge page
+ * @param {string} html - Page HTML
+ * @returns {Object} { games: [{ appId, name, dropsRemaining, playtimeHours }], pageCount }
+ */
+function parseBadgePage(html) {
+  const games = [];
+  const rows = html.split(/<div class="badge_row[\s"]/).slice(1);
+
+  for (const row of rows) {
+    const game = parseBadgeRow(row);
+    if (game) games.push(game);
+  }
+
+  let pageCount = 1;
+  for (const match of html.matchAll(/class="pagelink"[^>]*href="[^"]*[?&]p=(\d+)/g)) {
+    pageCount = Math.max(pageCount, parseInt(match[1], 10));
+  }
+
+  return { games, pageCount };
+}
+
+/**
+ * Whether the page is a badge page at all (Steam serves the login page when
+ * the web session expired)
+ */
+function isBadgePage(html) {
+  return /class="badges_sheet"|class="badge_row[\s"]/.test(html);
+}
+
+module.exports = {
+  decodeEntities,
+  parseBadgePage,
+  isBadgePage
+};
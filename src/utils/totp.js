@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+
+// RFC 6238 defaults, the only settings every authenticator app supports
+const DIGITS = 6;
+const PERIOD = 30; // seconds
+const SECRET_LENGTH = 20; // 160 bits, as recommended by RFC 4226
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encode bytes as unpadded base32 (the format authenticator apps expect)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Decode a base32 string, ignoring case, spaces and padding
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ */
+function base32Decode(input) {
+  const clean = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a random TOTP secret
+ * @returns {string} Base32 encoded secret
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(SECRET_LENGTH));
+}
+
+/**
+ * Time step for a timestamp
+ * @param {number} time - Milliseconds since epoch
+ * @returns {number} Counter
+ */
+function getCounter(time = Date.now()) {
+  return Math.floor(time / 1000 / PERIOD);
+}
+
+/**
+ * HOTP code for a counter (RFC 4226)
+ * @param {string} secret - Base32 encoded secret
+ * @param {number} counter - Time step
+ * @returns {string} Zero-padded code
+ */
+function generateCode(secret, counter) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * Check a code against the current time step and its neighbours
+ * @param {string} secret - Base32 encoded secret
+ * @param {string} code - Code entered by the user
+ * @param {number} window - Time steps to accept either side of now (clock drift)
+ * @param {number} time - Milliseconds since epoch
+ * @returns {number|null} Matching counter, or null if the code is wrong
+ */
+function verifyCode(secret, code, window = 1, time = Date.now()) {
+  code = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(code)) {
+    return null;
+  }
+
+  const expected = Buffer.from(code);
+  const current = getCounter(time);
+  for (let counter = current - window; counter <= current + window; counter++) {
+    if (crypto.timingSafeEqual(Buffer.from(generateCode(secret, counter)), expected)) {
+      return counter;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build the otpauth:// URI that authenticator apps import (usually as a QR code)
+ * @param {Object} options - { issuer, account, secret }
+ * @returns {string} otpauth URI
+ */
+function buildOtpauthUrl({ issuer, account, secret }) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(PERIOD)
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+module.exports = {
+  DIGITS,
+  PERIOD,
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  getCounter,
+  generateCode,
+  verifyCode,
+  buildOtpauthUrl
+};
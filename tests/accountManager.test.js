@@ -0,0 +1,90 @@
+// ---------------------------------------------------------------------------
+// Mock: database
+// ---------------------------------------------------------------------------
+jest.mock('../src/models/database', () => ({
+  accounts: {
+    findById: jest.fn(),
+    update: jest.fn(),
+  },
+  games: {
+    getGames: jest.fn(() => []),
+    setGames: jest.fn(),
+  },
+  customGames: {
+    getByAccount: jest.fn(() => []),
+    set: jest.fn(),
+  },
+}));
+
+// ---------------------------------------------------------------------------
+// Mock: logger
+// ---------------------------------------------------------------------------
+jest.mock('../src/services/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+// ---------------------------------------------------------------------------
+// Mock: auth middleware
+// ---------------------------------------------------------------------------
+jest.mock('../src/middleware/auth', () => ({
+  encryptAccountCredentials: jest.fn(data => data),
+  decryptAccountCredentials: jest.fn(data => data),
+  getEncryptionKey: jest.fn(() => Buffer.alloc(32)),
+}));
+
+const db = require('../src/models/database');
+const config = require('../src/config');
+const accountManager = require('../src/services/accountManager');
+
+function gameRows(count) {
+  return Array.from({ length: count }, (_, i) => ({ app_id: 1000 + i }));
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  db.accounts.findById.mockReturnValue({ id: 1, username: 'steam_one', rotation_mode: 'round_robin' });
+  db.games.getGames.mockReturnValue([]);
+  db.customGames.getByAccount.mockReturnValue([]);
+});
+
+// ── game limit ──────────────────────────────────────────────
+
+describe('update', () => {
+  test('refuses to turn rotation off while the stored games exceed the limit', () => {
+    db.games.getGames.mockReturnValue(gameRows(config.maxGamesPerAccount));
+    db.customGames.getByAccount.mockReturnValue([{ title: 'AFK' }]);
+
+    expect(() => accountManager.update(1, { rotation_mode: 'off' }))
+      .toThrow(`at most ${config.maxGamesPerAccount} games, custom titles included (this account has ${config.maxGamesPerAccount + 1})`);
+    expect(db.accounts.update).not.toHaveBeenCalled();
+  });
+
+  test('turns rotation off when the games fit', () => {
+    db.games.getGames.mockReturnValue(gameRows(config.maxGamesPerAccount));
+
+    accountManager.update(1, { rotation_mode: 'off' });
+
+    expect(db.accounts.update).toHaveBeenCalledWith(1, { rotation_mode: 'off' });
+  });
+
+  test('does not count games that reached their hour target', () => {
+    const games = gameRows(config.maxGamesPerAccount + 5);
+    for (const game of games.slice(0, 5)) game.target_reached_at = '2026-01-01 00:00:00';
+    db.games.getGames.mockReturnValue(games);
+
+    accountManager.update(1, { rotation_mode: 'off' });
+
+    expect(db.accounts.update).toHaveBeenCalledWith(1, { rotation_mode: 'off' });
+  });
+
+  test('checks the new list instead when games are sent along', () => {
+    db.games.getGames.mockReturnValue(gameRows(40));
+
+    accountManager.update(1, { rotation_mode: 'off', games: [730, 570] });
+
+    expect(db.games.setGames).toHaveBeenCalledWith(1, [730, 570]);
+  });
+});
@@ -0,0 +1,169 @@
+// ---------------------------------------------------------------------------
+// Mock: database
+// ---------------------------------------------------------------------------
+jest.mock('../src/models/database', () => ({
+  apiTokens: {
+    create: jest.fn(() => ({ lastInsertRowid: 7 })),
+    findByUser: jest.fn(() => []),
+    findActiveByHash: jest.fn(),
+    touch: jest.fn(),
+    countByUser: jest.fn(() => 0),
+    delete: jest.fn(() => ({ changes: 1 })),
+  },
+}));
+
+// ---------------------------------------------------------------------------
+// Mock: logger
+// ---------------------------------------------------------------------------
+jest.mock('../src/services/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+// ---------------------------------------------------------------------------
+// Mock: event stream
+// ---------------------------------------------------------------------------
+jest.mock('../src/services/eventStream', () => ({
+  closeToken: jest.fn(),
+}));
+
+const db = require('../src/models/database');
+const eventStream = require('../src/services/eventStream');
+const config = require('../src/config');
+const apiTokens = require('../src/services/apiTokens');
+const { hashToken } = apiTokens;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  apiTokens.lastTouched.clear();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+// ── creating ────────────────────────────────────────────────
+
+describe('create', () => {
+  test('returns the token once and stores only its hash', () => {
+    const result = apiTokens.create(1, { name: ' Home Assistant ', scope: 'control' });
+
+    expect(result.token).toMatch(/^hb_[0-9a-f]{64}$/);
+    expect(result).toMatchObject({ id: 7, name: 'Home Assistant', scope: 'control', expires_at: null });
+    expect(db.apiTokens.create).toHaveBeenCalledWith({
+      user_id: 1,
+      name: 'Home Assistant',
+      scope: 'control',
+      token_hash: hashToken(result.token),
+      token_hint: result.token.slice(-4),
+      expires_at: null,
+    });
+  });
+
+  test('sets the expiry in database time', () => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T12:00:00Z') });
+
+    const result = apiTokens.create(1, { name: 'cron', expires_in_days: 30 });
+
+    expect(result.scope).toBe('read');
+    expect(result.expires_at).toBe('2026-01-31 12:00:00');
+  });
+
+  test('rejects bad input and too many tokens', () => {
+    expect(() => apiTokens.create(1, { name: '' })).toThrow('Token name is required');
+    expect(() => apiTokens.create(1, { name: 'x', scope: 'root' })).toThrow('scope must be one of');
+    expect(() => apiTokens.create(1, { name: 'x', expires_in_days: 0 })).toThrow('expires_in_days must be a positive whole number');
+
+    db.apiTokens.countByUser.mockReturnValueOnce(config.apiTokens.maxPerUser);
+    expect(() => apiTokens.create(1, { name: 'x' })).toThrow('tokens per user');
+    expect(db.apiTokens.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('revoke', () => {
+  test('throws for tokens the user does not own', () => {
+    db.apiTokens.delete.mockReturnValueOnce({ changes: 0 });
+
+    expect(() => apiTokens.revoke(1, 3)).toThrow('Token not found');
+    expect(db.apiTokens.delete).toHaveBeenCalledWith(3, 1);
+    expect(eventStream.closeToken).not.toHaveBeenCalled();
+  });
+
+  test('ends live streams opened with the token', () => {
+    db.apiTokens.delete.mockReturnValueOnce({ changes: 1 });
+
+    apiTokens.revoke(1, 3);
+
+    expect(eventStream.closeToken).toHaveBeenCalledWith(3);
+  });
+});
+
+// ── authenticating ──────────────────────────────────────────
+
+describe('authenticate', () => {
+  test('looks tokens up by hash and records use at most once per interval', () => {
+    jest.useFakeTimers({ now: 1000000 });
+    const row = { id: 2, scope: 'read', user_id: 1 };
+    db.apiTokens.findActiveByHash.mockReturnValue(row);
+
+    expect(apiTokens.authenticate('hb_abc')).toBe(row);
+    apiTokens.authenticate('hb_abc');
+    jest.advanceTimersByTime(config.apiTokens.touchInterval);
+    apiTokens.authenticate('hb_abc');
+
+    expect(db.apiTokens.findActiveByHash).toHaveBeenCalledWith(hashToken('hb_abc'));
+    expect(db.apiTokens.touch).toHaveBeenCalledTimes(2);
+  });
+
+  test('returns null for unknown, expired or malformed tokens', () => {
+    db.apiTokens.findActiveByHash.mockReturnValueOnce(undefined);
+
+    expect(apiTokens.authenticate('hb_unknown')).toBeNull();
+    expect(apiTokens.authenticate('session-cookie')).toBeNull();
+    expect(db.apiTokens.findActiveByHash).toHaveBeenCalledTimes(1);
+    expect(db.apiTokens.touch).not.toHaveBeenCalled();
+  });
+});
+
+describe('allows', () => {
+  test('read tokens can only fetch', () => {
+    expect(apiTokens.allows('read', 'GET', '/api/accounts')).toBe(true);
+    expect(apiTokens.allows('read', 'POST', '/api/accounts/1/start')).toBe(false);
+  });
+
+  test('control tokens can also start, stop and refresh accounts', () => {
+    expect(apiTokens.allows('control', 'POST', '/api/accounts/1/start')).toBe(true);
+    expect(apiTokens.allows('control', 'POST', '/api/accounts/stop-all')).toBe(true);
+    expect(apiTokens.allows('control', 'POST', '/api/accounts/1/cards/farm')).toBe(true);
+    expect(apiTokens.allows('control', 'DELETE', '/api/accounts/1')).toBe(false);
+    expect(apiTokens.allows('control', 'POST', '/api/reset')).toBe(false);
+  });
+
+  test('read and control tokens only read account state and statistics', () => {
+    for (const scope of ['read', 'control']) {
+      expect(apiTokens.allows(scope, 'GET', '/api/dashboard')).toBe(true);
+      expect(apiTokens.allows(scope, 'GET', '/api/accounts/1/status')).toBe(true);
+      expect(apiTokens.allows(scope, 'GET', '/api/stats/1')).toBe(true);
+      expect(apiTokens.allows(scope, 'GET', '/api/accounts/1/export-mafile')).toBe(false);
+      expect(apiTokens.allows(scope, 'GET', '/api/audit/export')).toBe(false);
+      expect(apiTokens.allows(scope, 'GET', '/api/audit')).toBe(false);
+      expect(apiTokens.allows(scope, 'GET', '/api/mafiles')).toBe(false);
+      expect(apiTokens.allows(scope, 'GET', '/api/keys')).toBe(false);
+      expect(apiTokens.allows(scope, 'GET', '/api/settings')).toBe(false);
+      expect(apiTokens.allows(scope, 'GET', '/api/accounts/1/proxy')).toBe(false);
+    }
+    expect(apiTokens.allows('admin', 'GET', '/api/accounts/1/export-mafile')).toBe(true);
+    expect(apiTokens.allows('admin', 'GET', '/api/audit/export')).toBe(true);
+  });
+
+  test('admin tokens can do anything but manage sign-in and access', () => {
+    expect(apiTokens.allows('admin', 'DELETE', '/api/accounts/1')).toBe(true);
+    expect(apiTokens.allows('admin', 'POST', '/api/settings/password')).toBe(false);
+    expect(apiTokens.allows('admin', 'POST', '/api/2fa/disable')).toBe(false);
+    expect(apiTokens.allows('admin', 'PUT', '/api/users/2')).toBe(false);
+    expect(apiTokens.allows('admin', 'GET', '/api/tokens')).toBe(false);
+    expect(apiTokens.allows('admin', 'POST', '/api/reset')).toBe(false);
+  });
+});
@@ -0,0 +1,217 @@
+// ---------------------------------------------------------------------------
+// Mock: database
+// ---------------------------------------------------------------------------
+jest.mock('../src/models/database', () => ({
+  accounts: {
+    findById: jest.fn(),
+    findAll: jest.fn(() => []),
+  },
+  audit: {
+    add: jest.fn(),
+    find: jest.fn(() => []),
+    cleanup: jest.fn(() => ({ changes: 0 })),
+  },
+  settings: {
+    get: jest.fn((key, fallback) => fallback),
+  },
+}));
+
+// ---------------------------------------------------------------------------
+// Mock: logger
+// ---------------------------------------------------------------------------
+jest.mock('../src/services/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const { EventEmitter } = require('events');
+const db = require('../src/models/database');
+const config = require('../src/config');
+const auditLog = require('../src/services/auditLog');
+const { csvCell } = auditLog;
+const { auditTrail, isAudited } = require('../src/middleware/audit');
+
+function mockReq(overrides = {}) {
+  return { method: 'POST', path: '/api/accounts/1/start', body: {}, query: {}, ip: '10.0.0.1', session: {}, ...overrides };
+}
+
+function mockRes(status) {
+  const res = new EventEmitter();
+  res.statusCode = status;
+  res.json = jest.fn(() => res);
+  return res;
+}
+
+// Run a request through the middleware, answer it and return the recorded entry
+function audit(req, status, body) {
+  const res = mockRes(status);
+  auditTrail(req, res, () => {});
+  if (body) res.json(body);
+  res.emit('finish');
+  return db.audit.add.mock.calls[0] && db.audit.add.mock.calls[0][0];
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+// ── service ─────────────────────────────────────────────────
+
+describe('outcomeFor', () => {
+  test('maps statuses to success, denied and failed', () => {
+    expect(auditLog.outcomeFor(200)).toBe('success');
+    expect(auditLog.outcomeFor(302)).toBe('success');
+    expect(auditLog.outcomeFor(401)).toBe('denied');
+    expect(auditLog.outcomeFor(403)).toBe('denied');
+    expect(auditLog.outcomeFor(400)).toBe('failed');
+    expect(auditLog.outcomeFor(500)).toBe('failed');
+  });
+});
+
+describe('record', () => {
+  test('never throws when the write fails', () => {
+    db.audit.add.mockImplementationOnce(() => { throw new Error('disk full'); });
+
+    expect(() => auditLog.record({ method: 'POST', route: '/api/x', status: 200 })).not.toThrow();
+  });
+});
+
+describe('toCsv', () => {
+  test('quotes cells and defuses spreadsheet formulas', () => {
+    expect(csvCell(null)).toBe('');
+    expect(csvCell(42)).toBe('42');
+    expect(csvCell('a,"b"')).toBe('"a,""b"""');
+    expect(csvCell('=HYPERLINK("x")')).toBe('"\'=HYPERLINK(""x"")"');
+    expect(csvCell('-1')).toBe("'-1");
+
+    const csv = auditLog.toCsv([{ timestamp: '2026-01-01 12:00:00', username: '@admin', method: 'POST', route: '/api/reset', status: 200, outcome: 'success' }]);
+
+    expect(csv).toBe(
+      'timestamp,username,api_token,ip,method,route,account_id,account_ids,account_name,status,outcome,error\r\n' +
+      "2026-01-01 12:00:00,'@admin,,,POST,/api/reset,,,,200,success,\r\n"
+    );
+  });
+});
+
+describe('cleanup', () => {
+  test('uses the retention setting and keeps everything at 0', () => {
+    auditLog.cleanup();
+    expect(db.audit.cleanup).toHaveBeenCalledWith(config.audit.retentionDays);
+
+    db.settings.get.mockReturnValueOnce('0');
+    auditLog.cleanup();
+    expect(db.audit.cleanup).toHaveBeenCalledTimes(1);
+  });
+
+  test('never purges entries newer than the minimum retention', () => {
+    db.settings.get.mockReturnValueOnce('1');
+    auditLog.cleanup();
+
+    expect(db.audit.cleanup).toHaveBeenCalledWith(config.audit.minRetentionDays);
+  });
+});
+
+// ── middleware ──────────────────────────────────────────────
+
+describe('isAudited', () => {
+  test('covers API changes and secret exports only', () => {
+    expect(isAudited('POST', '/api/login')).toBe(true);
+    expect(isAudited('DELETE', '/api/accounts/1')).toBe(true);
+    expect(isAudited('GET', '/api/accounts/1/export-mafile')).toBe(true);
+    expect(isAudited('GET', '/api/audit/export')).toBe(true);
+    expect(isAudited('GET', '/api/accounts')).toBe(false);
+    expect(isAudited('POST', '/login')).toBe(false);
+  });
+});
+
+describe('auditTrail', () => {
+  test('records the user, account and error once the response is sent', () => {
+    db.accounts.findById.mockReturnValueOnce({ id: 1, username: 'steam_one' });
+    const req = mockReq({ user: { id: 2, username: 'ops' }, apiToken: { name: 'cron' } });
+
+    const entry = audit(req, 409, { error: 'Account is already running' });
+
+    expect(entry).toEqual({
+      user_id: 2,
+      username: 'ops',
+      api_token: 'cron',
+      ip: '10.0.0.1',
+      method: 'POST',
+      route: '/api/accounts/1/start',
+      account_id: 1,
+      account_ids: null,
+      account_name: 'steam_one',
+      status: 409,
+      outcome: 'failed',
+      error: 'Account is already running',
+    });
+  });
+
+  test('takes the account from the body and drops errors on success', () => {
+    db.accounts.findById.mockReturnValueOnce({ id: 5, username: 'steam_five' });
+    const req = mockReq({ path: '/api/keys', body: { account_id: '5' }, session: { userId: 1, username: 'admin' } });
+
+    const entry = audit(req, 200, { error: 'ignored' });
+
+    expect(entry).toMatchObject({ user_id: 1, username: 'admin', account_id: 5, account_name: 'steam_five', error: null });
+  });
+
+  test('names every account of a bulk request from the body', () => {
+    db.accounts.findById.mockImplementation(id => ({ id, username: `steam_${id}` }));
+    const req = mockReq({ path: '/api/keys', body: { keys: 'AAAAA-BBBBB-CCCCC', account_ids: [3, '4', 3] }, session: { userId: 1, username: 'admin' } });
+
+    const entry = audit(req, 200, { success: true });
+    db.accounts.findById.mockReset();
+
+    expect(entry).toMatchObject({ account_id: null, account_ids: '3,4', account_name: 'steam_3, steam_4' });
+  });
+
+  test('names the user\'s accounts for start-all and stop-all', () => {
+    db.accounts.findAll.mockReturnValueOnce([{ id: 1, username: 'one' }, { id: 2, username: 'two' }, { id: 3, username: 'three' }]);
+    const req = mockReq({ path: '/api/accounts/stop-all', user: { id: 4, username: 'op', account_ids: [1, 3] } });
+
+    const entry = audit(req, 200, { success: true });
+
+    expect(entry).toMatchObject({ account_id: null, account_ids: '1,3', account_name: 'one, three' });
+  });
+
+  test('keeps the attempted username of a failed login', () => {
+    const req = mockReq({ path: '/api/login', body: { username: 'root', password: 'guess' } });
+
+    const entry = audit(req, 401, { error: 'Invalid username or password' });
+
+    expect(entry).toMatchObject({ user_id: null, username: 'root', outcome: 'denied', account_id: null });
+    expect(JSON.stringify(entry)).not.toContain('guess');
+  });
+
+  test('drops anonymous requests outside the login routes, whatever username they send', () => {
+    const entry = audit(mockReq({ path: '/api/accounts/1/start', body: { username: 'admin' }, session: {} }), 401, { error: 'Unauthorized' });
+
+    expect(entry).toBeUndefined();
+  });
+
+  test('only trusts the body username on the login route', () => {
+    const setup = audit(mockReq({ path: '/api/setup', body: { username: 'admin' } }), 400, { error: 'Setup already completed' });
+
+    expect(setup).toMatchObject({ username: null, outcome: 'failed' });
+  });
+
+  test('drops logins turned away by the rate limiter', () => {
+    const entry = audit(mockReq({ path: '/api/login', body: { username: 'admin' } }), 429, { error: 'Too many login attempts' });
+
+    expect(entry).toBeUndefined();
+  });
+
+  test('skips ordinary reads', () => {
+    const next = jest.fn();
+    const res = mockRes(200);
+
+    auditTrail(mockReq({ method: 'GET', path: '/api/accounts' }), res, next);
+    res.emit('finish');
+
+    expect(next).toHaveBeenCalled();
+    expect(db.audit.add).not.toHaveBeenCalled();
+  });
+});
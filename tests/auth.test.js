@@ -6,20 +6,17 @@ jest.mock('../src/models/database', () => ({
     findByUsername: jest.fn(),
     findById: jest.fn(),
     updatePassword: jest.fn(),
+    setWrappedKey: jest.fn(),
     count: jest.fn(() => 0),
   },
-  accounts: {
-    findAll: jest.fn(() => []),
-    update: jest.fn(),
-  },
-  mafiles: {
-    findAll: jest.fn(() => []),
-    updateSecrets: jest.fn(),
-  },
   settings: {
     get: jest.fn(),
     set: jest.fn(),
   },
+  apiTokens: {
+    findActiveByHash: jest.fn(),
+    touch: jest.fn(),
+  },
 }));
 
 jest.mock('../src/services/logger', () => ({
@@ -41,11 +38,12 @@ const {
   getEncryptionKey,
   setEncryptionKey,
   initializeEncryption,
+  wrapKeyForUser,
+  unlockEncryption,
   encryptAccountCredentials,
   decryptAccountCredentials,
   clearEncryptionKey,
   isEncryptionInitialized,
-  reEncryptAllData,
   ENCRYPTED_FIELDS,
 } = require('../src/middleware/auth');
 const { isEncrypted } = require('../src/utils/encryption');
@@ -119,6 +117,68 @@ describe('requireAuth', () => {
     expect(next).not.toHaveBeenCalled();
     expect(res.redirect).toHaveBeenCalledWith('/login');
   });
+
+  test('accepts a bearer API token and exposes it on the request', () => {
+    db.apiTokens.findActiveByHash.mockReturnValueOnce({ id: 3, name: 'cron', scope: 'control', user_id: 1 });
+    const req = mockReq({ path: '/api/accounts/1/start', method: 'POST', headers: { authorization: 'Bearer hb_token' } });
+    const res = mockRes();
+    const next = jest.fn();
+
+    requireAuth(req, res, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.apiToken).toEqual({ id: 3, name: 'cron', scope: 'control', user_id: 1 });
+  });
+
+  test('rejects bad tokens even with a valid session', () => {
+    const req = mockReq({ session: { userId: 1 }, path: '/api/accounts', method: 'GET', headers: { authorization: 'Bearer hb_wrong' } });
+    const res = mockRes();
+    const next = jest.fn();
+
+    requireAuth(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+
+  test('returns 403 when the token scope does not cover the request', () => {
+    db.apiTokens.findActiveByHash.mockReturnValueOnce({ id: 3, name: 'dash', scope: 'read', user_id: 1 });
+    const req = mockReq({ path: '/api/accounts/1', method: 'DELETE', headers: { authorization: 'Bearer hb_token' } });
+    const res = mockRes();
+    const next = jest.fn();
+
+    requireAuth(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+
+  test('returns 403 when a read or control token asks for Steam Guard secrets', () => {
+    for (const scope of ['read', 'control']) {
+      db.apiTokens.findActiveByHash.mockReturnValueOnce({ id: 3, name: 'dash', scope, user_id: 1 });
+      const req = mockReq({ path: '/api/accounts/1/export-mafile', method: 'GET', headers: { authorization: 'Bearer hb_token' } });
+      const res = mockRes();
+      const next = jest.fn();
+
+      requireAuth(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+    }
+  });
+
+  test('returns 403 when even an admin token tries to change a password', () => {
+    db.apiTokens.findActiveByHash.mockReturnValueOnce({ id: 3, name: 'ops', scope: 'admin', user_id: 1 });
+    const req = mockReq({ path: '/api/settings/password', method: 'POST', headers: { authorization: 'Bearer hb_token' } });
+    const res = mockRes();
+    const next = jest.fn();
+
+    requireAuth(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith({ error: 'API tokens cannot be used here, sign in to the dashboard instead' });
+  });
 });
 
 // ─── checkSetup ────────────────────────────────────────────
@@ -387,6 +447,9 @@ describe('encryptAccountCredentials & decryptAccountCredentials', () => {
       shared_secret: 'ss',
       identity_secret: 'is',
       revocation_code: 'rc',
+      proxy_username: 'pu',
+      proxy_password: 'pp',
+      refresh_token: 'rt',
       display_name: 'My Account',
     };
 
@@ -479,24 +542,14 @@ describe('encryption key management', () => {
     expect(getEncryptionKey()).toBeNull();
   });
 
-  test('initializeEncryption generates salt, derives key, stores salt in settings', async () => {
-    db.settings.get.mockReturnValue(null); // no existing salt
-
-    const key = await initializeEncryption('admin-password');
+  test('initializeEncryption generates and caches a random master key', () => {
+    const key = initializeEncryption();
 
-    expect(key).toBeDefined();
     expect(Buffer.isBuffer(key)).toBe(true);
     expect(key.length).toBe(32);
-
-    // Should have stored the generated salt
-    expect(db.settings.set).toHaveBeenCalledWith('encryption_salt', expect.any(String));
-    const storedSalt = db.settings.set.mock.calls.find(c => c[0] === 'encryption_salt')[1];
-    // Salt should be a base64 string of 32 bytes
-    const saltBuffer = Buffer.from(storedSalt, 'base64');
-    expect(saltBuffer.length).toBe(32);
-
-    // The key should now be cached
     expect(getEncryptionKey()).toBe(key);
+    expect(db.settings.set).toHaveBeenCalledWith('encryption_mode', 'wrapped');
+    expect(db.settings.set).not.toHaveBeenCalledWith('encryption_salt', expect.anything());
   });
 
   test('isEncryptionInitialized returns true when salt exists in settings', () => {
@@ -519,172 +572,85 @@ describe('encryption key management', () => {
   });
 });
 
-// ─── reEncryptAllData ──────────────────────────────────────
-
-describe('reEncryptAllData', () => {
-  let oldKey;
-  let newKey;
-
-  beforeEach(async () => {
-    // Derive two different keys for old and new
-    const { deriveKey, generateSalt } = require('../src/utils/encryption');
-    const salt1 = generateSalt();
-    const salt2 = generateSalt();
-    oldKey = await deriveKey('old-password', salt1);
-    newKey = await deriveKey('new-password', salt2);
-  });
-
-  test('re-encrypts all account credentials with new key', async () => {
-    const { encrypt } = require('../src/utils/encryption');
-
-    // Set up accounts with encrypted data
-    const encryptedPassword = encrypt('steam-pass', oldKey);
-    const encryptedSecret = encrypt('shared-secret', oldKey);
-
-    db.accounts.findAll.mockReturnValue([
-      {
-        id: 1,
-        username: 'account1',
-        password: encryptedPassword,
-        shared_secret: encryptedSecret,
-        identity_secret: null,
-        revocation_code: null,
-      },
-    ]);
-    db.mafiles.findAll.mockReturnValue([]);
-    db.settings.get.mockReturnValue(null); // no API key
-
-    const result = await reEncryptAllData(oldKey, newKey);
-
-    expect(result.success).toBe(1);
-    expect(result.errors).toBe(0);
-
-    // Verify db.accounts.update was called with re-encrypted fields
-    expect(db.accounts.update).toHaveBeenCalledTimes(1);
-    const [accountId, updates] = db.accounts.update.mock.calls[0];
-    expect(accountId).toBe(1);
-    expect(isEncrypted(updates.password)).toBe(true);
-    expect(isEncrypted(updates.shared_secret)).toBe(true);
-
-    // The re-encrypted values should be different from the old encrypted values
-    expect(updates.password).not.toBe(encryptedPassword);
-    expect(updates.shared_secret).not.toBe(encryptedSecret);
-
-    // Decrypting with the new key should yield the original plaintext
-    const { decrypt } = require('../src/utils/encryption');
-    expect(decrypt(updates.password, newKey)).toBe('steam-pass');
-    expect(decrypt(updates.shared_secret, newKey)).toBe('shared-secret');
-  });
-
-  test('re-encrypts mafile secrets', async () => {
-    const { encrypt } = require('../src/utils/encryption');
-
-    db.accounts.findAll.mockReturnValue([]);
-    db.mafiles.findAll.mockReturnValue([
-      {
-        id: 10,
-        shared_secret: encrypt('mafile-shared', oldKey),
-        identity_secret: encrypt('mafile-identity', oldKey),
-      },
-    ]);
-    db.settings.get.mockReturnValue(null);
+// ─── per-user master key copies ────────────────────────────
 
-    const result = await reEncryptAllData(oldKey, newKey);
-
-    expect(db.mafiles.updateSecrets).toHaveBeenCalledTimes(1);
-    const [mafileId, updates] = db.mafiles.updateSecrets.mock.calls[0];
-    expect(mafileId).toBe(10);
-    expect(isEncrypted(updates.shared_secret)).toBe(true);
-    expect(isEncrypted(updates.identity_secret)).toBe(true);
-
-    // Verify values decrypt correctly with new key
-    const { decrypt } = require('../src/utils/encryption');
-    expect(decrypt(updates.shared_secret, newKey)).toBe('mafile-shared');
-    expect(decrypt(updates.identity_secret, newKey)).toBe('mafile-identity');
-  });
-
-  test('re-encrypts Steam API key', async () => {
-    const { encrypt } = require('../src/utils/encryption');
-    const encryptedApiKey = encrypt('ABCDEF123456', oldKey);
-
-    db.accounts.findAll.mockReturnValue([]);
-    db.mafiles.findAll.mockReturnValue([]);
-    db.settings.get.mockReturnValue(encryptedApiKey); // steam_api_key
-
-    await reEncryptAllData(oldKey, newKey);
-
-    // settings.set should be called with the re-encrypted API key
-    const apiKeyCall = db.settings.set.mock.calls.find(c => c[0] === 'steam_api_key');
-    expect(apiKeyCall).toBeDefined();
-
-    const { decrypt } = require('../src/utils/encryption');
-    expect(decrypt(apiKeyCall[1], newKey)).toBe('ABCDEF123456');
-  });
-
-  test('reports success/error counts', async () => {
-    const { encrypt } = require('../src/utils/encryption');
-
-    // One good account, one that will fail (corrupt encrypted data)
-    db.accounts.findAll.mockReturnValue([
-      {
-        id: 1,
-        password: encrypt('good-pass', oldKey),
-        shared_secret: null,
-        identity_secret: null,
-        revocation_code: null,
-      },
-      {
-        id: 2,
-        password: '$ENC$corrupted:data',
-        shared_secret: null,
-        identity_secret: null,
-        revocation_code: null,
-      },
-    ]);
-    db.mafiles.findAll.mockReturnValue([]);
-    db.settings.get.mockReturnValue(null);
+describe('wrapped master key', () => {
+  // Capture what wrapKeyForUser stores and hand it back as a user row
+  async function wrappedUser(password, key) {
+    await wrapKeyForUser(2, password, key);
+    const [, keySalt, wrappedKey] = db.users.setWrappedKey.mock.calls.at(-1);
+    return { id: 2, username: 'operator', key_salt: keySalt, wrapped_key: wrappedKey };
+  }
+
+  test('each user unlocks the same master key with their own password', async () => {
+    const masterKey = initializeEncryption();
+    const user = await wrappedUser('operator-pass', masterKey);
+    clearEncryptionKey();
 
-    const result = await reEncryptAllData(oldKey, newKey);
+    expect(isEncrypted(user.wrapped_key)).toBe(true);
+    expect(await unlockEncryption(user, 'operator-pass')).toEqual(masterKey);
+    expect(getEncryptionKey()).toEqual(masterKey);
 
-    expect(result.success).toBe(1);
-    expect(result.errors).toBe(1);
+    clearEncryptionKey();
+    await expect(unlockEncryption(user, 'wrong-pass')).rejects.toThrow();
+    expect(getEncryptionKey()).toBeNull();
   });
 
-  test('updates the cached encryption key to the new key', async () => {
-    db.accounts.findAll.mockReturnValue([]);
-    db.mafiles.findAll.mockReturnValue([]);
-    db.settings.get.mockReturnValue(null);
+  test('createUser gives new users a copy of the unlocked key', async () => {
+    initializeEncryption();
 
-    await reEncryptAllData(oldKey, newKey);
+    await createUser('viewer', 'viewer-pass', { role: 'viewer', account_ids: [1, 2] });
 
-    expect(getEncryptionKey()).toBe(newKey);
+    expect(db.users.create).toHaveBeenCalledWith('viewer', expect.any(String), 'viewer', [1, 2]);
+    expect(db.users.setWrappedKey).toHaveBeenCalledWith(1, expect.any(String), expect.any(String));
   });
 
-  test('handles accounts with plaintext fields (first-time encryption)', async () => {
-    db.accounts.findAll.mockReturnValue([
-      {
-        id: 1,
-        password: 'plaintext-password',
-        shared_secret: 'plaintext-secret',
-        identity_secret: null,
-        revocation_code: null,
-      },
-    ]);
-    db.mafiles.findAll.mockReturnValue([]);
-    db.settings.get.mockReturnValue(null);
+  test('moves a password-derived key to a wrapped copy and drops the salt', async () => {
+    const salt = require('crypto').randomBytes(32).toString('base64');
+    db.settings.get.mockImplementation(key => (key === 'encryption_salt' ? salt : null));
+    const legacyKey = await setEncryptionKey('admin-pass');
+    clearEncryptionKey();
 
-    const result = await reEncryptAllData(oldKey, newKey);
+    const key = await unlockEncryption({ id: 1, username: 'admin' }, 'admin-pass');
 
-    expect(result.success).toBe(1);
-    expect(result.errors).toBe(0);
+    expect(key).toEqual(legacyKey);
+    expect(db.users.setWrappedKey).toHaveBeenCalledWith(1, expect.any(String), expect.any(String));
+    expect(db.settings.set).toHaveBeenCalledWith('encryption_salt', null);
+    db.settings.get.mockReset();
+  });
 
-    const [, updates] = db.accounts.update.mock.calls[0];
-    expect(isEncrypted(updates.password)).toBe(true);
-    expect(isEncrypted(updates.shared_secret)).toBe(true);
+  test('changePassword rewraps the key for the new password', async () => {
+    const masterKey = initializeEncryption();
+    const user = await wrappedUser('old-password', masterKey);
+    user.password_hash = await hashPassword('old-password');
+    db.users.findById.mockReturnValue(user);
+    clearEncryptionKey();
+
+    await changePassword(2, 'old-password', 'new-password');
+
+    const [, keySalt, wrappedKey] = db.users.setWrappedKey.mock.calls.at(-1);
+    const key = await unlockEncryption({ ...user, key_salt: keySalt, wrapped_key: wrappedKey }, 'new-password');
+    expect(key).toEqual(masterKey);
+  });
+
+  test('changePassword keeps the key of a user from before per-user keys', async () => {
+    const salt = require('crypto').randomBytes(32).toString('base64');
+    const settings = { encryption_salt: salt };
+    db.settings.get.mockImplementation(key => settings[key] || null);
+    db.settings.set.mockImplementation((key, value) => { settings[key] = value; });
+    const legacyKey = await setEncryptionKey('old-password');
+    const user = { id: 1, username: 'admin', password_hash: await hashPassword('old-password') };
+    db.users.findById.mockReturnValue(user);
+
+    await changePassword(1, 'old-password', 'new-password');
+    clearEncryptionKey();
 
-    // Plaintext fields get encrypted with the new key
-    const { decrypt } = require('../src/utils/encryption');
-    expect(decrypt(updates.password, newKey)).toBe('plaintext-password');
-    expect(decrypt(updates.shared_secret, newKey)).toBe('plaintext-secret');
+    // The next login unwraps the same key with the new password
+    const [, keySalt, wrappedKey] = db.users.setWrappedKey.mock.calls.at(-1);
+    const key = await unlockEncryption({ ...user, key_salt: keySalt, wrapped_key: wrappedKey }, 'new-password');
+    expect(key).toEqual(legacyKey);
+    expect(settings.encryption_salt).toBeNull();
+    db.settings.get.mockReset();
+    db.settings.set.mockReset();
   });
 });
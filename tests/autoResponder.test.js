@@ -0,0 +1,88 @@
+// ---------------------------------------------------------------------------
+// Mock: database
+// ---------------------------------------------------------------------------
+const mockSettings = {};
+
+jest.mock('../src/models/database', () => ({
+  accounts: {
+    findById: jest.fn(),
+  },
+  settings: {
+    get: jest.fn((key, defaultValue) => (key in mockSettings ? mockSettings[key] : defaultValue)),
+  },
+}));
+
+const db = require('../src/models/database');
+const autoResponder = require('../src/services/autoResponder');
+const { renderTemplate } = require('../src/services/autoResponder');
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  autoResponder.reset();
+  for (const key of Object.keys(mockSettings)) delete mockSettings[key];
+  mockSettings.chat_auto_reply = 'Hi {friend}, {account} is idling right now';
+  mockSettings.chat_auto_reply_cooldown = 60;
+  db.accounts.findById.mockReturnValue({ id: 1, auto_reply: null });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+// ── templates ───────────────────────────────────────────────
+
+describe('renderTemplate', () => {
+  test('fills known placeholders and leaves others alone', () => {
+    expect(renderTemplate('{friend} / {account} / {other}', { friend: 'Buddy', account: 'Main' }))
+      .toBe('Buddy / Main / {other}');
+  });
+});
+
+describe('getTemplate', () => {
+  test('uses the global template unless the account overrides it', () => {
+    expect(autoResponder.getTemplate({ auto_reply: null })).toBe(mockSettings.chat_auto_reply);
+    expect(autoResponder.getTemplate({ auto_reply: 'Busy' })).toBe('Busy');
+  });
+
+  test('an empty override turns replies off for the account', () => {
+    expect(autoResponder.getTemplate({ auto_reply: '' })).toBe('');
+  });
+});
+
+// ── replies ─────────────────────────────────────────────────
+
+describe('getReply', () => {
+  test('renders the reply for a friend', () => {
+    expect(autoResponder.getReply(1, '7656', { friend: 'Buddy', account: 'Main' }))
+      .toBe('Hi Buddy, Main is idling right now');
+  });
+
+  test('returns null when no template is set', () => {
+    mockSettings.chat_auto_reply = '';
+
+    expect(autoResponder.getReply(1, '7656')).toBeNull();
+  });
+
+  test('replies to each friend at most once per cooldown', () => {
+    jest.useFakeTimers();
+
+    expect(autoResponder.getReply(1, '7656')).not.toBeNull();
+    expect(autoResponder.getReply(1, '7656')).toBeNull();
+    expect(autoResponder.getReply(1, '9999')).not.toBeNull();
+    expect(autoResponder.getReply(2, '7656')).not.toBeNull();
+
+    jest.advanceTimersByTime(60 * 60 * 1000);
+
+    expect(autoResponder.getReply(1, '7656')).not.toBeNull();
+  });
+
+  test('reset() clears the cooldowns of one account', () => {
+    autoResponder.getReply(1, '7656');
+    autoResponder.getReply(2, '7656');
+
+    autoResponder.reset(1);
+
+    expect(autoResponder.getReply(1, '7656')).not.toBeNull();
+    expect(autoResponder.getReply(2, '7656')).toBeNull();
+  });
+});
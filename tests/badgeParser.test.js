@@ -0,0 +1,59 @@
+const fs = require('fs');
+const path = require('path');
+const { decodeEntities, parseBadgePage, isBadgePage } = require('../src/utils/badgeParser');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', 'badges', name), 'utf8');
+
+// ── parseBadgePage ──────────────────────────────────────────
+
+describe('parseBadgePage', () => {
+  test('reads remaining drops, names and playtime of game badges', () => {
+    const { games } = parseBadgePage(fixture('page1.html'));
+
+    expect(games).toEqual([
+      { appId: 730, name: 'Counter-Strike 2', dropsRemaining: 3, playtimeHours: 1204.5 },
+      { appId: 105600, name: 'Terraria & Friends', dropsRemaining: 1, playtimeHours: 0.4 },
+    ]);
+  });
+
+  test('skips community badges that are not tied to a game', () => {
+    const { games } = parseBadgePage(fixture('page1.html'));
+
+    expect(games.map(g => g.name)).not.toContain('Years of Service');
+  });
+
+  test('treats "No card drops remaining" and missing playtime as zero', () => {
+    const { games } = parseBadgePage(fixture('page2.html'));
+
+    expect(games).toEqual([
+      { appId: 440, name: 'Team Fortress 2', dropsRemaining: 0, playtimeHours: 52 },
+      { appId: 570, name: 'Dota 2', dropsRemaining: 2, playtimeHours: 0 },
+    ]);
+  });
+
+  test('reads the page count from the paging links', () => {
+    expect(parseBadgePage(fixture('page1.html')).pageCount).toBe(2);
+    expect(parseBadgePage(fixture('page2.html')).pageCount).toBe(1);
+  });
+
+  test('returns nothing for pages without badges', () => {
+    expect(parseBadgePage(fixture('login.html'))).toEqual({ games: [], pageCount: 1 });
+  });
+});
+
+// ── isBadgePage ─────────────────────────────────────────────
+
+describe('isBadgePage', () => {
+  test('recognizes badge pages and rejects the login page', () => {
+    expect(isBadgePage(fixture('page1.html'))).toBe(true);
+    expect(isBadgePage(fixture('login.html'))).toBe(false);
+  });
+});
+
+// ── decodeEntities ──────────────────────────────────────────
+
+describe('decodeEntities', () => {
+  test('decodes named and numeric entities', () => {
+    expect(decodeEntities('Tom &amp; Jerry&#39;s &#x2122; &quot;Game&quot;')).toBe('Tom & Jerry\'s ™ "Game"');
+  });
+});
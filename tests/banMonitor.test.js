@@ -0,0 +1,159 @@
+// ---------------------------------------------------------------------------
+// Mock: database
+// ---------------------------------------------------------------------------
+const mockSettings = {};
+
+jest.mock('../src/models/database', () => ({
+  accounts: {
+    findAll: jest.fn(() => []),
+    findById: jest.fn(),
+    update: jest.fn(),
+  },
+  banEvents: {
+    record: jest.fn(),
+    getByAccount: jest.fn(() => []),
+  },
+  settings: {
+    get: jest.fn((key, defaultValue) => (key in mockSettings ? mockSettings[key] : defaultValue)),
+  },
+  batch: jest.fn(fn => fn()),
+}));
+
+// ---------------------------------------------------------------------------
+// Mock: logger
+// ---------------------------------------------------------------------------
+jest.mock('../src/services/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+// ---------------------------------------------------------------------------
+// Mock: steamService / proxyService
+// ---------------------------------------------------------------------------
+jest.mock('../src/services/steamService', () => ({
+  stopIdling: jest.fn(),
+  setBanMonitor: jest.fn(),
+}));
+
+jest.mock('../src/services/proxyService', () => ({
+  getForAccount: jest.fn(account => (account.proxy_host ? { type: 'socks5', host: account.proxy_host, port: 1080 } : null)),
+}));
+
+const db = require('../src/models/database');
+const logger = require('../src/services/logger');
+const steamService = require('../src/services/steamService');
+const banMonitor = require('../src/services/banMonitor');
+
+// Stored account row after an earlier refresh without bans
+function makeAccount(overrides = {}) {
+  return {
+    id: 1, api_last_refresh: '2026-01-01T00:00:00.000Z',
+    vac_banned: 0, vac_bans: 0, game_bans: 0, trade_banned: 0, community_banned: 0,
+    ...overrides,
+  };
+}
+
+// GetPlayerBans result
+function makeBans(overrides = {}) {
+  return { vacBanned: false, vacBans: 0, gameBans: 0, economyBan: 'none', communityBanned: false, ...overrides };
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  for (const key of Object.keys(mockSettings)) delete mockSettings[key];
+});
+
+// ── detection ───────────────────────────────────────────────
+
+describe('detectChanges', () => {
+  test('reports new and lifted bans', () => {
+    const changes = banMonitor.detectChanges(
+      makeAccount({ trade_banned: 1 }),
+      makeBans({ vacBanned: true, vacBans: 1, gameBans: 2, economyBan: 'none' })
+    );
+
+    expect(changes).toEqual([
+      { type: 'vac', change: 'added', previous: 0, current: 1 },
+      { type: 'game', change: 'added', previous: 0, current: 2 },
+      { type: 'trade', change: 'lifted', previous: 1, current: 0 },
+    ]);
+  });
+
+  test('the first refresh only sets the baseline', () => {
+    const account = makeAccount({ api_last_refresh: null });
+
+    expect(banMonitor.detectChanges(account, makeBans({ vacBans: 1, communityBanned: true }))).toEqual([]);
+  });
+
+  test('skips values that were never stored', () => {
+    const account = makeAccount({ vac_banned: 1, vac_bans: null, community_banned: null });
+
+    expect(banMonitor.detectChanges(account, makeBans({ vacBanned: true, vacBans: 2, communityBanned: true }))).toEqual([]);
+  });
+});
+
+// ── actions ─────────────────────────────────────────────────
+
+describe('handleChanges', () => {
+  const newVac = [{ type: 'vac', change: 'added', previous: 0, current: 1 }];
+
+  test('records the change and stops the account by default', () => {
+    expect(banMonitor.handleChanges(1, newVac)).toBe('stop_account');
+
+    expect(db.banEvents.record).toHaveBeenCalledWith(1, { ...newVac[0], action: 'stop_account' });
+    expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('New VAC ban'), 1, 'BAN');
+    expect(steamService.stopIdling).toHaveBeenCalledWith(1);
+  });
+
+  test('turns off the schedule and humanizer so they do not restart the account', () => {
+    banMonitor.handleChanges(1, newVac);
+
+    expect(db.accounts.update).toHaveBeenCalledWith(1, { humanize_enabled: 0, schedule_enabled: 0 });
+  });
+
+  test('stop_proxy stops every account on the same address', () => {
+    mockSettings.ban_action = 'stop_proxy';
+    db.accounts.findAll.mockReturnValueOnce([
+      { id: 1, proxy_host: '10.0.0.1' },
+      { id: 2, proxy_host: '10.0.0.1' },
+      { id: 3, proxy_host: '10.0.0.2' },
+      { id: 4 },
+    ]);
+
+    banMonitor.handleChanges(1, newVac);
+
+    expect(steamService.stopIdling.mock.calls.map(call => call[0])).toEqual([1, 2]);
+    expect(db.accounts.update.mock.calls.map(call => call[0])).toEqual([1, 2]);
+  });
+
+  test('none only logs, and lifted bans take no action', () => {
+    mockSettings.ban_action = 'none';
+    banMonitor.handleChanges(1, newVac);
+
+    expect(banMonitor.handleChanges(1, [{ type: 'trade', change: 'lifted', previous: 1, current: 0 }])).toBeNull();
+    expect(db.banEvents.record).toHaveBeenLastCalledWith(1, expect.objectContaining({ change: 'lifted', action: null }));
+    expect(steamService.stopIdling).not.toHaveBeenCalled();
+  });
+});
+
+describe('handleCommunityBan', () => {
+  test('the first report only sets the baseline', () => {
+    db.accounts.findById.mockReturnValueOnce(makeAccount({ community_banned: null }));
+
+    expect(banMonitor.handleCommunityBan(1, true)).toBeNull();
+    expect(db.accounts.update).toHaveBeenCalledWith(1, { community_banned: 1 });
+    expect(db.banEvents.record).not.toHaveBeenCalled();
+  });
+
+  test('handles a ban reported by a live session like a refresh would', () => {
+    db.accounts.findById.mockReturnValueOnce(makeAccount());
+
+    expect(banMonitor.handleCommunityBan(1, true)).toBe('stop_account');
+    expect(db.banEvents.record).toHaveBeenCalledWith(1, {
+      type: 'community', change: 'added', previous: 0, current: 1, action: 'stop_account',
+    });
+    expect(steamService.stopIdling).toHaveBeenCalledWith(1);
+  });
+});
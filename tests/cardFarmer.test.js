@@ -0,0 +1,162 @@
+const fs = require('fs');
+const path = require('path');
+
+// ---------------------------------------------------------------------------
+// Mock: database
+// ---------------------------------------------------------------------------
+jest.mock('../src/models/database', () => ({
+  cardDrops: {
+    record: jest.fn(),
+    getTotal: jest.fn().mockReturnValue(0),
+    getByAccount: jest.fn().mockReturnValue([]),
+  },
+}));
+
+// ---------------------------------------------------------------------------
+// Mock: logger
+// ---------------------------------------------------------------------------
+jest.mock('../src/services/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+// ---------------------------------------------------------------------------
+// Mock: steamService
+// ---------------------------------------------------------------------------
+jest.mock('../src/services/steamService', () => ({
+  sessions: new Map(),
+  getSession: jest.fn(),
+  startIdling: jest.fn().mockResolvedValue({}),
+  setCardFarmer: jest.fn(),
+}));
+
+const db = require('../src/models/database');
+const logger = require('../src/services/logger');
+const steamService = require('../src/services/steamService');
+const cardFarmer = require('../src/services/cardFarmer');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', 'badges', name), 'utf8');
+
+// Serve badge pages by page number
+function serveBadgePages(pages) {
+  global.fetch = jest.fn(async (url) => {
+    const page = new URL(url).searchParams.get('p');
+    return { status: 200, text: async () => pages[page] };
+  });
+}
+
+// A logged-in session that is not idling yet
+function makeSession() {
+  return {
+    accountId: 1,
+    proxy: null,
+    isLoggedIn: true,
+    isIdling: false,
+    isPaused: false,
+    currentGames: [],
+    cardFarm: null,
+    webCookies: ['steamLoginSecure=abc'],
+    client: { steamID: { toString: () => '76561198000000000' } },
+    getWebCookies: jest.fn(async function () { return this.webCookies; }),
+    gameSlots: jest.fn().mockReturnValue(32),
+    stopRotation: jest.fn(),
+    playGames: jest.fn(function (appIds) { this.currentGames = appIds; this.isIdling = true; }),
+    switchGames: jest.fn(function (appIds) { this.currentGames = appIds; }),
+  };
+}
+
+let session;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  session = makeSession();
+  steamService.getSession.mockReturnValue(session);
+  steamService.sessions.clear();
+  steamService.sessions.set(1, session);
+  serveBadgePages({ 1: fixture('page1.html'), 2: fixture('page2.html') });
+});
+
+afterAll(() => {
+  delete global.fetch;
+});
+
+// ── startFarming ────────────────────────────────────────────
+
+describe('startFarming', () => {
+  test('reads every badge page and idles one game at a time', async () => {
+    const status = await cardFarmer.startFarming(1, 'single');
+
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(global.fetch.mock.calls[0][1].headers.Cookie).toBe('steamLoginSecure=abc');
+    expect(session.playGames).toHaveBeenCalledWith([730]);
+    expect(status.farming.games.map(g => g.app_id)).toEqual([730, 105600, 570]);
+  });
+
+  test('idles every game with drops at once in batch mode', async () => {
+    await cardFarmer.startFarming(1, 'batch');
+
+    expect(session.playGames).toHaveBeenCalledWith([730, 105600, 570]);
+  });
+
+  test('refuses when nothing is left to farm', async () => {
+    serveBadgePages({ 1: fixture('page2.html').replace('2 card drops remaining', 'No card drops remaining') });
+
+    await expect(cardFarmer.startFarming(1)).rejects.toThrow('No card drops remaining');
+  });
+
+  test('rejects unknown modes', async () => {
+    await expect(cardFarmer.startFarming(1, 'turbo')).rejects.toThrow(/mode must be one of/);
+  });
+});
+
+// ── check ───────────────────────────────────────────────────
+
+describe('check', () => {
+  test('records drops and moves on when a game runs out', async () => {
+    await cardFarmer.startFarming(1, 'single');
+    serveBadgePages({
+      1: fixture('page1.html').replace('3 card drops remaining', 'No card drops remaining'),
+      2: fixture('page2.html'),
+    });
+
+    await cardFarmer.check(1);
+
+    expect(db.cardDrops.record).toHaveBeenCalledWith(1, 730, 'Counter-Strike 2', 3);
+    expect(session.switchGames).toHaveBeenCalledWith([105600]);
+    expect(session.cardFarm.drops).toBe(3);
+  });
+
+  test('returns to the regular games once every drop is farmed', async () => {
+    await cardFarmer.startFarming(1, 'batch');
+    serveBadgePages({ 1: fixture('page2.html').replace('2 card drops remaining', 'No card drops remaining') });
+
+    await cardFarmer.check(1);
+
+    expect(session.cardFarm).toBeNull();
+    expect(db.cardDrops.record).toHaveBeenCalledTimes(3);
+    expect(steamService.startIdling).toHaveBeenCalledWith(1);
+  });
+
+  test('drops the cookies when Steam redirects to the login page', async () => {
+    await cardFarmer.startFarming(1, 'single');
+    serveBadgePages({ 1: fixture('login.html') });
+
+    await cardFarmer.check(1);
+
+    expect(session.webCookies).toBeNull();
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('web session expired'), 1, 'STEAM');
+    expect(session.cardFarm).not.toBeNull();
+  });
+
+  test('new-item notifications trigger a check', async () => {
+    await cardFarmer.startFarming(1, 'single');
+    global.fetch.mockClear();
+
+    cardFarmer.handleNewItems(1, 1);
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(global.fetch).toHaveBeenCalled();
+  });
+});
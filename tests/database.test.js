@@ -266,6 +266,45 @@ describe('sessions', () => {
       db.accounts.delete(account2.id);
     });
   });
+
+  describe('getSince()', () => {
+    test('should return every session when no cutoff is given', () => {
+      const { lastInsertRowid: s1 } = db.sessions.start(account.id, [730]);
+      db.sessions.end(s1);
+      db.sessions.start(account.id, [440]);
+
+      expect(db.sessions.getSince(account.id, null).length).toBe(2);
+    });
+
+    test('should skip sessions that ended before the cutoff but keep active ones', () => {
+      const { lastInsertRowid: s1 } = db.sessions.start(account.id, [730]);
+      db.sessions.end(s1);
+      const { lastInsertRowid: s2 } = db.sessions.start(account.id, [440]);
+
+      const future = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+      const sessions = db.sessions.getSince(account.id, future);
+
+      expect(sessions.map(s => s.id)).toEqual([s2]);
+    });
+  });
+
+  describe('getBoostedMinutes()', () => {
+    test('should sum minutes per account, counting only time after the cutoff', () => {
+      const { lastInsertRowid: s1 } = db.sessions.start(account.id, [730]);
+      db.sessions.end(s1);
+      db.sessions.start(account.id, [440]);
+
+      const past = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+      const all = db.sessions.getBoostedMinutes(past).filter(r => r.account_id === account.id);
+      expect(all).toHaveLength(1);
+      expect(all[0].minutes).toBeGreaterThanOrEqual(0);
+      expect(all[0].minutes).toBeLessThan(1);
+
+      const future = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+      const clipped = db.sessions.getBoostedMinutes(future).filter(r => r.account_id === account.id);
+      expect(clipped).toEqual([{ account_id: account.id, minutes: 0 }]);
+    });
+  });
 });
 
 // ─── Web session methods ────────────────────────────────────
@@ -344,6 +383,17 @@ describe('webSessions', () => {
     test('should not throw when destroying a non-existent session', () => {
       expect(() => db.webSessions.destroy('non-existent')).not.toThrow();
     });
+
+    test('destroyOthers() keeps only the given session', () => {
+      const expires = Date.now() + 3600000;
+      db.webSessions.set(testSid, testSess, expires);
+      db.webSessions.set('other-sid', testSess, expires);
+
+      db.webSessions.destroyOthers(testSid);
+
+      expect(db.webSessions.get(testSid)).not.toBeNull();
+      expect(db.webSessions.get('other-sid')).toBeNull();
+    });
   });
 
   describe('touch()', () => {
@@ -523,6 +573,295 @@ describe('games.setGames()', () => {
 
     db.accounts.delete(account.id);
   });
+
+  test('should keep hour targets for games that stay in the list', () => {
+    const account = createTestAccount();
+
+    db.games.setGames(account.id, [730, 440]);
+    db.games.setTarget(account.id, 730, 100);
+    db.games.markTargetReached(account.id, 730);
+    db.games.setTarget(account.id, 440, 50);
+
+    db.games.setGames(account.id, [730, 570]);
+
+    const games = db.games.getGames(account.id);
+    const cs2 = games.find(g => g.app_id === 730);
+    expect(cs2.target_hours).toBe(100);
+    expect(cs2.target_reached_at).not.toBeNull();
+    expect(games.find(g => g.app_id === 570).target_hours).toBeNull();
+
+    db.accounts.delete(account.id);
+  });
+});
+
+// ─── Hour target methods ────────────────────────────────────
+
+describe('games hour targets', () => {
+  test('setTarget() clears a previous completion', () => {
+    const account = createTestAccount();
+    db.games.setGames(account.id, [730]);
+    db.games.setTarget(account.id, 730, 10);
+    db.games.markTargetReached(account.id, 730);
+
+    db.games.setTarget(account.id, 730, 20);
+
+    const [game] = db.games.getGames(account.id);
+    expect(game.target_hours).toBe(20);
+    expect(game.target_reached_at).toBeNull();
+
+    db.accounts.delete(account.id);
+  });
+
+  test('getWithTargets() only returns open targets', () => {
+    const account = createTestAccount();
+    db.games.setGames(account.id, [730, 440, 570]);
+    db.games.setTarget(account.id, 730, 10);
+    db.games.setTarget(account.id, 440, 10);
+    db.games.markTargetReached(account.id, 440);
+
+    const open = db.games.getWithTargets().filter(g => g.account_id === account.id);
+    expect(open.map(g => g.app_id)).toEqual([730]);
+
+    db.accounts.delete(account.id);
+  });
+});
+
+// ─── Custom title methods ───────────────────────────────────
+
+describe('customGames', () => {
+  test('set() replaces titles and keeps their order', () => {
+    const account = createTestAccount();
+    db.customGames.set(account.id, ['First', 'Second']);
+
+    db.customGames.set(account.id, ['Third', 'First', 'First']);
+
+    expect(db.customGames.getByAccount(account.id).map(g => g.title)).toEqual(['Third', 'First']);
+
+    db.accounts.delete(account.id);
+  });
+
+  test('remove() only deletes titles of the given account', () => {
+    const account = createTestAccount();
+    const other = createTestAccount();
+    db.customGames.add(account.id, 'Mine');
+    db.customGames.add(other.id, 'Theirs');
+    const [theirs] = db.customGames.getByAccount(other.id);
+
+    db.customGames.remove(account.id, theirs.id);
+
+    expect(db.customGames.getByAccount(other.id)).toHaveLength(1);
+    expect(db.customGames.getAllGrouped()[account.id].map(g => g.title)).toEqual(['Mine']);
+
+    db.accounts.delete(account.id);
+    db.accounts.delete(other.id);
+  });
+});
+
+// ─── Card drop methods ──────────────────────────────────────
+
+describe('cardDrops', () => {
+  test('records drops and totals them per account', () => {
+    const account = createTestAccount();
+    db.cardDrops.record(account.id, 730, 'Counter-Strike 2', 2);
+    db.cardDrops.record(account.id, 570, null);
+
+    expect(db.cardDrops.getTotal(account.id)).toBe(3);
+    expect(db.cardDrops.getByAccount(account.id).map(d => d.app_id)).toEqual([570, 730]);
+
+    db.accounts.delete(account.id);
+  });
+});
+
+// ─── Ban event methods ──────────────────────────────────────
+
+describe('banEvents', () => {
+  test('records ban changes newest first', () => {
+    const account = createTestAccount();
+    db.banEvents.record(account.id, { type: 'vac', change: 'added', previous: 0, current: 1, action: 'stop_account' });
+    db.banEvents.record(account.id, { type: 'trade', change: 'lifted', previous: 1, current: 0 });
+
+    const events = db.banEvents.getByAccount(account.id);
+    expect(events.map(e => e.ban_type)).toEqual(['trade', 'vac']);
+    expect(events[1]).toMatchObject({ change: 'added', action: 'stop_account' });
+
+    db.accounts.delete(account.id);
+  });
+});
+
+// ─── Key redemption methods ─────────────────────────────────
+
+describe('keyRedemptions', () => {
+  test('keeps keys pending until a final result is recorded', () => {
+    const account = createTestAccount();
+    const { lastInsertRowid: first } = db.keyRedemptions.add(account.id, 'AAAAA-AAAAA-AAAAA', 'AAAAA-*****-AAAAA', true);
+    const { lastInsertRowid: second } = db.keyRedemptions.add(account.id, 'BBBBB-BBBBB-BBBBB', 'BBBBB-*****-BBBBB');
+
+    db.keyRedemptions.setResult(first, 'rate_limited', { detail: 'RateLimited' });
+    db.keyRedemptions.setResult(second, 'success', { packages: { 100: 'Game' }, appIds: [440] });
+
+    expect(db.keyRedemptions.getPending(account.id).map(k => k.id)).toEqual([first]);
+    expect(db.keyRedemptions.getPendingAccountIds()).toContain(account.id);
+
+    const redeemed = db.keyRedemptions.findById(second);
+    expect(redeemed).toMatchObject({ status: 'success', packages: { 100: 'Game' }, app_ids: [440], attempts: 1, add_games: false });
+    expect(db.keyRedemptions.getHistory({ accountId: account.id, status: 'success' })).toHaveLength(1);
+    expect(db.keyRedemptions.getCounts()).toMatchObject({ success: expect.any(Number), rate_limited: expect.any(Number) });
+
+    db.keyRedemptions.delete(first);
+    db.keyRedemptions.delete(second);
+    db.accounts.delete(account.id);
+  });
+});
+
+// ─── Proxy pool methods ─────────────────────────────────────
+
+describe('proxies', () => {
+  test('findAll() counts assigned accounts', () => {
+    const { lastInsertRowid: proxyId } = db.proxies.create({ type: 'socks5', host: '10.0.0.1', port: 1080 });
+    const account = createTestAccount();
+    db.accounts.update(account.id, { proxy_id: proxyId });
+
+    const proxy = db.proxies.findAll().find(p => p.id === proxyId);
+    expect(proxy.account_count).toBe(1);
+
+    db.proxies.delete(proxyId);
+    db.accounts.delete(account.id);
+  });
+
+  test('delete() unassigns the proxy from accounts', () => {
+    const { lastInsertRowid: proxyId } = db.proxies.create({ type: 'http', host: '10.0.0.2', port: 8080 });
+    const account = createTestAccount();
+    db.accounts.update(account.id, { proxy_id: proxyId });
+
+    db.proxies.delete(proxyId);
+
+    expect(db.proxies.findById(proxyId)).toBeNull();
+    expect(db.accounts.findById(account.id).proxy_id).toBeNull();
+
+    db.accounts.delete(account.id);
+  });
+});
+
+// ─── User methods ───────────────────────────────────────────
+
+describe('users', () => {
+  test('stores roles and account lists', () => {
+    const { lastInsertRowid: userId } = db.users.create(`ops_${Date.now()}`, 'hash', 'operator', [1, 2]);
+
+    expect(db.users.findById(userId)).toMatchObject({ role: 'operator', account_ids: '[1,2]', wrapped_key: null });
+
+    db.users.updateAccess(userId, 'viewer', null);
+    db.users.setWrappedKey(userId, 'salt', 'wrapped');
+
+    expect(db.users.findById(userId)).toMatchObject({ role: 'viewer', account_ids: null, key_salt: 'salt', wrapped_key: 'wrapped' });
+    db.users.delete(userId);
+    expect(db.users.findById(userId)).toBeNull();
+  });
+
+  test('stores and clears two-factor settings', () => {
+    const { lastInsertRowid: userId } = db.users.create(`totp_${Date.now()}`, 'hash');
+
+    expect(db.users.findById(userId)).toMatchObject({ totp_secret: null, totp_enabled: 0, recovery_codes: null });
+
+    db.users.setTwoFactor(userId, 'secret', true, ['a', 'b']);
+    db.users.setRecoveryCodes(userId, ['b']);
+    db.users.setTotpCounter(userId, 58000000);
+    expect(db.users.findById(userId)).toMatchObject({ totp_secret: 'secret', totp_enabled: 1, recovery_codes: '["b"]', totp_last_counter: 58000000 });
+
+    db.users.setTwoFactor(userId, null, false);
+    expect(db.users.findById(userId)).toMatchObject({ totp_secret: null, totp_enabled: 0, recovery_codes: null, totp_last_counter: null });
+    db.users.delete(userId);
+  });
+
+  test('deleteAllExcept() keeps only the given user', () => {
+    const { lastInsertRowid: keptId } = db.users.create(`kept_${Date.now()}`, 'hash');
+    const { lastInsertRowid: otherId } = db.users.create(`other_${Date.now()}`, 'hash', 'viewer');
+
+    db.users.deleteAllExcept(keptId);
+
+    expect(db.users.count()).toBe(1);
+    expect(db.users.findById(keptId)).not.toBeNull();
+    expect(db.users.findById(otherId)).toBeNull();
+    db.users.delete(keptId);
+  });
+});
+
+describe('logs.getRecent()', () => {
+  test('limits entries to the given accounts', () => {
+    const account = createTestAccount();
+    db.logs.add('info', 'account entry', account.id);
+    db.logs.add('info', 'system entry');
+
+    const logs = db.logs.getRecent(50, null, [account.id]);
+
+    expect(logs.map(l => l.message)).toEqual(['account entry']);
+    expect(db.logs.getRecent(50, null, [])).toEqual([]);
+    db.accounts.delete(account.id);
+  });
+});
+
+// ─── API token methods ──────────────────────────────────────
+
+describe('apiTokens', () => {
+  test('only finds unexpired tokens and only deletes the owner\'s', () => {
+    const { lastInsertRowid: userId } = db.users.create(`token_user_${Date.now()}`, 'hash');
+    const token = { user_id: userId, name: 'cron', scope: 'read', token_hint: 'abcd' };
+    const { lastInsertRowid: activeId } = db.apiTokens.create({ ...token, token_hash: 'active', expires_at: '2999-01-01 00:00:00' });
+    db.apiTokens.create({ ...token, token_hash: 'expired', expires_at: '2000-01-01 00:00:00' });
+
+    expect(db.apiTokens.findActiveByHash('active').id).toBe(activeId);
+    expect(db.apiTokens.findActiveByHash('expired')).toBeNull();
+    expect(db.apiTokens.findByUser(userId).map(t => t.expired)).toEqual([1, 0]);
+
+    expect(db.apiTokens.delete(activeId, userId + 1).changes).toBe(0);
+    expect(db.apiTokens.delete(activeId, userId).changes).toBe(1);
+    expect(db.apiTokens.countByUser(userId)).toBe(1);
+
+    db.apiTokens.deleteAll();
+    expect(db.apiTokens.countByUser(userId)).toBe(0);
+  });
+});
+
+// ─── Audit log methods ──────────────────────────────────────
+
+describe('audit', () => {
+  const entry = { username: 'admin', ip: '10.0.0.1', method: 'POST', route: '/api/accounts/1/start', account_id: 1, status: 200, outcome: 'success' };
+
+  test('filters entries, newest first', () => {
+    db.audit.add(entry);
+    db.audit.add({ ...entry, username: 'viewer', route: '/api/accounts/2/stop', account_id: 2, status: 403, outcome: 'denied', error: 'Forbidden' });
+    db.audit.add({ ...entry, method: 'DELETE', route: '/api/settings_%' });
+
+    expect(db.audit.find().map(e => e.method)).toEqual(['DELETE', 'POST', 'POST']);
+    expect(db.audit.find({ username: 'viewer' })).toEqual([
+      expect.objectContaining({ account_id: 2, outcome: 'denied', error: 'Forbidden', user_id: null })
+    ]);
+    expect(db.audit.find({ accountId: 1, method: 'POST' })).toHaveLength(1);
+    expect(db.audit.find({ outcome: 'denied' })).toHaveLength(1);
+    expect(db.audit.find({ route: '/start' })).toHaveLength(1);
+    expect(db.audit.find({ route: '_%' })).toHaveLength(1);
+    expect(db.audit.find({ limit: 2 })).toHaveLength(2);
+  });
+
+  test('finds bulk entries by any of their accounts', () => {
+    db.audit.add({ ...entry, route: '/api/accounts/stop-all', account_id: null, account_ids: '3,12', account_name: 'three, twelve' });
+
+    expect(db.audit.find({ accountId: 12 })[0]).toMatchObject({ route: '/api/accounts/stop-all', account_ids: '3,12' });
+    expect(db.audit.find({ accountId: 3 })).toHaveLength(1);
+    expect(db.audit.find({ accountId: 2 }).map(e => e.route)).toEqual(['/api/accounts/2/stop']);
+  });
+
+  test('filters by UTC day and keeps entries inside the retention period', () => {
+    const today = new Date().toISOString().split('T')[0];
+    const count = db.audit.find().length;
+
+    expect(db.audit.find({ from: today, to: today })).toHaveLength(count);
+    expect(db.audit.find({ from: '2999-01-01' })).toEqual([]);
+    expect(db.audit.find({ to: '2000-01-01' })).toEqual([]);
+
+    db.audit.cleanup(30);
+    expect(db.audit.find()).toHaveLength(count);
+  });
 });
 
 // ─── Account methods ────────────────────────────────────────
@@ -582,6 +921,20 @@ describe('accounts', () => {
       expect(results.some(a => a.id === normalAccount.id)).toBe(true);
     });
 
+    test('should filter by account info flags', () => {
+      db.accounts.update(normalAccount.id, { limited_account: 1, email_verified: 0 });
+      db.accounts.update(accountPercent.id, { limited_account: 0, email_verified: 1 });
+
+      const limited = db.accounts.search({ limited: 'true' });
+      expect(limited.map(a => a.id)).toContain(normalAccount.id);
+      expect(limited.map(a => a.id)).not.toContain(accountPercent.id);
+
+      // Accounts that never reported their info match neither value
+      const unverified = db.accounts.search({ emailVerified: 'false' }).map(a => a.id);
+      expect(unverified).toContain(normalAccount.id);
+      expect(unverified).not.toContain(accountUnderscore.id);
+    });
+
     test('should sort by allowed columns', () => {
       const results = db.accounts.search({ sortBy: 'username', order: 'asc' });
       for (let i = 1; i < results.length; i++) {
@@ -0,0 +1,123 @@
+const eventStream = require('../src/services/eventStream');
+const config = require('../src/config');
+
+// Minimal stand-in for an Express response held open by a stream
+function makeResponse() {
+  const handlers = {};
+  return {
+    chunks: [],
+    writeHead: jest.fn(),
+    write: jest.fn(function (chunk) { this.chunks.push(chunk); return true; }),
+    end: jest.fn(),
+    on: jest.fn((event, handler) => { handlers[event] = handler; }),
+    emit: (event) => handlers[event](),
+  };
+}
+
+// Events written to a response, parsed back from the SSE format
+function events(res) {
+  return res.chunks
+    .filter(chunk => chunk.includes('event: '))
+    .map(chunk => ({
+      type: chunk.match(/event: (.*)/)[1],
+      data: JSON.parse(chunk.match(/data: (.*)/)[1]),
+    }));
+}
+
+afterEach(() => {
+  eventStream.closeAll();
+  jest.useRealTimers();
+});
+
+// ── clients ─────────────────────────────────────────────────
+
+describe('addClient', () => {
+  test('opens an event stream with a reconnect delay', () => {
+    const res = makeResponse();
+
+    expect(eventStream.addClient(res)).toBe(true);
+    expect(res.writeHead).toHaveBeenCalledWith(200, expect.objectContaining({ 'Content-Type': 'text/event-stream' }));
+    expect(res.chunks[0]).toBe(`retry: ${config.events.retryDelay}\n\n`);
+    expect(eventStream.hasClients()).toBe(true);
+  });
+
+  test('refuses clients over the limit', () => {
+    for (let i = 0; i < config.events.maxClients; i++) {
+      eventStream.addClient(makeResponse());
+    }
+
+    const res = makeResponse();
+    expect(eventStream.addClient(res)).toBe(false);
+    expect(res.writeHead).not.toHaveBeenCalled();
+  });
+
+  test('forgets clients whose connection closed', () => {
+    const res = makeResponse();
+    eventStream.addClient(res);
+
+    res.emit('close');
+
+    expect(eventStream.hasClients()).toBe(false);
+  });
+});
+
+// ── publishing ──────────────────────────────────────────────
+
+describe('publish', () => {
+  test('sends events to every client, or only those of its account', () => {
+    const all = makeResponse();
+    const accountOne = makeResponse();
+    eventStream.addClient(all);
+    eventStream.addClient(accountOne, { accountId: 1 });
+
+    eventStream.publish('status', { account_id: 1, status: 'idling' });
+    eventStream.publish('log', { account_id: 2, message: 'Logged in successfully' });
+
+    expect(events(all).map(e => e.type)).toEqual(['status', 'log']);
+    expect(events(accountOne)).toEqual([{ type: 'status', data: { account_id: 1, status: 'idling' } }]);
+  });
+
+  test('keeps idle connections alive with heartbeats', () => {
+    jest.useFakeTimers();
+    const res = makeResponse();
+    eventStream.addClient(res);
+
+    jest.advanceTimersByTime(config.events.heartbeatInterval);
+
+    expect(res.chunks).toContain(': ping\n\n');
+  });
+});
+
+describe('closeSession', () => {
+  test('ends only the streams of that web session', () => {
+    const mine = makeResponse();
+    const other = makeResponse();
+    eventStream.addClient(mine, { sessionId: 'abc' });
+    eventStream.addClient(other, { sessionId: 'def' });
+
+    eventStream.closeSession('abc');
+
+    expect(mine.end).toHaveBeenCalled();
+    expect(other.end).not.toHaveBeenCalled();
+    expect(eventStream.clients.size).toBe(1);
+  });
+});
+
+describe('closeUser and closeToken', () => {
+  test('end the streams of a user or an API token whose access changed', () => {
+    const browser = makeResponse();
+    const script = makeResponse();
+    const other = makeResponse();
+    eventStream.addClient(browser, { sessionId: 'abc', userId: 2 });
+    eventStream.addClient(script, { userId: 1, tokenId: 7 });
+    eventStream.addClient(other, { sessionId: 'def', userId: 1 });
+
+    eventStream.closeUser(2);
+    eventStream.closeToken(7);
+
+    expect(browser.end).toHaveBeenCalled();
+    expect(script.end).toHaveBeenCalled();
+    expect(other.end).not.toHaveBeenCalled();
+    expect(eventStream.clients.size).toBe(1);
+  });
+});
@@ -0,0 +1,177 @@
+// ---------------------------------------------------------------------------
+// Mock: database
+// ---------------------------------------------------------------------------
+jest.mock('../src/models/database', () => ({
+  accounts: {
+    findById: jest.fn(),
+    update: jest.fn(),
+  },
+  games: {
+    getGames: jest.fn(() => []),
+    setGames: jest.fn(),
+  },
+  customGames: {
+    getByAccount: jest.fn(() => []),
+  },
+  playtime: {
+    getByAccount: jest.fn(() => []),
+  },
+}));
+
+// ---------------------------------------------------------------------------
+// Mock: logger
+// ---------------------------------------------------------------------------
+jest.mock('../src/services/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const db = require('../src/models/database');
+const gameSelector = require('../src/services/gameSelector');
+const { normalizeSelection } = gameSelector;
+
+// Owned library, minutes played
+const LIBRARY = [
+  { app_id: 730, app_name: 'Counter-Strike 2', playtime_forever: 6000 },
+  { app_id: 440, app_name: 'Team Fortress 2', playtime_forever: 90 },
+  { app_id: 570, app_name: 'Dota 2', playtime_forever: 0 },
+  { app_id: 620, app_name: null, playtime_forever: 300 },
+];
+
+function makeAccount(selection = null, overrides = {}) {
+  return { id: 1, rotation_mode: 'off', game_selection: selection ? JSON.stringify(selection) : null, ...overrides };
+}
+
+function appIds(games) {
+  return games.map(g => g.app_id);
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  db.playtime.getByAccount.mockReturnValue(LIBRARY);
+  db.games.getGames.mockReturnValue([]);
+  db.customGames.getByAccount.mockReturnValue([]);
+});
+
+// ── validation ──────────────────────────────────────────────
+
+describe('normalizeSelection', () => {
+  test('fills defaults and de-duplicates app IDs', () => {
+    expect(normalizeSelection({ strategy: 'least_played', include: ['730', 730] })).toEqual({
+      strategy: 'least_played', count: 32, max_hours: null, include: [730], exclude: [],
+    });
+  });
+
+  test('rejects unknown strategies and missing parameters', () => {
+    expect(() => normalizeSelection({ strategy: 'random' })).toThrow('strategy must be one of');
+    expect(() => normalizeSelection({ strategy: 'under_hours' })).toThrow('max_hours must be a positive number');
+    expect(() => normalizeSelection({ strategy: 'list' })).toThrow('Add at least one app ID to include');
+    expect(() => normalizeSelection({ strategy: 'most_played', exclude: ['abc'] })).toThrow('exclude must only contain positive app IDs');
+  });
+});
+
+// ── strategies ──────────────────────────────────────────────
+
+describe('select', () => {
+  test('orders by playtime for least and most played', () => {
+    const least = gameSelector.select(makeAccount(), normalizeSelection({ strategy: 'least_played', count: 2 }));
+    const most = gameSelector.select(makeAccount(), normalizeSelection({ strategy: 'most_played', count: 2 }));
+
+    expect(appIds(least)).toEqual([570, 440]);
+    expect(appIds(most)).toEqual([730, 620]);
+  });
+
+  test('keeps games under the hour limit', () => {
+    const games = gameSelector.select(makeAccount(), normalizeSelection({ strategy: 'under_hours', max_hours: 5 }));
+
+    expect(appIds(games)).toEqual([570, 440]);
+  });
+
+  test('puts included games first and never picks excluded ones', () => {
+    const games = gameSelector.select(makeAccount(), normalizeSelection({
+      strategy: 'least_played', count: 3, include: [730, 999], exclude: [570],
+    }));
+
+    expect(games[0]).toEqual({ app_id: 730, app_name: 'Counter-Strike 2', playtime_forever: 6000, included: true });
+    expect(appIds(games)).toEqual([730, 440, 620]); // 999 is not owned
+  });
+
+  test('skips games whose hour target is reached', () => {
+    db.games.getGames.mockReturnValue([{ app_id: 570, target_hours: 1, target_reached_at: '2026-01-01 00:00:00' }]);
+
+    const games = gameSelector.select(makeAccount(), normalizeSelection({ strategy: 'least_played', count: 2, include: [570] }));
+
+    expect(appIds(games)).toEqual([440, 620]);
+  });
+
+  test('falls back to the name in the game list', () => {
+    db.games.getGames.mockReturnValue([{ app_id: 620, app_name: 'Portal 2' }]);
+
+    const games = gameSelector.select(makeAccount(), normalizeSelection({ strategy: 'most_played', count: 2 }));
+
+    expect(games[1]).toMatchObject({ app_id: 620, app_name: 'Portal 2' });
+  });
+
+  test('leaves room for custom titles unless rotation is on', () => {
+    db.customGames.getByAccount.mockReturnValue(new Array(31).fill({ title: 'x' }));
+    const selection = normalizeSelection({ strategy: 'most_played', count: 10 });
+
+    expect(gameSelector.select(makeAccount(), selection)).toHaveLength(1);
+    expect(gameSelector.select(makeAccount(null, { rotation_mode: 'round_robin' }), selection)).toHaveLength(4);
+  });
+});
+
+// ── applying ────────────────────────────────────────────────
+
+describe('apply', () => {
+  test('replaces the game list when the selection changed', () => {
+    db.accounts.findById.mockReturnValue(makeAccount({ strategy: 'least_played', count: 2, include: [], exclude: [] }));
+    db.games.getGames.mockReturnValue([{ app_id: 730 }]);
+
+    expect(gameSelector.apply(1)).toEqual([570, 440]);
+    expect(db.games.setGames).toHaveBeenCalledWith(1, [
+      { app_id: 570, app_name: 'Dota 2' },
+      { app_id: 440, app_name: 'Team Fortress 2' },
+    ]);
+  });
+
+  test('keeps games whose target is reached without picking them', () => {
+    db.accounts.findById.mockReturnValue(makeAccount({ strategy: 'least_played', count: 2, include: [], exclude: [] }));
+    db.games.getGames.mockReturnValue([{ app_id: 570, app_name: 'Dota 2', target_reached_at: '2026-01-01 00:00:00' }]);
+
+    expect(gameSelector.apply(1)).toEqual([440, 620]);
+    expect(db.games.setGames).toHaveBeenCalledWith(1, [
+      { app_id: 440, app_name: 'Team Fortress 2' },
+      { app_id: 620, app_name: null },
+      { app_id: 570, app_name: 'Dota 2' },
+    ]);
+  });
+
+  test('does nothing for manual lists or without library data', () => {
+    db.accounts.findById.mockReturnValue(makeAccount());
+    expect(gameSelector.apply(1)).toBeNull();
+
+    db.accounts.findById.mockReturnValue(makeAccount({ strategy: 'most_played', count: 2, include: [], exclude: [] }));
+    db.playtime.getByAccount.mockReturnValue([]);
+    expect(gameSelector.apply(1)).toBeNull();
+
+    expect(db.games.setGames).not.toHaveBeenCalled();
+  });
+});
+
+describe('preview', () => {
+  test('reports added and removed games without saving', () => {
+    db.accounts.findById.mockReturnValue(makeAccount());
+    db.games.getGames.mockReturnValue([{ app_id: 730 }, { app_id: 440 }]);
+
+    const preview = gameSelector.preview(1, { strategy: 'least_played', count: 2 });
+
+    expect(preview.added).toEqual([570]);
+    expect(preview.removed).toEqual([730]);
+    expect(preview.library_size).toBe(4);
+    expect(db.games.setGames).not.toHaveBeenCalled();
+    expect(db.accounts.update).not.toHaveBeenCalled();
+  });
+});
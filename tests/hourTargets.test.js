@@ -0,0 +1,206 @@
+// ---------------------------------------------------------------------------
+// Mock: database
+// ---------------------------------------------------------------------------
+jest.mock('../src/models/database', () => ({
+  accounts: {
+    findById: jest.fn(),
+  },
+  games: {
+    getGames: jest.fn(() => []),
+    setTarget: jest.fn(),
+    markTargetReached: jest.fn(),
+    getWithTargets: jest.fn(() => []),
+  },
+  playtime: {
+    getByAccount: jest.fn(() => []),
+  },
+  sessions: {
+    getSince: jest.fn(() => []),
+  },
+}));
+
+// ---------------------------------------------------------------------------
+// Mock: logger
+// ---------------------------------------------------------------------------
+jest.mock('../src/services/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+// ---------------------------------------------------------------------------
+// Mock: steamService
+// ---------------------------------------------------------------------------
+jest.mock('../src/services/steamService', () => ({
+  getStatus: jest.fn(() => ({ isIdling: true })),
+  stopIdling: jest.fn(),
+  removeGames: jest.fn(),
+}));
+
+const db = require('../src/models/database');
+const logger = require('../src/services/logger');
+const steamService = require('../src/services/steamService');
+const hourTargets = require('../src/services/hourTargets');
+const { accruedMinutes } = hourTargets;
+
+const NOW = new Date('2025-01-06T12:00:00Z');
+const REFRESHED = '2025-01-06T10:00:00.000Z';
+
+function setupAccount({ games, playtime = [], sessions = [] }) {
+  db.accounts.findById.mockReturnValue({ id: 1, api_last_refresh: REFRESHED });
+  db.games.getGames.mockReturnValue(games);
+  db.playtime.getByAccount.mockReturnValue(playtime);
+  db.sessions.getSince.mockReturnValue(sessions);
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  steamService.getStatus.mockReturnValue({ isIdling: true });
+});
+
+// ── accruedMinutes ──────────────────────────────────────────
+
+describe('accruedMinutes', () => {
+  test('counts ended and running sessions per game', () => {
+    const totals = accruedMinutes([
+      { started_at: '2025-01-06 10:00:00', ended_at: '2025-01-06 10:30:00', games_played: '[730,440]' },
+      { started_at: '2025-01-06 11:00:00', ended_at: null, games_played: '[730]' },
+    ], null, NOW);
+
+    expect(totals[730]).toBe(90);
+    expect(totals[440]).toBe(30);
+  });
+
+  test('ignores time before the cutoff', () => {
+    const totals = accruedMinutes([
+      { started_at: '2025-01-06 09:00:00', ended_at: '2025-01-06 11:00:00', games_played: '[730]' },
+    ], new Date(REFRESHED), NOW);
+
+    expect(totals[730]).toBe(60);
+  });
+
+  test('counts overlapping sessions once per game', () => {
+    const totals = accruedMinutes([
+      { started_at: '2025-01-06 09:00:00', ended_at: null, games_played: '[730]' },
+      { started_at: '2025-01-06 11:00:00', ended_at: '2025-01-06 11:30:00', games_played: '[730,440]' },
+    ], new Date(REFRESHED), NOW);
+
+    expect(totals[730]).toBe(120);
+    expect(totals[440]).toBe(30);
+  });
+
+  test('skips sessions with unreadable game lists', () => {
+    const totals = accruedMinutes([
+      { started_at: '2025-01-06 10:00:00', ended_at: null, games_played: 'not json' },
+    ], null, NOW);
+
+    expect(totals).toEqual({});
+  });
+});
+
+// ── getProgress ─────────────────────────────────────────────
+
+describe('getProgress', () => {
+  test('adds session time since the last refresh to Steam playtime', () => {
+    setupAccount({
+      games: [{ app_id: 730, app_name: 'CS2', target_hours: 100, target_reached_at: null }],
+      playtime: [{ app_id: 730, playtime_forever: 600 }],
+      sessions: [{ started_at: '2025-01-06 11:00:00', ended_at: null, games_played: '[730]' }],
+    });
+
+    const [game] = hourTargets.getProgress(1, NOW);
+
+    expect(game.played_minutes).toBe(660);
+    expect(game.played_hours).toBe(11);
+    expect(db.sessions.getSince).toHaveBeenCalledWith(1, REFRESHED);
+  });
+
+  test('returns an empty list for unknown accounts', () => {
+    db.accounts.findById.mockReturnValue(null);
+
+    expect(hourTargets.getProgress(99, NOW)).toEqual([]);
+  });
+});
+
+// ── check ───────────────────────────────────────────────────
+
+describe('check', () => {
+  test('marks reached targets and drops them from the running session', () => {
+    setupAccount({
+      games: [
+        { app_id: 730, target_hours: 10, target_reached_at: null },
+        { app_id: 440, target_hours: null, target_reached_at: null },
+      ],
+      playtime: [{ app_id: 730, playtime_forever: 600 }],
+    });
+
+    const reached = hourTargets.check(1, NOW);
+
+    expect(reached).toEqual([730]);
+    expect(db.games.markTargetReached).toHaveBeenCalledWith(1, 730);
+    expect(steamService.removeGames).toHaveBeenCalledWith(1, [730]);
+    expect(steamService.stopIdling).not.toHaveBeenCalled();
+    expect(logger.info).toHaveBeenCalledWith(expect.stringContaining('Hour target reached'), 1);
+  });
+
+  test('stops the account when no games are left', () => {
+    setupAccount({
+      games: [
+        { app_id: 730, target_hours: 10, target_reached_at: null },
+        { app_id: 440, target_hours: 5, target_reached_at: '2025-01-01 00:00:00' },
+      ],
+      playtime: [{ app_id: 730, playtime_forever: 600 }],
+    });
+
+    hourTargets.check(1, NOW);
+
+    expect(steamService.stopIdling).toHaveBeenCalledWith(1);
+    expect(steamService.removeGames).not.toHaveBeenCalled();
+  });
+
+  test('does nothing while targets are not met', () => {
+    setupAccount({
+      games: [{ app_id: 730, target_hours: 10, target_reached_at: null }],
+      playtime: [{ app_id: 730, playtime_forever: 599 }],
+    });
+
+    expect(hourTargets.check(1, NOW)).toEqual([]);
+    expect(db.games.markTargetReached).not.toHaveBeenCalled();
+    expect(steamService.removeGames).not.toHaveBeenCalled();
+  });
+
+  test('does not report already reached targets again', () => {
+    setupAccount({
+      games: [{ app_id: 730, target_hours: 10, target_reached_at: '2025-01-01 00:00:00' }],
+      playtime: [{ app_id: 730, playtime_forever: 900 }],
+    });
+
+    expect(hourTargets.check(1, NOW)).toEqual([]);
+  });
+});
+
+// ── setTarget ───────────────────────────────────────────────
+
+describe('setTarget', () => {
+  test('rejects games that are not on the account', () => {
+    db.games.getGames.mockReturnValue([{ app_id: 730 }]);
+
+    expect(() => hourTargets.setTarget(1, 440, 10)).toThrow('Game not found');
+  });
+
+  test('rejects non-positive targets', () => {
+    db.games.getGames.mockReturnValue([{ app_id: 730 }]);
+
+    expect(() => hourTargets.setTarget(1, 730, 0)).toThrow('positive number');
+    expect(() => hourTargets.setTarget(1, 730, 'abc')).toThrow('positive number');
+  });
+
+  test('clears a target with null', () => {
+    db.games.getGames.mockReturnValue([{ app_id: 730 }]);
+
+    hourTargets.setTarget(1, 730, null);
+
+    expect(db.games.setTarget).toHaveBeenCalledWith(1, 730, null);
+  });
+});
@@ -0,0 +1,179 @@
+// ---------------------------------------------------------------------------
+// Mock: database
+// ---------------------------------------------------------------------------
+jest.mock('../src/models/database', () => ({
+  accounts: {
+    findAll: jest.fn(() => []),
+    findById: jest.fn(),
+    update: jest.fn(),
+  },
+  games: {
+    getGames: jest.fn(() => []),
+  },
+  schedules: {
+    getAllGrouped: jest.fn(() => ({})),
+  },
+}));
+
+// ---------------------------------------------------------------------------
+// Mock: logger
+// ---------------------------------------------------------------------------
+jest.mock('../src/services/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+// ---------------------------------------------------------------------------
+// Mock: steamService
+// ---------------------------------------------------------------------------
+jest.mock('../src/services/steamService', () => ({
+  startIdling: jest.fn(async () => ({})),
+  stopIdling: jest.fn(),
+  getSession: jest.fn(),
+  getStatus: jest.fn(() => ({ isLoggedIn: false, isIdling: false, currentGames: [] })),
+}));
+
+// ---------------------------------------------------------------------------
+// Mock: personaManager
+// ---------------------------------------------------------------------------
+jest.mock('../src/services/personaManager', () => ({
+  getTargetState: jest.fn(account => account.persona_state ?? 1),
+}));
+
+// ---------------------------------------------------------------------------
+// Mock: auth middleware
+// ---------------------------------------------------------------------------
+jest.mock('../src/middleware/auth', () => ({
+  getEncryptionKey: jest.fn(() => Buffer.alloc(32)),
+}));
+
+const db = require('../src/models/database');
+const steamService = require('../src/services/steamService');
+const humanizer = require('../src/services/humanizer');
+const { normalizeProfile } = humanizer;
+
+const MINUTE = 60 * 1000;
+const T0 = new Date(2025, 0, 6, 12, 0); // Monday noon, server local time
+
+const minutesAfter = minutes => new Date(T0.getTime() + minutes * MINUTE);
+
+// Humanized account with the default profile
+function makeAccount(overrides = {}) {
+  return { id: 1, password: 'x', humanize_enabled: 1, humanize_profile: null, is_idling: 0, persona_state: 1, ...overrides };
+}
+
+function setIdling(isIdling) {
+  steamService.getStatus.mockReturnValue({ isLoggedIn: isIdling, isIdling, currentGames: [] });
+}
+
+let session;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  humanizer.states.clear();
+  jest.spyOn(Math, 'random').mockReturnValue(0.5);
+  session = { setPersonaState: jest.fn(), cardFarm: null };
+  steamService.getSession.mockReturnValue(session);
+  db.accounts.findAll.mockReturnValue([makeAccount()]);
+  db.games.getGames.mockReturnValue([{ app_id: 730 }, { app_id: 440 }, { app_id: 570 }]);
+  db.schedules.getAllGrouped.mockReturnValue({});
+  setIdling(false);
+});
+
+afterEach(() => {
+  Math.random.mockRestore();
+});
+
+// ── profiles ────────────────────────────────────────────────
+
+describe('normalizeProfile', () => {
+  test('fills missing fields with the defaults', () => {
+    expect(normalizeProfile({ session_min: '30' })).toMatchObject({ session_min: 30, session_max: 240, away_chance: 20 });
+  });
+
+  test('rejects out-of-range values and inverted bounds', () => {
+    expect(() => normalizeProfile({ away_chance: 101 })).toThrow('away_chance must be between 0 and 100');
+    expect(() => normalizeProfile({ break_min: 60, break_max: 30 })).toThrow('break_min must not be greater than break_max');
+  });
+});
+
+// ── sessions and breaks ─────────────────────────────────────
+
+describe('tick', () => {
+  test('starts after the jitter, then alternates sessions and breaks', async () => {
+    await humanizer.tick(T0);
+    expect(steamService.startIdling).not.toHaveBeenCalled(); // 5 min jitter
+
+    await humanizer.tick(minutesAfter(5));
+    expect(steamService.startIdling).toHaveBeenCalledWith(1, {});
+    expect(humanizer.states.get(1)).toMatchObject({ phase: 'session', until: minutesAfter(155) });
+
+    setIdling(true);
+    await humanizer.tick(minutesAfter(154));
+    expect(steamService.stopIdling).not.toHaveBeenCalled();
+
+    await humanizer.tick(minutesAfter(155));
+    expect(steamService.stopIdling).toHaveBeenCalledWith(1);
+    expect(humanizer.states.get(1)).toMatchObject({ phase: 'break', until: minutesAfter(155 + 52.5) });
+  });
+
+  test('sometimes idles part of the games and shows the account as Away', async () => {
+    Math.random.mockReturnValue(0.1);
+
+    await humanizer.tick(T0);
+    await humanizer.tick(minutesAfter(1));
+
+    const [, options] = steamService.startIdling.mock.calls[0];
+    expect(options.games).toHaveLength(1);
+    expect(session.setPersonaState).toHaveBeenCalledWith(3);
+  });
+
+  test('adopts a session that is already running', async () => {
+    setIdling(true);
+
+    await humanizer.tick(T0);
+
+    expect(steamService.startIdling).not.toHaveBeenCalled();
+    expect(humanizer.states.get(1).phase).toBe('session');
+  });
+
+  test('only starts sessions inside idle schedule windows', async () => {
+    db.accounts.findAll.mockReturnValue([makeAccount({ schedule_enabled: 1 })]);
+    db.schedules.getAllGrouped.mockReturnValue({ 1: [{ start_time: '02:00', end_time: '08:00', days: [1] }] });
+
+    await humanizer.tick(T0);
+    await humanizer.tick(minutesAfter(10));
+
+    expect(steamService.startIdling).not.toHaveBeenCalled();
+  });
+
+  test('lets card farming finish before taking a break', async () => {
+    setIdling(true);
+    session.cardFarm = { games: [] };
+
+    await humanizer.tick(T0);
+    await humanizer.tick(minutesAfter(150));
+
+    expect(steamService.stopIdling).not.toHaveBeenCalled();
+    expect(humanizer.states.get(1).phase).toBe('session');
+  });
+});
+
+// ── settings ────────────────────────────────────────────────
+
+describe('setProfile', () => {
+  test('stores the profile and restarts the cycle', () => {
+    humanizer.states.set(1, { phase: 'break', until: T0 });
+    db.accounts.findById.mockReturnValue(makeAccount());
+
+    humanizer.setProfile(1, { enabled: true, profile: { session_min: 30, session_max: 60 } });
+
+    expect(db.accounts.update).toHaveBeenCalledWith(1, {
+      humanize_enabled: 1,
+      humanize_profile: expect.stringContaining('"session_max":60'),
+    });
+    expect(humanizer.states.has(1)).toBe(false);
+  });
+});
@@ -0,0 +1,192 @@
+// ---------------------------------------------------------------------------
+// Mock: database
+// ---------------------------------------------------------------------------
+const mockSettings = {};
+let mockAccounts = [];
+let mockMinutes = [];
+
+jest.mock('../src/models/database', () => ({
+  accounts: {
+    findAll: jest.fn(() => mockAccounts),
+    update: jest.fn((id, data) => Object.assign(mockAccounts.find(acc => acc.id === id), data)),
+  },
+  sessions: {
+    getBoostedMinutes: jest.fn(() => mockMinutes),
+  },
+  settings: {
+    get: jest.fn((key, defaultValue) => (key in mockSettings ? mockSettings[key] : defaultValue)),
+  },
+}));
+
+// ---------------------------------------------------------------------------
+// Mock: logger
+// ---------------------------------------------------------------------------
+jest.mock('../src/services/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+// ---------------------------------------------------------------------------
+// Mock: steamService
+// ---------------------------------------------------------------------------
+jest.mock('../src/services/steamService', () => ({
+  setIdleQueue: jest.fn(),
+  startIdling: jest.fn(async () => ({})),
+  stopIdling: jest.fn(),
+  logout: jest.fn(),
+  getSession: jest.fn(),
+}));
+
+// ---------------------------------------------------------------------------
+// Mock: auth middleware
+// ---------------------------------------------------------------------------
+jest.mock('../src/middleware/auth', () => ({
+  getEncryptionKey: jest.fn(() => Buffer.alloc(32)),
+}));
+
+const db = require('../src/models/database');
+const steamService = require('../src/services/steamService');
+const idleQueue = require('../src/services/idleQueue');
+
+const HOUR = 60 * 60 * 1000;
+const T0 = new Date(2025, 0, 6, 12, 0);
+
+function makeAccount(id, overrides = {}) {
+  return { id, priority_weight: 1, idle_queued: 0, ...overrides };
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  for (const key of Object.keys(mockSettings)) delete mockSettings[key];
+  mockSettings.max_idling_accounts = 2;
+  mockAccounts = [makeAccount(1), makeAccount(2), makeAccount(3)];
+  mockMinutes = [];
+  idleQueue.slots.clear();
+  jest.spyOn(idleQueue, 'scheduleRebalance').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  idleQueue.scheduleRebalance.mockRestore();
+});
+
+// ── slots ───────────────────────────────────────────────────
+
+describe('acquire', () => {
+  test('grants slots up to the cap, then queues', () => {
+    expect(idleQueue.acquire(1)).toBe(true);
+    expect(idleQueue.acquire(2)).toBe(true);
+    expect(idleQueue.acquire(3)).toBe(false);
+
+    expect(db.accounts.update).toHaveBeenCalledWith(3, { idle_queued: 1, is_idling: 0 });
+    expect([...idleQueue.slots.keys()]).toEqual([1, 2]);
+  });
+
+  test('has no limit without a cap', () => {
+    mockSettings.max_idling_accounts = 0;
+
+    expect([1, 2, 3].every(id => idleQueue.acquire(id))).toBe(true);
+  });
+
+  test('does not jump the queue when a slot frees up', () => {
+    mockAccounts[1].idle_queued = 1;
+
+    expect(idleQueue.acquire(3)).toBe(false);
+    expect(idleQueue.scheduleRebalance).toHaveBeenCalled();
+  });
+});
+
+describe('release', () => {
+  test('frees the slot and leaves the queue', () => {
+    idleQueue.acquire(1);
+    mockAccounts[1].idle_queued = 1;
+
+    idleQueue.release(1);
+    idleQueue.release(2);
+
+    expect(idleQueue.slots.has(1)).toBe(false);
+    expect(mockAccounts[1].idle_queued).toBe(0);
+    expect(idleQueue.scheduleRebalance).toHaveBeenCalledTimes(1);
+  });
+});
+
+// ── fair share ──────────────────────────────────────────────
+
+describe('getShares', () => {
+  test('weights the fair share by priority', () => {
+    idleQueue.acquire(1);
+    mockAccounts[1].idle_queued = 1;
+    mockAccounts[1].priority_weight = 3;
+    mockMinutes = [{ account_id: 1, minutes: 90 }, { account_id: 2, minutes: 30 }, { account_id: 3, minutes: 600 }];
+
+    const shares = idleQueue.getShares();
+
+    expect(shares).toEqual([
+      { account_id: 1, weight: 1, hours: 1.5, share: 0.75, fair_share: 0.25, score: 90, active: true, waiting: false },
+      { account_id: 2, weight: 3, hours: 0.5, share: 0.25, fair_share: 0.75, score: 10, active: false, waiting: true },
+    ]);
+  });
+});
+
+// ── rotation ────────────────────────────────────────────────
+
+describe('rebalance', () => {
+  test('fills free slots with the accounts furthest behind', async () => {
+    mockSettings.max_idling_accounts = 1;
+    mockAccounts[1].idle_queued = 1;
+    mockAccounts[2].idle_queued = 1;
+    mockMinutes = [{ account_id: 2, minutes: 300 }, { account_id: 3, minutes: 60 }];
+
+    await idleQueue.rebalance(T0);
+
+    expect(steamService.startIdling).toHaveBeenCalledTimes(1);
+    expect(steamService.startIdling).toHaveBeenCalledWith(3);
+    expect(idleQueue.getPosition(2)).toBe(1);
+  });
+
+  test('rotates out the account furthest ahead once it held its slot long enough', async () => {
+    jest.useFakeTimers({ now: T0 });
+    idleQueue.acquire(1);
+    idleQueue.acquire(2);
+    idleQueue.acquire(3);
+    mockMinutes = [{ account_id: 1, minutes: 600 }, { account_id: 2, minutes: 120 }];
+
+    await idleQueue.rebalance(new Date(T0.getTime() + 10 * 60 * 1000));
+    expect(steamService.stopIdling).not.toHaveBeenCalled();
+
+    await idleQueue.rebalance(new Date(T0.getTime() + HOUR));
+    expect(steamService.stopIdling).toHaveBeenCalledWith(1);
+    expect(steamService.logout).toHaveBeenCalledWith(1);
+    expect(steamService.startIdling).toHaveBeenCalledWith(3);
+    expect(mockAccounts[0].idle_queued).toBe(1);
+    jest.useRealTimers();
+  });
+
+  test('does not interrupt card farming', async () => {
+    jest.useFakeTimers({ now: T0 });
+    idleQueue.acquire(1);
+    idleQueue.acquire(2);
+    idleQueue.acquire(3);
+    mockMinutes = [{ account_id: 1, minutes: 600 }, { account_id: 2, minutes: 120 }];
+    steamService.getSession.mockImplementation(id => (id === 1 ? { cardFarm: { games: [] } } : null));
+
+    await idleQueue.rebalance(new Date(T0.getTime() + HOUR));
+
+    expect(steamService.stopIdling).toHaveBeenCalledWith(2);
+    steamService.getSession.mockReset();
+    jest.useRealTimers();
+  });
+
+  test('makes room when the cap is lowered', async () => {
+    idleQueue.acquire(1);
+    idleQueue.acquire(2);
+    mockSettings.max_idling_accounts = 1;
+    mockMinutes = [{ account_id: 2, minutes: 60 }];
+
+    await idleQueue.rebalance(T0);
+
+    expect(steamService.stopIdling).toHaveBeenCalledWith(2);
+    expect([...idleQueue.slots.keys()]).toEqual([1]);
+  });
+});
@@ -0,0 +1,191 @@
+// ---------------------------------------------------------------------------
+// Mock: database
+// ---------------------------------------------------------------------------
+jest.mock('../src/models/database', () => ({
+  keyRedemptions: {
+    add: jest.fn(() => ({ lastInsertRowid: 1 })),
+    findById: jest.fn(),
+    getPending: jest.fn(() => []),
+    getPendingAccountIds: jest.fn(() => []),
+    setResult: jest.fn(),
+    addAttempt: jest.fn(),
+    delete: jest.fn(),
+  },
+  games: {
+    getGames: jest.fn(() => []),
+  },
+  batch: jest.fn(fn => fn()),
+}));
+
+// ---------------------------------------------------------------------------
+// Mock: logger
+// ---------------------------------------------------------------------------
+jest.mock('../src/services/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+// ---------------------------------------------------------------------------
+// Mock: steamService / accountManager / auth
+// ---------------------------------------------------------------------------
+jest.mock('../src/services/steamService', () => ({
+  getSession: jest.fn(),
+}));
+
+jest.mock('../src/services/accountManager', () => ({
+  getById: jest.fn(id => ({ id })),
+  addGame: jest.fn(),
+}));
+
+jest.mock('../src/middleware/auth', () => ({
+  getEncryptionKey: jest.fn(() => null),
+}));
+
+const db = require('../src/models/database');
+const steamService = require('../src/services/steamService');
+const accountManager = require('../src/services/accountManager');
+const keyRedeemer = require('../src/services/keyRedeemer');
+const { parseKeys, maskKey } = require('../src/services/keyRedeemer');
+
+// A queued key as returned by the database
+function makeEntry(overrides = {}) {
+  return { id: 7, account_id: 1, cd_key: 'AAAAA-BBBBB-CCCCC', key_hint: 'AAAAA-*****-CCCCC', add_games: false, attempts: 0, ...overrides };
+}
+
+// A logged-in session whose redeemKey resolves or rejects as given
+function makeSession(redeem) {
+  return {
+    accountId: 1,
+    isLoggedIn: true,
+    client: {
+      redeemKey: jest.fn(redeem),
+      getProductInfo: jest.fn(async (apps, packages) => (packages.length > 0
+        ? { packages: { 100: { packageinfo: { appids: { 0: 440, 1: 441 } } } } }
+        : { apps: { 440: { appinfo: { common: { type: 'Game' } } }, 441: { appinfo: { common: { type: 'DLC' } } } } })),
+    },
+  };
+}
+
+// A rejection carrying a Steam purchase result
+function purchaseError(detail) {
+  return Object.assign(new Error('Failure'), { purchaseResultDetails: detail, packageList: {} });
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  keyRedeemer.busy.clear();
+  keyRedeemer.lastRedeem.clear();
+  keyRedeemer.backoffUntil.clear();
+});
+
+// ── parsing ─────────────────────────────────────────────────
+
+describe('parseKeys', () => {
+  test('splits, upper-cases and de-duplicates keys', () => {
+    expect(parseKeys('aaaaa-bbbbb-ccccc, AAAAA-BBBBB-CCCCC\nDDDDD-EEEEE-FFFFF-GGGGG-HHHHH; hello'))
+      .toEqual({ keys: ['AAAAA-BBBBB-CCCCC', 'DDDDD-EEEEE-FFFFF-GGGGG-HHHHH'], invalid: ['hello'] });
+  });
+
+  test('maskKey hides the middle groups', () => {
+    expect(maskKey('AAAAA-BBBBB-CCCCC')).toBe('AAAAA-*****-CCCCC');
+  });
+});
+
+// ── queue ───────────────────────────────────────────────────
+
+describe('enqueue', () => {
+  test('hands keys out round-robin', () => {
+    const result = keyRedeemer.enqueue('AAAAA-AAAAA-AAAAA BBBBB-BBBBB-BBBBB CCCCC-CCCCC-CCCCC nope', [1, 2], { addGames: true });
+
+    expect(db.keyRedemptions.add.mock.calls.map(call => call[0])).toEqual([1, 2, 1]);
+    expect(db.keyRedemptions.add).toHaveBeenCalledWith(2, 'BBBBB-BBBBB-BBBBB', 'BBBBB-*****-BBBBB', true);
+    expect(result.queued).toHaveLength(3);
+    expect(result.invalid).toEqual(['nope']);
+  });
+
+  test('rejects input without keys and unknown accounts', () => {
+    expect(() => keyRedeemer.enqueue('nothing here', [1])).toThrow('No valid keys found');
+
+    accountManager.getById.mockReturnValueOnce(null);
+    expect(() => keyRedeemer.enqueue('AAAAA-AAAAA-AAAAA', [9])).toThrow('Account 9 not found');
+  });
+
+  test('cancel only removes keys that are still waiting', () => {
+    db.keyRedemptions.findById.mockReturnValueOnce(makeEntry({ status: 'success' }));
+
+    expect(() => keyRedeemer.cancel(7)).toThrow('Only pending keys can be removed');
+    expect(db.keyRedemptions.delete).not.toHaveBeenCalled();
+  });
+});
+
+// ── redemption ──────────────────────────────────────────────
+
+describe('redeemNext', () => {
+  test('records a successful redemption and adds activated games', async () => {
+    const session = makeSession(async () => ({ purchaseResultDetails: 0, packageList: { 100: 'Team Fortress 2' } }));
+    steamService.getSession.mockReturnValue(session);
+    db.keyRedemptions.getPending.mockReturnValueOnce([makeEntry({ add_games: true })]);
+
+    await keyRedeemer.redeemNext(1);
+
+    expect(session.client.redeemKey).toHaveBeenCalledWith('AAAAA-BBBBB-CCCCC');
+    expect(db.keyRedemptions.setResult).toHaveBeenCalledWith(7, 'success', {
+      detail: 'Team Fortress 2', packages: { 100: 'Team Fortress 2' }, appIds: [440],
+    });
+    expect(accountManager.addGame).toHaveBeenCalledWith(1, 440);
+    expect(accountManager.addGame).toHaveBeenCalledTimes(1);
+  });
+
+  test.each([
+    [15, 'duplicate', 'DuplicateActivationCode'],
+    [14, 'invalid', 'BadActivationCode'],
+    [9, 'failed', 'AlreadyPurchased'],
+  ])('purchase result %i is recorded as %s', async (detail, status, name) => {
+    steamService.getSession.mockReturnValue(makeSession(async () => { throw purchaseError(detail); }));
+    db.keyRedemptions.getPending.mockReturnValueOnce([makeEntry()]);
+
+    await keyRedeemer.redeemNext(1);
+
+    expect(db.keyRedemptions.setResult).toHaveBeenCalledWith(7, status, expect.objectContaining({ detail: name }));
+    expect(accountManager.addGame).not.toHaveBeenCalled();
+  });
+
+  test('a rate limit pauses the account queue', async () => {
+    steamService.getSession.mockReturnValue(makeSession(async () => { throw purchaseError(53); }));
+    db.keyRedemptions.getPending.mockReturnValueOnce([makeEntry()]);
+
+    await keyRedeemer.redeemNext(1);
+
+    expect(db.keyRedemptions.setResult).toHaveBeenCalledWith(7, 'rate_limited', { detail: 'RateLimited' });
+    keyRedeemer.lastRedeem.clear();
+    expect(keyRedeemer.isReady(1)).toBe(false);
+  });
+
+  test('errors without a Steam result are retried until the attempt limit', async () => {
+    steamService.getSession.mockReturnValue(makeSession(async () => { throw new Error('Request timed out'); }));
+    db.keyRedemptions.getPending.mockReturnValueOnce([makeEntry()]);
+
+    await keyRedeemer.redeemNext(1);
+
+    expect(db.keyRedemptions.addAttempt).toHaveBeenCalledWith(7, 'Request timed out');
+    expect(db.keyRedemptions.setResult).not.toHaveBeenCalled();
+
+    db.keyRedemptions.getPending.mockReturnValueOnce([makeEntry({ attempts: 2 })]);
+    await keyRedeemer.redeemNext(1);
+
+    expect(db.keyRedemptions.setResult).toHaveBeenCalledWith(7, 'failed', { detail: 'Request timed out' });
+  });
+
+  test('processAll waits for accounts to log in', () => {
+    db.keyRedemptions.getPendingAccountIds.mockReturnValueOnce([1]);
+    steamService.getSession.mockReturnValue({ isLoggedIn: false });
+    const redeemNext = jest.spyOn(keyRedeemer, 'redeemNext');
+
+    keyRedeemer.processAll();
+
+    expect(redeemNext).not.toHaveBeenCalled();
+    redeemNext.mockRestore();
+  });
+});
@@ -0,0 +1,217 @@
+// ---------------------------------------------------------------------------
+// Mock: database
+// ---------------------------------------------------------------------------
+const mockSettings = {};
+
+jest.mock('../src/models/database', () => ({
+  accounts: {
+    updateStatus: jest.fn(),
+  },
+  settings: {
+    get: jest.fn((key, defaultValue) => (key in mockSettings ? mockSettings[key] : defaultValue)),
+  },
+}));
+
+// ---------------------------------------------------------------------------
+// Mock: logger
+// ---------------------------------------------------------------------------
+jest.mock('../src/services/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const db = require('../src/models/database');
+const loginQueue = require('../src/services/loginQueue');
+
+// A logon task that stays pending until resolved from the test
+function deferredTask() {
+  let resolve;
+  let reject;
+  const task = jest.fn(() => new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  }));
+  return { task, resolve: (v) => resolve(v), reject: (e) => reject(e) };
+}
+
+// Let promise callbacks (finally -> process) run
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  loginQueue.clear();
+  for (const key of Object.keys(mockSettings)) delete mockSettings[key];
+  mockSettings.login_max_concurrent = 2;
+  mockSettings.login_min_spacing = 0;
+});
+
+afterEach(() => {
+  loginQueue.clear();
+  jest.useRealTimers();
+});
+
+// ── concurrency ─────────────────────────────────────────────
+
+describe('concurrency limit', () => {
+  test('runs tasks immediately while slots are free', () => {
+    const a = deferredTask();
+
+    loginQueue.enqueue(1, a.task);
+
+    expect(a.task).toHaveBeenCalled();
+    expect(loginQueue.getPosition(1)).toBeNull();
+    expect(db.accounts.updateStatus).not.toHaveBeenCalled();
+  });
+
+  test('holds tasks beyond the limit until a slot frees up', async () => {
+    const tasks = [deferredTask(), deferredTask(), deferredTask()];
+
+    const first = loginQueue.enqueue(1, tasks[0].task);
+    loginQueue.enqueue(2, tasks[1].task);
+    loginQueue.enqueue(3, tasks[2].task).catch(() => {});
+
+    expect(tasks[2].task).not.toHaveBeenCalled();
+    expect(loginQueue.getPosition(3)).toBe(1);
+    expect(db.accounts.updateStatus).toHaveBeenCalledWith(3, 'queued');
+
+    tasks[0].resolve('done');
+    await expect(first).resolves.toBe('done');
+    await flush();
+
+    expect(tasks[2].task).toHaveBeenCalled();
+    expect(loginQueue.getPosition(3)).toBeNull();
+  });
+
+  test('frees the slot when a task fails', async () => {
+    mockSettings.login_max_concurrent = 1;
+    const failing = deferredTask();
+    const next = deferredTask();
+
+    const first = loginQueue.enqueue(1, failing.task);
+    loginQueue.enqueue(2, next.task).catch(() => {});
+
+    failing.reject(new Error('InvalidPassword'));
+    await expect(first).rejects.toThrow('InvalidPassword');
+    await flush();
+
+    expect(next.task).toHaveBeenCalled();
+  });
+
+  test('returns the existing promise when an account is already waiting', () => {
+    mockSettings.login_max_concurrent = 1;
+    loginQueue.enqueue(1, deferredTask().task);
+
+    const a = loginQueue.enqueue(2, deferredTask().task);
+    const b = loginQueue.enqueue(2, deferredTask().task);
+
+    expect(a).toBe(b);
+    expect(loginQueue.getState().pending).toEqual([2]);
+    a.catch(() => {}); // rejected by clear() after the test
+  });
+});
+
+// ── spacing ─────────────────────────────────────────────────
+
+describe('minimum spacing', () => {
+  test('waits between consecutive logon starts', () => {
+    jest.useFakeTimers();
+    mockSettings.login_min_spacing = 5000;
+    const a = deferredTask();
+    const b = deferredTask();
+
+    loginQueue.enqueue(1, a.task);
+    loginQueue.enqueue(2, b.task).catch(() => {});
+
+    expect(a.task).toHaveBeenCalled();
+    expect(b.task).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(4999);
+    expect(b.task).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(1);
+    expect(b.task).toHaveBeenCalled();
+  });
+
+  test('resumed logons skip the spacing', () => {
+    jest.useFakeTimers();
+    mockSettings.login_min_spacing = 5000;
+    const a = deferredTask();
+    const resumed = deferredTask();
+
+    loginQueue.enqueue(1, a.task);
+    loginQueue.enqueue(2, resumed.task, { spaced: false });
+
+    expect(resumed.task).toHaveBeenCalled();
+  });
+});
+
+// ── release ─────────────────────────────────────────────────
+
+describe('release', () => {
+  test('lets the next logon start while a running one waits', async () => {
+    mockSettings.login_max_concurrent = 1;
+    const waiting = deferredTask();
+    const next = deferredTask();
+    loginQueue.enqueue(1, waiting.task);
+    loginQueue.enqueue(2, next.task);
+
+    expect(loginQueue.release(1)).toBe(true);
+
+    expect(next.task).toHaveBeenCalled();
+    expect(loginQueue.getState().active).toEqual([2]);
+    expect(loginQueue.release(1)).toBe(false);
+  });
+
+  test('a released task finishing does not free the slot of its successor', async () => {
+    mockSettings.login_max_concurrent = 1;
+    const waiting = deferredTask();
+    const resumed = deferredTask();
+    const other = deferredTask();
+    loginQueue.enqueue(1, waiting.task);
+    loginQueue.release(1);
+    loginQueue.enqueue(1, resumed.task, { spaced: false });
+    loginQueue.enqueue(2, other.task).catch(() => {});
+
+    waiting.resolve();
+    await flush();
+
+    expect(loginQueue.getState().active).toEqual([1]);
+    expect(other.task).not.toHaveBeenCalled();
+  });
+});
+
+// ── cancel ──────────────────────────────────────────────────
+
+describe('cancel', () => {
+  test('rejects a waiting logon with a cancelled error', async () => {
+    mockSettings.login_max_concurrent = 1;
+    loginQueue.enqueue(1, deferredTask().task);
+    const waiting = deferredTask();
+    const promise = loginQueue.enqueue(2, waiting.task);
+
+    expect(loginQueue.cancel(2)).toBe(true);
+
+    await expect(promise).rejects.toMatchObject({ cancelled: true });
+    expect(waiting.task).not.toHaveBeenCalled();
+  });
+
+  test('ignores accounts that are not waiting', () => {
+    expect(loginQueue.cancel(42)).toBe(false);
+  });
+});
+
+// ── limits ──────────────────────────────────────────────────
+
+describe('getLimits', () => {
+  test('falls back to config defaults for invalid settings', () => {
+    mockSettings.login_max_concurrent = 0;
+    mockSettings.login_min_spacing = -1;
+
+    const limits = loginQueue.getLimits();
+
+    expect(limits.maxConcurrent).toBeGreaterThan(0);
+    expect(limits.minSpacing).toBeGreaterThanOrEqual(0);
+  });
+});
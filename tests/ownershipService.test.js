@@ -0,0 +1,113 @@
+// ---------------------------------------------------------------------------
+// Mock: database
+// ---------------------------------------------------------------------------
+const mockSettings = {};
+
+jest.mock('../src/models/database', () => ({
+  playtime: {
+    getByAccount: jest.fn().mockReturnValue([]),
+  },
+  games: {
+    setOwned: jest.fn(),
+  },
+  settings: {
+    get: jest.fn((key, defaultValue) => (key in mockSettings ? mockSettings[key] : defaultValue)),
+  },
+  batch: jest.fn(fn => fn()),
+}));
+
+// ---------------------------------------------------------------------------
+// Mock: logger
+// ---------------------------------------------------------------------------
+jest.mock('../src/services/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const db = require('../src/models/database');
+const ownershipService = require('../src/services/ownershipService');
+
+// A logged-in session whose client owns the given apps
+function makeSession(ownedAppIds) {
+  return {
+    isLoggedIn: true,
+    client: {
+      steamID: '76561198000000000',
+      getUserOwnedApps: jest.fn().mockResolvedValue({ apps: ownedAppIds.map(appid => ({ appid })) }),
+      requestFreeLicense: jest.fn().mockResolvedValue({ grantedPackageIds: [], grantedAppIds: [] }),
+    },
+  };
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  for (const key of Object.keys(mockSettings)) delete mockSettings[key];
+  db.playtime.getByAccount.mockReturnValue([]);
+});
+
+// ── lookup ──────────────────────────────────────────────────
+
+describe('validate', () => {
+  test('asks the logged-in client and stores the result', async () => {
+    const session = makeSession([730]);
+
+    const result = await ownershipService.validate(1, [730, 440], session);
+
+    expect(session.client.getUserOwnedApps).toHaveBeenCalledWith(session.client.steamID,
+      expect.objectContaining({ filterAppids: [730, 440] }));
+    expect(result).toMatchObject({ owned: [730], unowned: [440], source: 'client' });
+    expect(db.games.setOwned).toHaveBeenCalledWith(1, 730, true);
+    expect(db.games.setOwned).toHaveBeenCalledWith(1, 440, false);
+  });
+
+  test('falls back to cached Web API data when offline', async () => {
+    db.playtime.getByAccount.mockReturnValue([{ app_id: 440 }]);
+
+    const result = await ownershipService.validate(1, [730, 440], null);
+
+    expect(result).toMatchObject({ owned: [440], unowned: [730], source: 'cache' });
+  });
+
+  test('reports games as unknown without a client or cache', async () => {
+    const result = await ownershipService.validate(1, [730], null);
+
+    expect(result).toMatchObject({ owned: [], unowned: [], unknown: [730], source: null });
+    expect(db.games.setOwned).not.toHaveBeenCalled();
+  });
+});
+
+// ── free licenses ───────────────────────────────────────────
+
+describe('free licenses', () => {
+  test('are only requested when enabled', async () => {
+    const session = makeSession([]);
+
+    await ownershipService.validate(1, [440], session);
+
+    expect(session.client.requestFreeLicense).not.toHaveBeenCalled();
+  });
+
+  test('count granted games as owned', async () => {
+    mockSettings.request_free_licenses = 'true';
+    const session = makeSession([730]);
+    session.client.requestFreeLicense.mockResolvedValue({ grantedPackageIds: [1], grantedAppIds: [440] });
+
+    const result = await ownershipService.validate(1, [730, 440, 570], session);
+
+    expect(session.client.requestFreeLicense).toHaveBeenCalledWith([440, 570]);
+    expect(result).toMatchObject({ owned: [730, 440], unowned: [570], granted: [440] });
+    expect(db.games.setOwned).toHaveBeenCalledWith(1, 440, true);
+  });
+
+  test('a failed request leaves the games unowned', async () => {
+    mockSettings.request_free_licenses = 'true';
+    const session = makeSession([]);
+    session.client.requestFreeLicense.mockRejectedValue(new Error('Timeout'));
+
+    const result = await ownershipService.validate(1, [440], session);
+
+    expect(result.unowned).toEqual([440]);
+  });
+});
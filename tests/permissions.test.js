@@ -0,0 +1,132 @@
+// ---------------------------------------------------------------------------
+// Mock: database
+// ---------------------------------------------------------------------------
+jest.mock('../src/models/database', () => ({
+  users: {
+    findById: jest.fn(),
+  },
+}));
+
+const db = require('../src/models/database');
+const { authorize, roleAllows, filterAccounts, toUser } = require('../src/middleware/permissions');
+
+function mockReq(overrides = {}) {
+  return { session: { userId: 2 }, method: 'GET', path: '/api/accounts', query: {}, ...overrides };
+}
+
+function mockRes() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  res.redirect = jest.fn(() => res);
+  return res;
+}
+
+const OPERATOR = { id: 2, username: 'ops', role: 'operator', account_ids: '[1,3]' };
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+// ── roles ───────────────────────────────────────────────────
+
+describe('roleAllows', () => {
+  test('viewers can only read, and not secrets or users', () => {
+    expect(roleAllows('viewer', 'GET', '/api/accounts/1/games')).toBe(true);
+    expect(roleAllows('viewer', 'POST', '/api/accounts/1/start')).toBe(false);
+    expect(roleAllows('viewer', 'GET', '/api/accounts/1/export-mafile')).toBe(false);
+    expect(roleAllows('viewer', 'GET', '/api/users')).toBe(false);
+  });
+
+  test('operators can run and configure accounts but not manage the install', () => {
+    expect(roleAllows('operator', 'POST', '/api/accounts/1/start')).toBe(true);
+    expect(roleAllows('operator', 'PUT', '/api/accounts/1/games')).toBe(true);
+    expect(roleAllows('operator', 'PUT', '/api/accounts/1')).toBe(true);
+    expect(roleAllows('operator', 'POST', '/api/accounts/stop-all')).toBe(true);
+    expect(roleAllows('operator', 'DELETE', '/api/accounts/1')).toBe(false);
+    expect(roleAllows('operator', 'POST', '/api/accounts')).toBe(false);
+    expect(roleAllows('operator', 'PUT', '/api/settings')).toBe(false);
+    expect(roleAllows('operator', 'POST', '/api/users')).toBe(false);
+    expect(roleAllows('operator', 'GET', '/api/audit')).toBe(false);
+    expect(roleAllows('operator', 'GET', '/api/audit/export')).toBe(false);
+  });
+
+  test('every role manages its own API tokens, admins can do anything', () => {
+    expect(roleAllows('viewer', 'POST', '/api/tokens')).toBe(true);
+    expect(roleAllows('viewer', 'DELETE', '/api/tokens/4')).toBe(true);
+    expect(roleAllows('admin', 'POST', '/api/reset')).toBe(true);
+  });
+});
+
+describe('filterAccounts', () => {
+  test('keeps only the user\'s accounts, or everything when unrestricted', () => {
+    const rows = [{ id: 1 }, { id: 2 }, { id: 3 }];
+
+    expect(filterAccounts(toUser(OPERATOR), rows)).toEqual([{ id: 1 }, { id: 3 }]);
+    expect(filterAccounts(toUser({ ...OPERATOR, account_ids: null }), rows)).toBe(rows);
+    expect(filterAccounts(toUser({ ...OPERATOR, role: 'admin' }), rows)).toBe(rows);
+  });
+});
+
+// ── middleware ──────────────────────────────────────────────
+
+describe('authorize', () => {
+  test('loads the user onto the request', () => {
+    db.users.findById.mockReturnValueOnce(OPERATOR);
+    const req = mockReq();
+    const next = jest.fn();
+
+    authorize(req, mockRes(), next);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.user).toEqual({ id: 2, username: 'ops', role: 'operator', account_ids: [1, 3] });
+  });
+
+  test('uses the owner of an API token', () => {
+    db.users.findById.mockReturnValueOnce(OPERATOR);
+
+    authorize(mockReq({ session: {}, apiToken: { user_id: 2 } }), mockRes(), jest.fn());
+
+    expect(db.users.findById).toHaveBeenCalledWith(2);
+  });
+
+  test('returns 403 for requests outside the role', () => {
+    db.users.findById.mockReturnValueOnce({ ...OPERATOR, role: 'viewer' });
+    const res = mockRes();
+    const next = jest.fn();
+
+    authorize(mockReq({ method: 'POST', path: '/api/accounts/1/start' }), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+
+  test('returns 403 for accounts outside the user\'s list', () => {
+    const res = mockRes();
+    db.users.findById.mockReturnValue(OPERATOR);
+
+    const allowed = jest.fn();
+    authorize(mockReq({ path: '/api/accounts/3/games' }), mockRes(), allowed);
+    const denied = jest.fn();
+    authorize(mockReq({ path: '/api/stats/2' }), res, denied);
+    const deniedQuery = jest.fn();
+    authorize(mockReq({ path: '/api/events', query: { account_id: '2' } }), mockRes(), deniedQuery);
+
+    expect(allowed).toHaveBeenCalled();
+    expect(denied).not.toHaveBeenCalled();
+    expect(deniedQuery).not.toHaveBeenCalled();
+    expect(res.json).toHaveBeenCalledWith({ error: 'You do not have access to this account' });
+  });
+
+  test('signs out users that no longer exist', () => {
+    db.users.findById.mockReturnValue(null);
+    const apiRes = mockRes();
+    const pageRes = mockRes();
+
+    authorize(mockReq(), apiRes, jest.fn());
+    authorize(mockReq({ path: '/accounts' }), pageRes, jest.fn());
+
+    expect(apiRes.status).toHaveBeenCalledWith(401);
+    expect(pageRes.redirect).toHaveBeenCalledWith('/login');
+  });
+});
@@ -0,0 +1,135 @@
+// ---------------------------------------------------------------------------
+// Mock: database
+// ---------------------------------------------------------------------------
+jest.mock('../src/models/database', () => ({
+  accounts: {
+    findAll: jest.fn(() => []),
+    findById: jest.fn(),
+    update: jest.fn(),
+  },
+}));
+
+// ---------------------------------------------------------------------------
+// Mock: logger
+// ---------------------------------------------------------------------------
+jest.mock('../src/services/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+// ---------------------------------------------------------------------------
+// Mock: steamService
+// ---------------------------------------------------------------------------
+jest.mock('../src/services/steamService', () => ({
+  PERSONA_STATES: { 0: 'Offline', 1: 'Online', 2: 'Busy', 3: 'Away', 4: 'Snooze', 5: 'Looking to Trade', 6: 'Looking to Play', 7: 'Invisible' },
+  setPersonaManager: jest.fn(),
+  getSession: jest.fn(),
+}));
+
+// ---------------------------------------------------------------------------
+// Mock: auth middleware
+// ---------------------------------------------------------------------------
+jest.mock('../src/middleware/auth', () => ({
+  getEncryptionKey: jest.fn(() => Buffer.alloc(32)),
+}));
+
+const db = require('../src/models/database');
+const steamService = require('../src/services/steamService');
+const personaManager = require('../src/services/personaManager');
+const { normalizeSchedule } = personaManager;
+
+const EVENING = [{ start_time: '18:00', end_time: '23:00', days: [1], state: 6 }];
+const MONDAY_NOON = new Date(2025, 0, 6, 12, 0);
+const MONDAY_EVENING = new Date(2025, 0, 6, 19, 0);
+
+function makeAccount(overrides = {}) {
+  return { id: 1, persona_state: 2, persona_name: null, persona_schedule: JSON.stringify(EVENING), ...overrides };
+}
+
+let session;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  personaManager.lastTarget.clear();
+  session = {
+    isLoggedIn: true,
+    personaState: 2,
+    accountData: {},
+    setPersonaState: jest.fn(function (state) { this.personaState = state; }),
+    setPersonaName: jest.fn(),
+  };
+  steamService.getSession.mockReturnValue(session);
+  db.accounts.findAll.mockReturnValue([makeAccount()]);
+  db.accounts.findById.mockReturnValue(makeAccount());
+});
+
+// ── validation ──────────────────────────────────────────────
+
+describe('normalizeSchedule', () => {
+  test('validates windows and their states', () => {
+    expect(normalizeSchedule([{ start_time: '18:00', end_time: '23:00', days: ['1'], state: '5' }]))
+      .toEqual([{ start_time: '18:00', end_time: '23:00', days: [1], state: 5 }]);
+    expect(() => normalizeSchedule([{ start_time: '18:00', end_time: '23:00', days: [1], state: 0 }]))
+      .toThrow('Window 1: state must be one of: 1, 2, 3, 4, 5, 6, 7');
+    expect(() => normalizeSchedule([{ start_time: '6pm', end_time: '23:00', days: [1], state: 6 }]))
+      .toThrow('times must use HH:MM format');
+  });
+});
+
+// ── schedule ────────────────────────────────────────────────
+
+describe('getTargetState', () => {
+  test('uses the matching window, the base state otherwise', () => {
+    expect(personaManager.getTargetState(makeAccount(), MONDAY_NOON)).toBe(2);
+    expect(personaManager.getTargetState(makeAccount(), MONDAY_EVENING)).toBe(6);
+  });
+
+  test('ignores an unreadable schedule', () => {
+    expect(personaManager.getTargetState(makeAccount({ persona_schedule: '{oops' }), MONDAY_EVENING)).toBe(2);
+  });
+});
+
+describe('tick', () => {
+  test('switches the state when a window opens and closes', () => {
+    personaManager.tick(MONDAY_NOON);
+    expect(session.setPersonaState).not.toHaveBeenCalled();
+
+    personaManager.tick(MONDAY_EVENING);
+    expect(session.setPersonaState).toHaveBeenCalledWith(6);
+
+    personaManager.tick(new Date(2025, 0, 6, 23, 30));
+    expect(session.setPersonaState).toHaveBeenLastCalledWith(2);
+  });
+
+  test('keeps a state set in between until the next transition', () => {
+    personaManager.tick(MONDAY_EVENING);
+    session.personaState = 3; // e.g. Away from a humanized session
+
+    personaManager.tick(new Date(2025, 0, 6, 20, 0));
+
+    expect(session.setPersonaState).toHaveBeenCalledTimes(1);
+    expect(session.personaState).toBe(3);
+  });
+});
+
+// ── settings ────────────────────────────────────────────────
+
+describe('setPersona', () => {
+  test('stores the settings and applies them to the running session', () => {
+    db.accounts.findById.mockReturnValue(makeAccount({ persona_state: 5, persona_name: 'Idler', persona_schedule: '[]' }));
+
+    personaManager.setPersona(1, { persona_state: 5, persona_name: '  Idler ', schedule: [] });
+
+    expect(db.accounts.update).toHaveBeenCalledWith(1, { persona_state: 5, persona_name: 'Idler', persona_schedule: '[]' });
+    expect(session.setPersonaName).toHaveBeenCalledWith('Idler');
+    expect(session.setPersonaState).toHaveBeenCalledWith(5);
+  });
+
+  test('rejects names longer than Steam allows', () => {
+    expect(() => personaManager.setPersona(1, { persona_name: 'x'.repeat(33) }))
+      .toThrow('persona_name must be at most 32 characters');
+    expect(db.accounts.update).not.toHaveBeenCalled();
+  });
+});
@@ -398,6 +398,34 @@ describe('rateLimiter', () => {
       );
     });
 
+    test('rateLimiters.twoFactor: counts separately from the password step', () => {
+      const next = jest.fn();
+
+      for (let i = 0; i < 5; i++) {
+        rateLimiters.login(mockReq('23.0.0.1'), mockRes(), next);
+      }
+      for (let i = 0; i < 10; i++) {
+        rateLimiters.twoFactor(mockReq('23.0.0.1'), mockRes(), next);
+      }
+      expect(next).toHaveBeenCalledTimes(15);
+
+      const res = mockRes();
+      rateLimiters.twoFactor(mockReq('23.0.0.1'), res, jest.fn());
+      expect(res.status).toHaveBeenCalledWith(429);
+    });
+
+    test('rateLimiters.api does not use up login attempts', () => {
+      const next = jest.fn();
+
+      for (let i = 0; i < 10; i++) {
+        rateLimiters.api(mockReq('24.0.0.1'), mockRes(), next);
+      }
+      rateLimiters.login(mockReq('24.0.0.1'), mockRes(), next);
+
+      expect(next).toHaveBeenCalledTimes(11);
+      expect(getStatus('login:24.0.0.1').tokens).toBe(4);
+    });
+
     test('rateLimiters.setup: allows 3 attempts, then blocks', () => {
       const next = jest.fn();
 
@@ -2,6 +2,10 @@
 // Mock: database
 // ---------------------------------------------------------------------------
 jest.mock('../src/models/database', () => ({
+  users: {
+    findById: jest.fn(),
+    deleteAllExcept: jest.fn(),
+  },
   accounts: {
     findAll: jest.fn(() => []),
     findById: jest.fn(),
@@ -39,12 +43,20 @@ jest.mock('../src/models/database', () => ({
     findAll: jest.fn(() => []),
     delete: jest.fn(),
   },
+  proxies: {
+    findAll: jest.fn(() => []),
+    delete: jest.fn(),
+  },
+  apiTokens: {
+    deleteAll: jest.fn(),
+  },
   webSessions: {
     get: jest.fn(() => null),
     set: jest.fn(),
     destroy: jest.fn(),
     touch: jest.fn(),
     cleanup: jest.fn(),
+    destroyOthers: jest.fn(),
   },
   initializeDatabase: jest.fn(),
   saveDatabase: jest.fn(),
@@ -72,9 +84,12 @@ jest.mock('../src/services/steamService', () => ({
   stopIdling: jest.fn(),
   getSession: jest.fn(),
   getStatus: jest.fn(() => ({ isLoggedIn: false, isIdling: false, currentGames: [] })),
+  getNetworkStatus: jest.fn(() => ({ online: true, offlineSince: null, lastProbeAt: null })),
+  submitGuardCode: jest.fn(),
   startAll: jest.fn(async () => []),
   stopAll: jest.fn(),
   logoutAll: jest.fn(),
+  setBanMonitor: jest.fn(),
 }));
 
 // ---------------------------------------------------------------------------
@@ -94,6 +109,138 @@ jest.mock('../src/services/steamApiService', () => ({
   updateEncryptionKey: jest.fn(),
 }));
 
+// ---------------------------------------------------------------------------
+// Mock: scheduler
+// ---------------------------------------------------------------------------
+jest.mock('../src/services/scheduler', () => ({
+  getSchedule: jest.fn(() => ({ enabled: false, windows: [], in_window: null, next_transition: null })),
+  setSchedule: jest.fn(),
+}));
+
+// ---------------------------------------------------------------------------
+// Mock: gameSelector
+// ---------------------------------------------------------------------------
+jest.mock('../src/services/gameSelector', () => ({
+  getSelection: jest.fn(() => null),
+  preview: jest.fn(),
+  setSelection: jest.fn(),
+}));
+
+// ---------------------------------------------------------------------------
+// Mock: apiTokens
+// ---------------------------------------------------------------------------
+jest.mock('../src/services/apiTokens', () => ({
+  list: jest.fn(() => []),
+  create: jest.fn(),
+  revoke: jest.fn(),
+}));
+
+// ---------------------------------------------------------------------------
+// Mock: userManager
+// ---------------------------------------------------------------------------
+jest.mock('../src/services/userManager', () => ({
+  list: jest.fn(() => []),
+  create: jest.fn(),
+  update: jest.fn(),
+  remove: jest.fn(),
+}));
+
+// ---------------------------------------------------------------------------
+// Mock: twoFactor
+// ---------------------------------------------------------------------------
+jest.mock('../src/services/twoFactor', () => ({
+  status: jest.fn(() => ({ enabled: false, recovery_codes_left: 0 })),
+  setup: jest.fn(),
+  enable: jest.fn(),
+  disable: jest.fn(),
+  regenerateRecoveryCodes: jest.fn(),
+}));
+
+// ---------------------------------------------------------------------------
+// Mock: auditLog
+// ---------------------------------------------------------------------------
+jest.mock('../src/services/auditLog', () => ({
+  OUTCOMES: ['success', 'denied', 'failed'],
+  search: jest.fn(() => []),
+  toCsv: jest.fn(() => 'timestamp\r\n'),
+  getRetentionDays: jest.fn(() => 365),
+}));
+
+// ---------------------------------------------------------------------------
+// Mock: hourTargets
+// ---------------------------------------------------------------------------
+jest.mock('../src/services/hourTargets', () => ({
+  getProgress: jest.fn(() => []),
+  setTarget: jest.fn(),
+}));
+
+// ---------------------------------------------------------------------------
+// Mock: humanizer
+// ---------------------------------------------------------------------------
+jest.mock('../src/services/humanizer', () => ({
+  getStatus: jest.fn(() => ({ enabled: false, profile: {}, phase: null, until: null })),
+  setProfile: jest.fn(() => ({ enabled: true, profile: {}, phase: null, until: null })),
+}));
+
+// ---------------------------------------------------------------------------
+// Mock: personaManager
+// ---------------------------------------------------------------------------
+jest.mock('../src/services/personaManager', () => ({
+  getStatus: jest.fn(() => ({ persona_state: 1, persona_name: null, schedule: [], current_state: null, target_state: 1 })),
+  setPersona: jest.fn(() => ({ persona_state: 6, persona_name: 'Idler', schedule: [], current_state: 6, target_state: 6 })),
+}));
+
+// ---------------------------------------------------------------------------
+// Mock: cardFarmer
+// ---------------------------------------------------------------------------
+jest.mock('../src/services/cardFarmer', () => ({
+  getStatus: jest.fn(() => ({ farming: null, total_drops: 0, recent_drops: [] })),
+  startFarming: jest.fn(async () => ({ farming: { mode: 'single' }, total_drops: 0, recent_drops: [] })),
+  stopFarming: jest.fn(async () => {}),
+}));
+
+// ---------------------------------------------------------------------------
+// Mock: keyRedeemer
+// ---------------------------------------------------------------------------
+jest.mock('../src/services/keyRedeemer', () => ({
+  KEY_STATUSES: ['pending', 'success', 'duplicate', 'invalid', 'rate_limited', 'failed'],
+  getHistory: jest.fn(() => ({ keys: [], counts: {} })),
+  enqueue: jest.fn(() => ({ queued: [], invalid: [] })),
+  cancel: jest.fn(),
+}));
+
+// ---------------------------------------------------------------------------
+// Mock: idleQueue
+// ---------------------------------------------------------------------------
+jest.mock('../src/services/idleQueue', () => ({
+  slots: new Map(),
+  getLimit: jest.fn(() => 0),
+  getShares: jest.fn(() => []),
+  getQueue: jest.fn(() => []),
+}));
+
+// ---------------------------------------------------------------------------
+// Mock: ownershipService
+// ---------------------------------------------------------------------------
+jest.mock('../src/services/ownershipService', () => ({
+  validate: jest.fn(async () => ({ owned: [], unowned: [], unknown: [], granted: [], source: null })),
+}));
+
+// ---------------------------------------------------------------------------
+// Mock: proxyService
+// ---------------------------------------------------------------------------
+jest.mock('../src/services/proxyService', () => ({
+  list: jest.fn(() => []),
+  add: jest.fn(() => 1),
+  remove: jest.fn(),
+  assignRoundRobin: jest.fn(() => 0),
+  getPoolProxy: jest.fn(),
+  getForAccount: jest.fn(() => null),
+  describeAccount: jest.fn(() => ({ mode: 'none' })),
+  setAccountProxy: jest.fn(),
+  test: jest.fn(),
+}));
+
 // ---------------------------------------------------------------------------
 // Mock: accountManager
 // ---------------------------------------------------------------------------
@@ -109,6 +256,8 @@ jest.mock('../src/services/accountManager', () => ({
   getGames: jest.fn(() => []),
   addGame: jest.fn(),
   removeGame: jest.fn(),
+  addCustomGame: jest.fn((id, title) => title),
+  removeCustomGame: jest.fn(),
   setGames: jest.fn(),
   setSteamService: jest.fn(),
   getIdlingAccounts: jest.fn(() => []),
@@ -134,7 +283,7 @@ jest.mock('../src/middleware/auth', () => ({
   authenticateUser: jest.fn(),
   changePassword: jest.fn(),
   reEncryptAllData: jest.fn(),
-  ENCRYPTED_FIELDS: ['password', 'shared_secret', 'identity_secret', 'revocation_code'],
+  ENCRYPTED_FIELDS: ['password', 'shared_secret', 'identity_secret', 'revocation_code', 'proxy_username', 'proxy_password'],
 }));
 
 // ---------------------------------------------------------------------------
@@ -157,19 +306,37 @@ const express = require('express');
 const accountManager = require('../src/services/accountManager');
 const steamService = require('../src/services/steamService');
 const steamApiService = require('../src/services/steamApiService');
+const scheduler = require('../src/services/scheduler');
+const hourTargets = require('../src/services/hourTargets');
+const gameSelector = require('../src/services/gameSelector');
+const apiTokens = require('../src/services/apiTokens');
+const userManager = require('../src/services/userManager');
+const twoFactor = require('../src/services/twoFactor');
+const auditLog = require('../src/services/auditLog');
+const humanizer = require('../src/services/humanizer');
+const personaManager = require('../src/services/personaManager');
+const proxyService = require('../src/services/proxyService');
+const ownershipService = require('../src/services/ownershipService');
+const cardFarmer = require('../src/services/cardFarmer');
+const keyRedeemer = require('../src/services/keyRedeemer');
+const idleQueue = require('../src/services/idleQueue');
 const logger = require('../src/services/logger');
 const db = require('../src/models/database');
 
 // ---------------------------------------------------------------------------
 // Test app factory
 // ---------------------------------------------------------------------------
+const ADMIN_USER = { id: 1, username: 'test', role: 'admin', account_ids: null };
+let currentUser = ADMIN_USER;
+
 function createTestApp() {
   const app = express();
   app.use(express.json());
 
-  // Inject a session stub on every request
+  // Inject a session stub and the signed-in user on every request
   app.use((req, res, next) => {
     req.session = { userId: 1, username: 'test' };
+    req.user = currentUser;
     next();
   });
 
@@ -177,10 +344,32 @@ function createTestApp() {
   const accountRoutes = require('../src/routes/accounts');
   const gameRoutes = require('../src/routes/games');
   const settingsRoutes = require('../src/routes/settings');
+  const scheduleRoutes = require('../src/routes/schedules');
+  const humanizeRoutes = require('../src/routes/humanize');
+  const personaRoutes = require('../src/routes/persona');
+  const proxyRoutes = require('../src/routes/proxies');
+  const cardRoutes = require('../src/routes/cards');
+  const keyRoutes = require('../src/routes/keys');
+  const eventRoutes = require('../src/routes/events');
+  const tokenRoutes = require('../src/routes/tokens');
+  const userRoutes = require('../src/routes/users');
+  const twoFactorRoutes = require('../src/routes/twoFactor');
+  const auditRoutes = require('../src/routes/audit');
 
   app.use(dashboardRoutes);
   app.use(accountRoutes);
   app.use(gameRoutes);
+  app.use(scheduleRoutes);
+  app.use(humanizeRoutes);
+  app.use(personaRoutes);
+  app.use(proxyRoutes);
+  app.use(cardRoutes);
+  app.use(keyRoutes);
+  app.use(eventRoutes);
+  app.use(tokenRoutes);
+  app.use(userRoutes);
+  app.use(twoFactorRoutes);
+  app.use(auditRoutes);
   app.use(settingsRoutes);
 
   return app;
@@ -237,6 +426,7 @@ beforeAll(() => {
 
 beforeEach(() => {
   jest.clearAllMocks();
+  currentUser = ADMIN_USER;
 
   // Restore sensible defaults that individual tests can override
   accountManager.getAll.mockReturnValue([]);
@@ -297,6 +487,7 @@ describe('GET /api/dashboard', () => {
     expect(res.body).toHaveProperty('accounts');
     expect(res.body).toHaveProperty('logs');
     expect(res.body.stats.totalAccounts).toBe(2);
+    expect(res.body.network.online).toBe(true);
     expect(res.body.accounts).toHaveLength(1);
     expect(res.body.logs).toHaveLength(1);
   });
@@ -332,6 +523,27 @@ describe('GET /api/dashboard', () => {
     // Password must never leak
     expect(acc).not.toHaveProperty('password');
   });
+
+  test('includes the idle queue and fair shares', async () => {
+    accountManager.getAll.mockReturnValueOnce([
+      { id: 1, username: 'a', status: 'idling', is_idling: 1, games: [], password: 'pw', priority_weight: 1 },
+      { id: 2, username: 'b', status: 'offline', is_idling: 0, games: [], password: 'pw', priority_weight: 2 },
+    ]);
+    const shares = [
+      { account_id: 1, weight: 1, hours: 10, share: 1, fair_share: 1 / 3, score: 600, active: true, waiting: false },
+      { account_id: 2, weight: 2, hours: 0, share: 0, fair_share: 2 / 3, score: 0, active: false, waiting: true },
+    ];
+    idleQueue.getLimit.mockReturnValueOnce(1);
+    idleQueue.getShares.mockReturnValueOnce(shares);
+    idleQueue.getQueue.mockReturnValueOnce([shares[1]]);
+
+    const res = await request(app, 'GET', '/api/dashboard');
+
+    expect(res.status).toBe(200);
+    expect(res.body.idle_queue).toEqual({ limit: 1, active: 0, waiting: [2] });
+    expect(res.body.accounts[0].idle_share).toMatchObject({ hours: 10, active: true, position: null });
+    expect(res.body.accounts[1].idle_share).toMatchObject({ weight: 2, position: 1 });
+  });
 });
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -482,6 +694,21 @@ describe('GET /api/accounts/:id', () => {
     expect(res.body).not.toHaveProperty('password');
   });
 
+  test('reports a saved refresh token without exposing it', async () => {
+    accountManager.getById.mockReturnValue({
+      id: 1,
+      username: 'found',
+      password: 'secret',
+      refresh_token: '$ENC$token',
+      refresh_token_expires: '2027-04-01 00:00:00',
+    });
+
+    const res = await request(app, 'GET', '/api/accounts/1');
+
+    expect(res.body.refresh_token).toBe(true);
+    expect(res.body.refresh_token_expires).toBe('2027-04-01 00:00:00');
+  });
+
   test('returns 404 for non-existent account', async () => {
     accountManager.getById.mockReturnValue(undefined);
 
@@ -518,6 +745,38 @@ describe('PUT /api/accounts/:id', () => {
     expect(res.body).not.toHaveProperty('password');
   });
 
+  test('passes rotation settings through', async () => {
+    steamService.getSession.mockReturnValue(null);
+    accountManager.update.mockReturnValueOnce({ id: 1, username: 'user', rotation_mode: 'round_robin' });
+
+    const res = await request(app, 'PUT', '/api/accounts/1', {
+      rotation_mode: 'round_robin',
+      rotation_interval: 30,
+    });
+
+    expect(res.status).toBe(200);
+    expect(accountManager.update).toHaveBeenCalledWith(
+      1,
+      expect.objectContaining({ rotation_mode: 'round_robin', rotation_interval: 30 }),
+    );
+  });
+
+  test('passes the conflict policy through', async () => {
+    steamService.getSession.mockReturnValue(null);
+    accountManager.update.mockReturnValueOnce({ id: 1, username: 'user', conflict_policy: 'kick' });
+
+    const res = await request(app, 'PUT', '/api/accounts/1', {
+      conflict_policy: 'kick',
+      conflict_grace: 15,
+    });
+
+    expect(res.status).toBe(200);
+    expect(accountManager.update).toHaveBeenCalledWith(
+      1,
+      expect.objectContaining({ conflict_policy: 'kick', conflict_grace: 15 }),
+    );
+  });
+
   test('returns 400 for invalid data (update throws)', async () => {
     accountManager.update.mockImplementation(() => {
       throw new Error('Invalid data');
@@ -634,6 +893,25 @@ describe('GET /api/accounts/:id/status', () => {
     expect(res.body.status).toBe('online');
   });
 
+  test('includes the next schedule transition', async () => {
+    accountManager.getById.mockReturnValue({ id: 1, username: 'acc', status: 'idling', last_error: null });
+    scheduler.getSchedule.mockReturnValueOnce({
+      enabled: true,
+      windows: [{ start_time: '02:00', end_time: '08:00', days: [1] }],
+      in_window: true,
+      next_transition: { at: '2025-01-06T08:00:00.000Z', action: 'stop' },
+    });
+
+    const res = await request(app, 'GET', '/api/accounts/1/status');
+
+    expect(res.status).toBe(200);
+    expect(res.body.schedule).toEqual({
+      enabled: true,
+      in_window: true,
+      next_transition: { at: '2025-01-06T08:00:00.000Z', action: 'stop' },
+    });
+  });
+
   test('returns 404 for non-existent account', async () => {
     accountManager.getById.mockReturnValue(undefined);
 
@@ -643,6 +921,57 @@ describe('GET /api/accounts/:id/status', () => {
   });
 });
 
+// ═══════════════════════════════════════════════════════════════════════════
+// Idle schedules
+// ═══════════════════════════════════════════════════════════════════════════
+
+describe('GET /api/accounts/:id/schedule', () => {
+  test('returns the schedule for an existing account', async () => {
+    accountManager.getById.mockReturnValue({ id: 1, username: 'acc' });
+
+    const res = await request(app, 'GET', '/api/accounts/1/schedule');
+
+    expect(res.status).toBe(200);
+    expect(res.body.enabled).toBe(false);
+    expect(scheduler.getSchedule).toHaveBeenCalledWith(1);
+  });
+
+  test('returns 404 for non-existent account', async () => {
+    const res = await request(app, 'GET', '/api/accounts/999/schedule');
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('PUT /api/accounts/:id/schedule', () => {
+  test('saves the schedule', async () => {
+    accountManager.getById.mockReturnValue({ id: 1, username: 'acc' });
+    const windows = [{ start_time: '02:00', end_time: '08:00', days: [1, 2, 3, 4, 5] }];
+    scheduler.setSchedule.mockReturnValueOnce({ enabled: true, windows });
+
+    const res = await request(app, 'PUT', '/api/accounts/1/schedule', { enabled: true, windows });
+
+    expect(res.status).toBe(200);
+    expect(res.body.success).toBe(true);
+    expect(scheduler.setSchedule).toHaveBeenCalledWith(1, { enabled: true, windows });
+  });
+
+  test('returns 400 when validation fails', async () => {
+    accountManager.getById.mockReturnValue({ id: 1, username: 'acc' });
+    scheduler.setSchedule.mockImplementationOnce(() => {
+      throw new Error('Window 1: times must use HH:MM format');
+    });
+
+    const res = await request(app, 'PUT', '/api/accounts/1/schedule', {
+      enabled: true,
+      windows: [{ start_time: '25:00', end_time: '08:00', days: [1] }],
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/HH:MM/);
+  });
+});
+
 // ═══════════════════════════════════════════════════════════════════════════
 // Account parameter validation
 // ═══════════════════════════════════════════════════════════════════════════
@@ -693,6 +1022,18 @@ describe('GET /api/accounts/:id/games', () => {
     expect(res.body[0].app_id).toBe(730);
   });
 
+  test('lists custom titles after Steam games', async () => {
+    accountManager.getById.mockReturnValueOnce({
+      id: 1,
+      games: [{ app_id: 730 }],
+      custom_games: [{ id: 4, account_id: 1, title: 'Hello World' }],
+    });
+
+    const res = await request(app, 'GET', '/api/accounts/1/games');
+
+    expect(res.body).toEqual([{ app_id: 730 }, { id: 4, title: 'Hello World', custom: true }]);
+  });
+
   test('returns 404 for non-existent account', async () => {
     accountManager.getById.mockReturnValue(undefined);
 
@@ -713,6 +1054,38 @@ describe('POST /api/accounts/:id/games', () => {
     expect(res.status).toBe(201);
     expect(res.body.success).toBe(true);
     expect(accountManager.addGame).toHaveBeenCalledWith(1, 730, 'Counter-Strike 2');
+    expect(res.body.owned).toBeNull();
+  });
+
+  test('reports whether the account owns the added game', async () => {
+    ownershipService.validate.mockResolvedValueOnce({
+      owned: [], unowned: [730], unknown: [], granted: [], source: 'client',
+    });
+
+    const res = await request(app, 'POST', '/api/accounts/1/games', { app_id: 730 });
+
+    expect(res.status).toBe(201);
+    expect(res.body.owned).toBe(false);
+  });
+
+  test('adds a custom title', async () => {
+    const res = await request(app, 'POST', '/api/accounts/1/games', { title: 'Hello World' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.title).toBe('Hello World');
+    expect(accountManager.addCustomGame).toHaveBeenCalledWith(1, 'Hello World');
+    expect(accountManager.addGame).not.toHaveBeenCalled();
+  });
+
+  test('returns 400 when the custom title is rejected', async () => {
+    accountManager.addCustomGame.mockImplementationOnce(() => {
+      throw new Error('Maximum 32 games per account, custom titles included');
+    });
+
+    const res = await request(app, 'POST', '/api/accounts/1/games', { title: 'One too many' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/custom titles included/);
   });
 
   test('returns 400 when app_id is missing', async () => {
@@ -753,6 +1126,165 @@ describe('POST /api/accounts/:id/games', () => {
   });
 });
 
+describe('Humanize routes', () => {
+  test('PUT /api/accounts/:id/humanize saves the profile', async () => {
+    accountManager.getById.mockReturnValueOnce({ id: 1, games: [] });
+
+    const res = await request(app, 'PUT', '/api/accounts/1/humanize', { enabled: true, profile: { session_min: 30 } });
+
+    expect(res.status).toBe(200);
+    expect(humanizer.setProfile).toHaveBeenCalledWith(1, { enabled: true, profile: { session_min: 30 } });
+  });
+
+  test('PUT /api/accounts/:id/humanize returns 400 for an invalid profile', async () => {
+    accountManager.getById.mockReturnValueOnce({ id: 1, games: [] });
+    humanizer.setProfile.mockImplementationOnce(() => { throw new Error('away_chance must be between 0 and 100'); });
+
+    const res = await request(app, 'PUT', '/api/accounts/1/humanize', { enabled: true, profile: { away_chance: 200 } });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('away_chance must be between 0 and 100');
+  });
+});
+
+describe('Persona routes', () => {
+  test('GET /api/accounts/:id/persona returns 404 for a missing account', async () => {
+    accountManager.getById.mockReturnValueOnce(null);
+
+    const res = await request(app, 'GET', '/api/accounts/9/persona');
+
+    expect(res.status).toBe(404);
+  });
+
+  test('PUT /api/accounts/:id/persona saves state, name and schedule', async () => {
+    accountManager.getById.mockReturnValueOnce({ id: 1, games: [] });
+    const schedule = [{ start_time: '18:00', end_time: '23:00', days: [5, 6], state: 6 }];
+
+    const res = await request(app, 'PUT', '/api/accounts/1/persona', { persona_state: 2, persona_name: 'Idler', schedule });
+
+    expect(res.status).toBe(200);
+    expect(personaManager.setPersona).toHaveBeenCalledWith(1, { persona_state: 2, persona_name: 'Idler', schedule });
+    expect(res.body.persona.current_state).toBe(6);
+  });
+
+  test('PUT /api/accounts/:id/persona returns 400 for an invalid state', async () => {
+    accountManager.getById.mockReturnValueOnce({ id: 1, games: [] });
+    personaManager.setPersona.mockImplementationOnce(() => { throw new Error('persona_state must be one of: 1, 2, 3, 4, 5, 6, 7'); });
+
+    const res = await request(app, 'PUT', '/api/accounts/1/persona', { persona_state: 9 });
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('GET /api/events', () => {
+  test('rejects an invalid account filter before opening the stream', async () => {
+    const res = await request(app, 'GET', '/api/events?account_id=abc');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid account ID');
+  });
+});
+
+describe('Card farming routes', () => {
+  test('GET /api/accounts/:id/cards returns farming status', async () => {
+    accountManager.getById.mockReturnValueOnce({ id: 1, games: [] });
+
+    const res = await request(app, 'GET', '/api/accounts/1/cards');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ farming: null, total_drops: 0, recent_drops: [] });
+  });
+
+  test('POST /api/accounts/:id/cards/farm starts farming in the given mode', async () => {
+    accountManager.getById.mockReturnValueOnce({ id: 1, games: [] });
+
+    const res = await request(app, 'POST', '/api/accounts/1/cards/farm', { mode: 'batch' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.success).toBe(true);
+    expect(cardFarmer.startFarming).toHaveBeenCalledWith(1, 'batch');
+  });
+
+  test('POST /api/accounts/:id/cards/farm returns 400 when nothing can be farmed', async () => {
+    accountManager.getById.mockReturnValueOnce({ id: 1, games: [] });
+    cardFarmer.startFarming.mockRejectedValueOnce(new Error('No card drops remaining'));
+
+    const res = await request(app, 'POST', '/api/accounts/1/cards/farm');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('No card drops remaining');
+  });
+
+  test('returns 404 for an unknown account', async () => {
+    const res = await request(app, 'GET', '/api/accounts/99/cards');
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('Key redemption routes', () => {
+  test('GET /api/keys filters the history by status', async () => {
+    const res = await request(app, 'GET', '/api/keys?status=duplicate&account_id=2');
+
+    expect(res.status).toBe(200);
+    expect(keyRedeemer.getHistory).toHaveBeenCalledWith({ accountId: 2, status: 'duplicate', limit: 200 });
+  });
+
+  test('GET /api/keys rejects an unknown status', async () => {
+    const res = await request(app, 'GET', '/api/keys?status=bogus');
+
+    expect(res.status).toBe(400);
+  });
+
+  test('POST /api/keys queues keys on the selected accounts', async () => {
+    const res = await request(app, 'POST', '/api/keys', {
+      keys: 'AAAAA-BBBBB-CCCCC', account_ids: [1, '2'], add_games: true,
+    });
+
+    expect(res.status).toBe(200);
+    expect(keyRedeemer.enqueue).toHaveBeenCalledWith('AAAAA-BBBBB-CCCCC', [1, 2], { addGames: true });
+  });
+
+  test('POST /api/keys spreads keys over all accounts when none are selected', async () => {
+    accountManager.getAll.mockReturnValueOnce([{ id: 1 }, { id: 3 }]);
+
+    await request(app, 'POST', '/api/keys', { keys: ['AAAAA-BBBBB-CCCCC', 'DDDDD-EEEEE-FFFFF'] });
+
+    expect(keyRedeemer.enqueue).toHaveBeenCalledWith('AAAAA-BBBBB-CCCCC\nDDDDD-EEEEE-FFFFF', [1, 3], { addGames: false });
+  });
+
+  test('DELETE /api/keys/:id returns 400 for redeemed keys', async () => {
+    keyRedeemer.cancel.mockImplementationOnce(() => { throw new Error('Only pending keys can be removed'); });
+
+    const res = await request(app, 'DELETE', '/api/keys/5');
+
+    expect(res.status).toBe(400);
+    expect(keyRedeemer.cancel).toHaveBeenCalledWith(5);
+  });
+});
+
+describe('POST /api/accounts/:id/games/validate', () => {
+  test('checks every game of the account', async () => {
+    accountManager.getById.mockReturnValueOnce({ id: 1, games: [{ app_id: 730 }, { app_id: 440 }] });
+    ownershipService.validate.mockResolvedValueOnce({
+      owned: [730], unowned: [440], unknown: [], granted: [], source: 'cache',
+    });
+
+    const res = await request(app, 'POST', '/api/accounts/1/games/validate');
+
+    expect(res.status).toBe(200);
+    expect(res.body.unowned).toEqual([440]);
+    expect(ownershipService.validate.mock.calls[0].slice(0, 2)).toEqual([1, [730, 440]]);
+  });
+
+  test('returns 404 for an unknown account', async () => {
+    const res = await request(app, 'POST', '/api/accounts/99/games/validate');
+
+    expect(res.status).toBe(404);
+  });
+});
+
 describe('DELETE /api/accounts/:id/games/:appId', () => {
   test('removes a game', async () => {
     const res = await request(app, 'DELETE', '/api/accounts/1/games/730');
@@ -768,6 +1300,23 @@ describe('DELETE /api/accounts/:id/games/:appId', () => {
     expect(res.status).toBe(400);
     expect(res.body.error).toMatch(/invalid/i);
   });
+
+  test('removes a custom title', async () => {
+    const res = await request(app, 'DELETE', '/api/accounts/1/games/custom/4');
+
+    expect(res.status).toBe(200);
+    expect(accountManager.removeCustomGame).toHaveBeenCalledWith(1, 4);
+  });
+
+  test('returns 404 for an unknown custom title', async () => {
+    accountManager.removeCustomGame.mockImplementationOnce(() => {
+      throw new Error('Custom title not found');
+    });
+
+    const res = await request(app, 'DELETE', '/api/accounts/1/games/custom/99');
+
+    expect(res.status).toBe(404);
+  });
 });
 
 describe('PUT /api/accounts/:id/games', () => {
@@ -794,6 +1343,373 @@ describe('PUT /api/accounts/:id/games', () => {
   });
 });
 
+describe('Game auto-selection routes', () => {
+  const selection = { strategy: 'least_played', count: 10, max_hours: null, include: [], exclude: [] };
+
+  test('GET returns the stored selection with a preview', async () => {
+    accountManager.getById.mockReturnValueOnce({ id: 1, games: [] });
+    gameSelector.getSelection.mockReturnValueOnce(selection);
+    gameSelector.preview.mockReturnValueOnce({ games: [{ app_id: 730 }], added: [730], removed: [], library_size: 5 });
+
+    const res = await request(app, 'GET', '/api/accounts/1/games/auto');
+
+    expect(res.status).toBe(200);
+    expect(res.body.selection).toEqual(selection);
+    expect(res.body.preview.added).toEqual([730]);
+  });
+
+  test('preview rejects invalid selections', async () => {
+    gameSelector.preview.mockImplementationOnce(() => {
+      throw new Error('strategy must be one of: least_played, most_played, under_hours, list');
+    });
+
+    const res = await request(app, 'POST', '/api/accounts/1/games/auto/preview', { strategy: 'random' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/strategy/);
+  });
+
+  test('PUT saves the selection and requires the field', async () => {
+    gameSelector.setSelection.mockReturnValueOnce({ selection, games: [730, 440] });
+
+    const res = await request(app, 'PUT', '/api/accounts/1/games/auto', { selection });
+    const missing = await request(app, 'PUT', '/api/accounts/1/games/auto', {});
+
+    expect(res.status).toBe(200);
+    expect(gameSelector.setSelection).toHaveBeenCalledWith(1, selection);
+    expect(missing.status).toBe(400);
+  });
+});
+
+describe('API token routes', () => {
+  test('creates a token for the session user', async () => {
+    apiTokens.create.mockReturnValueOnce({ id: 4, name: 'cron', scope: 'control', expires_at: null, token: 'hb_secret' });
+
+    const res = await request(app, 'POST', '/api/tokens', { name: 'cron', scope: 'control' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.token).toBe('hb_secret');
+    expect(apiTokens.create).toHaveBeenCalledWith(1, { name: 'cron', scope: 'control' });
+  });
+
+  test('returns 400 for invalid tokens and 404 for unknown ones on revoke', async () => {
+    apiTokens.create.mockImplementationOnce(() => { throw new Error('Token name is required'); });
+    apiTokens.revoke.mockImplementationOnce(() => { throw new Error('Token not found'); });
+
+    const created = await request(app, 'POST', '/api/tokens', {});
+    const revoked = await request(app, 'DELETE', '/api/tokens/9');
+
+    expect(created.status).toBe(400);
+    expect(revoked.status).toBe(404);
+    expect(apiTokens.revoke).toHaveBeenCalledWith(1, 9);
+  });
+
+  test('refuses requests authenticated by an API token', async () => {
+    const tokenApp = express();
+    tokenApp.use((req, res, next) => {
+      req.apiToken = { id: 1, scope: 'admin', user_id: 1 };
+      next();
+    });
+    tokenApp.use(require('../src/routes/tokens'));
+
+    const res = await request(tokenApp, 'GET', '/api/tokens');
+
+    expect(res.status).toBe(403);
+    expect(apiTokens.list).not.toHaveBeenCalled();
+  });
+});
+
+describe('Two-factor routes', () => {
+  test('enrolls the session user and returns recovery codes once', async () => {
+    twoFactor.setup.mockReturnValueOnce({ secret: 'ABC', otpauth_url: 'otpauth://totp/x' });
+    twoFactor.enable.mockReturnValueOnce(['aaaaa-bbbbb']);
+
+    const setup = await request(app, 'POST', '/api/2fa/setup');
+    const enabled = await request(app, 'POST', '/api/2fa/enable', { code: '123456' });
+
+    expect(setup.body).toEqual({ success: true, secret: 'ABC', otpauth_url: 'otpauth://totp/x' });
+    expect(enabled.body.recovery_codes).toEqual(['aaaaa-bbbbb']);
+    expect(twoFactor.enable).toHaveBeenCalledWith(1, '123456');
+  });
+
+  test('returns 400 for a wrong code or password', async () => {
+    twoFactor.enable.mockImplementationOnce(() => { throw new Error('Invalid code, check the time on your device'); });
+    twoFactor.disable.mockRejectedValueOnce(new Error('Password is incorrect'));
+
+    const enabled = await request(app, 'POST', '/api/2fa/enable', { code: '000000' });
+    const disabled = await request(app, 'POST', '/api/2fa/disable', { password: 'wrong' });
+
+    expect(enabled.status).toBe(400);
+    expect(disabled.status).toBe(400);
+    expect(disabled.body.error).toBe('Password is incorrect');
+  });
+});
+
+describe('Audit routes', () => {
+  test('GET /api/audit passes the filters through', async () => {
+    auditLog.search.mockReturnValueOnce([{ id: 1, method: 'POST', route: '/api/reset' }]);
+
+    const res = await request(app, 'GET', '/api/audit?user=ops&account_id=3&outcome=denied&method=post&route=start&from=2026-01-01&limit=5000');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ entries: [{ id: 1, method: 'POST', route: '/api/reset' }], retention_days: 365 });
+    expect(auditLog.search).toHaveBeenCalledWith({
+      username: 'ops', accountId: 3, outcome: 'denied', method: 'POST', route: 'start', from: '2026-01-01', to: null, limit: 1000,
+    });
+  });
+
+  test('rejects invalid filters', async () => {
+    const outcome = await request(app, 'GET', '/api/audit?outcome=maybe');
+    const date = await request(app, 'GET', '/api/audit/export?from=yesterday');
+
+    expect(outcome.status).toBe(400);
+    expect(date.status).toBe(400);
+    expect(auditLog.search).not.toHaveBeenCalled();
+  });
+
+  test('GET /api/audit/export returns CSV', async () => {
+    const res = await request(app, 'GET', '/api/audit/export?method=DELETE');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toBe('timestamp\r\n');
+    expect(auditLog.search).toHaveBeenCalledWith(expect.objectContaining({ method: 'DELETE', limit: 50000 }));
+  });
+});
+
+describe('User routes', () => {
+  test('GET /api/me returns the signed-in user', async () => {
+    const res = await request(app, 'GET', '/api/me');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual(ADMIN_USER);
+  });
+
+  test('POST /api/users creates a user and reports validation errors', async () => {
+    userManager.create.mockResolvedValueOnce({ id: 2, username: 'ops', role: 'operator', account_ids: [1] });
+    userManager.create.mockRejectedValueOnce(new Error('Username already exists'));
+    const body = { username: 'ops', password: 'secret1', role: 'operator', account_ids: [1] };
+
+    const created = await request(app, 'POST', '/api/users', body);
+    const duplicate = await request(app, 'POST', '/api/users', body);
+
+    expect(created.status).toBe(200);
+    expect(created.body.user.role).toBe('operator');
+    expect(duplicate.status).toBe(400);
+  });
+
+  test('PUT and DELETE return 404 for unknown users', async () => {
+    db.users.findById.mockReturnValue(undefined);
+
+    const updated = await request(app, 'PUT', '/api/users/9', { role: 'viewer' });
+    const deleted = await request(app, 'DELETE', '/api/users/9');
+
+    expect(updated.status).toBe(404);
+    expect(deleted.status).toBe(404);
+    expect(userManager.remove).not.toHaveBeenCalled();
+  });
+
+  test('restricted users only see and stop their own accounts', async () => {
+    currentUser = { id: 2, username: 'ops', role: 'operator', account_ids: [2] };
+    accountManager.getAll.mockReturnValue([
+      { id: 1, username: 'one', games: [] },
+      { id: 2, username: 'two', games: [] },
+    ]);
+
+    const list = await request(app, 'GET', '/api/accounts');
+    await request(app, 'POST', '/api/accounts/stop-all');
+
+    expect(list.body.map(a => a.id)).toEqual([2]);
+    expect(steamService.stopAll).toHaveBeenCalledWith([2]);
+  });
+});
+
+describe('GET /api/accounts/:id/targets', () => {
+  test('returns hour target progress', async () => {
+    accountManager.getById.mockReturnValueOnce({ id: 1, games: [] });
+    hourTargets.getProgress.mockReturnValueOnce([
+      { app_id: 730, target_hours: 100, played_hours: 42.5, target_reached_at: null },
+    ]);
+
+    const res = await request(app, 'GET', '/api/accounts/1/targets');
+
+    expect(res.status).toBe(200);
+    expect(res.body[0].played_hours).toBe(42.5);
+  });
+
+  test('returns 404 for unknown accounts', async () => {
+    accountManager.getById.mockReturnValueOnce(null);
+
+    const res = await request(app, 'GET', '/api/accounts/99/targets');
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('PUT /api/accounts/:id/games/:appId/target', () => {
+  test('sets a target', async () => {
+    const res = await request(app, 'PUT', '/api/accounts/1/games/730/target', { target_hours: 100 });
+
+    expect(res.status).toBe(200);
+    expect(hourTargets.setTarget).toHaveBeenCalledWith(1, 730, 100);
+  });
+
+  test('requires target_hours', async () => {
+    const res = await request(app, 'PUT', '/api/accounts/1/games/730/target', {});
+
+    expect(res.status).toBe(400);
+    expect(hourTargets.setTarget).not.toHaveBeenCalled();
+  });
+
+  test('returns 400 when the target is rejected', async () => {
+    hourTargets.setTarget.mockImplementationOnce(() => {
+      throw new Error('target_hours must be a positive number');
+    });
+
+    const res = await request(app, 'PUT', '/api/accounts/1/games/730/target', { target_hours: -1 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/positive/);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Steam Guard
+// ═══════════════════════════════════════════════════════════════════════════
+
+describe('Steam Guard code routes', () => {
+  test('GET /api/accounts/:id/steam-guard reports a pending request', async () => {
+    steamService.getStatus.mockReturnValueOnce({
+      isLoggedIn: false,
+      steamGuard: { domain: 'gmail.com', lastCodeWrong: false, expiresAt: '2025-01-01T00:05:00.000Z' },
+    });
+
+    const res = await request(app, 'GET', '/api/accounts/1/steam-guard');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({
+      pending: true, domain: 'gmail.com', lastCodeWrong: false, expiresAt: '2025-01-01T00:05:00.000Z',
+    });
+  });
+
+  test('GET /api/accounts/:id/steam-guard reports no request', async () => {
+    const res = await request(app, 'GET', '/api/accounts/1/steam-guard');
+
+    expect(res.body).toEqual({ pending: false });
+  });
+
+  test('POST /api/accounts/:id/steam-guard submits the code', async () => {
+    const res = await request(app, 'POST', '/api/accounts/1/steam-guard', { code: 'AB12C' });
+
+    expect(res.status).toBe(200);
+    expect(steamService.submitGuardCode).toHaveBeenCalledWith(1, 'AB12C');
+  });
+
+  test('POST /api/accounts/:id/steam-guard returns 400 without a pending request', async () => {
+    steamService.submitGuardCode.mockImplementationOnce(() => {
+      throw new Error('No Steam Guard code requested for this account');
+    });
+
+    const res = await request(app, 'POST', '/api/accounts/1/steam-guard', { code: 'AB12C' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/No Steam Guard code/);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Proxies
+// ═══════════════════════════════════════════════════════════════════════════
+
+describe('Proxy pool routes', () => {
+  test('POST /api/proxies adds a proxy', async () => {
+    const res = await request(app, 'POST', '/api/proxies', { type: 'socks5', host: '10.0.0.1', port: 1080 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.id).toBe(1);
+    expect(proxyService.add).toHaveBeenCalledWith({ type: 'socks5', host: '10.0.0.1', port: 1080 });
+  });
+
+  test('POST /api/proxies returns 400 for invalid settings', async () => {
+    proxyService.add.mockImplementationOnce(() => {
+      throw new Error('Proxy port must be between 1 and 65535');
+    });
+
+    const res = await request(app, 'POST', '/api/proxies', { type: 'http', host: 'proxy', port: 0 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/port/);
+  });
+
+  test('POST /api/proxies/assign passes the overwrite flag', async () => {
+    proxyService.assignRoundRobin.mockReturnValueOnce(3);
+
+    const res = await request(app, 'POST', '/api/proxies/assign', { overwrite: true });
+
+    expect(res.status).toBe(200);
+    expect(res.body.assigned).toBe(3);
+    expect(proxyService.assignRoundRobin).toHaveBeenCalledWith({ overwrite: true });
+  });
+
+  test('POST /api/proxies/:id/test returns 404 for unknown proxies', async () => {
+    proxyService.getPoolProxy.mockReturnValueOnce(null);
+
+    const res = await request(app, 'POST', '/api/proxies/5/test');
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('Account proxy routes', () => {
+  test('PUT /api/accounts/:id/proxy saves settings', async () => {
+    accountManager.getById.mockReturnValueOnce({ id: 1, games: [] });
+    proxyService.setAccountProxy.mockReturnValueOnce({ mode: 'pool', proxy_id: 2 });
+
+    const res = await request(app, 'PUT', '/api/accounts/1/proxy', { mode: 'pool', proxy_id: 2 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.proxy.mode).toBe('pool');
+    expect(proxyService.setAccountProxy).toHaveBeenCalledWith(1, { mode: 'pool', proxy_id: 2 });
+  });
+
+  test('POST /api/accounts/:id/proxy/test reuses the saved password for custom settings', async () => {
+    db.accounts.findById.mockReturnValueOnce({ id: 1, proxy_host: '10.0.0.1' });
+    proxyService.getForAccount.mockReturnValueOnce({ type: 'http', host: '10.0.0.1', port: 8080, password: 'saved' });
+    proxyService.test.mockResolvedValueOnce({ ok: true, latency: 120 });
+
+    const res = await request(app, 'POST', '/api/accounts/1/proxy/test', {
+      mode: 'custom', type: 'http', host: '10.0.0.2', port: 3128, username: 'user', password: '',
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.latency).toBe(120);
+    expect(proxyService.test).toHaveBeenCalledWith(expect.objectContaining({ host: '10.0.0.2', password: 'saved' }));
+  });
+
+  test('only admins can save or test custom proxy settings', async () => {
+    currentUser = { id: 2, username: 'ops', role: 'operator', account_ids: null };
+    db.accounts.findById.mockReturnValue({ id: 1 });
+    accountManager.getById.mockReturnValue({ id: 1 });
+    const custom = { mode: 'custom', type: 'socks5', host: '192.168.1.1', port: 22 };
+
+    const tested = await request(app, 'POST', '/api/accounts/1/proxy/test', custom);
+    const saved = await request(app, 'PUT', '/api/accounts/1/proxy', custom);
+
+    expect(tested.status).toBe(403);
+    expect(saved.status).toBe(403);
+    expect(proxyService.test).not.toHaveBeenCalled();
+    expect(proxyService.setAccountProxy).not.toHaveBeenCalled();
+  });
+
+  test('POST /api/accounts/:id/proxy/test returns 400 without a proxy', async () => {
+    db.accounts.findById.mockReturnValueOnce({ id: 1 });
+
+    const res = await request(app, 'POST', '/api/accounts/1/proxy/test', {});
+
+    expect(res.status).toBe(400);
+    expect(proxyService.test).not.toHaveBeenCalled();
+  });
+});
+
 // ═══════════════════════════════════════════════════════════════════════════
 // Common games
 // ═══════════════════════════════════════════════════════════════════════════
@@ -883,6 +1799,88 @@ describe('PUT /api/settings', () => {
     // Other settings should not have been touched
     expect(db.settings.set).toHaveBeenCalledTimes(1);
   });
+
+  test('saves login queue limits', async () => {
+    const res = await request(app, 'PUT', '/api/settings', {
+      login_max_concurrent: 4,
+      login_min_spacing: 10000,
+    });
+
+    expect(res.status).toBe(200);
+    expect(db.settings.set).toHaveBeenCalledWith('login_max_concurrent', 4);
+    expect(db.settings.set).toHaveBeenCalledWith('login_min_spacing', 10000);
+  });
+
+  test('saves the audit retention and rejects out of range values', async () => {
+    const saved = await request(app, 'PUT', '/api/settings', { audit_retention_days: 0 });
+    const rejected = await request(app, 'PUT', '/api/settings', { audit_retention_days: 5000 });
+    const tooShort = await request(app, 'PUT', '/api/settings', { audit_retention_days: 1 });
+
+    expect(saved.status).toBe(200);
+    expect(rejected.status).toBe(400);
+    expect(tooShort.status).toBe(400);
+    expect(db.settings.set).toHaveBeenCalledTimes(1);
+    expect(db.settings.set).toHaveBeenCalledWith('audit_retention_days', 0);
+  });
+
+  test('saves nothing when a later field is invalid', async () => {
+    const res = await request(app, 'PUT', '/api/settings', { login_max_concurrent: 4, auto_start: 'false', ban_action: 'explode' });
+
+    expect(res.status).toBe(400);
+    expect(db.settings.set).not.toHaveBeenCalled();
+  });
+
+  test('saves all fields in one batch', async () => {
+    const res = await request(app, 'PUT', '/api/settings', { login_max_concurrent: 4, auto_start: 'false' });
+
+    expect(res.status).toBe(200);
+    expect(db.batch).toHaveBeenCalledTimes(1);
+    expect(db.settings.set).toHaveBeenCalledWith('login_max_concurrent', 4);
+    expect(db.settings.set).toHaveBeenCalledWith('auto_start', 'false');
+  });
+
+  test('rejects invalid login queue limits', async () => {
+    const res = await request(app, 'PUT', '/api/settings', { login_max_concurrent: 0 });
+
+    expect(res.status).toBe(400);
+    expect(db.settings.set).not.toHaveBeenCalled();
+  });
+
+  test('saves the chat auto-reply', async () => {
+    const res = await request(app, 'PUT', '/api/settings', {
+      chat_auto_reply: 'Away, {friend}',
+      chat_auto_reply_cooldown: 30,
+    });
+
+    expect(res.status).toBe(200);
+    expect(db.settings.set).toHaveBeenCalledWith('chat_auto_reply', 'Away, {friend}');
+    expect(db.settings.set).toHaveBeenCalledWith('chat_auto_reply_cooldown', 30);
+  });
+
+  test('rejects an overlong auto-reply', async () => {
+    const res = await request(app, 'PUT', '/api/settings', { chat_auto_reply: 'x'.repeat(501) });
+
+    expect(res.status).toBe(400);
+    expect(db.settings.set).not.toHaveBeenCalled();
+  });
+
+  test('validates the ban action', async () => {
+    const bad = await request(app, 'PUT', '/api/settings', { ban_action: 'explode' });
+    expect(bad.status).toBe(400);
+
+    const res = await request(app, 'PUT', '/api/settings', { ban_action: 'stop_proxy' });
+    expect(res.status).toBe(200);
+    expect(db.settings.set).toHaveBeenCalledWith('ban_action', 'stop_proxy');
+  });
+
+  test('validates the idle cap', async () => {
+    const bad = await request(app, 'PUT', '/api/settings', { max_idling_accounts: -1 });
+    expect(bad.status).toBe(400);
+
+    const res = await request(app, 'PUT', '/api/settings', { max_idling_accounts: 5 });
+    expect(res.status).toBe(200);
+    expect(db.settings.set).toHaveBeenCalledWith('max_idling_accounts', 5);
+  });
 });
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -967,6 +1965,17 @@ describe('GET /api/accounts/search', () => {
     expect(res.body[0]).not.toHaveProperty('password');
     expect(res.body[0].shared_secret).toBe(true);
   });
+
+  test('passes account info filters through', async () => {
+    accountManager.search.mockReturnValue([
+      { id: 2, username: 'limited', password: 'pw', limited_account: 1, locked_account: 0, email_verified: 0, games: [] },
+    ]);
+
+    const res = await request(app, 'GET', '/api/accounts/search?limited=true&emailVerified=false');
+
+    expect(accountManager.search).toHaveBeenCalledWith(expect.objectContaining({ limited: 'true', emailVerified: 'false' }));
+    expect(res.body[0]).toMatchObject({ limited_account: 1, email_verified: 0 });
+  });
 });
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -1200,5 +2209,34 @@ describe('POST /api/reset', () => {
     expect(res.body.success).toBe(true);
     expect(steamService.logoutAll).toHaveBeenCalled();
     expect(db.logs.cleanup).toHaveBeenCalledWith(0);
+    expect(db.accounts.delete).toHaveBeenCalledTimes(2);
+  });
+
+  test('removes other users, every API token and other sessions but keeps the caller', async () => {
+    db.proxies.findAll.mockReturnValueOnce([{ id: 3 }]);
+
+    await request(app, 'POST', '/api/reset');
+
+    expect(db.proxies.delete).toHaveBeenCalledWith(3);
+    expect(db.users.deleteAllExcept).toHaveBeenCalledWith(1);
+    expect(db.apiTokens.deleteAll).toHaveBeenCalled();
+    expect(db.webSessions.destroyOthers).toHaveBeenCalled();
+    expect(db.batch).toHaveBeenCalled();
+  });
+
+  test('refuses requests authenticated by an API token', async () => {
+    const tokenApp = express();
+    tokenApp.use((req, res, next) => {
+      req.user = ADMIN_USER;
+      req.apiToken = { id: 1, scope: 'admin', user_id: 1 };
+      next();
+    });
+    tokenApp.use(require('../src/routes/settings'));
+
+    const res = await request(tokenApp, 'POST', '/api/reset');
+
+    expect(res.status).toBe(403);
+    expect(steamService.logoutAll).not.toHaveBeenCalled();
+    expect(db.users.deleteAllExcept).not.toHaveBeenCalled();
   });
 });
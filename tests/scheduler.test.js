@@ -0,0 +1,259 @@
+// ---------------------------------------------------------------------------
+// Mock: database
+// ---------------------------------------------------------------------------
+jest.mock('../src/models/database', () => ({
+  accounts: {
+    findAll: jest.fn(() => []),
+    findById: jest.fn(),
+    update: jest.fn(),
+  },
+  schedules: {
+    getByAccount: jest.fn(() => []),
+    getAllGrouped: jest.fn(() => ({})),
+    setWindows: jest.fn(),
+  },
+}));
+
+// ---------------------------------------------------------------------------
+// Mock: logger
+// ---------------------------------------------------------------------------
+jest.mock('../src/services/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+// ---------------------------------------------------------------------------
+// Mock: steamService
+// ---------------------------------------------------------------------------
+jest.mock('../src/services/steamService', () => ({
+  startIdling: jest.fn(async () => ({})),
+  stopIdling: jest.fn(),
+  getStatus: jest.fn(() => ({ isLoggedIn: false, isIdling: false, currentGames: [] })),
+}));
+
+// ---------------------------------------------------------------------------
+// Mock: auth middleware
+// ---------------------------------------------------------------------------
+jest.mock('../src/middleware/auth', () => ({
+  getEncryptionKey: jest.fn(() => Buffer.alloc(32)),
+}));
+
+const db = require('../src/models/database');
+const steamService = require('../src/services/steamService');
+const { getEncryptionKey } = require('../src/middleware/auth');
+const scheduler = require('../src/services/scheduler');
+const { isWithinWindows, getNextTransition, normalizeWindows } = scheduler;
+
+// Monday 2025-01-06 in server local time
+function at(day, hours, minutes = 0) {
+  return new Date(2025, 0, 6 + day, hours, minutes);
+}
+
+const WEEKDAY_NIGHTS = [{ start_time: '02:00', end_time: '08:00', days: [1, 2, 3, 4, 5] }];
+const WEEKENDS = [{ start_time: '00:00', end_time: '00:00', days: [0, 6] }];
+const LATE_FRIDAY = [{ start_time: '22:00', end_time: '06:00', days: [5] }];
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  scheduler.lastState.clear();
+  db.accounts.findAll.mockReturnValue([]);
+  db.schedules.getAllGrouped.mockReturnValue({});
+  getEncryptionKey.mockReturnValue(Buffer.alloc(32));
+  steamService.getStatus.mockReturnValue({ isLoggedIn: false, isIdling: false, currentGames: [] });
+});
+
+// ── isWithinWindows ─────────────────────────────────────────
+
+describe('isWithinWindows', () => {
+  test('matches times inside a same-day window', () => {
+    expect(isWithinWindows(WEEKDAY_NIGHTS, at(0, 2))).toBe(true);
+    expect(isWithinWindows(WEEKDAY_NIGHTS, at(0, 7, 59))).toBe(true);
+  });
+
+  test('treats the end time as exclusive', () => {
+    expect(isWithinWindows(WEEKDAY_NIGHTS, at(0, 8))).toBe(false);
+    expect(isWithinWindows(WEEKDAY_NIGHTS, at(0, 1, 59))).toBe(false);
+  });
+
+  test('ignores days that are not selected', () => {
+    // Saturday
+    expect(isWithinWindows(WEEKDAY_NIGHTS, at(5, 3))).toBe(false);
+  });
+
+  test('treats equal start and end as the whole day', () => {
+    expect(isWithinWindows(WEEKENDS, at(5, 0))).toBe(true);
+    expect(isWithinWindows(WEEKENDS, at(6, 23, 59))).toBe(true);
+    expect(isWithinWindows(WEEKENDS, at(0, 12))).toBe(false);
+  });
+
+  test('continues a window past midnight into the next day', () => {
+    expect(isWithinWindows(LATE_FRIDAY, at(4, 23))).toBe(true);
+    expect(isWithinWindows(LATE_FRIDAY, at(5, 5, 59))).toBe(true);
+    expect(isWithinWindows(LATE_FRIDAY, at(5, 6))).toBe(false);
+    expect(isWithinWindows(LATE_FRIDAY, at(4, 21, 59))).toBe(false);
+  });
+
+  test('returns false with no windows', () => {
+    expect(isWithinWindows([], at(0, 12))).toBe(false);
+  });
+});
+
+// ── getNextTransition ───────────────────────────────────────
+
+describe('getNextTransition', () => {
+  test('returns the window start when outside a window', () => {
+    const next = getNextTransition(WEEKDAY_NIGHTS, at(0, 12));
+
+    expect(next.action).toBe('start');
+    expect(next.at).toEqual(at(1, 2));
+  });
+
+  test('returns the window end when inside a window', () => {
+    const next = getNextTransition(WEEKDAY_NIGHTS, at(0, 3));
+
+    expect(next.action).toBe('stop');
+    expect(next.at).toEqual(at(0, 8));
+  });
+
+  test('skips boundaries between adjacent windows', () => {
+    const windows = [...WEEKDAY_NIGHTS, { start_time: '08:00', end_time: '10:00', days: [1] }];
+    const next = getNextTransition(windows, at(0, 3));
+
+    expect(next).toEqual({ at: at(0, 10), action: 'stop' });
+  });
+
+  test('finds the next week when the only window has passed', () => {
+    const windows = [{ start_time: '02:00', end_time: '08:00', days: [1] }];
+    const next = getNextTransition(windows, at(0, 9));
+
+    expect(next).toEqual({ at: at(7, 2), action: 'start' });
+  });
+
+  test('returns null when the schedule never changes', () => {
+    const always = [{ start_time: '00:00', end_time: '00:00', days: [0, 1, 2, 3, 4, 5, 6] }];
+
+    expect(getNextTransition(always, at(0, 12))).toBeNull();
+    expect(getNextTransition([], at(0, 12))).toBeNull();
+  });
+});
+
+// ── normalizeWindows ────────────────────────────────────────
+
+describe('normalizeWindows', () => {
+  test('deduplicates and sorts days', () => {
+    const result = normalizeWindows([{ start_time: '02:00', end_time: '08:00', days: ['5', 1, 1, 3] }]);
+
+    expect(result).toEqual([{ start_time: '02:00', end_time: '08:00', days: [1, 3, 5] }]);
+  });
+
+  test('rejects malformed times', () => {
+    expect(() => normalizeWindows([{ start_time: '24:00', end_time: '08:00', days: [1] }])).toThrow('HH:MM');
+    expect(() => normalizeWindows([{ start_time: '2:00', end_time: '08:00', days: [1] }])).toThrow('HH:MM');
+  });
+
+  test('rejects missing or out-of-range days', () => {
+    expect(() => normalizeWindows([{ start_time: '02:00', end_time: '08:00', days: [] }])).toThrow('at least one day');
+    expect(() => normalizeWindows([{ start_time: '02:00', end_time: '08:00', days: [7] }])).toThrow('between 0');
+  });
+
+  test('rejects non-array input', () => {
+    expect(() => normalizeWindows('nope')).toThrow('must be an array');
+  });
+});
+
+// ── tick ────────────────────────────────────────────────────
+
+describe('IdleScheduler.tick', () => {
+  const ACCOUNT = { id: 1, username: 'acc', password: 'pw', schedule_enabled: 1, is_idling: 0 };
+
+  beforeEach(() => {
+    db.accounts.findAll.mockReturnValue([{ ...ACCOUNT }]);
+    db.schedules.getAllGrouped.mockReturnValue({ 1: WEEKDAY_NIGHTS });
+  });
+
+  test('starts idling when first evaluated inside a window', async () => {
+    await scheduler.tick(at(0, 3));
+
+    expect(steamService.startIdling).toHaveBeenCalledWith(1);
+  });
+
+  test('stops idling when first evaluated outside a window', async () => {
+    db.accounts.findAll.mockReturnValue([{ ...ACCOUNT, is_idling: 1 }]);
+
+    await scheduler.tick(at(0, 12));
+
+    expect(steamService.stopIdling).toHaveBeenCalledWith(1);
+  });
+
+  test('leaves manual changes alone until the next boundary', async () => {
+    await scheduler.tick(at(0, 12));
+    expect(steamService.startIdling).not.toHaveBeenCalled();
+
+    // User starts idling manually outside the window
+    db.accounts.findAll.mockReturnValue([{ ...ACCOUNT, is_idling: 1 }]);
+    await scheduler.tick(at(0, 13));
+    expect(steamService.stopIdling).not.toHaveBeenCalled();
+
+    // Entering and leaving the window are still enforced
+    db.accounts.findAll.mockReturnValue([{ ...ACCOUNT, is_idling: 0 }]);
+    await scheduler.tick(at(1, 2));
+    expect(steamService.startIdling).toHaveBeenCalledTimes(1);
+
+    db.accounts.findAll.mockReturnValue([{ ...ACCOUNT, is_idling: 1 }]);
+    await scheduler.tick(at(1, 8));
+    expect(steamService.stopIdling).toHaveBeenCalledTimes(1);
+  });
+
+  test('skips accounts with the schedule disabled or no password', async () => {
+    db.accounts.findAll.mockReturnValue([
+      { ...ACCOUNT, schedule_enabled: 0 },
+      { ...ACCOUNT, id: 2, password: '' },
+    ]);
+    db.schedules.getAllGrouped.mockReturnValue({ 1: WEEKDAY_NIGHTS, 2: WEEKDAY_NIGHTS });
+
+    await scheduler.tick(at(0, 3));
+
+    expect(steamService.startIdling).not.toHaveBeenCalled();
+  });
+
+  test('does nothing until the encryption key is available', async () => {
+    getEncryptionKey.mockReturnValue(null);
+
+    await scheduler.tick(at(0, 3));
+
+    expect(steamService.startIdling).not.toHaveBeenCalled();
+    expect(scheduler.lastState.size).toBe(0);
+  });
+
+  test('keeps going when a scheduled start fails', async () => {
+    db.accounts.findAll.mockReturnValue([{ ...ACCOUNT }, { ...ACCOUNT, id: 2 }]);
+    db.schedules.getAllGrouped.mockReturnValue({ 1: WEEKDAY_NIGHTS, 2: WEEKDAY_NIGHTS });
+    steamService.startIdling.mockRejectedValueOnce(new Error('Login timed out'));
+
+    await scheduler.tick(at(0, 3));
+
+    expect(steamService.startIdling).toHaveBeenCalledTimes(2);
+  });
+});
+
+// ── setSchedule ─────────────────────────────────────────────
+
+describe('IdleScheduler.setSchedule', () => {
+  test('stores windows and the enabled flag', () => {
+    db.accounts.findById.mockReturnValue({ id: 1, schedule_enabled: 1 });
+    db.schedules.getByAccount.mockReturnValue(WEEKDAY_NIGHTS);
+
+    const result = scheduler.setSchedule(1, { enabled: true, windows: WEEKDAY_NIGHTS });
+
+    expect(db.schedules.setWindows).toHaveBeenCalledWith(1, WEEKDAY_NIGHTS);
+    expect(db.accounts.update).toHaveBeenCalledWith(1, { schedule_enabled: 1 });
+    expect(result.enabled).toBe(true);
+  });
+
+  test('refuses to enable a schedule without windows', () => {
+    expect(() => scheduler.setSchedule(1, { enabled: true, windows: [] })).toThrow('at least one window');
+    expect(db.schedules.setWindows).not.toHaveBeenCalled();
+  });
+});
@@ -1,11 +1,17 @@
+const EventEmitter = require('events');
+
 // ---------------------------------------------------------------------------
 // Mock: steam-user
 // ---------------------------------------------------------------------------
 class MockSteamClient {
-  constructor() {
+  constructor(options = {}) {
+    this.options = options;
     this._listeners = {};
     this.steamID = { toString: () => '76561198000000000' };
     this.accountInfo = { name: 'TestUser' };
+    this.users = {};
+    this.chat = new EventEmitter();
+    this.chat.sendFriendMessage = jest.fn().mockResolvedValue({});
   }
 
   on(event, handler) {
@@ -23,6 +29,10 @@ class MockSteamClient {
     }
   }
 
+  removeAllListeners() {
+    this._listeners = {};
+  }
+
   emit(event, ...args) {
     const handlers = this._listeners[event] || [];
     handlers.forEach(h => h(...args));
@@ -32,16 +42,26 @@ class MockSteamClient {
   logOff() {}
   setPersona() {}
   gamesPlayed() {}
+  kickPlayingSession() { return Promise.resolve({}); }
 }
 
 MockSteamClient.EResult = {
   InvalidPassword: 5,
   LoggedInElsewhere: 6,
-  AccountLogonDenied: 15,
+  AccountLogonDenied: 63,
+  AccessDenied: 15,
+  Revoked: 26,
+  Expired: 27,
+  InvalidSignature: 121,
   RateLimitExceeded: 84,
   LogonSessionReplaced: 34,
 };
 
+MockSteamClient.ECurrencyCode = {
+  1: 'USD',
+  3: 'EUR',
+};
+
 jest.mock('steam-user', () => MockSteamClient);
 
 // ---------------------------------------------------------------------------
@@ -58,6 +78,7 @@ jest.mock('../src/models/database', () => ({
   accounts: {
     update: jest.fn(),
     findById: jest.fn(),
+    findAll: jest.fn().mockReturnValue([]),
     incrementFailedLogins: jest.fn(),
     getLockoutInfo: jest.fn().mockReturnValue(null),
     setLockout: jest.fn(),
@@ -68,10 +89,21 @@ jest.mock('../src/models/database', () => ({
     start: jest.fn().mockReturnValue({ lastInsertRowid: 1 }),
     end: jest.fn(),
     closeOrphaned: jest.fn().mockReturnValue({ changes: 0 }),
+    getBoostedMinutes: jest.fn().mockReturnValue([]),
   },
   games: {
     findByAccountId: jest.fn().mockReturnValue([]),
   },
+  playtime: {
+    getByAccount: jest.fn().mockReturnValue([]),
+  },
+  proxies: {
+    findById: jest.fn(),
+  },
+  settings: {
+    // No spacing between queued logons so tests don't wait
+    get: jest.fn((key, defaultValue) => (key === 'login_min_spacing' ? 0 : defaultValue)),
+  },
 }));
 
 // ---------------------------------------------------------------------------
@@ -94,6 +126,22 @@ jest.mock('../src/services/accountManager', () => ({
   getIdlingAccounts: jest.fn().mockReturnValue([]),
   getAll: jest.fn().mockReturnValue([]),
   setSteamService: jest.fn(),
+  saveRefreshToken: jest.fn(),
+  clearRefreshToken: jest.fn(),
+}));
+
+// ---------------------------------------------------------------------------
+// Mock: autoResponder
+// ---------------------------------------------------------------------------
+jest.mock('../src/services/autoResponder', () => ({
+  getReply: jest.fn().mockReturnValue(null),
+}));
+
+// ---------------------------------------------------------------------------
+// Mock: ownershipService (every game owned unless a test says otherwise)
+// ---------------------------------------------------------------------------
+jest.mock('../src/services/ownershipService', () => ({
+  validate: jest.fn(async (accountId, appIds) => ({ owned: appIds, unowned: [], unknown: [], granted: [], source: 'client' })),
 }));
 
 // ---------------------------------------------------------------------------
@@ -111,6 +159,10 @@ jest.mock('../src/middleware/auth', () => ({
 const db = require('../src/models/database');
 const logger = require('../src/services/logger');
 const accountManager = require('../src/services/accountManager');
+const autoResponder = require('../src/services/autoResponder');
+const ownershipService = require('../src/services/ownershipService');
+const loginQueue = require('../src/services/loginQueue');
+const config = require('../src/config');
 
 // Requiring the module will instantiate the singleton SteamService and call
 // accountManager.setSteamService, but for unit-testing we need fresh instances.
@@ -192,6 +244,9 @@ beforeEach(() => {
   }
   steamService.sessions.clear();
   steamService._resuming = false;
+  steamService.network.offline = null;
+  steamService.network.drops.clear();
+  loginQueue.clear();
 
   // Reset default mock return values
   db.accounts.isLockedOut.mockReturnValue(false);
@@ -201,12 +256,19 @@ beforeEach(() => {
   db.sessions.closeOrphaned.mockReturnValue({ changes: 0 });
   accountManager.getDecryptedAccount.mockReturnValue({ ...ACCOUNT_DATA });
   accountManager.getIdlingAccounts.mockReturnValue([]);
+  db.playtime.getByAccount.mockReturnValue([]);
 });
 
 afterEach(() => {
   // Make sure no dangling timers
   for (const [, session] of steamService.sessions) {
     if (session.reconnectTimeout) clearTimeout(session.reconnectTimeout);
+    session.stopRotation();
+    session.clearPause();
+  }
+  if (steamService.network.probeTimer) {
+    clearTimeout(steamService.network.probeTimer);
+    steamService.network.probeTimer = null;
   }
   jest.useRealTimers();
 });
@@ -268,6 +330,40 @@ describe('SteamSession - successful login', () => {
     expect(session.isConnecting).toBe(false);
     expect(accountManager.updateStatus).toHaveBeenCalledWith(ACCOUNT_ID, 'online');
   });
+
+  test('applies the persona state and profile name override', async () => {
+    const setPersona = jest.spyOn(MockSteamClient.prototype, 'setPersona');
+    accountManager.getDecryptedAccount.mockReturnValue({ ...ACCOUNT_DATA, persona_state: 6, persona_name: 'Idler' });
+
+    const promise = steamService.startIdling(ACCOUNT_ID);
+    const session = steamService.sessions.get(ACCOUNT_ID);
+    session.client.emit('loggedOn');
+    await promise;
+
+    expect(setPersona).toHaveBeenCalledWith(6, 'Idler');
+    expect(session.personaState).toBe(6);
+    setPersona.mockRestore();
+  });
+});
+
+describe('SteamSession - account info', () => {
+  test('stores limitations, email, wallet and licenses reported after logon', async () => {
+    const monitor = { handleCommunityBan: jest.fn() };
+    steamService.setBanMonitor(monitor);
+    const session = await createLoggedInSession();
+
+    session.client.emit('accountLimitations', true, false, false, true);
+    session.client.emit('emailInfo', 'user@example.com', false);
+    session.client.emit('wallet', true, 3, 12.5);
+    session.client.emit('licenses', [{ package_id: 0 }, { package_id: 1234 }]);
+
+    expect(db.accounts.update).toHaveBeenCalledWith(ACCOUNT_ID, { limited_account: 1, locked_account: 0 });
+    expect(monitor.handleCommunityBan).toHaveBeenCalledWith(ACCOUNT_ID, false);
+    expect(db.accounts.update).toHaveBeenCalledWith(ACCOUNT_ID, { email_verified: 0 });
+    expect(db.accounts.update).toHaveBeenCalledWith(ACCOUNT_ID, { wallet_balance: 12.5, wallet_currency: 'EUR' });
+    expect(db.accounts.update).toHaveBeenCalledWith(ACCOUNT_ID, { license_count: 2 });
+    steamService.setBanMonitor(null);
+  });
 });
 
 // ── 4. Login error ────────────────────────────────────────────────────────────
@@ -418,6 +514,106 @@ describe('SteamSession - LogonSessionReplaced error', () => {
   });
 });
 
+// ── 9b. Conflict policy (owner playing elsewhere) ────────────────────────────
+
+describe('SteamSession - conflict policy', () => {
+  test('kick takes the playing session back after the grace period', async () => {
+    jest.useFakeTimers();
+    const session = await createLoggedInSession();
+    db.accounts.findById.mockReturnValue({ conflict_policy: 'kick', conflict_grace: 2 });
+    const kickSpy = jest.spyOn(session.client, 'kickPlayingSession');
+
+    session.client.emit('playingState', true, 440);
+
+    expect(session.isPaused).toBe(true);
+    expect(session.getStatus().pause).toMatchObject({ policy: 'kick', reason: expect.stringContaining('reclaiming in 2 min') });
+    expect(db.sessions.end).toHaveBeenCalled();
+
+    jest.advanceTimersByTime(2 * 60 * 1000 - 1);
+    expect(kickSpy).not.toHaveBeenCalled();
+    jest.advanceTimersByTime(1);
+    expect(kickSpy).toHaveBeenCalled();
+  });
+
+  test('stop_day stays paused when the owner stops and resumes the next day', async () => {
+    jest.useFakeTimers({ now: new Date(2026, 0, 10, 18, 0, 0) });
+    const session = await createLoggedInSession();
+    db.accounts.findById.mockReturnValue({ conflict_policy: 'stop_day' });
+    const gamesPlayedSpy = jest.spyOn(session.client, 'gamesPlayed');
+
+    session.client.emit('playingState', true, 440);
+    session.client.emit('playingState', false, 0);
+
+    expect(session.isPaused).toBe(true);
+    expect(gamesPlayedSpy).not.toHaveBeenCalled();
+    expect(session.getStatus().pause.until).toBe(new Date(2026, 0, 11).toISOString());
+
+    jest.advanceTimersByTime(6 * 60 * 60 * 1000);
+
+    expect(session.isPaused).toBe(false);
+    expect(gamesPlayedSpy).toHaveBeenCalledWith(session.currentGames);
+    expect(accountManager.updateStatus).toHaveBeenLastCalledWith(ACCOUNT_ID, 'idling');
+  });
+
+  test('kick reconnects after the grace period when logged in elsewhere and kicks right away', async () => {
+    jest.useFakeTimers();
+    const session = await createLoggedInSession();
+    db.accounts.findById.mockReturnValue({ conflict_policy: 'kick', conflict_grace: 3 });
+    const scheduleReconnectSpy = jest.spyOn(session, 'scheduleReconnect');
+    const kickSpy = jest.spyOn(session.client, 'kickPlayingSession');
+
+    const err = new Error('LoggedInElsewhere');
+    err.eresult = MockSteamClient.EResult.LoggedInElsewhere;
+    session.client.emit('error', err);
+
+    expect(scheduleReconnectSpy).toHaveBeenCalledWith(3 * 60 * 1000);
+
+    // After reconnecting Steam reports the other session straight away
+    session.isLoggedIn = true;
+    session.client.emit('playingState', true, 440);
+    jest.advanceTimersByTime(0);
+
+    expect(kickSpy).toHaveBeenCalled();
+  });
+});
+
+// ── 9c. Card farming hooks ───────────────────────────────────────────────────
+
+describe('SteamSession - card farming', () => {
+  test('forwards new-item notifications while farming', async () => {
+    const farmer = { handleNewItems: jest.fn() };
+    steamService.setCardFarmer(farmer);
+    const session = await createLoggedInSession();
+
+    session.client.emit('newItems', 1);
+    expect(farmer.handleNewItems).not.toHaveBeenCalled();
+
+    session.cardFarm = { mode: 'single', games: [], drops: 0 };
+    session.client.emit('newItems', 1);
+    expect(farmer.handleNewItems).toHaveBeenCalledWith(ACCOUNT_ID, 1);
+
+    steamService.setCardFarmer(null);
+  });
+
+  test('starting regular idling ends card farming', async () => {
+    const session = await createLoggedInSession();
+    session.cardFarm = { mode: 'single', games: [], drops: 0 };
+
+    await steamService.startIdling(ACCOUNT_ID);
+
+    expect(session.cardFarm).toBeNull();
+  });
+
+  test('startIdling can be limited to some of the games', async () => {
+    const session = await createLoggedInSession();
+    accountManager.getDecryptedAccount.mockReturnValue({ ...ACCOUNT_DATA, games: [{ app_id: 730 }, { app_id: 440 }] });
+
+    await steamService.startIdling(ACCOUNT_ID, { games: [440, 999] });
+
+    expect(session.currentGames).toEqual([440]);
+  });
+});
+
 // ── 10. scheduleReconnect with minDelay ──────────────────────────────────────
 
 describe('SteamSession - scheduleReconnect with minDelay', () => {
@@ -446,6 +642,181 @@ describe('SteamSession - scheduleReconnect with minDelay', () => {
 
 // ── 11. resumeIdling guard ───────────────────────────────────────────────────
 
+describe('SteamService - login queue', () => {
+  test('reconnects go through the login queue', async () => {
+    jest.useFakeTimers();
+    const session = await createLoggedInSession();
+    session.isLoggedIn = false;
+    const enqueue = jest.spyOn(loginQueue, 'enqueue');
+
+    session.scheduleReconnect();
+    jest.advanceTimersByTime(config.reconnectDelay);
+
+    expect(enqueue).toHaveBeenCalledWith(ACCOUNT_ID, expect.any(Function));
+    expect(session.isConnecting).toBe(true);
+    enqueue.mockRestore();
+  });
+
+  test('stopIdling cancels a queued logon', async () => {
+    const blocker = jest.spyOn(loginQueue, 'getLimits').mockReturnValue({ maxConcurrent: 1, minSpacing: 0 });
+    loginQueue.enqueue('other', () => new Promise(() => {}));
+
+    const promise = steamService.startIdling(ACCOUNT_ID);
+    expect(steamService.getStatus(ACCOUNT_ID).queuePosition).toBe(1);
+
+    steamService.stopIdling(ACCOUNT_ID);
+
+    await expect(promise).rejects.toThrow('Login cancelled');
+    expect(steamService.sessions.get(ACCOUNT_ID).isConnecting).toBe(false);
+    blocker.mockRestore();
+  });
+
+  test('stopAll cancels queued logons so they never log in', async () => {
+    const blocker = jest.spyOn(loginQueue, 'getLimits').mockReturnValue({ maxConcurrent: 1, minSpacing: 0 });
+    loginQueue.enqueue('other', () => new Promise(() => {}));
+
+    const promise = steamService.startIdling(ACCOUNT_ID);
+    const session = steamService.sessions.get(ACCOUNT_ID);
+    const login = jest.spyOn(session, 'login');
+    const playGames = jest.spyOn(session, 'playGames');
+
+    steamService.stopAll();
+
+    await expect(promise).rejects.toThrow('Login cancelled');
+    expect(loginQueue.getPosition(ACCOUNT_ID)).toBeNull();
+    expect(login).not.toHaveBeenCalled();
+    expect(playGames).not.toHaveBeenCalled();
+    blocker.mockRestore();
+  });
+});
+
+describe('SteamService - idle cap', () => {
+  afterEach(() => {
+    steamService.setIdleQueue(null);
+  });
+
+  test('accounts without a free slot wait instead of logging in', async () => {
+    const queue = { acquire: jest.fn(() => false), release: jest.fn(), getPosition: jest.fn(() => 2) };
+    steamService.setIdleQueue(queue);
+
+    const status = await steamService.startIdling(ACCOUNT_ID);
+
+    expect(status.idleQueuePosition).toBe(2);
+    expect(steamService.sessions.has(ACCOUNT_ID)).toBe(false);
+  });
+
+  test('a failed start and stopIdling free the slot', async () => {
+    const queue = { acquire: jest.fn(() => true), release: jest.fn(), getPosition: jest.fn() };
+    steamService.setIdleQueue(queue);
+    accountManager.getDecryptedAccount.mockReturnValueOnce(null);
+
+    await expect(steamService.startIdling(ACCOUNT_ID)).rejects.toThrow('Account not found');
+    expect(queue.release).toHaveBeenCalledWith(ACCOUNT_ID);
+
+    steamService.stopIdling(ACCOUNT_ID);
+    expect(queue.release).toHaveBeenCalledTimes(2);
+  });
+
+  test('stopAll empties the slots and the queue so nothing is admitted afterwards', async () => {
+    const idleQueue = require('../src/services/idleQueue');
+    const rows = [{ id: 'a', idle_queued: 0 }, { id: 'b', idle_queued: 0 }];
+    db.accounts.findAll.mockReturnValue(rows);
+    db.accounts.update.mockImplementation((id, fields) => Object.assign(rows.find(r => r.id === id), fields));
+    db.settings.get.mockImplementation((key, defaultValue) => {
+      if (key === 'max_idling_accounts') return 1;
+      return key === 'login_min_spacing' ? 0 : defaultValue;
+    });
+
+    const promise = steamService.startIdling('a');
+    steamService.sessions.get('a').client.emit('loggedOn');
+    await promise;
+    const waiting = await steamService.startIdling('b');
+    expect(waiting.idleQueuePosition).toBe(1);
+
+    const startIdling = jest.spyOn(steamService, 'startIdling');
+    steamService.stopAll();
+    await new Promise(resolve => setImmediate(resolve));
+    await idleQueue.rebalance();
+
+    expect(idleQueue.slots.size).toBe(0);
+    expect(rows.map(r => r.idle_queued)).toEqual([0, 0]);
+    expect(startIdling).not.toHaveBeenCalled();
+    expect(steamService.sessions.get('a').isIdling).toBe(false);
+
+    startIdling.mockRestore();
+    db.accounts.update.mockReset();
+    db.settings.get.mockImplementation((key, defaultValue) => (key === 'login_min_spacing' ? 0 : defaultValue));
+  });
+});
+
+describe('SteamService - network outage', () => {
+  let limits;
+
+  beforeEach(() => {
+    limits = jest.spyOn(loginQueue, 'getLimits').mockReturnValue({ maxConcurrent: 5, minSpacing: 0 });
+  });
+
+  afterEach(() => {
+    limits.mockRestore();
+  });
+
+  async function startAccount(id) {
+    accountManager.getDecryptedAccount.mockReturnValue({ ...ACCOUNT_DATA, id });
+    const promise = steamService.startIdling(id);
+    steamService.sessions.get(id).client.emit('loggedOn');
+    await promise;
+    return steamService.sessions.get(id);
+  }
+
+  test('a single dropped account reconnects on its own', async () => {
+    const a = await startAccount('a');
+    await startAccount('b');
+
+    a.client.emit('disconnected', 0, 'NoConnection');
+
+    expect(steamService.getNetworkStatus().online).toBe(true);
+    expect(a.reconnectAttempts).toBe(1);
+    expect(a.reconnectTimeout).not.toBeNull();
+  });
+
+  test('every account dropping at once pauses reconnects without counting attempts', async () => {
+    const a = await startAccount('a');
+    const b = await startAccount('b');
+
+    a.client.emit('disconnected', 0, 'NoConnection');
+    b.client.emit('error', new Error('read ECONNRESET'));
+
+    expect(steamService.getNetworkStatus()).toMatchObject({ online: false, lastProbeAt: null });
+    expect([a.reconnectAttempts, b.reconnectAttempts]).toEqual([0, 0]);
+    expect(a.reconnectTimeout).toBeNull();
+    expect(b.reconnectTimeout).toBeNull();
+    expect(accountManager.updateStatus).toHaveBeenCalledWith('a', 'offline', 'Waiting for the network');
+  });
+
+  test('probes until the network is back, then reconnects through the login queue', async () => {
+    const a = await startAccount('a');
+    const b = await startAccount('b');
+    jest.useFakeTimers();
+    const probe = jest.spyOn(steamService, 'probeConnectivity').mockResolvedValueOnce(false).mockResolvedValueOnce(true);
+    const enqueue = jest.spyOn(loginQueue, 'enqueue').mockResolvedValue();
+
+    a.client.emit('disconnected', 0, 'NoConnection');
+    b.client.emit('disconnected', 0, 'NoConnection');
+
+    await jest.advanceTimersByTimeAsync(config.network.probeInterval);
+    expect(steamService.getNetworkStatus().online).toBe(false);
+    expect(enqueue).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(config.network.probeInterval);
+    expect(steamService.getNetworkStatus().online).toBe(true);
+    expect(enqueue.mock.calls.map(call => call[0])).toEqual(['a', 'b']);
+    expect(a.reconnectTimeout).toBeNull();
+
+    probe.mockRestore();
+    enqueue.mockRestore();
+  });
+});
+
 describe('SteamService - resumeIdling guard', () => {
   test('second call while first is running should be skipped', async () => {
     // Simulate an account that is idling
@@ -552,3 +923,529 @@ describe('SteamSession - getStatus includes isPaused', () => {
     expect(pausedStatus.isPaused).toBe(true);
   });
 });
+
+// ── 16. Game rotation ────────────────────────────────────────────────────────
+
+describe('SteamService - game rotation', () => {
+  const MANY_GAMES = Array.from({ length: 40 }, (_, i) => ({ app_id: i + 1 }));
+
+  async function startRotating(overrides = {}) {
+    accountManager.getDecryptedAccount.mockReturnValue({
+      ...ACCOUNT_DATA,
+      games: MANY_GAMES,
+      rotation_mode: 'round_robin',
+      rotation_interval: 10,
+      ...overrides,
+    });
+
+    const promise = steamService.startIdling(ACCOUNT_ID);
+    const session = steamService.sessions.get(ACCOUNT_ID);
+    session.client.emit('loggedOn');
+    await promise;
+    return session;
+  }
+
+  test('caps the played games when rotation is off', async () => {
+    const session = await startRotating({ rotation_mode: 'off' });
+
+    expect(session.currentGames).toHaveLength(32);
+    expect(session.rotation).toBeNull();
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('Only idling the first 32'), ACCOUNT_ID, 'STEAM');
+  });
+
+  test('does not rotate when the list fits in one slice', async () => {
+    const session = await startRotating({ games: [{ app_id: 730 }, { app_id: 570 }] });
+
+    expect(session.currentGames).toEqual([730, 570]);
+    expect(session.rotation).toBeNull();
+  });
+
+  test('round-robin advances through the list and wraps around', async () => {
+    jest.useFakeTimers();
+    const session = await startRotating();
+    const gamesPlayed = jest.spyOn(session.client, 'gamesPlayed');
+
+    expect(session.currentGames[0]).toBe(1);
+    expect(session.currentGames).toHaveLength(32);
+
+    jest.advanceTimersByTime(10 * 60 * 1000);
+
+    // Games 33-40 followed by 1-24
+    expect(session.currentGames[0]).toBe(33);
+    expect(session.currentGames[8]).toBe(1);
+    expect(session.currentGames).toHaveLength(32);
+    expect(gamesPlayed).toHaveBeenLastCalledWith(session.currentGames);
+    expect(db.sessions.end).toHaveBeenCalled();
+  });
+
+  test('least-played picks games with the lowest playtime first', async () => {
+    db.playtime.getByAccount.mockReturnValue(
+      MANY_GAMES.map(g => ({ app_id: g.app_id, playtime_forever: g.app_id <= 8 ? 1000 : 0 }))
+    );
+
+    const session = await startRotating({ rotation_mode: 'least_played' });
+
+    expect(session.currentGames).not.toContain(1);
+    expect(session.currentGames).toContain(40);
+  });
+
+  test('least-played credits boosted time so the next slice moves on', async () => {
+    jest.useFakeTimers();
+    const session = await startRotating({ rotation_mode: 'least_played' });
+
+    expect(session.currentGames).toContain(1);
+
+    jest.advanceTimersByTime(10 * 60 * 1000);
+
+    expect(session.currentGames.slice(0, 8)).toEqual([33, 34, 35, 36, 37, 38, 39, 40]);
+  });
+
+  test('only updates the pending slice while paused', async () => {
+    jest.useFakeTimers();
+    const session = await startRotating();
+    session.client.emit('playingState', true, 730);
+    const gamesPlayed = jest.spyOn(session.client, 'gamesPlayed');
+
+    jest.advanceTimersByTime(10 * 60 * 1000);
+
+    expect(session.currentGames[0]).toBe(33);
+    expect(gamesPlayed).not.toHaveBeenCalled();
+  });
+
+  test('getStatus reports the rotation and next rotation time', async () => {
+    const session = await startRotating();
+
+    const status = session.getStatus();
+
+    expect(status.rotation).toMatchObject({ mode: 'round_robin', interval: 10, totalGames: 40 });
+    expect(new Date(status.rotation.nextRotationAt).getTime()).toBeGreaterThan(Date.now());
+  });
+
+  test('stopGames cancels the rotation', async () => {
+    const session = await startRotating();
+
+    session.stopGames();
+
+    expect(session.rotation).toBeNull();
+    expect(session.rotationTimer).toBeNull();
+  });
+
+  test('shows custom titles ahead of the games', async () => {
+    const gamesPlayed = jest.spyOn(MockSteamClient.prototype, 'gamesPlayed');
+
+    const session = await startRotating({
+      games: [{ app_id: 730 }, { app_id: 570 }],
+      custom_games: [{ id: 1, title: 'Hello World' }],
+    });
+
+    expect(gamesPlayed).toHaveBeenLastCalledWith(['Hello World', 730, 570]);
+    expect(session.currentGames).toEqual([730, 570]);
+    expect(session.getStatus().customTitles).toEqual(['Hello World']);
+    gamesPlayed.mockRestore();
+  });
+
+  test('custom titles take slots from every slice', async () => {
+    jest.useFakeTimers();
+    const gamesPlayed = jest.spyOn(MockSteamClient.prototype, 'gamesPlayed');
+    const session = await startRotating({ custom_games: [{ id: 1, title: 'A' }, { id: 2, title: 'B' }] });
+
+    expect(session.currentGames).toHaveLength(30);
+
+    jest.advanceTimersByTime(10 * 60 * 1000);
+
+    expect(session.currentGames[0]).toBe(31);
+    expect(gamesPlayed.mock.calls.at(-1)[0]).toHaveLength(32);
+    expect(gamesPlayed.mock.calls.at(-1)[0].slice(0, 2)).toEqual(['A', 'B']);
+    gamesPlayed.mockRestore();
+  });
+});
+
+// ── 17. Dropping games (hour targets) ────────────────────────────────────────
+
+describe('SteamSession - manual Steam Guard code', () => {
+  function startWithoutSecret() {
+    const promise = steamService.startIdling(ACCOUNT_ID);
+    const session = steamService.sessions.get(ACCOUNT_ID);
+    return { promise, session };
+  }
+
+  test('keeps the login pending and exposes the request', () => {
+    const { promise, session } = startWithoutSecret();
+    const callback = jest.fn();
+
+    session.client.emit('steamGuard', 'gmail.com', callback, false);
+
+    expect(callback).not.toHaveBeenCalled();
+    expect(accountManager.updateStatus).toHaveBeenCalledWith(
+      ACCOUNT_ID, 'pending-guard', 'Steam Guard code required (email at gmail.com)'
+    );
+    expect(steamService.getStatus(ACCOUNT_ID).steamGuard).toMatchObject({ domain: 'gmail.com', lastCodeWrong: false });
+
+    session.cancelPendingLogin();
+    return expect(promise).rejects.toThrow('Login cancelled');
+  });
+
+  test('passes a submitted code to Steam and completes the login', async () => {
+    const { promise, session } = startWithoutSecret();
+    const callback = jest.fn();
+    session.client.emit('steamGuard', null, callback, false);
+
+    steamService.submitGuardCode(ACCOUNT_ID, ' ab12c ');
+
+    expect(callback).toHaveBeenCalledWith('AB12C');
+    expect(session.pendingGuard).toBeNull();
+
+    session.client.emit('loggedOn');
+    await promise;
+    expect(session.isLoggedIn).toBe(true);
+  });
+
+  test('gives up its login slot while waiting and queues again for the code', async () => {
+    const limits = jest.spyOn(loginQueue, 'getLimits').mockReturnValue({ maxConcurrent: 1, minSpacing: 0 });
+    const { promise, session } = startWithoutSecret();
+    const callback = jest.fn();
+    session.client.emit('steamGuard', null, callback, false);
+
+    let finishOther;
+    loginQueue.enqueue('other', () => new Promise(resolve => { finishOther = resolve; }));
+    expect(loginQueue.getState().active).toEqual(['other']);
+
+    steamService.submitGuardCode(ACCOUNT_ID, 'AB12C');
+    expect(callback).not.toHaveBeenCalled();
+    expect(loginQueue.getPosition(ACCOUNT_ID)).toBe(1);
+
+    finishOther();
+    await new Promise(resolve => setImmediate(resolve));
+    expect(callback).toHaveBeenCalledWith('AB12C');
+
+    session.client.emit('loggedOn');
+    await promise;
+    await new Promise(resolve => setImmediate(resolve));
+    expect(loginQueue.getState().active).toEqual([]);
+    limits.mockRestore();
+  });
+
+  test('stopping while the code waits for a slot abandons the login', async () => {
+    const limits = jest.spyOn(loginQueue, 'getLimits').mockReturnValue({ maxConcurrent: 1, minSpacing: 0 });
+    const { promise, session } = startWithoutSecret();
+    const callback = jest.fn();
+    session.client.emit('steamGuard', null, callback, false);
+    loginQueue.enqueue('other', () => new Promise(() => {}));
+    steamService.submitGuardCode(ACCOUNT_ID, 'AB12C');
+
+    steamService.stopIdling(ACCOUNT_ID);
+
+    await expect(promise).rejects.toThrow('Login cancelled');
+    expect(callback).not.toHaveBeenCalled();
+    expect(session.isConnecting).toBe(false);
+    limits.mockRestore();
+  });
+
+  test('flags retries after a wrong code', () => {
+    const { promise, session } = startWithoutSecret();
+    session.client.emit('steamGuard', null, jest.fn(), false);
+    steamService.submitGuardCode(ACCOUNT_ID, 'AAAAA');
+
+    session.client.emit('steamGuard', null, jest.fn(), true);
+
+    expect(steamService.getStatus(ACCOUNT_ID).steamGuard.lastCodeWrong).toBe(true);
+    expect(accountManager.updateStatus).toHaveBeenLastCalledWith(
+      ACCOUNT_ID, 'pending-guard', 'Steam Guard code was wrong, enter a new code'
+    );
+
+    session.cancelPendingLogin();
+    return expect(promise).rejects.toThrow('Login cancelled');
+  });
+
+  test('rejects malformed codes and codes nobody asked for', () => {
+    const { promise, session } = startWithoutSecret();
+
+    expect(() => steamService.submitGuardCode(ACCOUNT_ID, 'AB12C')).toThrow('No Steam Guard code requested');
+
+    session.client.emit('steamGuard', null, jest.fn(), false);
+    expect(() => steamService.submitGuardCode(ACCOUNT_ID, 'abc')).toThrow('5 letters or digits');
+
+    session.cancelPendingLogin();
+    return expect(promise).rejects.toThrow('Login cancelled');
+  });
+
+  test('gives up when no code is entered in time', async () => {
+    jest.useFakeTimers();
+    const { promise, session } = startWithoutSecret();
+    session.client.emit('steamGuard', 'gmail.com', jest.fn(), false);
+
+    // The regular 30s login timeout no longer applies
+    jest.advanceTimersByTime(30000);
+    expect(session.isConnecting).toBe(true);
+
+    jest.advanceTimersByTime(config.steamGuard.codeTimeout);
+
+    await expect(promise).rejects.toThrow('Steam Guard code not entered in time');
+    expect(session.isConnecting).toBe(false);
+    expect(session.pendingGuard).toBeNull();
+  });
+});
+
+describe('SteamService - game ownership', () => {
+  async function start(games) {
+    accountManager.getDecryptedAccount.mockReturnValue({ ...ACCOUNT_DATA, games });
+    const promise = steamService.startIdling(ACCOUNT_ID);
+    const session = steamService.sessions.get(ACCOUNT_ID);
+    session.client.emit('loggedOn');
+    return { promise, session };
+  }
+
+  test('checks ownership with the logged-in session and skips unowned games', async () => {
+    ownershipService.validate.mockResolvedValueOnce({ owned: [730], unowned: [999], unknown: [], granted: [], source: 'client' });
+
+    const { promise, session } = await start([{ app_id: 730 }, { app_id: 999 }]);
+    await promise;
+
+    expect(ownershipService.validate).toHaveBeenCalledWith(ACCOUNT_ID, [730, 999], session);
+    expect(session.currentGames).toEqual([730]);
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('999'), ACCOUNT_ID, 'STEAM');
+  });
+
+  test('refuses to idle when no game is owned', async () => {
+    ownershipService.validate.mockResolvedValueOnce({ owned: [], unowned: [999], unknown: [], granted: [], source: 'client' });
+
+    const { promise, session } = await start([{ app_id: 999 }]);
+
+    await expect(promise).rejects.toThrow('does not own any');
+    expect(session.isIdling).toBe(false);
+  });
+
+  test('idles everything when the check fails', async () => {
+    ownershipService.validate.mockRejectedValueOnce(new Error('Request timed out'));
+
+    const { promise, session } = await start([{ app_id: 730 }, { app_id: 570 }]);
+    await promise;
+
+    expect(session.currentGames).toEqual([730, 570]);
+  });
+});
+
+describe('SteamSession - chat auto-replies', () => {
+  const FRIEND = { toString: () => '76561198000000001' };
+
+  function incoming(text) {
+    return { steamid_friend: FRIEND, message: text, message_no_bbcode: text };
+  }
+
+  // Let the async message handler finish
+  const flush = () => new Promise(resolve => setImmediate(resolve));
+
+  test('logs messages under CHAT and sends the auto-reply while idling', async () => {
+    const session = await createLoggedInSession();
+    session.client.users[FRIEND.toString()] = { player_name: 'Buddy' };
+    autoResponder.getReply.mockReturnValueOnce('AFK, back later');
+
+    session.client.chat.emit('friendMessage', incoming('hey'));
+    await flush();
+
+    expect(logger.info).toHaveBeenCalledWith('Message from Buddy: hey', ACCOUNT_ID, 'CHAT');
+    expect(autoResponder.getReply).toHaveBeenCalledWith(ACCOUNT_ID, '76561198000000001', { friend: 'Buddy', account: 'TestUser' });
+    expect(session.client.chat.sendFriendMessage).toHaveBeenCalledWith(FRIEND, 'AFK, back later');
+  });
+
+  test('only logs when the account is not idling', async () => {
+    const session = await createLoggedInSession();
+    session.stopGames();
+
+    session.client.chat.emit('friendMessage', incoming('hello?'));
+    await flush();
+
+    expect(logger.info).toHaveBeenCalledWith(expect.stringContaining('hello?'), ACCOUNT_ID, 'CHAT');
+    expect(autoResponder.getReply).not.toHaveBeenCalled();
+    expect(session.client.chat.sendFriendMessage).not.toHaveBeenCalled();
+  });
+
+  test('skips sending when there is no reply (off or cooldown)', async () => {
+    const session = await createLoggedInSession();
+
+    session.client.chat.emit('friendMessage', incoming('again'));
+    await flush();
+
+    expect(autoResponder.getReply).toHaveBeenCalled();
+    expect(session.client.chat.sendFriendMessage).not.toHaveBeenCalled();
+  });
+});
+
+describe('SteamSession - refresh tokens', () => {
+  function makeToken(expiresAt) {
+    const payload = Buffer.from(JSON.stringify({ sub: '76561198000000000', exp: Math.floor(expiresAt / 1000) }));
+    return `header.${payload.toString('base64url')}.signature`;
+  }
+
+  function startWithToken(token) {
+    accountManager.getDecryptedAccount.mockReturnValue({ ...ACCOUNT_DATA, refresh_token: token });
+    const promise = steamService.startIdling(ACCOUNT_ID);
+    const session = steamService.sessions.get(ACCOUNT_ID);
+    return { promise, session };
+  }
+
+  test('logs on with a saved token instead of the password', async () => {
+    const token = makeToken(Date.now() + 30 * 24 * 60 * 60 * 1000);
+    const logOn = jest.spyOn(MockSteamClient.prototype, 'logOn');
+
+    const { promise, session } = startWithToken(token);
+    session.client.emit('loggedOn');
+    await promise;
+
+    expect(logOn).toHaveBeenCalledWith({ refreshToken: token, machineName: 'hour-boost' });
+    logOn.mockRestore();
+  });
+
+  test('stores tokens issued by Steam with their expiry', async () => {
+    const session = await createLoggedInSession();
+    const expiresAt = Date.now() + 200 * 24 * 60 * 60 * 1000;
+    const token = makeToken(expiresAt);
+
+    session.client.emit('refreshToken', token);
+
+    expect(accountManager.saveRefreshToken).toHaveBeenCalledWith(ACCOUNT_ID, token, expect.any(Date));
+    expect(accountManager.saveRefreshToken.mock.calls[0][2].getTime()).toBe(Math.floor(expiresAt / 1000) * 1000);
+    expect(session.accountData.refresh_token).toBe(token);
+  });
+
+  test('falls back to the password when the token is rejected', async () => {
+    const logOn = jest.spyOn(MockSteamClient.prototype, 'logOn');
+    const { promise, session } = startWithToken(makeToken(Date.now() + 60 * 60 * 1000));
+
+    const err = new Error('AccessDenied');
+    err.eresult = MockSteamClient.EResult.AccessDenied;
+    session.client.emit('error', err);
+
+    expect(accountManager.clearRefreshToken).toHaveBeenCalledWith(ACCOUNT_ID);
+    expect(logOn).toHaveBeenLastCalledWith(expect.objectContaining({ accountName: 'testuser', password: 'testpass' }));
+    expect(db.accounts.incrementFailedLogins).not.toHaveBeenCalled();
+
+    session.client.emit('loggedOn');
+    await promise;
+    expect(session.isLoggedIn).toBe(true);
+    expect(session.reconnectTimeout).toBeNull();
+    logOn.mockRestore();
+  });
+
+  test('skips expired tokens', async () => {
+    const logOn = jest.spyOn(MockSteamClient.prototype, 'logOn');
+
+    const { promise, session } = startWithToken(makeToken(Date.now() - 1000));
+    session.client.emit('loggedOn');
+    await promise;
+
+    expect(logOn).toHaveBeenCalledWith(expect.objectContaining({ password: 'testpass' }));
+    expect(accountManager.clearRefreshToken).toHaveBeenCalledWith(ACCOUNT_ID);
+    logOn.mockRestore();
+  });
+});
+
+describe('SteamSession - proxy', () => {
+  const POOL_PROXY = { id: 2, type: 'socks5', host: '10.0.0.5', port: 1080, username: null, password: null };
+
+  async function startWithProxy(proxyId) {
+    accountManager.getDecryptedAccount.mockReturnValue({ ...ACCOUNT_DATA, proxy_id: proxyId });
+
+    const promise = steamService.startIdling(ACCOUNT_ID);
+    const session = steamService.sessions.get(ACCOUNT_ID);
+    session.client.emit('loggedOn');
+    await promise;
+    return session;
+  }
+
+  test('creates the client with the assigned pool proxy', async () => {
+    db.proxies.findById.mockReturnValue(POOL_PROXY);
+
+    const session = await startWithProxy(2);
+
+    expect(session.client.options).toMatchObject({ autoRelogin: false, socksProxy: 'socks5://10.0.0.5:1080' });
+    expect(logger.info).toHaveBeenCalledWith(
+      'Attempting login through proxy socks5://10.0.0.5:1080', ACCOUNT_ID, 'STEAM'
+    );
+  });
+
+  test('connects directly without a proxy', async () => {
+    const session = await createLoggedInSession();
+
+    expect(session.client.options.httpProxy).toBeUndefined();
+    expect(session.client.options.socksProxy).toBeUndefined();
+  });
+
+  test('rebuilds the client on the next login when the proxy changed', async () => {
+    const session = await createLoggedInSession();
+    const oldClient = session.client;
+    session.isLoggedIn = false;
+
+    db.proxies.findById.mockReturnValue(POOL_PROXY);
+    accountManager.getDecryptedAccount.mockReturnValue({ ...ACCOUNT_DATA, proxy_id: 2 });
+    const promise = steamService.startIdling(ACCOUNT_ID);
+    session.client.emit('loggedOn');
+    await promise;
+
+    expect(session.client).not.toBe(oldClient);
+    expect(session.client.options.socksProxy).toBe('socks5://10.0.0.5:1080');
+    expect(session.isLoggedIn).toBe(true);
+  });
+});
+
+describe('SteamSession - dropGames', () => {
+  async function startWith(games, overrides = {}) {
+    accountManager.getDecryptedAccount.mockReturnValue({ ...ACCOUNT_DATA, games, ...overrides });
+
+    const promise = steamService.startIdling(ACCOUNT_ID);
+    const session = steamService.sessions.get(ACCOUNT_ID);
+    session.client.emit('loggedOn');
+    await promise;
+    return session;
+  }
+
+  test('switches to the remaining games and starts a new session', async () => {
+    const session = await startWith([{ app_id: 730 }, { app_id: 440 }]);
+    const gamesPlayed = jest.spyOn(session.client, 'gamesPlayed');
+
+    steamService.removeGames(ACCOUNT_ID, [730]);
+
+    expect(session.currentGames).toEqual([440]);
+    expect(gamesPlayed).toHaveBeenCalledWith([440]);
+    expect(db.sessions.end).toHaveBeenCalled();
+    expect(db.sessions.start).toHaveBeenLastCalledWith(ACCOUNT_ID, [440]);
+  });
+
+  test('stops idling when the last game is dropped', async () => {
+    const session = await startWith([{ app_id: 730 }]);
+
+    steamService.removeGames(ACCOUNT_ID, [730]);
+
+    expect(session.isIdling).toBe(false);
+    expect(accountManager.setIdling).toHaveBeenCalledWith(ACCOUNT_ID, false);
+  });
+
+  test('ends the rotation once the rest fits in one slice', async () => {
+    const games = Array.from({ length: 34 }, (_, i) => ({ app_id: i + 1 }));
+    const session = await startWith(games, { rotation_mode: 'round_robin', rotation_interval: 10 });
+
+    steamService.removeGames(ACCOUNT_ID, [1, 2]);
+
+    expect(session.rotation).toBeNull();
+    expect(session.currentGames).toHaveLength(32);
+    expect(session.currentGames).not.toContain(1);
+  });
+
+  test('skips games that already reached their target on start', async () => {
+    const session = await startWith([
+      { app_id: 730, target_reached_at: '2025-01-01 00:00:00' },
+      { app_id: 440 },
+    ]);
+
+    expect(session.currentGames).toEqual([440]);
+  });
+
+  test('refuses to start when every game reached its target', async () => {
+    accountManager.getDecryptedAccount.mockReturnValue({
+      ...ACCOUNT_DATA,
+      games: [{ app_id: 730, target_reached_at: '2025-01-01 00:00:00' }],
+    });
+
+    await expect(steamService.startIdling(ACCOUNT_ID)).rejects.toThrow('reached their hour targets');
+  });
+});
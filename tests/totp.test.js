@@ -0,0 +1,74 @@
+const totp = require('../src/utils/totp');
+
+// RFC 6238 appendix B secret ("12345678901234567890" as ASCII)
+const RFC_SECRET = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+// ── base32 ──────────────────────────────────────────────────
+
+describe('base32', () => {
+  test('encodes like RFC 4648 without padding', () => {
+    expect(totp.base32Encode(Buffer.from('foobar'))).toBe('MZXW6YTBOI');
+    expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  });
+
+  test('decodes any case, spaces and padding', () => {
+    expect(totp.base32Decode('mzxw 6ytb oi======').toString()).toBe('foobar');
+    expect(() => totp.base32Decode('MZXW1')).toThrow('Invalid base32 character');
+  });
+
+  test('generates 160-bit secrets', () => {
+    const secret = totp.generateSecret();
+
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(totp.base32Decode(secret)).toHaveLength(20);
+  });
+});
+
+// ── codes ───────────────────────────────────────────────────
+
+describe('generateCode', () => {
+  test('matches the RFC 6238 SHA-1 test vectors', () => {
+    const vectors = [
+      [59, '287082'],
+      [1111111109, '081804'],
+      [1111111111, '050471'],
+      [1234567890, '005924'],
+      [2000000000, '279037'],
+    ];
+
+    for (const [seconds, code] of vectors) {
+      expect(totp.generateCode(RFC_SECRET, totp.getCounter(seconds * 1000))).toBe(code);
+    }
+  });
+});
+
+describe('verifyCode', () => {
+  const time = 1111111111 * 1000;
+
+  test('returns the matching time step', () => {
+    expect(totp.verifyCode(RFC_SECRET, '050471', 1, time)).toBe(totp.getCounter(time));
+    expect(totp.verifyCode(RFC_SECRET, ' 050 471 ', 1, time)).toBe(totp.getCounter(time));
+  });
+
+  test('accepts neighbouring time steps only within the window', () => {
+    const previous = totp.generateCode(RFC_SECRET, totp.getCounter(time) - 1);
+
+    expect(totp.verifyCode(RFC_SECRET, previous, 1, time)).toBe(totp.getCounter(time) - 1);
+    expect(totp.verifyCode(RFC_SECRET, previous, 0, time)).toBeNull();
+  });
+
+  test('rejects wrong and malformed codes', () => {
+    expect(totp.verifyCode(RFC_SECRET, '000000', 1, time)).toBeNull();
+    expect(totp.verifyCode(RFC_SECRET, '05047', 1, time)).toBeNull();
+    expect(totp.verifyCode(RFC_SECRET, 'abcdef', 1, time)).toBeNull();
+    expect(totp.verifyCode(RFC_SECRET, undefined, 1, time)).toBeNull();
+  });
+});
+
+describe('buildOtpauthUrl', () => {
+  test('builds a URI authenticator apps can import', () => {
+    const url = totp.buildOtpauthUrl({ issuer: 'Hour Boost', account: 'admin', secret: 'ABC' });
+
+    expect(url).toBe('otpauth://totp/Hour%20Boost%3Aadmin?secret=ABC&issuer=Hour+Boost&algorithm=SHA1&digits=6&period=30');
+  });
+});
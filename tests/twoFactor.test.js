@@ -0,0 +1,184 @@
+// ---------------------------------------------------------------------------
+// Mock: database
+// ---------------------------------------------------------------------------
+jest.mock('../src/models/database', () => ({
+  users: {
+    findById: jest.fn(),
+    setTwoFactor: jest.fn(),
+    setRecoveryCodes: jest.fn(),
+    setTotpCounter: jest.fn(),
+  },
+}));
+
+// ---------------------------------------------------------------------------
+// Mock: logger
+// ---------------------------------------------------------------------------
+jest.mock('../src/services/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+// ---------------------------------------------------------------------------
+// Mock: auth middleware
+// ---------------------------------------------------------------------------
+jest.mock('../src/middleware/auth', () => ({
+  verifyPassword: jest.fn(async (password) => password === 'secret1'),
+  getEncryptionKey: jest.fn(),
+  unwrapMasterKey: jest.fn(),
+}));
+
+const crypto = require('crypto');
+const db = require('../src/models/database');
+const auth = require('../src/middleware/auth');
+const config = require('../src/config');
+const totp = require('../src/utils/totp');
+const { encrypt } = require('../src/utils/encryption');
+const twoFactor = require('../src/services/twoFactor');
+const { hashRecoveryCode } = twoFactor;
+
+const KEY = crypto.randomBytes(32);
+const SECRET = totp.generateSecret();
+
+function currentCode(offset = 0) {
+  return totp.generateCode(SECRET, totp.getCounter() + offset);
+}
+
+function enrolledUser(overrides = {}) {
+  return {
+    id: 1,
+    username: 'admin',
+    password_hash: 'hash',
+    totp_secret: encrypt(SECRET, KEY),
+    totp_enabled: 1,
+    recovery_codes: JSON.stringify([hashRecoveryCode('aaaaabbbbb'), hashRecoveryCode('cccccddddd')]),
+    ...overrides,
+  };
+}
+
+// Last accepted time step as stored in the users table
+let storedCounter;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  auth.getEncryptionKey.mockReturnValue(KEY);
+  twoFactor.challenges.clear();
+  storedCounter = null;
+  db.users.setTotpCounter.mockImplementation((id, counter) => { storedCounter = counter; });
+  db.users.findById.mockImplementation(() => enrolledUser({ totp_last_counter: storedCounter }));
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+// ── enrollment ──────────────────────────────────────────────
+
+describe('setup and enable', () => {
+  test('stores an encrypted pending secret, then turns on with a valid code', () => {
+    db.users.findById.mockReturnValueOnce({ id: 1, username: 'admin', totp_enabled: 0 });
+
+    const { secret, otpauth_url } = twoFactor.setup(1);
+
+    expect(otpauth_url).toContain(`secret=${secret}`);
+    const [, storedSecret, enabled] = db.users.setTwoFactor.mock.calls[0];
+    expect(storedSecret).toMatch(/^\$ENC\$/);
+    expect(enabled).toBe(false);
+
+    db.users.findById.mockReturnValueOnce({ id: 1, username: 'admin', totp_enabled: 0, totp_secret: storedSecret });
+    const codes = twoFactor.enable(1, totp.generateCode(secret, totp.getCounter()));
+
+    expect(codes).toHaveLength(config.twoFactor.recoveryCodes);
+    expect(codes[0]).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/);
+    expect(db.users.setTwoFactor).toHaveBeenLastCalledWith(1, storedSecret, true, codes.map(c => hashRecoveryCode(c.replace('-', ''))));
+    expect(db.users.setTotpCounter).toHaveBeenCalledWith(1, totp.getCounter());
+  });
+
+  test('refuses a wrong code, a missing setup and a locked master key', () => {
+    db.users.findById.mockReturnValueOnce(enrolledUser({ totp_enabled: 0 }));
+    expect(() => twoFactor.enable(1, '000000')).toThrow('Invalid code');
+
+    db.users.findById.mockReturnValueOnce(enrolledUser({ totp_enabled: 0, totp_secret: null }));
+    expect(() => twoFactor.enable(1, currentCode())).toThrow('Start the two-factor setup first');
+
+    auth.getEncryptionKey.mockReturnValueOnce(null);
+    db.users.findById.mockReturnValueOnce({ id: 1, username: 'admin', totp_enabled: 0 });
+    expect(() => twoFactor.setup(1)).toThrow('log in again');
+    expect(db.users.setTwoFactor).not.toHaveBeenCalled();
+  });
+});
+
+describe('disable', () => {
+  test('requires the current password', async () => {
+    db.users.findById.mockReturnValue(enrolledUser());
+
+    await expect(twoFactor.disable(1, 'wrong')).rejects.toThrow('Password is incorrect');
+    await twoFactor.disable(1, 'secret1');
+
+    expect(db.users.setTwoFactor).toHaveBeenCalledTimes(1);
+    expect(db.users.setTwoFactor).toHaveBeenCalledWith(1, null, false);
+  });
+});
+
+// ── login ───────────────────────────────────────────────────
+
+describe('verify', () => {
+  test('accepts a TOTP code once', async () => {
+    const user = enrolledUser();
+    const code = currentCode();
+
+    expect(await twoFactor.verify(user, 'secret1', code)).toBe(true);
+    expect(await twoFactor.verify(user, 'secret1', code)).toBe(false);
+    expect(await twoFactor.verify(user, 'secret1', '000000')).toBe(false);
+    expect(storedCounter).toBe(totp.getCounter());
+  });
+
+  test('remembers used codes in the database, not in memory', async () => {
+    storedCounter = totp.getCounter();
+    const restarted = new twoFactor.constructor();
+
+    expect(await restarted.verify(enrolledUser(), 'secret1', currentCode())).toBe(false);
+    expect(await restarted.verify(enrolledUser(), 'secret1', currentCode(1))).toBe(true);
+  });
+
+  test('uses up recovery codes', async () => {
+    const user = enrolledUser();
+
+    expect(await twoFactor.verify(user, 'secret1', 'AAAAA-BBBBB')).toBe(true);
+    expect(db.users.setRecoveryCodes).toHaveBeenCalledWith(1, [hashRecoveryCode('cccccddddd')]);
+    expect(await twoFactor.verify(user, 'secret1', 'zzzzz-zzzzz')).toBe(false);
+  });
+
+  test('unwraps the master key when nobody is logged in', async () => {
+    auth.getEncryptionKey.mockReturnValue(null);
+    auth.unwrapMasterKey.mockResolvedValueOnce(KEY);
+    const user = enrolledUser();
+
+    expect(await twoFactor.verify(user, 'secret1', currentCode())).toBe(true);
+    expect(auth.unwrapMasterKey).toHaveBeenCalledWith(user, 'secret1');
+  });
+});
+
+describe('challenges', () => {
+  test('expire after the configured time', () => {
+    jest.useFakeTimers({ now: 1000000 });
+    const token = twoFactor.createChallenge({ id: 1 }, 'secret1');
+
+    expect(twoFactor.getChallenge(token)).toMatchObject({ userId: 1, password: 'secret1' });
+    jest.advanceTimersByTime(config.twoFactor.challengeTtl + 1);
+    expect(twoFactor.getChallenge(token)).toBeNull();
+    expect(twoFactor.getChallenge(undefined)).toBeNull();
+  });
+
+  test('are dropped after too many wrong codes', () => {
+    const token = twoFactor.createChallenge({ id: 1 }, 'secret1');
+
+    for (let i = 1; i < config.twoFactor.maxAttempts; i++) {
+      expect(twoFactor.recordFailure(token)).toBe(false);
+    }
+    expect(twoFactor.recordFailure(token)).toBe(true);
+    expect(twoFactor.getChallenge(token)).toBeNull();
+    expect(twoFactor.recordFailure(token)).toBe(true);
+  });
+});
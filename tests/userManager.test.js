@@ -0,0 +1,149 @@
+// ---------------------------------------------------------------------------
+// Mock: database
+// ---------------------------------------------------------------------------
+jest.mock('../src/models/database', () => ({
+  users: {
+    findAll: jest.fn(() => []),
+    findById: jest.fn(),
+    findByUsername: jest.fn(),
+    updateAccess: jest.fn(),
+    updatePassword: jest.fn(),
+    countByRole: jest.fn(() => 1),
+    delete: jest.fn(),
+  },
+}));
+
+// ---------------------------------------------------------------------------
+// Mock: logger
+// ---------------------------------------------------------------------------
+jest.mock('../src/services/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+// ---------------------------------------------------------------------------
+// Mock: auth middleware
+// ---------------------------------------------------------------------------
+jest.mock('../src/middleware/auth', () => ({
+  createUser: jest.fn(async () => ({ lastInsertRowid: 5 })),
+  hashPassword: jest.fn(async () => 'hash'),
+  wrapKeyForUser: jest.fn(),
+  getEncryptionKey: jest.fn(() => Buffer.alloc(32)),
+  isEncryptionInitialized: jest.fn(() => true),
+}));
+
+// ---------------------------------------------------------------------------
+// Mock: two-factor service
+// ---------------------------------------------------------------------------
+jest.mock('../src/services/twoFactor', () => ({
+  reset: jest.fn(),
+}));
+
+// ---------------------------------------------------------------------------
+// Mock: event stream
+// ---------------------------------------------------------------------------
+jest.mock('../src/services/eventStream', () => ({
+  closeUser: jest.fn(),
+}));
+
+const db = require('../src/models/database');
+const twoFactor = require('../src/services/twoFactor');
+const eventStream = require('../src/services/eventStream');
+const auth = require('../src/middleware/auth');
+const userManager = require('../src/services/userManager');
+const { normalizeAccess } = userManager;
+
+const ADMIN = { id: 1, username: 'admin', role: 'admin', account_ids: null };
+const VIEWER = { id: 5, username: 'viewer', role: 'viewer', account_ids: '[2]' };
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+// ── validation ──────────────────────────────────────────────
+
+describe('normalizeAccess', () => {
+  test('admins always get every account', () => {
+    expect(normalizeAccess('admin', [1, 2])).toEqual({ role: 'admin', account_ids: null });
+  });
+
+  test('de-duplicates account IDs and rejects bad input', () => {
+    expect(normalizeAccess('operator', ['3', 3, 1])).toEqual({ role: 'operator', account_ids: [3, 1] });
+    expect(() => normalizeAccess('owner', null)).toThrow('role must be one of');
+    expect(() => normalizeAccess('viewer', 'all')).toThrow('account_ids must be a list');
+    expect(() => normalizeAccess('viewer', ['x'])).toThrow('account_ids must only contain account IDs');
+  });
+});
+
+// ── managing users ──────────────────────────────────────────
+
+describe('create', () => {
+  test('creates the user with their role and accounts', async () => {
+    db.users.findById.mockReturnValueOnce(VIEWER);
+
+    const user = await userManager.create({ username: 'viewer', password: 'secret1', role: 'viewer', account_ids: [2] });
+
+    expect(auth.createUser).toHaveBeenCalledWith('viewer', 'secret1', { role: 'viewer', account_ids: [2] });
+    expect(user).toEqual({ id: 5, username: 'viewer', role: 'viewer', account_ids: [2] });
+  });
+
+  test('refuses duplicates, short passwords and a locked master key', async () => {
+    db.users.findByUsername.mockReturnValueOnce(VIEWER);
+    await expect(userManager.create({ username: 'viewer', password: 'secret1' })).rejects.toThrow('Username already exists');
+    await expect(userManager.create({ username: 'new', password: '123' })).rejects.toThrow('at least 6 characters');
+
+    auth.getEncryptionKey.mockReturnValueOnce(null);
+    await expect(userManager.create({ username: 'new', password: 'secret1' })).rejects.toThrow('log in again');
+    expect(auth.createUser).not.toHaveBeenCalled();
+  });
+});
+
+describe('update', () => {
+  test('resets the password and rewraps the master key', async () => {
+    db.users.findById.mockReturnValue(VIEWER);
+
+    await userManager.update(5, { role: 'operator', password: 'newpass1' });
+
+    expect(db.users.updateAccess).toHaveBeenCalledWith(5, 'operator', [2]);
+    expect(db.users.updatePassword).toHaveBeenCalledWith(5, 'hash');
+    expect(auth.wrapKeyForUser).toHaveBeenCalledWith(5, 'newpass1');
+  });
+
+  test('ends the user\'s live streams so they reconnect with the new accounts', async () => {
+    db.users.findById.mockReturnValue(VIEWER);
+
+    await userManager.update(5, { account_ids: [2, 3] });
+
+    expect(eventStream.closeUser).toHaveBeenCalledWith(5);
+  });
+
+  test('turns off two-factor for a user who lost their authenticator', async () => {
+    db.users.findById.mockReturnValue({ ...VIEWER, totp_enabled: 1 });
+
+    await userManager.update(5, { two_factor: false });
+
+    expect(twoFactor.reset).toHaveBeenCalledWith(5);
+  });
+
+  test('keeps at least one admin', async () => {
+    db.users.findById.mockReturnValue(ADMIN);
+
+    await expect(userManager.update(1, { role: 'viewer' })).rejects.toThrow('At least one admin is required');
+    expect(db.users.updateAccess).not.toHaveBeenCalled();
+  });
+});
+
+describe('remove', () => {
+  test('does not delete yourself or the last admin', () => {
+    db.users.findById.mockReturnValue(ADMIN);
+    expect(() => userManager.remove(1, 1)).toThrow('cannot delete your own user');
+    expect(() => userManager.remove(1, 7)).toThrow('At least one admin is required');
+
+    db.users.findById.mockReturnValue(VIEWER);
+    userManager.remove(5, 1);
+    expect(db.users.delete).toHaveBeenCalledWith(5);
+    expect(eventStream.closeUser).toHaveBeenCalledWith(5);
+  });
+});